@@ -0,0 +1,188 @@
+/* eslint-env node */
+// Writes a large diagram for measuring how the editor copes with big schemas.
+// Import the file from File > Import diagram, then record dragging a table,
+// panning and zooming with the browser's performance tools.
+//
+//   npm run benchmark > benchmark.json
+//   TABLES=1000 npm run benchmark > benchmark.json
+//
+// The same number of tables always gives the same diagram. With --measure it
+// prints how many elements the canvas draws for a 1920x1080 window in the
+// top left corner instead: all of them without culling, and the ones in view
+// give or take the canvas's 200px margin with it.
+//
+//   npm run benchmark -- --measure
+
+const tableCount = Number(process.env.TABLES ?? 300);
+const columns = Math.ceil(Math.sqrt(tableCount));
+const colors = ["#175e7a", "#ff9159", "#32c9b0", "#7c4af0", "#f03c3c"];
+const types = ["VARCHAR", "INT", "BOOLEAN", "DATETIME", "TEXT", "DECIMAL"];
+
+// Seeded so that measurements can be compared between runs
+let seed = 42;
+function random() {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+}
+const pick = (items) => items[Math.floor(random() * items.length)];
+
+function field(id, name, type, extra = {}) {
+  return {
+    id,
+    name,
+    type,
+    default: "",
+    check: "",
+    primary: false,
+    unique: false,
+    notNull: false,
+    increment: false,
+    comment: "",
+    ...(type === "VARCHAR" && { size: 255 }),
+    ...extra,
+  };
+}
+
+const tables = [];
+const relationships = [];
+
+for (let i = 0; i < tableCount; i++) {
+  const id = `table_${i}`;
+  const fields = [
+    field(`${id}_id`, "id", "INT", {
+      primary: true,
+      notNull: true,
+      increment: true,
+    }),
+  ];
+
+  const columnCount = 3 + Math.floor(random() * 10);
+  for (let j = 1; j < columnCount; j++) {
+    fields.push(field(`${id}_field_${j}`, `field_${j}`, pick(types)));
+  }
+
+  // Up to three foreign keys to tables created before this one
+  const references = i === 0 ? 0 : Math.floor(random() * 4);
+  for (let k = 0; k < references; k++) {
+    const target = tables[Math.floor(random() * i)];
+    const fk = field(`${id}_fk_${k}`, `${target.name}_id_${k}`, "INT", {
+      notNull: true,
+    });
+    fields.push(fk);
+    relationships.push({
+      id: `${id}_ref_${k}`,
+      name: `fk_${id}_${fk.name}`,
+      startTableId: id,
+      startFieldId: fk.id,
+      endTableId: target.id,
+      endFieldId: target.fields[0].id,
+      cardinality: "Many to one",
+      updateConstraint: "No action",
+      deleteConstraint: "No action",
+    });
+  }
+
+  tables.push({
+    id,
+    name: `table_${i}`,
+    x: (i % columns) * 280,
+    y: Math.floor(i / columns) * 600,
+    fields,
+    comment: "",
+    indices: [],
+    color: pick(colors),
+  });
+}
+
+const rows = Math.ceil(tableCount / columns);
+const subjectAreas = Array.from({ length: Math.ceil(rows / 4) }, (_, i) => ({
+  id: i,
+  name: `area_${i}`,
+  x: -40,
+  y: i * 2400 - 40,
+  width: columns * 280 + 40,
+  height: 2360,
+  color: pick(colors),
+}));
+
+const notes = Array.from({ length: Math.ceil(tableCount / 50) }, (_, i) => ({
+  id: i,
+  x: columns * 280 + 80,
+  y: i * 240,
+  title: `note_${i}`,
+  content: `Benchmark note ${i}`,
+  color: "#fcf7ac",
+  height: 88,
+}));
+
+// As in src/data/constants.js and the canvas
+const tableWidth = 200;
+const tableHeight = (t) => t.fields.length * 36 + 50 + 7;
+const cullMargin = 200;
+const detailZoom = 0.4;
+
+function measure(zoom) {
+  const view = {
+    x: -cullMargin / zoom,
+    y: -cullMargin / zoom,
+    width: (1920 + 2 * cullMargin) / zoom,
+    height: (1080 + 2 * cullMargin) / zoom,
+  };
+  const inView = (b) =>
+    b.x < view.x + view.width &&
+    b.x + b.width > view.x &&
+    b.y < view.y + view.height &&
+    b.y + b.height > view.y;
+  const box = (t) => ({
+    x: t.x,
+    y: t.y,
+    width: tableWidth,
+    height: tableHeight(t),
+  });
+  const byId = new Map(tables.map((t) => [t.id, box(t)]));
+  const ends = (r) => [byId.get(r.startTableId), byId.get(r.endTableId)];
+  const spans = (a, b) => ({
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.max(a.x + a.width, b.x + b.width) - Math.min(a.x, b.x),
+    height: Math.max(a.y + a.height, b.y + b.height) - Math.min(a.y, b.y),
+  });
+
+  const shown = {
+    tables: tables.filter((t) => inView(box(t))).length,
+    relationships: relationships.filter((r) => inView(spans(...ends(r))))
+      .length,
+    areas: subjectAreas.filter(inView).length,
+    notes: notes.filter((n) => inView({ ...n, width: 180 })).length,
+  };
+  return {
+    zoom: `${zoom * 100}%`,
+    tables: `${tables.length} → ${shown.tables}`,
+    relationships: `${relationships.length} → ${shown.relationships}`,
+    "areas and notes": `${subjectAreas.length + notes.length} → ${
+      shown.areas + shown.notes
+    }`,
+    "tables as plain boxes": zoom < detailZoom ? "yes" : "no",
+  };
+}
+
+if (process.argv.includes("--measure")) {
+  console.log(`${tableCount} tables, drawn without → with culling`);
+  console.table([1, 0.5, 0.25].map(measure));
+} else {
+  process.stdout.write(
+    JSON.stringify(
+      {
+        title: `Benchmark (${tableCount} tables)`,
+        database: "Generic",
+        tables,
+        relationships,
+        notes,
+        subjectAreas,
+        types: [],
+      },
+      null,
+      2,
+    ),
+  );
+}
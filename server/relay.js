@@ -0,0 +1,120 @@
+/* eslint-env node */
+// A relay for live collaboration. Clients join a room and everything they
+// send is passed on to the others in it. The latest write to every entity is
+// kept in memory so that people joining later start from the same diagram.
+// Rooms are forgotten once everyone has left.
+//
+//   PORT=1234 npm run relay
+
+import { WebSocketServer } from "ws";
+import { collections, isNewer } from "../src/utils/collab.js";
+
+const port = process.env.PORT ?? 1234;
+const rooms = new Map();
+let nextClient = 1;
+
+function getRoom(name) {
+  if (!rooms.has(name)) {
+    rooms.set(name, { clients: new Map(), entities: new Map() });
+  }
+  return rooms.get(name);
+}
+
+function broadcast(room, message, except) {
+  const data = JSON.stringify(message);
+  room.clients.forEach((_, socket) => {
+    if (socket !== except && socket.readyState === socket.OPEN) {
+      socket.send(data);
+    }
+  });
+}
+
+const isObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+// Ops come straight from clients, so anything that isn't shaped like one is
+// dropped before it reaches the room
+function isOp(op) {
+  return (
+    isObject(op) &&
+    collections.includes(op.collection) &&
+    (typeof op.key === "string" || typeof op.key === "number") &&
+    typeof op.clock === "number" &&
+    Number.isFinite(op.clock) &&
+    (op.deleted === true || isObject(op.value))
+  );
+}
+
+const server = new WebSocketServer({ port: port });
+
+server.on("connection", (socket) => {
+  let room = null;
+  let roomName = "";
+  const client = `c${nextClient++}`;
+
+  socket.on("message", (data) => {
+    let message = null;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      return;
+    }
+    if (!isObject(message)) return;
+
+    // A bad message must not take the relay down for everyone else
+    try {
+      handleMessage(message);
+    } catch (e) {
+      console.error(`Dropped a message from ${client}:`, e);
+    }
+  });
+
+  function handleMessage(message) {
+    if (message.type === "join" && !room) {
+      roomName = String(message.room);
+      room = getRoom(roomName);
+      const presence = { client, user: message.user };
+      socket.send(
+        JSON.stringify({
+          type: "welcome",
+          client,
+          ops: [...room.entities.values()],
+          peers: [...room.clients.values()],
+        }),
+      );
+      room.clients.set(socket, presence);
+      broadcast(room, { type: "presence", ...presence }, socket);
+      return;
+    }
+
+    if (!room) return;
+
+    if (message.type === "ops") {
+      if (!Array.isArray(message.ops)) return;
+      const ops = message.ops.filter(isOp).filter((op) => {
+        const key = `${op.collection}:${op.key}`;
+        if (!isNewer(op, room.entities.get(key))) return false;
+        room.entities.set(key, op);
+        return true;
+      });
+      if (ops.length > 0) broadcast(room, { type: "ops", ops }, socket);
+    } else if (message.type === "presence") {
+      const presence = {
+        ...room.clients.get(socket),
+        cursor: message.cursor,
+        selection: message.selection,
+      };
+      room.clients.set(socket, presence);
+      broadcast(room, { type: "presence", ...presence }, socket);
+    }
+  }
+
+  socket.on("close", () => {
+    if (!room) return;
+    room.clients.delete(socket);
+    broadcast(room, { type: "leave", client });
+    if (room.clients.size === 0) rooms.delete(roomName);
+  });
+});
+
+console.log(`drawDB relay listening on ws://localhost:${port}`);
@@ -9,6 +9,7 @@ import LandingPage from "./pages/LandingPage";
 import SettingsContextProvider from "./context/SettingsContext";
 import useSettings from "./hooks/useSettings";
 import NotFound from "./pages/NotFound";
+import View from "./pages/View";
 
 export default function App() {
   return (
@@ -25,6 +26,14 @@ export default function App() {
               </ThemedPage>
             }
           />
+          <Route
+            path="/view"
+            element={
+              <ThemedPage>
+                <View />
+              </ThemedPage>
+            }
+          />
           <Route
             path="/survey"
             element={
@@ -26,7 +26,7 @@ export default function Area({ data, onMouseDown, setResize, setInitCoords }) {
   const { settings } = useSettings();
   const { transform } = useTransform();
   const { setSaveState } = useSaveState();
-  const { selectedElement, setSelectedElement } = useSelect();
+  const { selectedElement, setSelectedElement, isSelected } = useSelect();
 
   const handleResize = (e, dir) => {
     setResize({ id: data.id, dir: dir });
@@ -100,8 +100,7 @@ export default function Area({ data, onMouseDown, setResize, setInitCoords }) {
           className={`border-2 ${
             hovered
               ? "border-dashed border-blue-500"
-              : selectedElement.element === ObjectType.AREA &&
-                  selectedElement.id === data.id
+              : isSelected(ObjectType.AREA, data.id)
                 ? "border-blue-500"
                 : "border-slate-400"
           } w-full h-full cursor-move rounded`}
@@ -1,15 +1,17 @@
-import { useRef, useState, useEffect } from "react";
+import { useRef, useState, useEffect, useCallback, useMemo } from "react";
 import {
   Action,
   Cardinality,
   Constraint,
   ObjectType,
+  Tab,
 } from "../../data/constants";
 import { Toast } from "@douyinfe/semi-ui";
 import Table from "./Table";
 import Area from "./Area";
 import Relationship from "./Relationship";
 import Note from "./Note";
+import Presence from "./Presence";
 import {
   useSettings,
   useTransform,
@@ -19,26 +21,54 @@ import {
   useAreas,
   useNotes,
   useLayout,
+  useCollab,
 } from "../../hooks";
 import { useTranslation } from "react-i18next";
 import { diagram } from "../../data/heroDiagram";
+import { generateId } from "../../utils/ids";
+import {
+  boundsOf,
+  getElementBounds,
+  getElementsInRect,
+  listElements,
+  snapToGuides,
+} from "../../utils/selection";
+
+// How close in screen pixels an edge has to come to another to snap to it
+const guideThreshold = 6;
+// Below this zoom tables are drawn as plain boxes
+const detailZoom = 0.4;
+// How far in screen pixels beyond the edges elements are still drawn
+const cullMargin = 200;
 
-export default function Canvas() {
+export default function Canvas({ readOnly = false }) {
   const { t } = useTranslation();
-  const { tables, updateTable, relationships, addRelationship } = useTables();
-  const { areas, updateArea } = useAreas();
-  const { notes, updateNote } = useNotes();
+  const { tables, setTables, updateTable, relationships, addRelationship } =
+    useTables();
+  const { areas, setAreas, updateArea } = useAreas();
+  const { notes, setNotes, updateNote } = useNotes();
   const { layout } = useLayout();
   const { settings } = useSettings();
   const { setUndoStack, setRedoStack } = useUndoRedo();
   const { transform, setTransform } = useTransform();
-  const { selectedElement, setSelectedElement } = useSelect();
+  const {
+    selectedElement,
+    setSelectedElement,
+    selection,
+    setSelectedElements,
+    isSelected,
+  } = useSelect();
+  const { updateCursor } = useCollab();
   const [dragging, setDragging] = useState({
     element: ObjectType.NONE,
     id: -1,
     prevX: 0,
     prevY: 0,
+    group: null,
   });
+  // The rectangle dragged out to select everything inside it
+  const [marquee, setMarquee] = useState(null);
+  const [guides, setGuides] = useState([]);
   const [linking, setLinking] = useState(false);
   const [linkingLine, setLinkingLine] = useState({
     startTableId: -1,
@@ -53,7 +83,7 @@ export default function Canvas() {
   const [offset, setOffset] = useState({ x: 0, y: 0 });
   const [hoveredTable, setHoveredTable] = useState({
     tableId: -1,
-    field: -2,
+    field: -1,
   });
   const [panning, setPanning] = useState({
     isPanning: false,
@@ -74,9 +104,85 @@ export default function Canvas() {
   const [cursor, setCursor] = useState("default");
 
   const canvas = useRef(null);
+  const [canvasSize, setCanvasSize] = useState({ width: 0, height: 0 });
+
+  useEffect(() => {
+    const canvasElement = canvas.current;
+    const observer = new ResizeObserver(() =>
+      setCanvasSize({
+        width: canvasElement.clientWidth,
+        height: canvasElement.clientHeight,
+      }),
+    );
+    observer.observe(canvasElement);
+    return () => observer.disconnect();
+  }, []);
+
+  const toDiagramCoords = (e) => {
+    const rect = canvas.current.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left - transform.pan?.x) / transform.zoom,
+      y: (e.clientY - rect.top - transform.pan?.y) / transform.zoom,
+    };
+  };
+
+  const selectElements = (elements) => {
+    setSelectedElements(elements);
+    const last = elements[elements.length - 1];
+    setSelectedElement((prev) => ({
+      ...prev,
+      element: last?.element ?? ObjectType.NONE,
+      id: last?.id ?? -1,
+      open: false,
+    }));
+  };
+
+  const toggleSelected = (element, id) => {
+    if (isSelected(element, id)) {
+      selectElements(
+        selection.filter((e) => !(e.element === element && e.id === id)),
+      );
+    } else {
+      selectElements([...selection, { element, id }]);
+    }
+  };
 
   const handleMouseDownOnElement = (e, id, type) => {
     const { clientX, clientY } = e;
+    if (e.shiftKey) {
+      toggleSelected(type, id);
+      return;
+    }
+    // Dragging one of several selected elements moves all of them.
+    const group =
+      isSelected(type, id) && selection.length > 1
+        ? selection.map((el) => {
+            const { x, y } = getElementBounds(
+              el,
+              { tables, areas, notes },
+              settings.tableWidth,
+            );
+            return { ...el, x, y };
+          })
+        : null;
+    // What the dragged element can line up with doesn't change during the
+    // drag, so it is measured once here along with the element's size.
+    const diagram = { tables, areas, notes };
+    const moving = group ?? [{ element: type, id }];
+    const { width, height } = getElementBounds(
+      { element: type, id },
+      diagram,
+      settings.tableWidth,
+    );
+    const snapping = {
+      size: { width, height },
+      targets: listElements(diagram)
+        .filter(
+          (el) =>
+            !moving.some((m) => m.element === el.element && m.id === el.id),
+        )
+        .map((el) => getElementBounds(el, diagram, settings.tableWidth)),
+    };
     if (type === ObjectType.TABLE) {
       const table = tables.find((t) => t.id === id);
       setOffset({
@@ -88,6 +194,8 @@ export default function Canvas() {
         id: id,
         prevX: table.x,
         prevY: table.y,
+        group: group,
+        ...snapping,
       });
     } else if (type === ObjectType.AREA) {
       const area = areas.find((t) => t.id === id);
@@ -100,6 +208,8 @@ export default function Canvas() {
         id: id,
         prevX: area.x,
         prevY: area.y,
+        group: group,
+        ...snapping,
       });
     } else if (type === ObjectType.NOTE) {
       const note = notes.find((t) => t.id === id);
@@ -112,8 +222,11 @@ export default function Canvas() {
         id: id,
         prevX: note.x,
         prevY: note.y,
+        group: group,
+        ...snapping,
       });
     }
+    if (!group) setSelectedElements([{ element: type, id: id }]);
     setSelectedElement((prev) => ({
       ...prev,
       element: type,
@@ -122,14 +235,62 @@ export default function Canvas() {
     }));
   };
 
+  const moveGroup = (dx, dy) => {
+    const place = (element) => (prev) =>
+      prev.map((el) => {
+        const e = dragging.group.find(
+          (g) => g.element === element && g.id === el.id,
+        );
+        return e ? { ...el, x: e.x + dx, y: e.y + dy } : el;
+      });
+    setTables(place(ObjectType.TABLE));
+    setAreas(place(ObjectType.AREA));
+    setNotes(place(ObjectType.NOTE));
+  };
+
+  const snap = (value) =>
+    Math.round(value / settings.gridSize) * settings.gridSize;
+
+  // Where the dragged element goes. Near the edges and centers of the others
+  // it lines up with them, elsewhere it sits on the grid if snapping is on.
+  // Holding Alt places it freely.
+  const getDragPosition = (e) => {
+    const x = e.clientX / transform.zoom - offset.x;
+    const y = e.clientY / transform.zoom - offset.y;
+    if (e.altKey) {
+      setGuides([]);
+      return { x, y };
+    }
+
+    const box = {
+      ...dragging.size,
+      x: settings.snapToGrid ? snap(x) : x,
+      y: settings.snapToGrid ? snap(y) : y,
+    };
+    const snapped = snapToGuides(
+      box,
+      dragging.targets,
+      guideThreshold / transform.zoom,
+    );
+    setGuides(snapped.guides);
+    return { x: snapped.x, y: snapped.y };
+  };
+
   const handleMouseMove = (e) => {
+    const rect = canvas.current.getBoundingClientRect();
+    updateCursor(
+      (e.clientX - rect.left - transform.pan?.x) / transform.zoom,
+      (e.clientY - rect.top - transform.pan?.y) / transform.zoom,
+    );
     if (linking) {
-      const rect = canvas.current.getBoundingClientRect();
       setLinkingLine({
         ...linkingLine,
         endX: (e.clientX - rect.left - transform.pan?.x) / transform.zoom,
         endY: (e.clientY - rect.top - transform.pan?.y) / transform.zoom,
       });
+    } else if (marquee) {
+      const { x, y } = toDiagramCoords(e);
+      setMarquee((prev) => ({ ...prev, endX: x, endY: y }));
     } else if (
       panning.isPanning &&
       dragging.element === ObjectType.NONE &&
@@ -145,21 +306,21 @@ export default function Canvas() {
         pan: { x: prev.pan?.x + dx, y: prev.pan?.y + dy },
       }));
       setPanning((prev) => ({ ...prev, dx: e.clientX, dy: e.clientY }));
-    } else if (dragging.element === ObjectType.TABLE && dragging.id >= 0) {
-      const dx = e.clientX / transform.zoom - offset.x;
-      const dy = e.clientY / transform.zoom - offset.y;
+    } else if (dragging.group) {
+      const { x: dx, y: dy } = getDragPosition(e);
+      moveGroup(dx - dragging.prevX, dy - dragging.prevY);
+    } else if (dragging.element === ObjectType.TABLE && dragging.id !== -1) {
+      const { x: dx, y: dy } = getDragPosition(e);
       updateTable(dragging.id, { x: dx, y: dy });
     } else if (
       dragging.element === ObjectType.AREA &&
-      dragging.id >= 0 &&
+      dragging.id !== -1 &&
       areaResize.id === -1
     ) {
-      const dx = e.clientX / transform.zoom - offset.x;
-      const dy = e.clientY / transform.zoom - offset.y;
+      const { x: dx, y: dy } = getDragPosition(e);
       updateArea(dragging.id, { x: dx, y: dy });
-    } else if (dragging.element === ObjectType.NOTE && dragging.id >= 0) {
-      const dx = e.clientX / transform.zoom - offset.x;
-      const dy = e.clientY / transform.zoom - offset.y;
+    } else if (dragging.element === ObjectType.NOTE && dragging.id !== -1) {
+      const { x: dx, y: dy } = getDragPosition(e);
       updateNote(dragging.id, { x: dx, y: dy });
     } else if (areaResize.id !== -1) {
       if (areaResize.dir === "none") return;
@@ -187,6 +348,14 @@ export default function Canvas() {
         newDims.height = initCoords.height + (mouseY - initCoords.mouseY);
       }
 
+      if (settings.snapToGrid && !e.altKey) {
+        const right = snap(newDims.x + newDims.width);
+        const bottom = snap(newDims.y + newDims.height);
+        newDims.x = snap(newDims.x);
+        newDims.y = snap(newDims.y);
+        newDims.width = right - newDims.x;
+        newDims.height = bottom - newDims.y;
+      }
       updateArea(areaResize.id, { ...newDims });
     }
   };
@@ -200,6 +369,21 @@ export default function Canvas() {
     )
       return;
 
+    const onCanvas = !e.target.closest("#diagram");
+    if (onCanvas && (e.shiftKey || !settings.panning)) {
+      const { x, y } = toDiagramCoords(e);
+      setMarquee({
+        startX: x,
+        startY: y,
+        endX: x,
+        endY: y,
+        add: e.shiftKey,
+      });
+      return;
+    }
+    if (onCanvas) setSelectedElements([]);
+    if (e.shiftKey) return;
+
     setPanning({
       isPanning: true,
       ...transform.pan,
@@ -211,32 +395,30 @@ export default function Canvas() {
 
   const coordsDidUpdate = (element) => {
     switch (element) {
-      case ObjectType.TABLE:
-        return !(
-          dragging.prevX === tables[dragging.id].x &&
-          dragging.prevY === tables[dragging.id].y
-        );
-      case ObjectType.AREA:
-        return !(
-          dragging.prevX === areas[dragging.id].x &&
-          dragging.prevY === areas[dragging.id].y
-        );
-      case ObjectType.NOTE:
-        return !(
-          dragging.prevX === notes[dragging.id].x &&
-          dragging.prevY === notes[dragging.id].y
-        );
+      case ObjectType.TABLE: {
+        const table = tables.find((t) => t.id === dragging.id);
+        return !(dragging.prevX === table.x && dragging.prevY === table.y);
+      }
+      case ObjectType.AREA: {
+        const area = areas.find((a) => a.id === dragging.id);
+        return !(dragging.prevX === area.x && dragging.prevY === area.y);
+      }
+      case ObjectType.NOTE: {
+        const note = notes.find((n) => n.id === dragging.id);
+        return !(dragging.prevX === note.x && dragging.prevY === note.y);
+      }
       default:
         return false;
     }
   };
 
   const didResize = (id) => {
+    const area = areas.find((a) => a.id === id);
     return !(
-      areas[id].x === initCoords.x &&
-      areas[id].y === initCoords.y &&
-      areas[id].width === initCoords.width &&
-      areas[id].height === initCoords.height
+      area.x === initCoords.x &&
+      area.y === initCoords.y &&
+      area.width === initCoords.width &&
+      area.height === initCoords.height
     );
   };
 
@@ -245,31 +427,78 @@ export default function Canvas() {
 
   const getMovedElementDetails = () => {
     switch (dragging.element) {
-      case ObjectType.TABLE:
+      case ObjectType.TABLE: {
+        const table = tables.find((t) => t.id === dragging.id);
         return {
-          name: tables[dragging.id].name,
-          x: Math.round(tables[dragging.id].x),
-          y: Math.round(tables[dragging.id].y),
+          name: table.name,
+          x: Math.round(table.x),
+          y: Math.round(table.y),
         };
-      case ObjectType.AREA:
+      }
+      case ObjectType.AREA: {
+        const area = areas.find((a) => a.id === dragging.id);
         return {
-          name: areas[dragging.id].name,
-          x: Math.round(areas[dragging.id].x),
-          y: Math.round(areas[dragging.id].y),
+          name: area.name,
+          x: Math.round(area.x),
+          y: Math.round(area.y),
         };
-      case ObjectType.NOTE:
+      }
+      case ObjectType.NOTE: {
+        const note = notes.find((n) => n.id === dragging.id);
         return {
-          name: notes[dragging.id].title,
-          x: Math.round(notes[dragging.id].x),
-          y: Math.round(notes[dragging.id].y),
+          name: note.title,
+          x: Math.round(note.x),
+          y: Math.round(note.y),
         };
+      }
       default:
         return false;
     }
   };
 
+  const getMarqueeRect = () => ({
+    x: Math.min(marquee.startX, marquee.endX),
+    y: Math.min(marquee.startY, marquee.endY),
+    width: Math.abs(marquee.endX - marquee.startX),
+    height: Math.abs(marquee.endY - marquee.startY),
+  });
+
   const handleMouseUp = () => {
-    if (coordsDidUpdate(dragging.element)) {
+    if (marquee) {
+      const inside = getElementsInRect(
+        getMarqueeRect(),
+        { tables, areas, notes },
+        settings.tableWidth,
+      );
+      if (marquee.add) {
+        selectElements([
+          ...selection,
+          ...inside.filter((e) => !isSelected(e.element, e.id)),
+        ]);
+      } else {
+        selectElements(inside);
+      }
+      setMarquee(null);
+    }
+    if (dragging.group) {
+      const { x, y } = getElementBounds(
+        dragging,
+        { tables, areas, notes },
+        settings.tableWidth,
+      );
+      if (x !== dragging.prevX || y !== dragging.prevY) {
+        setUndoStack((prev) => [
+          ...prev,
+          {
+            action: Action.MOVE,
+            bulk: true,
+            elements: dragging.group,
+            message: t("move_elements", { count: dragging.group.length }),
+          },
+        ]);
+        setRedoStack([]);
+      }
+    } else if (coordsDidUpdate(dragging.element)) {
       const info = getMovedElementDetails();
       setUndoStack((prev) => [
         ...prev,
@@ -289,7 +518,14 @@ export default function Canvas() {
       ]);
       setRedoStack([]);
     }
-    setDragging({ element: ObjectType.NONE, id: -1, prevX: 0, prevY: 0 });
+    setDragging({
+      element: ObjectType.NONE,
+      id: -1,
+      prevX: 0,
+      prevY: 0,
+      group: null,
+    });
+    setGuides([]);
     if (panning.isPanning && didPan()) {
       setUndoStack((prev) => [
         ...prev,
@@ -316,6 +552,7 @@ export default function Canvas() {
     if (linking) handleLinking();
     setLinking(false);
     if (areaResize.id !== -1 && didResize(areaResize.id)) {
+      const area = areas.find((a) => a.id === areaResize.id);
       setUndoStack((prev) => [
         ...prev,
         {
@@ -323,15 +560,15 @@ export default function Canvas() {
           element: ObjectType.AREA,
           aid: areaResize.id,
           undo: {
-            ...areas[areaResize.id],
+            ...area,
             x: initCoords.x,
             y: initCoords.y,
             width: initCoords.width,
             height: initCoords.height,
           },
-          redo: areas[areaResize.id],
+          redo: area,
           message: t("edit_area", {
-            areaName: areas[areaResize.id].name,
+            areaName: area.name,
             extra: "[resize]",
           }),
         },
@@ -351,17 +588,28 @@ export default function Canvas() {
 
   const handleGripField = () => {
     setPanning(false);
-    setDragging({ element: ObjectType.NONE, id: -1, prevX: 0, prevY: 0 });
+    setDragging({
+      element: ObjectType.NONE,
+      id: -1,
+      prevX: 0,
+      prevY: 0,
+      group: null,
+    });
     setLinking(true);
   };
 
   const handleLinking = () => {
-    if (hoveredTable.tableId < 0) return;
-    if (hoveredTable.field < 0) return;
-    if (
-      tables[linkingLine.startTableId].fields[linkingLine.startFieldId].type !==
-      tables[hoveredTable.tableId].fields[hoveredTable.field].type
-    ) {
+    if (hoveredTable.tableId === -1) return;
+    if (hoveredTable.field === -1) return;
+    const startTable = tables.find((t) => t.id === linkingLine.startTableId);
+    const startField = startTable.fields.find(
+      (f) => f.id === linkingLine.startFieldId,
+    );
+    const endField = tables
+      .find((t) => t.id === hoveredTable.tableId)
+      ?.fields.find((f) => f.id === hoveredTable.field);
+    if (!endField) return;
+    if (startField.type !== endField.type) {
       Toast.info(t("connot_connect"));
       return;
     }
@@ -378,10 +626,8 @@ export default function Canvas() {
       cardinality: Cardinality.ONE_TO_ONE,
       updateConstraint: Constraint.NONE,
       deleteConstraint: Constraint.NONE,
-      name: `${tables[linkingLine.startTableId].name}_${
-        tables[linkingLine.startTableId].fields[linkingLine.startFieldId].name
-      }_fk`,
-      id: relationships.length,
+      name: `${startTable.name}_${startField.name}_fk`,
+      id: generateId(),
     };
     delete newRelationship.startX;
     delete newRelationship.startY;
@@ -408,6 +654,106 @@ export default function Canvas() {
     };
   });
 
+  const openTableEditor = (id) => {
+    if (!layout.sidebar) {
+      setSelectedElement((prev) => ({
+        ...prev,
+        element: ObjectType.TABLE,
+        id: id,
+        open: true,
+      }));
+    } else {
+      setSelectedElement((prev) => ({
+        ...prev,
+        currentTab: Tab.TABLES,
+        element: ObjectType.TABLE,
+        id: id,
+        open: true,
+      }));
+      if (selectedElement.currentTab !== Tab.TABLES) return;
+      document
+        .getElementById(`scroll_table_${id}`)
+        .scrollIntoView({ behavior: "smooth" });
+    }
+  };
+
+  // The tables are memoised, so what they are handed has to stay the same
+  // between renders. These read the latest handlers through a ref.
+  const handlers = useRef(null);
+  handlers.current = {
+    handleMouseDownOnElement,
+    handleGripField,
+    openTableEditor,
+  };
+  const handleMouseDownOnTable = useCallback(
+    (e, id) =>
+      handlers.current.handleMouseDownOnElement(e, id, ObjectType.TABLE),
+    [],
+  );
+  const handleGripFieldOnTable = useCallback(
+    (index) => handlers.current.handleGripField(index),
+    [],
+  );
+  const handleOpenTableEditor = useCallback(
+    (id) => handlers.current.openTableEditor(id),
+    [],
+  );
+  const handleCloseTableEditor = useCallback(
+    () => setSelectedElement((prev) => ({ ...prev, open: !prev.open })),
+    [setSelectedElement],
+  );
+
+  // Only what is on screen, give or take a margin, gets drawn. Selected
+  // elements always are so that their editors stay open. Until the canvas
+  // has been measured everything is.
+  const view = {
+    x: -((transform.pan?.x ?? 0) + cullMargin) / transform.zoom,
+    y: -((transform.pan?.y ?? 0) + cullMargin) / transform.zoom,
+    width: (canvasSize.width + 2 * cullMargin) / transform.zoom,
+    height: (canvasSize.height + 2 * cullMargin) / transform.zoom,
+  };
+  const inView = (box) =>
+    canvasSize.width === 0 ||
+    (box.x < view.x + view.width &&
+      box.x + box.width > view.x &&
+      box.y < view.y + view.height &&
+      box.y + box.height > view.y);
+  const isShown = (element, data) =>
+    isSelected(element, data.id) ||
+    inView(boundsOf(element, data, settings.tableWidth));
+  const tablesById = useMemo(
+    () => new Map(tables.map((t) => [t.id, t])),
+    [tables],
+  );
+  const tableBounds = useMemo(
+    () =>
+      new Map(
+        tables.map((t) => [
+          t.id,
+          boundsOf(ObjectType.TABLE, t, settings.tableWidth),
+        ]),
+      ),
+    [tables, settings.tableWidth],
+  );
+  // A relationship can cross the screen while both its tables are off it, so
+  // it is drawn whenever the box around the two of them is in view.
+  const isRelationshipShown = (r) => {
+    const ends = [r.startTableId, r.endTableId].map((id) =>
+      tableBounds.get(id),
+    );
+    if (ends.some((b) => !b)) return false;
+
+    const x = Math.min(...ends.map((b) => b.x));
+    const y = Math.min(...ends.map((b) => b.y));
+    return inView({
+      x,
+      y,
+      width: Math.max(...ends.map((b) => b.x + b.width)) - x,
+      height: Math.max(...ends.map((b) => b.y + b.height)) - y,
+    });
+  };
+  const simple = transform.zoom < detailZoom;
+
   const theme = localStorage.getItem("theme");
 
   return (
@@ -426,19 +772,21 @@ export default function Canvas() {
           {settings.showGrid && (
             <>
               <defs>
+                {/* The dots sit on the grid positions elements snap to. */}
                 <pattern
                   id="pattern-circles"
-                  x="0"
-                  y="0"
-                  width="24"
-                  height="24"
+                  x={-settings.gridSize / 2}
+                  y={-settings.gridSize / 2}
+                  width={settings.gridSize}
+                  height={settings.gridSize}
                   patternUnits="userSpaceOnUse"
                   patternContentUnits="userSpaceOnUse"
+                  patternTransform={`translate(${transform.pan?.x} ${transform.pan?.y}) scale(${transform.zoom})`}
                 >
                   <circle
                     id="pattern-circle"
-                    cx="4"
-                    cy="4"
+                    cx={settings.gridSize / 2}
+                    cy={settings.gridSize / 2}
                     r="0.85"
                     fill="rgb(99, 152, 191)"
                   ></circle>
@@ -457,35 +805,55 @@ export default function Canvas() {
             style={{
               transform: `translate(${transform.pan?.x}px, ${transform.pan?.y}px) scale(${transform.zoom})`,
               transformOrigin: "top left",
+              // Shared diagrams can only be panned and zoomed.
+              pointerEvents: readOnly ? "none" : "auto",
             }}
             id="diagram"
           >
-            {areas.map((a) => (
-              <Area
-                key={a.id}
-                data={a}
-                onMouseDown={(e) =>
-                  handleMouseDownOnElement(e, a.id, ObjectType.AREA)
-                }
-                setResize={setAreaResize}
-                setInitCoords={setInitCoords}
-              />
-            ))}
-            {relationships.map((e, i) => (
-              <Relationship key={i} data={e} />
-            ))}
-            {tables.map((table) => (
-              <Table
-                key={table.id}
-                tableData={table}
-                setHoveredTable={setHoveredTable}
-                handleGripField={handleGripField}
-                setLinkingLine={setLinkingLine}
-                onMouseDown={(e) =>
-                  handleMouseDownOnElement(e, table.id, ObjectType.TABLE)
-                }
+            {areas
+              .filter((a) => isShown(ObjectType.AREA, a))
+              .map((a) => (
+                <Area
+                  key={a.id}
+                  data={a}
+                  onMouseDown={(e) =>
+                    handleMouseDownOnElement(e, a.id, ObjectType.AREA)
+                  }
+                  setResize={setAreaResize}
+                  setInitCoords={setInitCoords}
+                />
+              ))}
+            {relationships.filter(isRelationshipShown).map((e) => (
+              <Relationship
+                key={e.id}
+                data={e}
+                startTable={tablesById.get(e.startTableId)}
+                endTable={tablesById.get(e.endTableId)}
               />
             ))}
+            {tables
+              .filter((table) => isShown(ObjectType.TABLE, table))
+              .map((table) => (
+                <Table
+                  key={table.id}
+                  tableData={table}
+                  simple={simple}
+                  selected={isSelected(ObjectType.TABLE, table.id)}
+                  editing={
+                    selectedElement.element === ObjectType.TABLE &&
+                    selectedElement.id === table.id &&
+                    selectedElement.open &&
+                    !layout.sidebar
+                  }
+                  settings={settings}
+                  onOpenEditor={handleOpenTableEditor}
+                  onCloseEditor={handleCloseTableEditor}
+                  setHoveredTable={setHoveredTable}
+                  handleGripField={handleGripFieldOnTable}
+                  setLinkingLine={setLinkingLine}
+                  onMouseDown={handleMouseDownOnTable}
+                />
+              ))}
             {linking && (
               <path
                 d={`M ${linkingLine.startX} ${linkingLine.startY} L ${linkingLine.endX} ${linkingLine.endY}`}
@@ -493,15 +861,37 @@ export default function Canvas() {
                 strokeDasharray="8,8"
               />
             )}
-            {notes.map((n) => (
-              <Note
-                key={n.id}
-                data={n}
-                onMouseDown={(e) =>
-                  handleMouseDownOnElement(e, n.id, ObjectType.NOTE)
-                }
+            {notes
+              .filter((n) => isShown(ObjectType.NOTE, n))
+              .map((n) => (
+                <Note
+                  key={n.id}
+                  data={n}
+                  onMouseDown={(e) =>
+                    handleMouseDownOnElement(e, n.id, ObjectType.NOTE)
+                  }
+                />
+              ))}
+            {guides.map((g, i) => (
+              <line
+                key={i}
+                {...g}
+                stroke="rgb(236 72 153)"
+                strokeWidth={1 / transform.zoom}
+                className="pointer-events-none"
               />
             ))}
+            {marquee && (
+              <rect
+                {...getMarqueeRect()}
+                fill="rgb(59 130 246 / 0.1)"
+                stroke="rgb(59 130 246)"
+                strokeDasharray="4"
+                strokeWidth={1 / transform.zoom}
+                className="pointer-events-none"
+              />
+            )}
+            <Presence />
           </g>
         </svg>
       </div>
@@ -32,7 +32,7 @@ export default function Note({ data, onMouseDown }) {
   const { setSaveState } = useSaveState();
   const { updateNote, deleteNote } = useNotes();
   const { setUndoStack, setRedoStack } = useUndoRedo();
-  const { selectedElement, setSelectedElement } = useSelect();
+  const { selectedElement, setSelectedElement, isSelected } = useSelect();
 
   const handleChange = (e) => {
     const textarea = document.getElementById(`note_${data.id}`);
@@ -100,8 +100,7 @@ export default function Note({ data, onMouseDown }) {
         stroke={
           hovered
             ? "rgb(59 130 246)"
-            : selectedElement.element === ObjectType.NOTE &&
-                selectedElement.id === data.id
+            : isSelected(ObjectType.NOTE, data.id)
               ? "rgb(59 130 246)"
               : "rgb(168 162 158)"
         }
@@ -119,8 +118,7 @@ export default function Note({ data, onMouseDown }) {
         stroke={
           hovered
             ? "rgb(59 130 246)"
-            : selectedElement.element === ObjectType.NOTE &&
-                selectedElement.id === data.id
+            : isSelected(ObjectType.NOTE, data.id)
               ? "rgb(59 130 246)"
               : "rgb(168 162 158)"
         }
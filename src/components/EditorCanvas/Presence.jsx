@@ -0,0 +1,70 @@
+import {
+  useAreas,
+  useCollab,
+  useNotes,
+  useSettings,
+  useTables,
+  useTransform,
+} from "../../hooks";
+import { getElementBounds } from "../../utils/selection";
+
+export default function Presence() {
+  const { peers } = useCollab();
+  const { tables } = useTables();
+  const { areas } = useAreas();
+  const { notes } = useNotes();
+  const { settings } = useSettings();
+  const { transform } = useTransform();
+
+  return Object.values(peers).map((peer) => {
+    const color = peer.user?.color ?? "gray";
+    const bounds = getElementBounds(
+      peer.selection,
+      { tables, areas, notes },
+      settings.tableWidth,
+    );
+
+    return (
+      <g key={peer.client} className="pointer-events-none">
+        {bounds && (
+          <rect
+            x={bounds.x - 4}
+            y={bounds.y - 4}
+            width={bounds.width + 8}
+            height={bounds.height + 8}
+            rx={10}
+            fill="none"
+            stroke={color}
+            strokeWidth={2}
+            strokeDasharray="6,4"
+          />
+        )}
+        {peer.cursor && (
+          // Cursors keep their size at any zoom level.
+          <g
+            transform={`translate(${peer.cursor.x}, ${peer.cursor.y}) scale(${
+              1 / transform.zoom
+            })`}
+          >
+            <path
+              d="M0 0 L0 17 L4.5 13 L7.5 20 L10.5 18.8 L7.5 12 L13 12 Z"
+              fill={color}
+              stroke="white"
+              strokeWidth={1}
+            />
+            {peer.user?.name && (
+              <foreignObject x={14} y={16} width={160} height={24}>
+                <div
+                  className="inline-block px-1.5 rounded text-xs text-white whitespace-nowrap"
+                  style={{ backgroundColor: color }}
+                >
+                  {peer.user.name}
+                </div>
+              </foreignObject>
+            )}
+          </g>
+        )}
+      </g>
+    );
+  });
+}
@@ -1,14 +1,18 @@
-import { useRef } from "react";
+import { memo, useLayoutEffect, useRef, useState } from "react";
 import { Cardinality, ObjectType, Tab } from "../../data/constants";
 import { calcPath } from "../../utils/calcPath";
-import { useTables, useSettings, useLayout, useSelect } from "../../hooks";
+import { useSettings, useLayout, useSelect } from "../../hooks";
 
-export default function Relationship({ data }) {
+const cardinalityOffset = 28;
+
+// Takes the two tables it connects as props instead of looking them up, so
+// that only the relationships of a table that moves are drawn again.
+export default memo(function Relationship({ data, startTable, endTable }) {
   const { settings } = useSettings();
-  const { tables } = useTables();
   const { layout } = useLayout();
   const { selectedElement, setSelectedElement } = useSelect();
   const pathRef = useRef();
+  const [cardinalityPoints, setCardinalityPoints] = useState(null);
 
   let cardinalityStart = "1";
   let cardinalityEnd = "1";
@@ -30,24 +34,29 @@ export default function Relationship({ data }) {
       break;
   }
 
-  let cardinalityStartX = 0;
-  let cardinalityEndX = 0;
-  let cardinalityStartY = 0;
-  let cardinalityEndY = 0;
+  const path = calcPath(
+    {
+      ...data,
+      startTable: { x: startTable.x, y: startTable.y },
+      endTable: { x: endTable.x, y: endTable.y },
+      startFieldIndex: startTable.fields.findIndex(
+        (f) => f.id === data.startFieldId,
+      ),
+      endFieldIndex: endTable.fields.findIndex((f) => f.id === data.endFieldId),
+    },
+    settings.tableWidth,
+  );
 
-  const cardinalityOffset = 28;
+  // Measuring the path is slow, so it only happens when the path changes
+  useLayoutEffect(() => {
+    if (!settings.showCardinality) return;
 
-  if (pathRef.current) {
     const pathLength = pathRef.current.getTotalLength();
-    const point1 = pathRef.current.getPointAtLength(cardinalityOffset);
-    cardinalityStartX = point1.x;
-    cardinalityStartY = point1.y;
-    const point2 = pathRef.current.getPointAtLength(
-      pathLength - cardinalityOffset,
-    );
-    cardinalityEndX = point2.x;
-    cardinalityEndY = point2.y;
-  }
+    setCardinalityPoints({
+      start: pathRef.current.getPointAtLength(cardinalityOffset),
+      end: pathRef.current.getPointAtLength(pathLength - cardinalityOffset),
+    });
+  }, [path, settings.showCardinality]);
 
   const edit = () => {
     if (!layout.sidebar) {
@@ -76,38 +85,25 @@ export default function Relationship({ data }) {
     <g className="select-none group" onDoubleClick={edit}>
       <path
         ref={pathRef}
-        d={calcPath(
-          {
-            ...data,
-            startTable: {
-              x: tables[data.startTableId].x,
-              y: tables[data.startTableId].y,
-            },
-            endTable: {
-              x: tables[data.endTableId].x,
-              y: tables[data.endTableId].y,
-            },
-          },
-          settings.tableWidth,
-        )}
+        d={path}
         stroke="gray"
         className="group-hover:stroke-sky-700"
         fill="none"
         strokeWidth={2}
         cursor="pointer"
       />
-      {pathRef.current && settings.showCardinality && (
+      {cardinalityPoints && settings.showCardinality && (
         <>
           <circle
-            cx={cardinalityStartX}
-            cy={cardinalityStartY}
+            cx={cardinalityPoints.start.x}
+            cy={cardinalityPoints.start.y}
             r="12"
             fill="grey"
             className="group-hover:fill-sky-700"
           />
           <text
-            x={cardinalityStartX}
-            y={cardinalityStartY}
+            x={cardinalityPoints.start.x}
+            y={cardinalityPoints.start.y}
             fill="white"
             strokeWidth="0.5"
             textAnchor="middle"
@@ -116,15 +112,15 @@ export default function Relationship({ data }) {
             {cardinalityStart}
           </text>
           <circle
-            cx={cardinalityEndX}
-            cy={cardinalityEndY}
+            cx={cardinalityPoints.end.x}
+            cy={cardinalityPoints.end.y}
             r="12"
             fill="grey"
             className="group-hover:fill-sky-700"
           />
           <text
-            x={cardinalityEndX}
-            y={cardinalityEndY}
+            x={cardinalityPoints.end.x}
+            y={cardinalityPoints.end.y}
             fill="white"
             strokeWidth="0.5"
             textAnchor="middle"
@@ -136,4 +132,4 @@ export default function Relationship({ data }) {
       )}
     </g>
   );
-}
+});
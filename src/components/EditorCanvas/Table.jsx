@@ -1,7 +1,5 @@
-import { useState } from "react";
+import { memo, useState } from "react";
 import {
-  Tab,
-  ObjectType,
   tableFieldHeight,
   tableHeaderHeight,
   tableColorStripHeight,
@@ -14,49 +12,114 @@ import {
   IconKeyStroked,
 } from "@douyinfe/semi-icons";
 import { Popover, Tag, Button, SideSheet } from "@douyinfe/semi-ui";
-import { useLayout, useSettings, useTables, useSelect } from "../../hooks";
+import { useTables } from "../../hooks";
 import TableInfo from "../EditorSidePanel/TablesTab/TableInfo";
 import { useTranslation } from "react-i18next";
 
-export default function Table(props) {
+// Zoomed out, tables are drawn as plain boxes with a large name
+const simpleFontSize = 28;
+
+function fit(text, width) {
+  const length = Math.floor(width / (simpleFontSize * 0.6));
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// Reading the tables context here would re-render every table whenever any
+// of them moves, so the actions that need it live in their own components.
+function DeleteTableButton({ id }) {
+  const { deleteTable } = useTables();
+  const { t } = useTranslation();
+
+  return (
+    <Button
+      icon={<IconDeleteStroked />}
+      type="danger"
+      block
+      style={{ marginTop: "8px" }}
+      onClick={() => deleteTable(id)}
+    >
+      {t("delete")}
+    </Button>
+  );
+}
+
+function DeleteFieldButton({ field, tableId }) {
+  const { deleteField } = useTables();
+
+  return (
+    <Button
+      theme="solid"
+      size="small"
+      style={{
+        backgroundColor: "#d42020b3",
+      }}
+      icon={<IconMinus />}
+      onClick={() => deleteField(field, tableId)}
+    />
+  );
+}
+
+export default memo(function Table(props) {
   const [hoveredField, setHoveredField] = useState(-1);
   const {
     tableData,
+    simple,
+    selected,
+    editing,
+    settings,
     onMouseDown,
+    onOpenEditor,
+    onCloseEditor,
     setHoveredTable,
     handleGripField,
     setLinkingLine,
   } = props;
-  const { layout } = useLayout();
-  const { deleteTable, deleteField } = useTables();
-  const { settings } = useSettings();
   const { t } = useTranslation();
-  const { selectedElement, setSelectedElement } = useSelect();
 
   const height =
     tableData.fields.length * tableFieldHeight + tableHeaderHeight + 7;
-  const openEditor = () => {
-    if (!layout.sidebar) {
-      setSelectedElement((prev) => ({
-        ...prev,
-        element: ObjectType.TABLE,
-        id: tableData.id,
-        open: true,
-      }));
-    } else {
-      setSelectedElement((prev) => ({
-        ...prev,
-        currentTab: Tab.TABLES,
-        element: ObjectType.TABLE,
-        id: tableData.id,
-        open: true,
-      }));
-      if (selectedElement.currentTab !== Tab.TABLES) return;
-      document
-        .getElementById(`scroll_table_${tableData.id}`)
-        .scrollIntoView({ behavior: "smooth" });
-    }
-  };
+  const openEditor = () => onOpenEditor(tableData.id);
+
+  if (simple) {
+    return (
+      <>
+        <g
+          className="cursor-move"
+          onMouseDown={(e) => onMouseDown(e, tableData.id)}
+          onDoubleClick={openEditor}
+        >
+          <rect
+            x={tableData.x}
+            y={tableData.y}
+            width={settings.tableWidth}
+            height={height}
+            rx={8}
+            fill={settings.mode === "light" ? "#f4f4f5" : "#27272a"}
+            stroke={selected ? "#3b82f6" : "#71717a"}
+            strokeWidth={4}
+          />
+          <rect
+            x={tableData.x}
+            y={tableData.y}
+            width={settings.tableWidth}
+            height={tableColorStripHeight * 2}
+            rx={4}
+            fill={tableData.color}
+          />
+          <text
+            x={tableData.x + 12}
+            y={tableData.y + tableHeaderHeight}
+            fontSize={simpleFontSize}
+            fontWeight="bold"
+            fill={settings.mode === "light" ? "#27272a" : "#e4e4e7"}
+          >
+            {fit(tableData.name, settings.tableWidth - 24)}
+          </text>
+        </g>
+        {editor()}
+      </>
+    );
+  }
 
   return (
     <>
@@ -67,7 +130,7 @@ export default function Table(props) {
         width={settings.tableWidth}
         height={height}
         className="group drop-shadow-lg rounded-md cursor-move"
-        onMouseDown={onMouseDown}
+        onMouseDown={(e) => onMouseDown(e, tableData.id)}
       >
         <div
           onDoubleClick={openEditor}
@@ -77,10 +140,7 @@ export default function Table(props) {
                    ? "bg-zinc-100 text-zinc-800"
                    : "bg-zinc-800 text-zinc-200"
                } ${
-                 selectedElement.id === tableData.id &&
-                 selectedElement.element === ObjectType.TABLE
-                   ? "border-solid border-blue-500"
-                   : "border-zinc-500"
+                 selected ? "border-solid border-blue-500" : "border-zinc-500"
                }`}
         >
           <div
@@ -153,15 +213,7 @@ export default function Table(props) {
                           </div>
                         )}
                       </div>
-                      <Button
-                        icon={<IconDeleteStroked />}
-                        type="danger"
-                        block
-                        style={{ marginTop: "8px" }}
-                        onClick={() => deleteTable(tableData.id)}
-                      >
-                        {t("delete")}
-                      </Button>
+                      <DeleteTableButton id={tableData.id} />
                     </div>
                   }
                   position="rightTop"
@@ -234,29 +286,25 @@ export default function Table(props) {
           })}
         </div>
       </foreignObject>
+      {editor()}
+    </>
+  );
+
+  function editor() {
+    return (
       <SideSheet
         title={t("edit")}
         size="small"
-        visible={
-          selectedElement.element === ObjectType.TABLE &&
-          selectedElement.id === tableData.id &&
-          selectedElement.open &&
-          !layout.sidebar
-        }
-        onCancel={() =>
-          setSelectedElement((prev) => ({
-            ...prev,
-            open: !prev.open,
-          }))
-        }
+        visible={editing}
+        onCancel={onCloseEditor}
         style={{ paddingBottom: "16px" }}
       >
         <div className="sidesheet-theme">
           <TableInfo data={tableData} />
         </div>
       </SideSheet>
-    </>
-  );
+    );
+  }
 
   function field(fieldData, index) {
     return (
@@ -270,7 +318,7 @@ export default function Table(props) {
           setHoveredField(index);
           setHoveredTable({
             tableId: tableData.id,
-            field: index,
+            field: fieldData.id,
           });
         }}
         onMouseLeave={() => {
@@ -288,7 +336,7 @@ export default function Table(props) {
               handleGripField(index);
               setLinkingLine((prev) => ({
                 ...prev,
-                startFieldId: index,
+                startFieldId: fieldData.id,
                 startTableId: tableData.id,
                 startX: tableData.x + 15,
                 startY:
@@ -313,15 +361,7 @@ export default function Table(props) {
         </div>
         <div className="text-zinc-400">
           {hoveredField === index ? (
-            <Button
-              theme="solid"
-              size="small"
-              style={{
-                backgroundColor: "#d42020b3",
-              }}
-              icon={<IconMinus />}
-              onClick={() => deleteField(fieldData, tableData.id)}
-            />
+            <DeleteFieldButton field={fieldData} tableId={tableData.id} />
           ) : (
             <div className="flex gap-1 items-center">
               {fieldData.primary && <IconKeyStroked />}
@@ -332,4 +372,4 @@ export default function Table(props) {
       </div>
     );
   }
-}
+});
@@ -0,0 +1,220 @@
+import { useEffect, useState } from "react";
+import { Input, Modal } from "@douyinfe/semi-ui";
+import { IconSearch } from "@douyinfe/semi-icons";
+import { useTranslation } from "react-i18next";
+import {
+  useAreas,
+  useLayout,
+  useNotes,
+  useSelect,
+  useSettings,
+  useTables,
+  useTransform,
+  useTypes,
+} from "../../hooks";
+import { ObjectType, Tab } from "../../data/constants";
+import { searchDiagram } from "../../utils/search";
+import { getElementBounds } from "../../utils/selection";
+
+const tabs = {
+  [ObjectType.TABLE]: [Tab.TABLES, "scroll_table"],
+  [ObjectType.RELATIONSHIP]: [Tab.RELATIONSHIPS, "scroll_ref"],
+  [ObjectType.AREA]: [Tab.AREAS, "scroll_area"],
+  [ObjectType.NOTE]: [Tab.NOTES, "scroll_note"],
+  [ObjectType.TYPE]: [Tab.TYPES, "scroll_type"],
+};
+
+export default function CommandPalette({ visible, onClose, menu }) {
+  const { t } = useTranslation();
+  const { tables, relationships } = useTables();
+  const { areas } = useAreas();
+  const { notes } = useNotes();
+  const { types } = useTypes();
+  const { layout } = useLayout();
+  const { settings } = useSettings();
+  const { setTransform } = useTransform();
+  const { selectedElement, setSelectedElement } = useSelect();
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+
+  // Submenus are listed by their entries, since the parents do nothing
+  const commands = Object.entries(menu)
+    .flatMap(([category, items]) =>
+      Object.entries(items).flatMap(([item, entry]) =>
+        entry.children
+          ? entry.children.map((child) => ({
+              name: `${t(item)} › ${t(Object.keys(child)[0])}`,
+              category,
+              run: Object.values(child)[0],
+            }))
+          : [{ ...entry, name: t(item), category, run: entry.function }],
+      ),
+    )
+    .filter((c) => c.name.toLowerCase().includes(query.trim().toLowerCase()));
+
+  const groups = [
+    ...searchDiagram({ tables, relationships, areas, notes, types }, query).map(
+      ({ group, results }) => ({
+        group,
+        items: results.map((r) => ({ ...r, run: () => focus(r) })),
+      }),
+    ),
+    ...(commands.length > 0 ? [{ group: "commands", items: commands }] : []),
+  ];
+  const items = groups.flatMap((g) => g.items);
+
+  useEffect(() => setActive(0), [query]);
+
+  useEffect(() => {
+    document
+      .getElementById(`palette_item_${active}`)
+      ?.scrollIntoView({ block: "nearest" });
+  }, [active]);
+
+  const getBounds = ({ element, id }) => {
+    const diagram = { tables, areas, notes };
+    if (element !== ObjectType.RELATIONSHIP) {
+      return getElementBounds({ element, id }, diagram, settings.tableWidth);
+    }
+
+    const relationship = relationships.find((r) => r.id === id);
+    const ends = [relationship.startTableId, relationship.endTableId]
+      .map((tableId) =>
+        getElementBounds(
+          { element: ObjectType.TABLE, id: tableId },
+          diagram,
+          settings.tableWidth,
+        ),
+      )
+      .filter(Boolean);
+    if (ends.length === 0) return null;
+
+    const left = Math.min(...ends.map((b) => b.x));
+    const top = Math.min(...ends.map((b) => b.y));
+    const right = Math.max(...ends.map((b) => b.x + b.width));
+    const bottom = Math.max(...ends.map((b) => b.y + b.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  };
+
+  // Centers the element on the canvas, zooming out if it wouldn't fit, then
+  // selects it the way clicking it would
+  const focus = ({ element, id }) => {
+    const bounds = getBounds({ element, id });
+    const canvas = document.getElementById("canvas")?.getBoundingClientRect();
+    if (bounds && canvas) {
+      const zoom = Math.min(
+        1,
+        (canvas.width * 0.8) / bounds.width,
+        (canvas.height * 0.8) / bounds.height,
+      );
+      setTransform((prev) => ({
+        ...prev,
+        zoom,
+        pan: {
+          x: canvas.width / 2 - (bounds.x + bounds.width / 2) * zoom,
+          y: canvas.height / 2 - (bounds.y + bounds.height / 2) * zoom,
+        },
+      }));
+    }
+
+    const [tab, scrollId] = tabs[element];
+    setSelectedElement((prev) => ({
+      ...prev,
+      element,
+      id,
+      open: true,
+      ...(layout.sidebar && { currentTab: tab }),
+    }));
+    if (!layout.sidebar || selectedElement.currentTab !== tab) return;
+    document
+      .getElementById(`${scrollId}_${id}`)
+      ?.scrollIntoView({ behavior: "smooth" });
+  };
+
+  const run = (item) => {
+    onClose();
+    if (item.warning) {
+      Modal.confirm({
+        title: item.warning.title,
+        content: item.warning.message,
+        onOk: item.run,
+        okText: t("confirm"),
+        cancelText: t("cancel"),
+      });
+    } else {
+      item.run();
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive((prev) => Math.min(prev + 1, items.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((prev) => Math.max(prev - 1, 0));
+    } else if (e.key === "Enter" && items[active]) {
+      run(items[active]);
+    }
+  };
+
+  let index = 0;
+
+  return (
+    <Modal
+      visible={visible}
+      onCancel={onClose}
+      afterClose={() => setQuery("")}
+      header={null}
+      footer={null}
+      width={560}
+      bodyStyle={{ padding: "16px 0" }}
+    >
+      <div className="px-4">
+        <Input
+          autoFocus
+          value={query}
+          prefix={<IconSearch />}
+          placeholder={t("search_or_run_command")}
+          onChange={(v) => setQuery(v)}
+          onKeyDown={handleKeyDown}
+        />
+      </div>
+      <div className="max-h-[400px] overflow-y-auto mt-3 px-2">
+        {items.length === 0 && (
+          <div className="p-3 text-center">{t("not_found")}</div>
+        )}
+        {groups.map(({ group, items }) => (
+          <div key={group}>
+            <div className="px-2 pt-2 pb-1 text-xs font-semibold opacity-60">
+              {t(group)}
+            </div>
+            {items.map((item) => {
+              const i = index++;
+              return (
+                <div
+                  key={i}
+                  id={`palette_item_${i}`}
+                  className={`px-2 py-1.5 rounded flex items-center justify-between gap-4 cursor-pointer ${
+                    i === active ? "bg-semi-grey-2" : ""
+                  }`}
+                  onMouseMove={() => setActive(i)}
+                  onClick={() => run(item)}
+                >
+                  <div className="truncate">{item.name}</div>
+                  <div className="flex items-center gap-2 shrink-0 text-gray-400 text-sm max-w-[50%]">
+                    <div className="truncate">
+                      {item.detail ?? (item.category && t(item.category))}
+                    </div>
+                    {item.shortcut && <div>{item.shortcut}</div>}
+                    {item.state}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </Modal>
+  );
+}
@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import {
   IconCaretdown,
   IconChevronRight,
@@ -12,6 +12,8 @@ import {
 import { Link, useNavigate } from "react-router-dom";
 import icon from "../../assets/icon_dark_64.png";
 import {
+  Avatar,
+  AvatarGroup,
   Button,
   Divider,
   Dropdown,
@@ -20,8 +22,9 @@ import {
   Spin,
   Toast,
   Popconfirm,
+  Tag,
 } from "@douyinfe/semi-ui";
-import { toPng, toJpeg, toSvg } from "html-to-image";
+import { toPng, toJpeg } from "html-to-image";
 import { saveAs } from "file-saver";
 import {
   jsonToMySQL,
@@ -29,7 +32,19 @@ import {
   jsonToSQLite,
   jsonToMariaDB,
   jsonToSQLServer,
+  jsonToPrisma,
+  jsonToDBML,
 } from "../../utils/toSQL";
+import {
+  jsonToDjango,
+  jsonToSequelize,
+  jsonToTypeORM,
+} from "../../utils/toORM";
+import { jsonToMermaid, jsonToPlantUML } from "../../utils/toERD";
+import { jsonToHTML, jsonToMarkdown } from "../../utils/toDictionary";
+import { jsonToJSONSchema, jsonToOpenAPI } from "../../utils/toJSONSchema";
+import { diagramToSVG } from "../../utils/toSVG";
+import { svgToDataUrl } from "../../utils/exportImage";
 import {
   ObjectType,
   Action,
@@ -37,8 +52,10 @@ import {
   State,
   MODAL,
   SIDESHEET,
+  DB,
+  CollabState,
+  Arrangement,
 } from "../../data/constants";
-import jsPDF from "jspdf";
 import { useHotkeys } from "react-hotkeys-hook";
 import { Validator } from "jsonschema";
 import { areaSchema, noteSchema, tableSchema } from "../../data/schemas";
@@ -50,9 +67,21 @@ import {
   useTables,
   useUndoRedo,
   useSelect,
+  useDiagram,
+  useCollab,
 } from "../../hooks";
 import { enterFullscreen } from "../../utils/fullscreen";
 import { dataURItoBlob } from "../../utils/utils";
+import { deleteVersions } from "../../utils/versions";
+import { generateId } from "../../utils/ids";
+import { getShareUrl } from "../../utils/share";
+import { arrangeDiagram } from "../../utils/arrange";
+import {
+  alignElements,
+  distributeElements,
+  getElementBounds,
+  listElements,
+} from "../../utils/selection";
 import useAreas from "../../hooks/useAreas";
 import useNotes from "../../hooks/useNotes";
 import useTypes from "../../hooks/useTypes";
@@ -61,6 +90,7 @@ import { IconAddArea, IconAddNote, IconAddTable } from "../../icons";
 import LayoutDropdown from "./LayoutDropdown";
 import Sidesheet from "./SideSheet/Sidesheet";
 import Modal from "./Modal/Modal";
+import CommandPalette from "./CommandPalette";
 import { useTranslation } from "react-i18next";
 
 export default function ControlPanel({
@@ -72,6 +102,7 @@ export default function ControlPanel({
 }) {
   const [modal, setModal] = useState(MODAL.NONE);
   const [sidesheet, setSidesheet] = useState(SIDESHEET.NONE);
+  const [palette, setPalette] = useState(false);
   const [prevTitle, setPrevTitle] = useState(title);
   const [showEditName, setShowEditName] = useState(false);
   const [exportData, setExportData] = useState({
@@ -79,7 +110,7 @@ export default function ControlPanel({
     filename: `${title}_${new Date().toISOString()}`,
     extension: "",
   });
-  const { saveState, setSaveState } = useSaveState();
+  const { saveState, setSaveState, setVersionName } = useSaveState();
   const { layout, setLayout } = useLayout();
   const { settings, setSettings } = useSettings();
   const {
@@ -95,28 +126,249 @@ export default function ControlPanel({
     deleteRelationship,
   } = useTables();
   const { types, addType, deleteType, updateType, setTypes } = useTypes();
+  const { database, setDatabase } = useDiagram();
   const { notes, setNotes, updateNote, addNote, deleteNote } = useNotes();
   const { areas, setAreas, updateArea, addArea, deleteArea } = useAreas();
   const { undoStack, redoStack, setUndoStack, setRedoStack } = useUndoRedo();
-  const { selectedElement, setSelectedElement } = useSelect();
+  const {
+    selectedElement,
+    setSelectedElement,
+    selection,
+    setSelectedElements,
+  } = useSelect();
   const { transform, setTransform } = useTransform();
+  const { status: collabStatus, peers } = useCollab();
   const { t } = useTranslation();
   const navigate = useNavigate();
 
   const invertLayout = (component) =>
     setLayout((prev) => ({ ...prev, [component]: !prev[component] }));
 
+  // Puts several elements at the positions in `elements` at once and returns
+  // where they were, for the entry on the opposite stack.
+  const moveElements = (elements) => {
+    const lists = {
+      [ObjectType.TABLE]: tables,
+      [ObjectType.AREA]: areas,
+      [ObjectType.NOTE]: notes,
+    };
+    const previous = elements.map((e) => {
+      const current = lists[e.element].find((el) => el.id === e.id);
+      return e.width === undefined
+        ? { ...e, x: current.x, y: current.y }
+        : {
+            ...e,
+            x: current.x,
+            y: current.y,
+            width: current.width,
+            height: current.height,
+          };
+    });
+    const place = (element) => (prev) =>
+      prev.map((el) => {
+        const e = elements.find((e) => e.element === element && e.id === el.id);
+        if (!e) return el;
+        return e.width === undefined
+          ? { ...el, x: e.x, y: e.y }
+          : { ...el, x: e.x, y: e.y, width: e.width, height: e.height };
+      });
+    setTables(place(ObjectType.TABLE));
+    setAreas(place(ObjectType.AREA));
+    setNotes(place(ObjectType.NOTE));
+    return previous;
+  };
+
+  const getElementData = (e) => ({
+    element: e.element,
+    data: {
+      [ObjectType.TABLE]: tables,
+      [ObjectType.AREA]: areas,
+      [ObjectType.NOTE]: notes,
+    }[e.element].find((el) => el.id === e.id),
+  });
+
+  const selectElements = (elements) => {
+    setSelectedElements(elements);
+    const last = elements[elements.length - 1];
+    setSelectedElement((prev) => ({
+      ...prev,
+      element: last?.element ?? ObjectType.NONE,
+      id: last?.id ?? -1,
+      open: false,
+    }));
+  };
+
+  // Adds several elements and the relationships between them at once
+  const addElements = (elements, links) => {
+    const data = (element) =>
+      elements.filter((e) => e.element === element).map((e) => e.data);
+    setTables((prev) => [...prev, ...data(ObjectType.TABLE)]);
+    setAreas((prev) => [...prev, ...data(ObjectType.AREA)]);
+    setNotes((prev) => [...prev, ...data(ObjectType.NOTE)]);
+    setRelationships((prev) => [...prev, ...links]);
+  };
+
+  const deleteElements = (elements) => {
+    const ids = (element) =>
+      new Set(
+        elements.filter((e) => e.element === element).map((e) => e.data.id),
+      );
+    const tableIds = ids(ObjectType.TABLE);
+    const areaIds = ids(ObjectType.AREA);
+    const noteIds = ids(ObjectType.NOTE);
+    setRelationships((prev) =>
+      prev.filter(
+        (r) => !tableIds.has(r.startTableId) && !tableIds.has(r.endTableId),
+      ),
+    );
+    setTables((prev) => prev.filter((e) => !tableIds.has(e.id)));
+    setAreas((prev) => prev.filter((e) => !areaIds.has(e.id)));
+    setNotes((prev) => prev.filter((e) => !noteIds.has(e.id)));
+    selectElements([]);
+  };
+
+  // Adds copies of the elements and of the relationships between their tables
+  // with new ids, a little off the originals, and selects them.
+  const addCopies = (elements, links, message) => {
+    const tableIds = new Map();
+    const fieldIds = new Map();
+    const copies = elements.map(({ element, data }) => {
+      const copy = {
+        ...data,
+        id: generateId(),
+        x: data.x + 20,
+        y: data.y + 20,
+      };
+      if (element === ObjectType.TABLE) {
+        copy.fields = data.fields.map((f) => {
+          fieldIds.set(f.id, generateId());
+          return { ...f, id: fieldIds.get(f.id) };
+        });
+        tableIds.set(data.id, copy.id);
+      }
+      return { element, data: copy };
+    });
+    const copiedLinks = links
+      .filter((r) => tableIds.has(r.startTableId) && tableIds.has(r.endTableId))
+      .map((r) => ({
+        ...r,
+        id: generateId(),
+        startTableId: tableIds.get(r.startTableId),
+        startFieldId: fieldIds.get(r.startFieldId),
+        endTableId: tableIds.get(r.endTableId),
+        endFieldId: fieldIds.get(r.endFieldId),
+      }));
+    addElements(copies, copiedLinks);
+    setUndoStack((prev) => [
+      ...prev,
+      {
+        action: Action.ADD,
+        bulk: true,
+        elements: copies,
+        relationships: copiedLinks,
+        message: message,
+      },
+    ]);
+    setRedoStack([]);
+    selectElements(copies.map((c) => ({ element: c.element, id: c.data.id })));
+  };
+
+  const deleteSelection = () => {
+    const elements = selection.map(getElementData);
+    const tableIds = new Set(
+      selection.filter((e) => e.element === ObjectType.TABLE).map((e) => e.id),
+    );
+    setUndoStack((prev) => [
+      ...prev,
+      {
+        action: Action.DELETE,
+        bulk: true,
+        elements: elements,
+        relationships: relationships.filter(
+          (r) => tableIds.has(r.startTableId) || tableIds.has(r.endTableId),
+        ),
+        message: t("delete_elements", { count: elements.length }),
+      },
+    ]);
+    setRedoStack([]);
+    deleteElements(elements);
+  };
+
+  const placeSelection = (positions, message) => {
+    if (positions.length === 0) return;
+    const previous = moveElements(positions);
+    setUndoStack((prev) => [
+      ...prev,
+      {
+        action: Action.MOVE,
+        bulk: true,
+        elements: previous,
+        message: message,
+      },
+    ]);
+    setRedoStack([]);
+  };
+
+  const align = (edge) =>
+    placeSelection(
+      alignElements(
+        selection,
+        { tables, areas, notes },
+        settings.tableWidth,
+        edge,
+      ),
+      t("align_elements", { count: selection.length }),
+    );
+
+  const distribute = (axis) =>
+    placeSelection(
+      distributeElements(
+        selection,
+        { tables, areas, notes },
+        settings.tableWidth,
+        axis,
+      ),
+      t("distribute_elements", { count: selection.length }),
+    );
+
+  const arrange = (method) => {
+    if (tables.length === 0) return;
+    const arranged = arrangeDiagram(method, {
+      tables: tables,
+      relationships: relationships,
+      areas: areas,
+      tableWidth: settings.tableWidth,
+    });
+    const elements = [
+      ...arranged.tables.map((e) => ({ element: ObjectType.TABLE, ...e })),
+      ...arranged.areas.map((e) => ({ element: ObjectType.AREA, ...e })),
+    ];
+    const previous = moveElements(elements);
+    setUndoStack((prev) => [
+      ...prev,
+      {
+        action: Action.MOVE,
+        bulk: true,
+        elements: previous,
+        message: t("arrange_diagram", { method: t(method) }),
+      },
+    ]);
+    setRedoStack([]);
+  };
+
   const undo = () => {
     if (undoStack.length === 0) return;
     const a = undoStack[undoStack.length - 1];
     setUndoStack((prev) => prev.filter((e, i) => i !== prev.length - 1));
     if (a.action === Action.ADD) {
-      if (a.element === ObjectType.TABLE) {
-        deleteTable(tables[tables.length - 1].id, false);
+      if (a.bulk) {
+        deleteElements(a.elements);
+      } else if (a.element === ObjectType.TABLE) {
+        deleteTable(a.data.id, false);
       } else if (a.element === ObjectType.AREA) {
-        deleteArea(areas[areas.length - 1].id, false);
+        deleteArea(a.data.id, false);
       } else if (a.element === ObjectType.NOTE) {
-        deleteNote(notes[notes.length - 1].id, false);
+        deleteNote(a.data.id, false);
       } else if (a.element === ObjectType.RELATIONSHIP) {
         deleteRelationship(a.data.id, false);
       } else if (a.element === ObjectType.TYPE) {
@@ -124,27 +376,26 @@ export default function ControlPanel({
       }
       setRedoStack((prev) => [...prev, a]);
     } else if (a.action === Action.MOVE) {
-      if (a.element === ObjectType.TABLE) {
-        setRedoStack((prev) => [
-          ...prev,
-          { ...a, x: tables[a.id].x, y: tables[a.id].y },
-        ]);
+      if (a.bulk) {
+        const elements = moveElements(a.elements);
+        setRedoStack((prev) => [...prev, { ...a, elements: elements }]);
+      } else if (a.element === ObjectType.TABLE) {
+        const table = tables.find((t) => t.id === a.id);
+        setRedoStack((prev) => [...prev, { ...a, x: table.x, y: table.y }]);
         updateTable(a.id, { x: a.x, y: a.y });
       } else if (a.element === ObjectType.AREA) {
-        setRedoStack((prev) => [
-          ...prev,
-          { ...a, x: areas[a.id].x, y: areas[a.id].y },
-        ]);
+        const area = areas.find((e) => e.id === a.id);
+        setRedoStack((prev) => [...prev, { ...a, x: area.x, y: area.y }]);
         updateArea(a.id, { x: a.x, y: a.y });
       } else if (a.element === ObjectType.NOTE) {
-        setRedoStack((prev) => [
-          ...prev,
-          { ...a, x: notes[a.id].x, y: notes[a.id].y },
-        ]);
+        const note = notes.find((e) => e.id === a.id);
+        setRedoStack((prev) => [...prev, { ...a, x: note.x, y: note.y }]);
         updateNote(a.id, { x: a.x, y: a.y });
       }
     } else if (a.action === Action.DELETE) {
-      if (a.element === ObjectType.TABLE) {
+      if (a.bulk) {
+        addElements(a.elements, a.relationships);
+      } else if (a.element === ObjectType.TABLE) {
         addTable(a.data, false);
       } else if (a.element === ObjectType.RELATIONSHIP) {
         addRelationship(a.data, false);
@@ -153,7 +404,7 @@ export default function ControlPanel({
       } else if (a.element === ObjectType.AREA) {
         addArea(a.data, false);
       } else if (a.element === ObjectType.TYPE) {
-        addType({ id: a.id, ...a.data }, false);
+        addType(a.data, false, a.id);
       }
       setRedoStack((prev) => [...prev, a]);
     } else if (a.action === Action.EDIT) {
@@ -165,66 +416,49 @@ export default function ControlPanel({
         if (a.component === "field") {
           updateField(a.tid, a.fid, a.undo);
         } else if (a.component === "field_delete") {
-          setRelationships((prev) => {
-            return prev.map((e) => {
-              if (e.startTableId === a.tid && e.startFieldId >= a.data.id) {
-                return {
-                  ...e,
-                  startFieldId: e.startFieldId + 1,
-                };
-              }
-              if (e.endTableId === a.tid && e.endFieldId >= a.data.id) {
-                return {
-                  ...e,
-                  endFieldId: e.endFieldId + 1,
-                };
-              }
-              return e;
-            });
-          });
           setTables((prev) =>
             prev.map((t) => {
               if (t.id === a.tid) {
                 const temp = t.fields.slice();
-                temp.splice(a.data.id, 0, a.data);
-                return { ...t, fields: temp.map((t, i) => ({ ...t, id: i })) };
+                temp.splice(a.index, 0, a.data);
+                return { ...t, fields: temp };
               }
               return t;
             }),
           );
         } else if (a.component === "field_add") {
-          updateTable(a.tid, {
-            fields: tables[a.tid].fields
-              .filter((e) => e.id !== tables[a.tid].fields.length - 1)
-              .map((t, i) => ({ ...t, id: i })),
-          });
+          setTables((prev) =>
+            prev.map((t) =>
+              t.id === a.tid
+                ? { ...t, fields: t.fields.filter((f) => f.id !== a.data.id) }
+                : t,
+            ),
+          );
         } else if (a.component === "index_add") {
+          const table = tables.find((t) => t.id === a.tid);
           updateTable(a.tid, {
-            indices: tables[a.tid].indices
-              .filter((e) => e.id !== tables[a.tid].indices.length - 1)
-              .map((t, i) => ({ ...t, id: i })),
+            indices: table.indices.filter((e) => e.id !== a.data.id),
           });
         } else if (a.component === "index") {
           updateTable(a.tid, {
-            indices: tables[a.tid].indices.map((index) =>
-              index.id === a.iid
-                ? {
-                    ...index,
-                    ...a.undo,
-                  }
-                : index,
-            ),
+            indices: tables
+              .find((t) => t.id === a.tid)
+              .indices.map((index) =>
+                index.id === a.iid
+                  ? {
+                      ...index,
+                      ...a.undo,
+                    }
+                  : index,
+              ),
           });
         } else if (a.component === "index_delete") {
           setTables((prev) =>
             prev.map((table) => {
               if (table.id === a.tid) {
                 const temp = table.indices.slice();
-                temp.splice(a.data.id, 0, a.data);
-                return {
-                  ...table,
-                  indices: temp.map((t, i) => ({ ...t, id: i })),
-                };
+                temp.splice(a.index, 0, a.data);
+                return { ...table, indices: temp };
               }
               return table;
             }),
@@ -234,7 +468,7 @@ export default function ControlPanel({
         }
       } else if (a.element === ObjectType.RELATIONSHIP) {
         setRelationships((prev) =>
-          prev.map((e, idx) => (idx === a.rid ? { ...e, ...a.undo } : e)),
+          prev.map((e) => (e.id === a.rid ? { ...e, ...a.undo } : e)),
         );
       } else if (a.element === ObjectType.TYPE) {
         if (a.component === "field_add") {
@@ -280,40 +514,41 @@ export default function ControlPanel({
     const a = redoStack[redoStack.length - 1];
     setRedoStack((prev) => prev.filter((e, i) => i !== prev.length - 1));
     if (a.action === Action.ADD) {
-      if (a.element === ObjectType.TABLE) {
-        addTable(null, false);
+      if (a.bulk) {
+        addElements(a.elements, a.relationships);
+      } else if (a.element === ObjectType.TABLE) {
+        addTable(a.data, false);
       } else if (a.element === ObjectType.AREA) {
-        addArea(null, false);
+        addArea(a.data, false);
       } else if (a.element === ObjectType.NOTE) {
-        addNote(null, false);
+        addNote(a.data, false);
       } else if (a.element === ObjectType.RELATIONSHIP) {
         addRelationship(a.data, false);
       } else if (a.element === ObjectType.TYPE) {
-        addType(null, false);
+        addType(a.data, false);
       }
       setUndoStack((prev) => [...prev, a]);
     } else if (a.action === Action.MOVE) {
-      if (a.element === ObjectType.TABLE) {
-        setUndoStack((prev) => [
-          ...prev,
-          { ...a, x: tables[a.id].x, y: tables[a.id].y },
-        ]);
+      if (a.bulk) {
+        const elements = moveElements(a.elements);
+        setUndoStack((prev) => [...prev, { ...a, elements: elements }]);
+      } else if (a.element === ObjectType.TABLE) {
+        const table = tables.find((t) => t.id === a.id);
+        setUndoStack((prev) => [...prev, { ...a, x: table.x, y: table.y }]);
         updateTable(a.id, { x: a.x, y: a.y });
       } else if (a.element === ObjectType.AREA) {
-        setUndoStack((prev) => [
-          ...prev,
-          { ...a, x: areas[a.id].x, y: areas[a.id].y },
-        ]);
+        const area = areas.find((e) => e.id === a.id);
+        setUndoStack((prev) => [...prev, { ...a, x: area.x, y: area.y }]);
         updateArea(a.id, { x: a.x, y: a.y });
       } else if (a.element === ObjectType.NOTE) {
-        setUndoStack((prev) => [
-          ...prev,
-          { ...a, x: notes[a.id].x, y: notes[a.id].y },
-        ]);
+        const note = notes.find((e) => e.id === a.id);
+        setUndoStack((prev) => [...prev, { ...a, x: note.x, y: note.y }]);
         updateNote(a.id, { x: a.x, y: a.y });
       }
     } else if (a.action === Action.DELETE) {
-      if (a.element === ObjectType.TABLE) {
+      if (a.bulk) {
+        deleteElements(a.elements);
+      } else if (a.element === ObjectType.TABLE) {
         deleteTable(a.data.id, false);
       } else if (a.element === ObjectType.RELATIONSHIP) {
         deleteRelationship(a.data.id, false);
@@ -334,60 +569,35 @@ export default function ControlPanel({
         if (a.component === "field") {
           updateField(a.tid, a.fid, a.redo);
         } else if (a.component === "field_delete") {
-          setRelationships((prev) => {
-            return prev.map((e) => {
-              if (e.startTableId === a.tid && e.startFieldId > a.data.id) {
-                return {
-                  ...e,
-                  startFieldId: e.startFieldId - 1,
-                };
-              }
-              if (e.endTableId === a.tid && e.endFieldId > a.data.id) {
-                return {
-                  ...e,
-                  endFieldId: e.endFieldId - 1,
-                };
-              }
-              return e;
-            });
-          });
-          updateTable(a.tid, {
-            fields: tables[a.tid].fields
-              .filter((field) => field.id !== a.data.id)
-              .map((e, i) => ({ ...e, id: i })),
-          });
+          setRelationships((prev) =>
+            prev.filter(
+              (e) =>
+                !(
+                  (e.startTableId === a.tid && e.startFieldId === a.data.id) ||
+                  (e.endTableId === a.tid && e.endFieldId === a.data.id)
+                ),
+            ),
+          );
+          setTables((prev) =>
+            prev.map((t) =>
+              t.id === a.tid
+                ? { ...t, fields: t.fields.filter((f) => f.id !== a.data.id) }
+                : t,
+            ),
+          );
         } else if (a.component === "field_add") {
-          updateTable(a.tid, {
-            fields: [
-              ...tables[a.tid].fields,
-              {
-                name: "",
-                type: "",
-                default: "",
-                check: "",
-                primary: false,
-                unique: false,
-                notNull: false,
-                increment: false,
-                comment: "",
-                id: tables[a.tid].fields.length,
-              },
-            ],
-          });
+          setTables((prev) =>
+            prev.map((t) =>
+              t.id === a.tid ? { ...t, fields: [...t.fields, a.data] } : t,
+            ),
+          );
         } else if (a.component === "index_add") {
           setTables((prev) =>
             prev.map((table) => {
               if (table.id === a.tid) {
                 return {
                   ...table,
-                  indices: [
-                    ...table.indices,
-                    {
-                      id: table.indices.length,
-                      name: `index_${table.indices.length}`,
-                      fields: [],
-                    },
-                  ],
+                  indices: [...table.indices, a.data],
                 };
               }
               return table;
@@ -395,27 +605,29 @@ export default function ControlPanel({
           );
         } else if (a.component === "index") {
           updateTable(a.tid, {
-            indices: tables[a.tid].indices.map((index) =>
-              index.id === a.iid
-                ? {
-                    ...index,
-                    ...a.redo,
-                  }
-                : index,
-            ),
+            indices: tables
+              .find((t) => t.id === a.tid)
+              .indices.map((index) =>
+                index.id === a.iid
+                  ? {
+                      ...index,
+                      ...a.redo,
+                    }
+                  : index,
+              ),
           });
         } else if (a.component === "index_delete") {
           updateTable(a.tid, {
-            indices: tables[a.tid].indices
-              .filter((e) => e.id !== a.data.id)
-              .map((t, i) => ({ ...t, id: i })),
+            indices: tables
+              .find((t) => t.id === a.tid)
+              .indices.filter((e) => e.id !== a.data.id),
           });
         } else if (a.component === "self") {
           updateTable(a.tid, a.redo, false);
         }
       } else if (a.element === ObjectType.RELATIONSHIP) {
         setRelationships((prev) =>
-          prev.map((e, idx) => (idx === a.rid ? { ...e, ...a.redo } : e)),
+          prev.map((e) => (e.id === a.rid ? { ...e, ...a.redo } : e)),
         );
       } else if (a.element === ObjectType.TYPE) {
         if (a.component === "field_add") {
@@ -452,6 +664,23 @@ export default function ControlPanel({
     }
   };
 
+  // Undo and redo read the diagram from the current render, so jumping through
+  // the history takes one step per render until the target is reached.
+  const [historyTarget, setHistoryTarget] = useState(null);
+  const historyStep = useRef(null);
+  historyStep.current = () => {
+    if (undoStack.length > historyTarget) {
+      undo();
+    } else if (undoStack.length < historyTarget && redoStack.length > 0) {
+      redo();
+    } else {
+      setHistoryTarget(null);
+    }
+  };
+  useEffect(() => {
+    if (historyTarget !== null) historyStep.current();
+  }, [historyTarget, undoStack, redoStack]);
+
   const fileImport = () => setModal(MODAL.IMPORT);
   const viewGrid = () =>
     setSettings((prev) => ({ ...prev, showGrid: !prev.showGrid }));
@@ -483,20 +712,31 @@ export default function ControlPanel({
   };
   const resetView = () =>
     setTransform((prev) => ({ ...prev, zoom: 1, pan: { x: 0, y: 0 } }));
+  // Works from the diagram data since the canvas only draws what is in view
   const fitWindow = () => {
-    const diagram = document.getElementById("diagram").getBoundingClientRect();
+    const diagram = { tables, areas, notes };
+    const boxes = listElements(diagram).map((e) =>
+      getElementBounds(e, diagram, settings.tableWidth),
+    );
+    if (boxes.length === 0) return;
+
     const canvas = document.getElementById("canvas").getBoundingClientRect();
+    const left = Math.min(...boxes.map((b) => b.x));
+    const top = Math.min(...boxes.map((b) => b.y));
+    const width = Math.max(...boxes.map((b) => b.x + b.width)) - left;
+    const height = Math.max(...boxes.map((b) => b.y + b.height)) - top;
 
-    const scaleX = canvas.width / diagram.width;
-    const scaleY = canvas.height / diagram.height;
-    const scale = Math.min(scaleX, scaleY);
-    const translateX = canvas.left;
-    const translateY = canvas.top;
+    const scaleX = canvas.width / width;
+    const scaleY = canvas.height / height;
+    const scale = Math.min(scaleX, scaleY) - 0.01;
 
     setTransform((prev) => ({
       ...prev,
-      zoom: scale - 0.01,
-      pan: { x: translateX, y: translateY },
+      zoom: scale,
+      pan: {
+        x: (canvas.width - width * scale) / 2 - left * scale,
+        y: (canvas.height - height * scale) / 2 - top * scale,
+      },
     }));
   };
   const edit = () => {
@@ -555,6 +795,10 @@ export default function ControlPanel({
     }
   };
   const del = () => {
+    if (selection.length > 1) {
+      deleteSelection();
+      return;
+    }
     switch (selectedElement.element) {
       case ObjectType.TABLE:
         deleteTable(selectedElement.id);
@@ -570,50 +814,91 @@ export default function ControlPanel({
     }
   };
   const duplicate = () => {
+    if (selection.length > 1) {
+      const elements = selection.map(getElementData);
+      addCopies(
+        elements,
+        relationships,
+        t("duplicate_elements", { count: elements.length }),
+      );
+      return;
+    }
     switch (selectedElement.element) {
-      case ObjectType.TABLE:
+      case ObjectType.TABLE: {
+        const table = tables.find((t) => t.id === selectedElement.id);
         addTable({
-          ...tables[selectedElement.id],
-          x: tables[selectedElement.id].x + 20,
-          y: tables[selectedElement.id].y + 20,
-          id: tables.length,
+          ...table,
+          x: table.x + 20,
+          y: table.y + 20,
+          id: generateId(),
+          fields: table.fields.map((f) => ({ ...f, id: generateId() })),
         });
         break;
-      case ObjectType.NOTE:
+      }
+      case ObjectType.NOTE: {
+        const note = notes.find((e) => e.id === selectedElement.id);
         addNote({
-          ...notes[selectedElement.id],
-          x: notes[selectedElement.id].x + 20,
-          y: notes[selectedElement.id].y + 20,
-          id: notes.length,
+          ...note,
+          x: note.x + 20,
+          y: note.y + 20,
+          id: generateId(),
         });
         break;
-      case ObjectType.AREA:
+      }
+      case ObjectType.AREA: {
+        const area = areas.find((e) => e.id === selectedElement.id);
         addArea({
-          ...areas[selectedElement.id],
-          x: areas[selectedElement.id].x + 20,
-          y: areas[selectedElement.id].y + 20,
-          id: areas.length,
+          ...area,
+          x: area.x + 20,
+          y: area.y + 20,
+          id: generateId(),
         });
         break;
+      }
       default:
         break;
     }
   };
   const copy = () => {
+    if (selection.length > 1) {
+      const elements = selection.map(getElementData);
+      const data = (element) =>
+        elements.filter((e) => e.element === element).map((e) => e.data);
+      const tableIds = new Set(data(ObjectType.TABLE).map((t) => t.id));
+      navigator.clipboard
+        .writeText(
+          JSON.stringify({
+            tables: data(ObjectType.TABLE),
+            relationships: relationships.filter(
+              (r) => tableIds.has(r.startTableId) && tableIds.has(r.endTableId),
+            ),
+            subjectAreas: data(ObjectType.AREA),
+            notes: data(ObjectType.NOTE),
+          }),
+        )
+        .catch(() => Toast.error(t("oops_smth_went_wrong")));
+      return;
+    }
     switch (selectedElement.element) {
       case ObjectType.TABLE:
         navigator.clipboard
-          .writeText(JSON.stringify({ ...tables[selectedElement.id] }))
+          .writeText(
+            JSON.stringify(tables.find((t) => t.id === selectedElement.id)),
+          )
           .catch(() => Toast.error(t("oops_smth_went_wrong")));
         break;
       case ObjectType.NOTE:
         navigator.clipboard
-          .writeText(JSON.stringify({ ...notes[selectedElement.id] }))
+          .writeText(
+            JSON.stringify(notes.find((e) => e.id === selectedElement.id)),
+          )
           .catch(() => Toast.error(t("oops_smth_went_wrong")));
         break;
       case ObjectType.AREA:
         navigator.clipboard
-          .writeText(JSON.stringify({ ...areas[selectedElement.id] }))
+          .writeText(
+            JSON.stringify(areas.find((e) => e.id === selectedElement.id)),
+          )
           .catch(() => Toast.error(t("oops_smth_went_wrong")));
         break;
       default:
@@ -634,21 +919,41 @@ export default function ControlPanel({
           ...obj,
           x: obj.x + 20,
           y: obj.y + 20,
-          id: tables.length,
+          id: generateId(),
+          fields: obj.fields.map((f) => ({ ...f, id: generateId() })),
         });
       } else if (v.validate(obj, areaSchema).valid) {
         addArea({
           ...obj,
           x: obj.x + 20,
           y: obj.y + 20,
-          id: areas.length,
+          id: generateId(),
         });
+      } else if (Array.isArray(obj.tables) && Array.isArray(obj.notes)) {
+        // Several elements copied together
+        const elements = [
+          ...obj.tables
+            .filter((e) => v.validate(e, tableSchema).valid)
+            .map((e) => ({ element: ObjectType.TABLE, data: e })),
+          ...(obj.subjectAreas ?? [])
+            .filter((e) => v.validate(e, areaSchema).valid)
+            .map((e) => ({ element: ObjectType.AREA, data: e })),
+          ...obj.notes
+            .filter((e) => v.validate(e, noteSchema).valid)
+            .map((e) => ({ element: ObjectType.NOTE, data: e })),
+        ];
+        if (elements.length === 0) return;
+        addCopies(
+          elements,
+          obj.relationships ?? [],
+          t("paste_elements", { count: elements.length }),
+        );
       } else if (v.validate(obj, noteSchema)) {
         addNote({
           ...obj,
           x: obj.x + 20,
           y: obj.y + 20,
-          id: notes.length,
+          id: generateId(),
         });
       }
     });
@@ -657,9 +962,84 @@ export default function ControlPanel({
     copy();
     del();
   };
-  const save = () => setSaveState(State.SAVING);
+  const save = () => {
+    setVersionName("");
+    setSaveState(State.SAVING);
+  };
   const open = () => setModal(MODAL.OPEN);
   const saveDiagramAs = () => setModal(MODAL.SAVEAS);
+  const getDiagramJson = () => ({
+    tables: tables,
+    relationships: relationships,
+    notes: notes,
+    subjectAreas: areas,
+    types: types,
+    title: title,
+    database: database,
+  });
+  const share = () => {
+    setModal(MODAL.SHARE);
+    getShareUrl(getDiagramJson()).then((url) =>
+      setExportData((prev) => ({ ...prev, data: url })),
+    );
+  };
+  // The files are previewed one after another and downloaded as a zip.
+  const exportModels = (generate) => {
+    const files = generate({
+      tables: tables,
+      references: relationships,
+      types: types,
+    });
+    const comment = files[0].name.endsWith(".py") ? "#" : "//";
+    setModal(MODAL.CODE);
+    setExportData((prev) => ({
+      ...prev,
+      data: files.map((f) => `${comment} ${f.name}\n\n${f.content}`).join("\n"),
+      files: files,
+      extension: "zip",
+    }));
+  };
+  const exportDictionary = (generate, extension) => {
+    const svg = diagramToSVG(
+      { tables, relationships, areas, notes },
+      {
+        theme: "light",
+        padding: 40,
+        notes: true,
+        areas: true,
+        tableWidth: settings.tableWidth,
+        showCardinality: settings.showCardinality,
+      },
+    );
+    setModal(MODAL.CODE);
+    setExportData((prev) => ({
+      ...prev,
+      data: generate({
+        tables: tables,
+        references: relationships,
+        notes: notes,
+        subjectAreas: areas,
+        types: types,
+        title: title,
+        svg: svgToDataUrl(svg),
+      }),
+      extension: extension,
+    }));
+  };
+
+  const exportSchema = (generate) => {
+    setModal(MODAL.CODE);
+    setExportData((prev) => ({
+      ...prev,
+      data: generate({
+        tables: tables,
+        references: relationships,
+        types: types,
+        title: title,
+      }),
+      extension: "json",
+    }));
+  };
 
   const menu = {
     file: {
@@ -689,6 +1069,7 @@ export default function ControlPanel({
           db.templates
             .add({
               title: title,
+              database: database,
               tables: tables,
               relationships: relationships,
               types: types,
@@ -716,8 +1097,10 @@ export default function ControlPanel({
           await db.diagrams
             .delete(diagramId)
             .then(() => {
+              deleteVersions(diagramId);
               setDiagramId(0);
               setTitle("Untitled diagram");
+              setDatabase(DB.GENERIC);
               setTables([]);
               setRelationships([]);
               setAreas([]);
@@ -739,16 +1122,7 @@ export default function ControlPanel({
       export_as: {
         children: [
           {
-            PNG: () => {
-              toPng(document.getElementById("canvas")).then(function (dataUrl) {
-                setExportData((prev) => ({
-                  ...prev,
-                  data: dataUrl,
-                  extension: "png",
-                }));
-              });
-              setModal(MODAL.IMG);
-            },
+            PNG: () => setModal(MODAL.PNG),
           },
           {
             JPEG: () => {
@@ -767,18 +1141,7 @@ export default function ControlPanel({
           {
             JSON: () => {
               setModal(MODAL.CODE);
-              const result = JSON.stringify(
-                {
-                  tables: tables,
-                  relationships: relationships,
-                  notes: notes,
-                  subjectAreas: areas,
-                  types: types,
-                  title: title,
-                },
-                null,
-                2,
-              );
+              const result = JSON.stringify(getDiagramJson(), null, 2);
               setExportData((prev) => ({
                 ...prev,
                 data: result,
@@ -787,40 +1150,58 @@ export default function ControlPanel({
             },
           },
           {
-            SVG: () => {
-              const filter = (node) => node.tagName !== "i";
-              toSvg(document.getElementById("canvas"), { filter: filter }).then(
-                function (dataUrl) {
-                  setExportData((prev) => ({
-                    ...prev,
-                    data: dataUrl,
-                    extension: "svg",
-                  }));
-                },
-              );
-              setModal(MODAL.IMG);
+            DBML: () => {
+              setModal(MODAL.CODE);
+              const src = jsonToDBML({
+                tables: tables,
+                references: relationships,
+                notes: notes,
+                subjectAreas: areas,
+                types: types,
+                title: title,
+                database: database,
+              });
+              setExportData((prev) => ({
+                ...prev,
+                data: src,
+                extension: "dbml",
+              }));
+            },
+          },
+          {
+            Mermaid: () => {
+              setModal(MODAL.CODE);
+              const src = jsonToMermaid({
+                tables: tables,
+                references: relationships,
+              });
+              setExportData((prev) => ({
+                ...prev,
+                data: src,
+                extension: "mmd",
+              }));
             },
           },
           {
-            PDF: () => {
-              const canvas = document.getElementById("canvas");
-              toJpeg(canvas).then(function (dataUrl) {
-                const doc = new jsPDF("l", "px", [
-                  canvas.offsetWidth,
-                  canvas.offsetHeight,
-                ]);
-                doc.addImage(
-                  dataUrl,
-                  "jpeg",
-                  0,
-                  0,
-                  canvas.offsetWidth,
-                  canvas.offsetHeight,
-                );
-                doc.save(`${exportData.filename}.pdf`);
+            PlantUML: () => {
+              setModal(MODAL.CODE);
+              const src = jsonToPlantUML({
+                tables: tables,
+                references: relationships,
               });
+              setExportData((prev) => ({
+                ...prev,
+                data: src,
+                extension: "puml",
+              }));
             },
           },
+          {
+            SVG: () => setModal(MODAL.SVG),
+          },
+          {
+            PDF: () => setModal(MODAL.PDF),
+          },
           {
             DRAWDB: () => {
               const result = JSON.stringify(
@@ -833,6 +1214,7 @@ export default function ControlPanel({
                   notes: notes,
                   subjectAreas: areas,
                   types: types,
+                  database: database,
                 },
                 null,
                 2,
@@ -923,9 +1305,59 @@ export default function ControlPanel({
               }));
             },
           },
+          {
+            Prisma: () => {
+              setModal(MODAL.CODE);
+              const src = jsonToPrisma({
+                tables: tables,
+                references: relationships,
+                types: types,
+                database: database,
+              });
+              setExportData((prev) => ({
+                ...prev,
+                data: src,
+                extension: "prisma",
+              }));
+            },
+          },
         ],
         function: () => {},
       },
+      export_models: {
+        children: [
+          { Sequelize: () => exportModels(jsonToSequelize) },
+          { TypeORM: () => exportModels(jsonToTypeORM) },
+          { Django: () => exportModels(jsonToDjango) },
+        ],
+        function: () => {},
+      },
+      export_schema: {
+        children: [
+          { "JSON Schema": () => exportSchema(jsonToJSONSchema) },
+          { OpenAPI: () => exportSchema(jsonToOpenAPI) },
+        ],
+        function: () => {},
+      },
+      export_dictionary: {
+        children: [
+          { Markdown: () => exportDictionary(jsonToMarkdown, "md") },
+          { HTML: () => exportDictionary(jsonToHTML, "html") },
+        ],
+        function: () => {},
+      },
+      generate_migration: {
+        function: () => setModal(MODAL.MIGRATION),
+      },
+      generate_sample_data: {
+        function: () => setModal(MODAL.SAMPLE_DATA),
+      },
+      share: {
+        function: share,
+      },
+      collaborate: {
+        function: () => setModal(MODAL.COLLABORATE),
+      },
       exit: {
         function: () => {
           save();
@@ -984,6 +1416,32 @@ export default function ControlPanel({
         function: copyAsImage,
         shortcut: "Ctrl+Alt+C",
       },
+      align: {
+        children: [
+          { align_left: () => align("left") },
+          { align_center: () => align("center") },
+          { align_right: () => align("right") },
+          { align_top: () => align("top") },
+          { align_middle: () => align("middle") },
+          { align_bottom: () => align("bottom") },
+        ],
+        function: () => {},
+      },
+      distribute: {
+        children: [
+          { distribute_horizontally: () => distribute("horizontal") },
+          { distribute_vertically: () => distribute("vertical") },
+        ],
+        function: () => {},
+      },
+      arrange: {
+        children: [
+          { [Arrangement.LAYERED]: () => arrange(Arrangement.LAYERED) },
+          { [Arrangement.FORCE]: () => arrange(Arrangement.FORCE) },
+          { [Arrangement.GROUPED]: () => arrange(Arrangement.GROUPED) },
+        ],
+        function: () => {},
+      },
     },
     view: {
       header: {
@@ -1013,6 +1471,15 @@ export default function ControlPanel({
         function: () =>
           setLayout((prev) => ({ ...prev, issues: !prev.issues })),
       },
+      minimap: {
+        state: layout.minimap ? (
+          <i className="bi bi-toggle-on" />
+        ) : (
+          <i className="bi bi-toggle-off" />
+        ),
+        function: () =>
+          setLayout((prev) => ({ ...prev, minimap: !prev.minimap })),
+      },
       strict_mode: {
         state: settings.strictMode ? (
           <i className="bi bi-toggle-off" />
@@ -1055,6 +1522,15 @@ export default function ControlPanel({
         function: viewGrid,
         shortcut: "Ctrl+Shift+G",
       },
+      snap_to_grid: {
+        state: settings.snapToGrid ? (
+          <i className="bi bi-toggle-on" />
+        ) : (
+          <i className="bi bi-toggle-off" />
+        ),
+        function: () =>
+          setSettings((prev) => ({ ...prev, snapToGrid: !prev.snapToGrid })),
+      },
       show_cardinality: {
         state: settings.showCardinality ? (
           <i className="bi bi-toggle-on" />
@@ -1108,6 +1584,9 @@ export default function ControlPanel({
       show_timeline: {
         function: () => setSidesheet(SIDESHEET.TIMELINE),
       },
+      show_history: {
+        function: () => setSidesheet(SIDESHEET.HISTORY),
+      },
       autosave: {
         state: settings.autosave ? (
           <i className="bi bi-toggle-on" />
@@ -1129,6 +1608,9 @@ export default function ControlPanel({
       table_width: {
         function: () => setModal(MODAL.TABLE_WIDTH),
       },
+      grid_size: {
+        function: () => setModal(MODAL.GRID_SIZE),
+      },
       language: {
         function: () => setModal(MODAL.LANGUAGE),
       },
@@ -1195,6 +1677,9 @@ export default function ControlPanel({
     preventDefault: true,
   });
   useHotkeys("ctrl+alt+w, meta+alt+w", fitWindow, { preventDefault: true });
+  useHotkeys("ctrl+k, meta+k", () => setPalette(true), {
+    preventDefault: true,
+  });
 
   return (
     <>
@@ -1214,6 +1699,13 @@ export default function ControlPanel({
       <Sidesheet
         type={sidesheet}
         onClose={() => setSidesheet(SIDESHEET.NONE)}
+        diagramId={diagramId}
+        onJump={setHistoryTarget}
+      />
+      <CommandPalette
+        visible={palette}
+        onClose={() => setPalette(false)}
+        menu={menu}
       />
     </>
   );
@@ -1430,6 +1922,11 @@ export default function ControlPanel({
                 {title}
               </div>
               {(showEditName || modal === MODAL.RENAME) && <IconEdit />}
+              {database !== DB.GENERIC && (
+                <Tag className="ms-2" size="small">
+                  {database}
+                </Tag>
+              )}
             </div>
             <div className="flex justify-between items-center">
               <div className="flex justify-start text-md select-none me-2">
@@ -1541,6 +2038,29 @@ export default function ControlPanel({
             </div>
           </div>
         </div>
+        {collabStatus !== CollabState.OFF && (
+          <div
+            className="flex items-center gap-2 me-6 cursor-pointer"
+            onClick={() => setModal(MODAL.COLLABORATE)}
+          >
+            {collabStatus === CollabState.CONNECTING ? (
+              <Spin size="small" />
+            ) : (
+              <AvatarGroup size="small" maxCount={5}>
+                {Object.values(peers).map((p) => (
+                  <Avatar
+                    key={p.client}
+                    alt={p.user.name}
+                    style={{ background: p.user.color }}
+                  >
+                    {p.user.name.charAt(0).toUpperCase()}
+                  </Avatar>
+                ))}
+              </AvatarGroup>
+            )}
+            <Tag color="green">{t("live")}</Tag>
+          </div>
+        )}
       </nav>
     );
   }
@@ -0,0 +1,56 @@
+import { Avatar, Input } from "@douyinfe/semi-ui";
+import { useTranslation } from "react-i18next";
+import { CollabState } from "../../../data/constants";
+import { useCollab } from "../../../hooks";
+
+export default function Collaborate({ options, setOptions }) {
+  const { t } = useTranslation();
+  const { status, room, peers } = useCollab();
+
+  if (status === CollabState.CONNECTED) {
+    const others = Object.values(peers);
+    return (
+      <>
+        <div className="text-sm mb-2">
+          {t("collaborating_in", { room: room })}
+        </div>
+        {others.length === 0 ? (
+          <div className="text-sm opacity-60">{t("no_one_else_here")}</div>
+        ) : (
+          others.map((p) => (
+            <div key={p.client} className="flex items-center gap-2 mb-1">
+              <Avatar size="extra-small" style={{ background: p.user.color }}>
+                {p.user.name.charAt(0).toUpperCase()}
+              </Avatar>
+              {p.user.name || t("anonymous")}
+            </div>
+          ))
+        )}
+      </>
+    );
+  }
+
+  return (
+    <>
+      <div className="text-sm mb-3">{t("collaborate_description")}</div>
+      <div className="font-semibold mb-1">{t("relay_server")}</div>
+      <Input
+        className="mb-2"
+        value={options.url}
+        placeholder="ws://localhost:1234"
+        onChange={(v) => setOptions((prev) => ({ ...prev, url: v }))}
+      />
+      <div className="font-semibold mb-1">{t("room")}</div>
+      <Input
+        className="mb-2"
+        value={options.room}
+        onChange={(v) => setOptions((prev) => ({ ...prev, room: v }))}
+      />
+      <div className="font-semibold mb-1">{t("your_name")}</div>
+      <Input
+        value={options.name}
+        onChange={(v) => setOptions((prev) => ({ ...prev, name: v }))}
+      />
+    </>
+  );
+}
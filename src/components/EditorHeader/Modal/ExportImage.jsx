@@ -0,0 +1,242 @@
+import { useEffect, useState } from "react";
+import { Checkbox, Input, InputNumber, Select } from "@douyinfe/semi-ui";
+import { useTranslation } from "react-i18next";
+import {
+  useAreas,
+  useNotes,
+  useSettings,
+  useTables,
+  useTransform,
+} from "../../../hooks";
+import { diagramToSVG } from "../../../utils/toSVG";
+import {
+  diagramToPDF,
+  diagramToPNG,
+  svgToDataUrl,
+} from "../../../utils/exportImage";
+
+const papers = ["a4", "a3", "a2", "letter", "legal", "tabloid"];
+
+function Option({ label, children }) {
+  return (
+    <div>
+      <div className="font-semibold mb-1">{label}</div>
+      {children}
+    </div>
+  );
+}
+
+export default function ExportImage({ format, title, setExportData }) {
+  const { t } = useTranslation();
+  const { tables, relationships } = useTables();
+  const { areas } = useAreas();
+  const { notes } = useNotes();
+  const { settings } = useSettings();
+  const { transform } = useTransform();
+  const [pages, setPages] = useState(0);
+  const [options, setOptions] = useState({
+    theme: settings.mode,
+    padding: 40,
+    notes: true,
+    areas: true,
+    region: "diagram",
+    scale: 2,
+    paper: "a4",
+    orientation: "landscape",
+    layout: "tile",
+    titleBlock: format === "pdf",
+    author: "",
+  });
+
+  const setOption = (key) => (value) =>
+    setOptions((prev) => ({ ...prev, [key]: value }));
+
+  useEffect(() => {
+    let cancelled = false;
+    const canvas = document.getElementById("canvas");
+    const diagram = { tables, relationships, areas, notes };
+    const viewport = options.region === "viewport";
+    const exportOptions = {
+      ...options,
+      padding: viewport ? 0 : options.padding,
+      fitToPage: options.layout === "fit",
+      tableWidth: settings.tableWidth,
+      showCardinality: settings.showCardinality,
+      // The part of the diagram under the canvas, undoing its pan and zoom
+      bounds:
+        viewport && canvas
+          ? {
+              x: -transform.pan.x / transform.zoom,
+              y: -transform.pan.y / transform.zoom,
+              width: canvas.clientWidth / transform.zoom,
+              height: canvas.clientHeight / transform.zoom,
+            }
+          : undefined,
+      titleBlock: options.titleBlock
+        ? {
+            title: title,
+            date: new Date().toLocaleDateString(),
+            author: options.author,
+          }
+        : null,
+    };
+
+    const svg = svgToDataUrl(diagramToSVG(diagram, exportOptions));
+    const done = (data, preview) => {
+      if (cancelled) return;
+      setExportData((prev) => ({
+        ...prev,
+        data: data,
+        preview: preview,
+        extension: format,
+      }));
+    };
+
+    setExportData((prev) => ({ ...prev, data: "" }));
+    if (format === "png") {
+      diagramToPNG(diagram, exportOptions).then((data) => done(data));
+    } else if (format === "pdf") {
+      diagramToPDF(diagram, exportOptions).then((pdf) => {
+        if (!cancelled) setPages(pdf.pages);
+        done(pdf.data, svg);
+      });
+    } else {
+      done(svg);
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    format,
+    tables,
+    relationships,
+    areas,
+    notes,
+    options,
+    settings,
+    transform,
+    title,
+    setExportData,
+  ]);
+
+  return (
+    <div className="mb-3">
+      <div className="flex flex-wrap items-end gap-4">
+        <Option label={t("theme")}>
+          <Select
+            className="w-[120px]"
+            optionList={[
+              { label: t("light"), value: "light" },
+              { label: t("dark"), value: "dark" },
+            ]}
+            value={options.theme}
+            onChange={setOption("theme")}
+          />
+        </Option>
+        <Option label={t("region")}>
+          <Select
+            className="w-[160px]"
+            optionList={[
+              { label: t("entire_diagram"), value: "diagram" },
+              { label: t("current_viewport"), value: "viewport" },
+            ]}
+            value={options.region}
+            onChange={setOption("region")}
+          />
+        </Option>
+        {options.region === "diagram" && (
+          <Option label={t("padding")}>
+            <InputNumber
+              className="w-[120px]"
+              min={0}
+              value={options.padding}
+              onNumberChange={(v) => setOption("padding")(v ?? 0)}
+            />
+          </Option>
+        )}
+        {format === "png" && (
+          <Option label={t("scale")}>
+            <Select
+              className="w-[120px]"
+              optionList={[1, 2, 4].map((s) => ({ label: `${s}x`, value: s }))}
+              value={options.scale}
+              onChange={setOption("scale")}
+            />
+          </Option>
+        )}
+        {format === "pdf" && (
+          <>
+            <Option label={t("paper_size")}>
+              <Select
+                className="w-[120px]"
+                optionList={papers.map((p) => ({
+                  label:
+                    p.length === 2
+                      ? p.toUpperCase()
+                      : p[0].toUpperCase() + p.slice(1),
+                  value: p,
+                }))}
+                value={options.paper}
+                onChange={setOption("paper")}
+              />
+            </Option>
+            <Option label={t("orientation")}>
+              <Select
+                className="w-[120px]"
+                optionList={[
+                  { label: t("landscape"), value: "landscape" },
+                  { label: t("portrait"), value: "portrait" },
+                ]}
+                value={options.orientation}
+                onChange={setOption("orientation")}
+              />
+            </Option>
+            <Option label={t("page_layout")}>
+              <Select
+                className="w-[160px]"
+                optionList={[
+                  { label: t("actual_size"), value: "tile" },
+                  { label: t("fit_to_page"), value: "fit" },
+                ]}
+                value={options.layout}
+                onChange={setOption("layout")}
+              />
+            </Option>
+          </>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-4 mt-3">
+        <Checkbox
+          checked={options.areas}
+          onChange={(e) => setOption("areas")(e.target.checked)}
+        >
+          {t("subject_areas")}
+        </Checkbox>
+        <Checkbox
+          checked={options.notes}
+          onChange={(e) => setOption("notes")(e.target.checked)}
+        >
+          {t("notes")}
+        </Checkbox>
+        <Checkbox
+          checked={options.titleBlock}
+          onChange={(e) => setOption("titleBlock")(e.target.checked)}
+        >
+          {t("title_block")}
+        </Checkbox>
+        {options.titleBlock && (
+          <Input
+            className="flex-1"
+            placeholder={t("author")}
+            value={options.author}
+            onChange={setOption("author")}
+          />
+        )}
+      </div>
+      {format === "pdf" && pages > 0 && (
+        <div className="text-sm mt-2">{t("pdf_pages", { count: pages })}</div>
+      )}
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import {
 } from "../../../utils/validateSchema";
 import { Upload, Banner } from "@douyinfe/semi-ui";
 import { STATUS } from "../../../data/constants";
+import { importDBML } from "../../../utils/importDBML";
 import { useAreas, useNotes, useTables } from "../../../hooks";
 import { useTranslation } from "react-i18next";
 
@@ -33,17 +34,23 @@ export default function ImportDiagram({ setImportData, error, setError }) {
           }
           const reader = new FileReader();
           reader.onload = async (e) => {
+            const extension = f.name.split(".").pop();
             let jsonObject = null;
             try {
-              jsonObject = JSON.parse(e.target.result);
+              jsonObject =
+                extension === "dbml"
+                  ? importDBML(e.target.result)
+                  : JSON.parse(e.target.result);
             } catch (error) {
               setError({
                 type: STATUS.ERROR,
-                message: "The file contains an error.",
+                message: error.location
+                  ? `${error.name} [Ln ${error.location.start.line}, Col ${error.location.start.column}]: ${error.message}`
+                  : "The file contains an error.",
               });
               return;
             }
-            if (f.type === "application/json") {
+            if (f.type === "application/json" || extension === "dbml") {
               if (!jsonDiagramIsValid(jsonObject)) {
                 setError({
                   type: STATUS.ERROR,
@@ -52,7 +59,7 @@ export default function ImportDiagram({ setImportData, error, setError }) {
                 });
                 return;
               }
-            } else if (f.name.split(".").pop() === "ddb") {
+            } else if (extension === "ddb") {
               if (!ddbDiagramIsValid(jsonObject)) {
                 setError({
                   type: STATUS.ERROR,
@@ -88,7 +95,7 @@ export default function ImportDiagram({ setImportData, error, setError }) {
         draggable={true}
         dragMainText={t("drag_and_drop_files")}
         dragSubText={t("support_json_and_ddb")}
-        accept="application/json,.ddb"
+        accept="application/json,.ddb,.dbml"
         onRemove={() =>
           setError({
             type: STATUS.NONE,
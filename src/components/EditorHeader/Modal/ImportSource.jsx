@@ -1,5 +1,5 @@
-import { Upload, Checkbox, Banner } from "@douyinfe/semi-ui";
-import { STATUS } from "../../../data/constants";
+import { Upload, Checkbox, Banner, Select } from "@douyinfe/semi-ui";
+import { DB, STATUS } from "../../../data/constants";
 import { useTranslation } from "react-i18next";
 
 export default function ImportSource({
@@ -12,6 +12,24 @@ export default function ImportSource({
 
   return (
     <div>
+      <div className="font-semibold mb-1">{t("database")}</div>
+      <Select
+        className="w-full mb-3"
+        optionList={Object.values(DB)
+          .filter((v) => v !== DB.GENERIC)
+          .map((v) => ({
+            label: v,
+            value: v,
+          }))}
+        value={importData.dbms}
+        onChange={(value) => {
+          setError({
+            type: STATUS.NONE,
+            message: "",
+          });
+          setImportData((prev) => ({ ...prev, dbms: value }));
+        }}
+      />
       <Upload
         action="#"
         beforeUpload={({ file, fileList }) => {
@@ -21,7 +39,11 @@ export default function ImportSource({
           }
           const reader = new FileReader();
           reader.onload = async (e) => {
-            setImportData((prev) => ({ ...prev, src: e.target.result }));
+            setImportData((prev) => ({
+              ...prev,
+              src: e.target.result,
+              prisma: f.name.endsWith(".prisma"),
+            }));
           };
           reader.readAsText(f);
 
@@ -35,7 +57,7 @@ export default function ImportSource({
         draggable={true}
         dragMainText={t("drag_and_drop_files")}
         dragSubText={t("upload_sql_to_generate_diagrams")}
-        accept=".sql"
+        accept=".sql,.prisma"
         onRemove={() => {
           setError({
             type: STATUS.NONE,
@@ -52,10 +74,8 @@ export default function ImportSource({
         limit={1}
       />
       <div>
-        <div className="text-xs mb-3 mt-1 opacity-80">
-          {t("only_mysql_supported")}
-        </div>
         <Checkbox
+          className="mt-2"
           aria-label="overwrite checkbox"
           checked={importData.overwrite}
           defaultChecked
@@ -0,0 +1,168 @@
+import { useEffect, useMemo, useState } from "react";
+import { Banner, Select, Upload } from "@douyinfe/semi-ui";
+import { useLiveQuery } from "dexie-react-hooks";
+import { useTranslation } from "react-i18next";
+import { db } from "../../../data/db";
+import { DB } from "../../../data/constants";
+import { ddbDiagramIsValid } from "../../../utils/validateSchema";
+import { migrateIds } from "../../../utils/ids";
+import { diffDiagrams, diffIsEmpty } from "../../../utils/diff";
+import { diffToSQL } from "../../../utils/migration";
+import SchemaDiff from "../../SchemaDiff";
+
+const FILE = "file";
+
+function DiagramPicker({ label, diagrams, setValue }) {
+  const { t } = useTranslation();
+  const [source, setSource] = useState(null);
+  const [error, setError] = useState("");
+
+  return (
+    <div className="mb-3">
+      <div className="font-semibold mb-1">{label}</div>
+      <Select
+        className="w-full"
+        placeholder={t("select_diagram")}
+        optionList={[
+          ...(diagrams ?? []).map((d) => ({ label: d.name, value: d.id })),
+          { label: t("ddb_file"), value: FILE },
+        ]}
+        value={source}
+        onChange={(v) => {
+          setSource(v);
+          setError("");
+          if (v === FILE) {
+            setValue(null);
+            return;
+          }
+          const d = diagrams.find((e) => e.id === v);
+          setValue({
+            tables: d.tables,
+            relationships: d.references,
+            types: d.types ?? [],
+            database: d.database ?? DB.GENERIC,
+          });
+        }}
+      />
+      {source === FILE && (
+        <Upload
+          className="mt-2"
+          action="#"
+          beforeUpload={({ file, fileList }) => {
+            const f = fileList[0].fileInstance;
+            if (!f) {
+              return;
+            }
+            const reader = new FileReader();
+            reader.onload = async (e) => {
+              let d = null;
+              try {
+                d = JSON.parse(e.target.result);
+              } catch (error) {
+                setError(t("file_contains_error"));
+                return;
+              }
+              if (!ddbDiagramIsValid(d)) {
+                setError(t("file_missing_properties"));
+                return;
+              }
+              setValue({
+                ...migrateIds(d.tables, d.relationships),
+                types: d.types ?? [],
+                database: d.database ?? DB.GENERIC,
+              });
+            };
+            reader.readAsText(f);
+
+            return {
+              autoRemove: false,
+              fileInstance: file.fileInstance,
+              status: "success",
+              shouldUpload: false,
+            };
+          }}
+          draggable={true}
+          dragMainText={t("drag_and_drop_files")}
+          dragSubText={t("support_ddb")}
+          accept=".ddb"
+          onRemove={() => {
+            setError("");
+            setValue(null);
+          }}
+          limit={1}
+        />
+      )}
+      {error && (
+        <Banner
+          type="danger"
+          fullMode={false}
+          description={<div>{error}</div>}
+        />
+      )}
+    </div>
+  );
+}
+
+export default function Migration({ setExportData }) {
+  const { t } = useTranslation();
+  const diagrams = useLiveQuery(() => db.diagrams.toArray());
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(null);
+  const [dbms, setDbms] = useState(null);
+
+  const database =
+    dbms ?? (to && to.database !== DB.GENERIC ? to.database : DB.MYSQL);
+
+  const diff = useMemo(
+    () => (from && to ? diffDiagrams(from, to) : null),
+    [from, to],
+  );
+
+  useEffect(() => {
+    setExportData((prev) => ({
+      ...prev,
+      data:
+        diff && !diffIsEmpty(diff) ? diffToSQL(diff, database, to.types) : "",
+      extension: "sql",
+    }));
+  }, [diff, database, to, setExportData]);
+
+  return (
+    <div>
+      <DiagramPicker
+        label={t("migrate_from")}
+        diagrams={diagrams}
+        setValue={setFrom}
+      />
+      <DiagramPicker
+        label={t("migrate_to")}
+        diagrams={diagrams}
+        setValue={setTo}
+      />
+      <div className="font-semibold mb-1">{t("database")}</div>
+      <Select
+        className="w-full mb-3"
+        optionList={Object.values(DB)
+          .filter((v) => v !== DB.GENERIC)
+          .map((v) => ({
+            label: v,
+            value: v,
+          }))}
+        value={database}
+        onChange={(value) => setDbms(value)}
+      />
+      {diff &&
+        (diffIsEmpty(diff) ? (
+          <Banner
+            type="info"
+            fullMode={false}
+            description={<div>{t("diagrams_are_identical")}</div>}
+          />
+        ) : (
+          <div className="mb-3 max-h-[200px] overflow-y-auto">
+            <SchemaDiff diff={diff} />
+          </div>
+        ))}
+    </div>
+  );
+}
@@ -5,11 +5,13 @@ import {
   Toast,
   Modal as SemiUIModal,
 } from "@douyinfe/semi-ui";
-import { MODAL, STATUS } from "../../../data/constants";
+import { CollabState, DB, MODAL, STATUS } from "../../../data/constants";
 import { useState } from "react";
 import { db } from "../../../data/db";
 import {
   useAreas,
+  useCollab,
+  useDiagram,
   useNotes,
   useSettings,
   useTables,
@@ -18,8 +20,11 @@ import {
   useUndoRedo,
 } from "../../../hooks";
 import { saveAs } from "file-saver";
-import { Parser } from "node-sql-parser";
-import { astToDiagram } from "../../../utils/astToDiagram";
+import JSZip from "jszip";
+import { importSQL } from "../../../utils/importSQL";
+import { importPrisma } from "../../../utils/importPrisma";
+import { generateId, migrateIds } from "../../../utils/ids";
+import { defaultRelayUrl } from "../../../utils/collab";
 import { getModalTitle, getOkText } from "../../../utils/modalTitles";
 import Rename from "./Rename";
 import Open from "./Open";
@@ -27,17 +32,36 @@ import New from "./New";
 import ImportDiagram from "./ImportDiagram";
 import ImportSource from "./ImportSource";
 import SetTableWidth from "./SetTableWidth";
+import SetGridSize from "./SetGridSize";
 import Language from "./Language";
+import Migration from "./Migration";
+import SampleData from "./SampleData";
+import Collaborate from "./Collaborate";
+import ExportImage from "./ExportImage";
 import CodeMirror from "@uiw/react-codemirror";
 import { sql } from "@codemirror/lang-sql";
 import { vscodeDark } from "@uiw/codemirror-theme-vscode";
 import { json } from "@codemirror/lang-json";
+import { javascript } from "@codemirror/lang-javascript";
+import { python } from "@codemirror/lang-python";
 import { githubLight } from "@uiw/codemirror-theme-github";
 import { useTranslation } from "react-i18next";
 
+const imageFormats = {
+  [MODAL.SVG]: "svg",
+  [MODAL.PNG]: "png",
+  [MODAL.PDF]: "pdf",
+};
+
+// Some browsers and chat apps cut off links longer than this.
+const maxShareUrlLength = 8000;
+
 const languageExtension = {
   sql: [sql()],
   json: [json()],
+  js: [javascript()],
+  ts: [javascript({ typescript: true })],
+  py: [python()],
 };
 
 export default function Modal({
@@ -56,13 +80,16 @@ export default function Modal({
   const { setNotes } = useNotes();
   const { setAreas } = useAreas();
   const { setTypes } = useTypes();
+  const { setDatabase } = useDiagram();
   const { settings } = useSettings();
   const { setTransform } = useTransform();
   const { setUndoStack, setRedoStack } = useUndoRedo();
+  const { status, connect, disconnect } = useCollab();
   const [importSource, setImportSource] = useState({
     src: "",
+    prisma: false,
     overwrite: true,
-    dbms: "MySQL",
+    dbms: DB.MYSQL,
   });
   const [importData, setImportData] = useState(null);
   const [error, setError] = useState({
@@ -70,14 +97,26 @@ export default function Modal({
     message: "",
   });
   const [selectedTemplateId, setSelectedTemplateId] = useState(-1);
+  const [selectedDatabase, setSelectedDatabase] = useState(DB.GENERIC);
   const [selectedDiagramId, setSelectedDiagramId] = useState(0);
   const [saveAsTitle, setSaveAsTitle] = useState(title);
+  const [collabOptions, setCollabOptions] = useState(() => ({
+    url: defaultRelayUrl,
+    room: generateId(8),
+    name: "",
+  }));
 
   const overwriteDiagram = () => {
-    setTables(importData.tables);
-    setRelationships(importData.relationships);
+    const { tables, relationships } = migrateIds(
+      importData.tables,
+      importData.relationships,
+    );
+    setTables(tables);
+    setRelationships(relationships);
     setAreas(importData.subjectAreas);
     setNotes(importData.notes);
+    setTypes(importData.types ?? []);
+    setDatabase(importData.database ?? DB.GENERIC);
     if (importData.title) {
       setTitle(importData.title);
     }
@@ -90,6 +129,7 @@ export default function Modal({
         if (diagram) {
           setDiagramId(diagram.id);
           setTitle(diagram.name);
+          setDatabase(diagram.database ?? DB.GENERIC);
           setTables(diagram.tables);
           setTypes(diagram.types);
           setRelationships(diagram.references);
@@ -99,8 +139,8 @@ export default function Modal({
             pan: diagram.pan,
             zoom: diagram.zoom,
           });
-          setUndoStack([]);
-          setRedoStack([]);
+          setUndoStack(diagram.undoStack ?? []);
+          setRedoStack(diagram.redoStack ?? []);
           window.name = `d ${diagram.id}`;
         } else {
           Toast.error("Oops! Something went wrong.");
@@ -112,56 +152,76 @@ export default function Modal({
   };
 
   const parseSQLAndLoadDiagram = () => {
-    const parser = new Parser();
-    let ast = null;
+    let d = null;
     try {
-      ast = parser.astify(importSource.src, { database: "MySQL" });
+      d = importSource.prisma
+        ? importPrisma(importSource.src, importSource.dbms)
+        : importSQL(importSource.src, importSource.dbms);
     } catch (err) {
       setError({
         type: STATUS.ERROR,
-        message:
-          err.name +
-          " [Ln " +
-          err.location.start.line +
-          ", Col " +
-          err.location.start.column +
-          "]: " +
-          err.message,
+        message: err.location
+          ? err.name +
+            " [Ln " +
+            err.location.start.line +
+            ", Col " +
+            err.location.start.column +
+            "]: " +
+            err.message
+          : err.message,
       });
       return;
     }
 
-    const d = astToDiagram(ast);
     if (importSource.overwrite) {
       setTables(d.tables);
       setRelationships(d.relationships);
       setTransform((prev) => ({ ...prev, pan: { x: 0, y: 0 } }));
       setNotes([]);
       setAreas([]);
-      setTypes([]);
+      setTypes(d.types);
+      setDatabase(d.database ?? importSource.dbms);
       setUndoStack([]);
       setRedoStack([]);
     } else {
       setTables((prev) => [...prev, ...d.tables]);
       setRelationships((prev) => [...prev, ...d.relationships]);
+      setTypes((prev) => [
+        ...prev,
+        ...d.types.filter((t) => !prev.some((p) => p.name === t.name)),
+      ]);
     }
     setModal(MODAL.NONE);
   };
 
-  const createNewDiagram = (id) => {
+  const createNewDiagram = (id, database) => {
     const newWindow = window.open("/editor");
-    newWindow.name = "lt " + id;
+    newWindow.name = `lt ${id} ${database}`;
   };
 
   const getModalOnOk = async () => {
     switch (modal) {
       case MODAL.IMG:
+      case MODAL.SVG:
+      case MODAL.PNG:
+      case MODAL.PDF:
         saveAs(
           exportData.data,
           `${exportData.filename}.${exportData.extension}`,
         );
         return;
-      case MODAL.CODE: {
+      case MODAL.CODE:
+      case MODAL.MIGRATION:
+      case MODAL.SAMPLE_DATA: {
+        if (exportData.extension === "zip") {
+          const zip = new JSZip();
+          exportData.files.forEach((f) => zip.file(f.name, f.content));
+          saveAs(
+            await zip.generateAsync({ type: "blob" }),
+            `${exportData.filename}.zip`,
+          );
+          return;
+        }
         const blob = new Blob([exportData.data], {
           type: "application/json",
         });
@@ -196,7 +256,22 @@ export default function Modal({
         return;
       case MODAL.NEW:
         setModal(MODAL.NONE);
-        createNewDiagram(selectedTemplateId);
+        createNewDiagram(selectedTemplateId, selectedDatabase);
+        return;
+      case MODAL.SHARE:
+        navigator.clipboard
+          .writeText(exportData.data)
+          .then(() => Toast.success(t("copied_to_clipboard")))
+          .catch(() => Toast.error(t("oops_smth_went_wrong")));
+        setModal(MODAL.NONE);
+        return;
+      case MODAL.COLLABORATE:
+        if (status === CollabState.OFF) {
+          connect(collabOptions.url, collabOptions.room, collabOptions.name);
+        } else {
+          disconnect();
+        }
+        setModal(MODAL.NONE);
         return;
       default:
         setModal(MODAL.NONE);
@@ -204,6 +279,43 @@ export default function Modal({
     }
   };
 
+  const exportPreview = () => (
+    <>
+      {modal === MODAL.IMG || imageFormats[modal] ? (
+        <Image
+          src={exportData.preview ?? exportData.data}
+          alt="Diagram"
+          height={280}
+        />
+      ) : (
+        <CodeMirror
+          value={exportData.data}
+          height="360px"
+          extensions={
+            languageExtension[
+              exportData.extension === "zip"
+                ? exportData.files[0].name.split(".").pop()
+                : exportData.extension
+            ]
+          }
+          onChange={() => {}}
+          editable={false}
+          theme={settings.mode === "dark" ? vscodeDark : githubLight}
+        />
+      )}
+      <div className="text-sm font-semibold mt-2">{t("filename")}:</div>
+      <Input
+        value={exportData.filename}
+        placeholder={t("filename")}
+        suffix={<div className="p-2">{`.${exportData.extension}`}</div>}
+        onChange={(value) =>
+          setExportData((prev) => ({ ...prev, filename: value }))
+        }
+        field="filename"
+      />
+    </>
+  );
+
   const getModalBody = () => {
     switch (modal) {
       case MODAL.IMPORT:
@@ -228,6 +340,8 @@ export default function Modal({
           <New
             selectedTemplateId={selectedTemplateId}
             setSelectedTemplateId={setSelectedTemplateId}
+            selectedDatabase={selectedDatabase}
+            setSelectedDatabase={setSelectedDatabase}
           />
         );
       case MODAL.RENAME:
@@ -250,32 +364,7 @@ export default function Modal({
       case MODAL.CODE:
       case MODAL.IMG:
         if (exportData.data !== "" || exportData.data) {
-          return (
-            <>
-              {modal === MODAL.IMG ? (
-                <Image src={exportData.data} alt="Diagram" height={280} />
-              ) : (
-                <CodeMirror
-                  value={exportData.data}
-                  height="360px"
-                  extensions={languageExtension[exportData.extension]}
-                  onChange={() => {}}
-                  editable={false}
-                  theme={settings.mode === "dark" ? vscodeDark : githubLight}
-                />
-              )}
-              <div className="text-sm font-semibold mt-2">{t("filename")}:</div>
-              <Input
-                value={exportData.filename}
-                placeholder={t("filename")}
-                suffix={<div className="p-2">{`.${exportData.extension}`}</div>}
-                onChange={(value) =>
-                  setExportData((prev) => ({ ...prev, filename: value }))
-                }
-                field="filename"
-              />
-            </>
-          );
+          return exportPreview();
         } else {
           return (
             <div className="text-center my-3">
@@ -285,8 +374,60 @@ export default function Modal({
         }
       case MODAL.TABLE_WIDTH:
         return <SetTableWidth />;
+      case MODAL.GRID_SIZE:
+        return <SetGridSize />;
       case MODAL.LANGUAGE:
         return <Language />;
+      case MODAL.SHARE:
+        if (!exportData.data) {
+          return (
+            <div className="text-center my-3">
+              <Spin tip={t("loading")} size="large" />
+            </div>
+          );
+        }
+        return (
+          <>
+            <div className="text-sm mb-2">{t("share_description")}</div>
+            <Input value={exportData.data} readonly />
+            {exportData.data.length > maxShareUrlLength && (
+              <div className="text-sm mt-2 text-yellow-500">
+                {t("share_link_too_long")}
+              </div>
+            )}
+          </>
+        );
+      case MODAL.COLLABORATE:
+        return (
+          <Collaborate options={collabOptions} setOptions={setCollabOptions} />
+        );
+      case MODAL.SVG:
+      case MODAL.PNG:
+      case MODAL.PDF:
+        return (
+          <>
+            <ExportImage
+              format={imageFormats[modal]}
+              title={title}
+              setExportData={setExportData}
+            />
+            {exportData.data && exportPreview()}
+          </>
+        );
+      case MODAL.MIGRATION:
+        return (
+          <>
+            <Migration setExportData={setExportData} />
+            {exportData.data && exportPreview()}
+          </>
+        );
+      case MODAL.SAMPLE_DATA:
+        return (
+          <>
+            <SampleData setExportData={setExportData} />
+            {exportData.data && exportPreview()}
+          </>
+        );
       default:
         return <></>;
     }
@@ -311,7 +452,7 @@ export default function Modal({
         setImportSource({
           src: "",
           overwrite: true,
-          dbms: "MySQL",
+          dbms: DB.MYSQL,
         });
       }}
       onCancel={() => {
@@ -320,15 +461,28 @@ export default function Modal({
       }}
       centered
       closeOnEsc={true}
-      okText={getOkText(modal)}
+      okText={
+        modal === MODAL.COLLABORATE && status !== CollabState.OFF
+          ? t("disconnect")
+          : getOkText(modal)
+      }
       okButtonProps={{
         disabled:
           (error && error?.type === STATUS.ERROR) ||
           (modal === MODAL.IMPORT &&
             (error.type === STATUS.ERROR || !importData)) ||
           (modal === MODAL.RENAME && title === "") ||
-          ((modal === MODAL.IMG || modal === MODAL.CODE) && !exportData.data) ||
+          ((modal === MODAL.IMG ||
+            imageFormats[modal] ||
+            modal === MODAL.CODE ||
+            modal === MODAL.MIGRATION ||
+            modal === MODAL.SAMPLE_DATA ||
+            modal === MODAL.SHARE) &&
+            !exportData.data) ||
           (modal === MODAL.SAVEAS && saveAsTitle === "") ||
+          (modal === MODAL.COLLABORATE &&
+            status === CollabState.OFF &&
+            (collabOptions.url === "" || collabOptions.room === "")) ||
           (modal === MODAL.IMPORT_SRC && importSource.src === ""),
       }}
       cancelText={t("cancel")}
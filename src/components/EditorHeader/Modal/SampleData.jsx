@@ -0,0 +1,65 @@
+import { useEffect, useState } from "react";
+import { Button, InputNumber, Select } from "@douyinfe/semi-ui";
+import { IconRefresh } from "@douyinfe/semi-icons";
+import { useTranslation } from "react-i18next";
+import { DB } from "../../../data/constants";
+import { useDiagram, useTables, useTypes } from "../../../hooks";
+import { jsonToInserts } from "../../../utils/sampleData";
+
+export default function SampleData({ setExportData }) {
+  const { t } = useTranslation();
+  const { database } = useDiagram();
+  const { tables, relationships } = useTables();
+  const { types } = useTypes();
+  const [dbms, setDbms] = useState(
+    database === DB.GENERIC ? DB.MYSQL : database,
+  );
+  const [rows, setRows] = useState(10);
+  const [seed, setSeed] = useState(() => Date.now());
+
+  useEffect(() => {
+    setExportData((prev) => ({
+      ...prev,
+      data:
+        tables.length > 0
+          ? jsonToInserts({ tables, references: relationships, types }, dbms, {
+              rows,
+              seed,
+            })
+          : "",
+      extension: "sql",
+    }));
+  }, [tables, relationships, types, dbms, rows, seed, setExportData]);
+
+  return (
+    <div className="flex items-end gap-4 mb-3">
+      <div className="flex-1">
+        <div className="font-semibold mb-1">{t("database")}</div>
+        <Select
+          className="w-full"
+          optionList={Object.values(DB)
+            .filter((v) => v !== DB.GENERIC)
+            .map((v) => ({
+              label: v,
+              value: v,
+            }))}
+          value={dbms}
+          onChange={(value) => setDbms(value)}
+        />
+      </div>
+      <div>
+        <div className="font-semibold mb-1">{t("rows_per_table")}</div>
+        <InputNumber
+          className="w-[120px]"
+          min={1}
+          max={1000}
+          value={rows}
+          onNumberChange={(v) => setRows(Math.min(Math.max(v ?? 1, 1), 1000))}
+        />
+      </div>
+      <Button icon={<IconRefresh />} onClick={() => setSeed(Date.now())}>
+        {t("regenerate")}
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+import { InputNumber } from "@douyinfe/semi-ui";
+import { useSettings } from "../../../hooks";
+
+export default function SetGridSize() {
+  const { settings, setSettings } = useSettings();
+
+  return (
+    <InputNumber
+      className="w-full"
+      value={settings.gridSize}
+      onChange={(c) => {
+        if (c < 4) return;
+        setSettings((prev) => ({ ...prev, gridSize: c }));
+      }}
+    />
+  );
+}
@@ -0,0 +1,223 @@
+import { useState } from "react";
+import {
+  Button,
+  Input,
+  List,
+  Popconfirm,
+  Popover,
+  Toast,
+  Tooltip,
+} from "@douyinfe/semi-ui";
+import {
+  IconDeleteStroked,
+  IconEyeOpened,
+  IconUndo,
+} from "@douyinfe/semi-icons";
+import { useLiveQuery } from "dexie-react-hooks";
+import { useTranslation } from "react-i18next";
+import { db } from "../../../data/db";
+import { DB, State } from "../../../data/constants";
+import {
+  useAreas,
+  useDiagram,
+  useNotes,
+  useSaveState,
+  useSettings,
+  useTables,
+  useTasks,
+  useTypes,
+  useUndoRedo,
+} from "../../../hooks";
+import { addVersion } from "../../../utils/versions";
+import { diffDiagrams, diffIsEmpty } from "../../../utils/diff";
+import Thumbnail from "../../Thumbnail";
+import SchemaDiff from "../../SchemaDiff";
+
+function VersionDiff({ version, current }) {
+  const { t } = useTranslation();
+  const diff = diffDiagrams(
+    { tables: version.tables, relationships: version.references },
+    current,
+  );
+
+  if (diffIsEmpty(diff)) {
+    return <div className="mt-2 text-sm">{t("no_differences")}</div>;
+  }
+
+  return (
+    <div className="mt-2">
+      <SchemaDiff diff={diff} />
+    </div>
+  );
+}
+
+export default function History({ diagramId }) {
+  const { t } = useTranslation();
+  const { settings } = useSettings();
+  const { tables, relationships, setTables, setRelationships } = useTables();
+  const { areas, setAreas } = useAreas();
+  const { notes, setNotes } = useNotes();
+  const { types, setTypes } = useTypes();
+  const { tasks, setTasks } = useTasks();
+  const { database, setDatabase } = useDiagram();
+  const { setUndoStack, setRedoStack } = useUndoRedo();
+  const { setSaveState, setVersionName } = useSaveState();
+  const [name, setName] = useState("");
+  const [compareId, setCompareId] = useState(null);
+  const versions = useLiveQuery(
+    () =>
+      db.diagramVersions
+        .where("diagramId")
+        .equals(diagramId)
+        .reverse()
+        .toArray(),
+    [diagramId],
+  );
+
+  if (window.name.split(" ")[0] === "t") {
+    return (
+      <div className="m-5 sidesheet-theme">{t("no_template_history")}</div>
+    );
+  }
+
+  const createCheckpoint = () => {
+    setVersionName(name.trim());
+    setSaveState(State.SAVING);
+    setName("");
+  };
+
+  const restore = async (version) => {
+    // Keep what is being replaced so that a restore can itself be undone.
+    await addVersion(
+      diagramId,
+      {
+        database: database,
+        tables: tables,
+        references: relationships,
+        types: types,
+        notes: notes,
+        areas: areas,
+        todos: tasks,
+      },
+      t("before_restoring", { date: version.createdAt.toLocaleString() }),
+    );
+    setDatabase(version.database ?? DB.GENERIC);
+    setTables(version.tables);
+    setRelationships(version.references);
+    setTypes(version.types ?? []);
+    setAreas(version.areas ?? []);
+    setNotes(version.notes ?? []);
+    setTasks(version.todos ?? []);
+    setUndoStack([]);
+    setRedoStack([]);
+    setSaveState(State.SAVING);
+    Toast.success(t("version_restored"));
+  };
+
+  return (
+    <>
+      <div className="flex gap-2 mx-5 mb-2 sidesheet-theme">
+        <Input
+          placeholder={t("checkpoint_name")}
+          value={name}
+          onChange={(v) => setName(v)}
+          onEnterPress={() => name.trim() !== "" && createCheckpoint()}
+        />
+        <Button disabled={name.trim() === ""} onClick={createCheckpoint}>
+          {t("add_checkpoint")}
+        </Button>
+      </div>
+      {versions?.length > 0 ? (
+        <List className="sidesheet-theme">
+          {versions.map((v) => (
+            <List.Item
+              key={v.id}
+              style={{ padding: "4px 18px 4px 18px" }}
+              className="hover-1"
+            >
+              <div className="w-full py-1">
+                <div className="flex justify-between items-center">
+                  <div>
+                    <div className={v.name ? "font-semibold" : ""}>
+                      {v.name || t("snapshot")}
+                    </div>
+                    <div className="text-xs opacity-60">
+                      {v.createdAt.toLocaleString()}
+                    </div>
+                  </div>
+                  <div className="flex gap-1">
+                    <Popover
+                      content={
+                        <div className="w-[360px] h-[240px] popover-theme">
+                          <Thumbnail
+                            diagram={{
+                              tables: v.tables,
+                              relationships: v.references,
+                              subjectAreas: v.areas,
+                              notes: v.notes,
+                            }}
+                            i={`v${v.id}`}
+                            zoom={0.3}
+                            theme={settings.mode}
+                          />
+                        </div>
+                      }
+                      position="left"
+                      showArrow
+                    >
+                      <Button
+                        size="small"
+                        theme="borderless"
+                        type="tertiary"
+                        icon={<IconEyeOpened />}
+                      />
+                    </Popover>
+                    <Tooltip content={t("compare")}>
+                      <Button
+                        size="small"
+                        theme={compareId === v.id ? "light" : "borderless"}
+                        type="tertiary"
+                        icon={<i className="bi bi-arrow-left-right" />}
+                        onClick={() =>
+                          setCompareId((prev) => (prev === v.id ? null : v.id))
+                        }
+                      />
+                    </Tooltip>
+                    <Popconfirm
+                      title={t("restore_version")}
+                      content={t("are_you_sure_restore_version")}
+                      onConfirm={() => restore(v)}
+                      position="left"
+                    >
+                      <Button
+                        size="small"
+                        theme="borderless"
+                        type="tertiary"
+                        icon={<IconUndo />}
+                      />
+                    </Popconfirm>
+                    <Button
+                      size="small"
+                      theme="borderless"
+                      type="danger"
+                      icon={<IconDeleteStroked />}
+                      onClick={() => db.diagramVersions.delete(v.id)}
+                    />
+                  </div>
+                </div>
+                {compareId === v.id && (
+                  <VersionDiff
+                    version={v}
+                    current={{ tables: tables, relationships: relationships }}
+                  />
+                )}
+              </div>
+            </List.Item>
+          ))}
+        </List>
+      ) : (
+        <div className="m-5 sidesheet-theme">{t("no_versions")}</div>
+      )}
+    </>
+  );
+}
@@ -6,9 +6,10 @@ import timeLineDark from "../../../assets/process_dark.png";
 import todo from "../../../assets/calendar.png";
 import Timeline from "./Timeline";
 import Todo from "./Todo";
+import History from "./History";
 import { useTranslation } from "react-i18next";
 
-export default function Sidesheet({ type, onClose }) {
+export default function Sidesheet({ type, onClose, diagramId, onJump }) {
   const { t } = useTranslation();
   const { settings } = useSettings();
 
@@ -32,6 +33,13 @@ export default function Sidesheet({ type, onClose }) {
             <div className="ms-3 text-lg">{t("to_do")}</div>
           </div>
         );
+      case SIDESHEET.HISTORY:
+        return (
+          <div className="flex items-center">
+            <i className="fa-solid fa-clock-rotate-left text-2xl" />
+            <div className="ms-3 text-lg">{t("version_history")}</div>
+          </div>
+        );
       default:
         break;
     }
@@ -40,9 +48,11 @@ export default function Sidesheet({ type, onClose }) {
   function getContent(type) {
     switch (type) {
       case SIDESHEET.TIMELINE:
-        return <Timeline />;
+        return <Timeline onJump={onJump} />;
       case SIDESHEET.TODO:
         return <Todo />;
+      case SIDESHEET.HISTORY:
+        return <History diagramId={diagramId} />;
       default:
         break;
     }
@@ -2,22 +2,43 @@ import { useTranslation } from "react-i18next";
 import { useUndoRedo } from "../../../hooks";
 import { List } from "@douyinfe/semi-ui";
 
-export default function Timeline() {
-  const { undoStack } = useUndoRedo();
+export default function Timeline({ onJump }) {
+  const { undoStack, redoStack } = useUndoRedo();
   const { t } = useTranslation();
 
-  if (undoStack.length > 0) {
+  // Undone entries are listed above the current one, newest first. Clicking an
+  // entry undoes or redoes everything up to it.
+  const entries = [
+    ...redoStack.map((e, i) => ({
+      ...e,
+      undone: true,
+      target: undoStack.length + redoStack.length - i,
+    })),
+    ...undoStack.map((e, i) => ({ ...e, target: i + 1 })).reverse(),
+  ];
+
+  if (entries.length > 0) {
     return (
       <List className="sidesheet-theme">
-        {[...undoStack].reverse().map((e, i) => (
+        {entries.map((e, i) => (
           <List.Item
             key={i}
             style={{ padding: "4px 18px 4px 18px" }}
-            className="hover-1"
+            className={`hover-1 cursor-pointer ${e.undone ? "opacity-50" : ""}`}
+            onClick={() => onJump(e.target)}
           >
             <div className="flex items-center py-1 w-full">
-              <i className="block fa-regular fa-circle fa-xs" />
-              <div className="ms-2">{e.message}</div>
+              <i
+                className={`block fa-circle fa-xs ${
+                  e.target === undoStack.length ? "fa-solid" : "fa-regular"
+                }`}
+              />
+              <div className="ms-2 flex-1">{e.message}</div>
+              {e.timestamp && (
+                <div className="ms-2 text-xs opacity-60 whitespace-nowrap">
+                  {new Date(e.timestamp).toLocaleString()}
+                </div>
+              )}
             </div>
           </List.Item>
         ))}
@@ -22,6 +22,7 @@ import {
 import { State } from "../../../data/constants";
 import { useTasks, useSaveState } from "../../../hooks";
 import { useTranslation } from "react-i18next";
+import { generateId } from "../../../utils/ids";
 
 const Priority = {
   NONE: 0,
@@ -139,6 +140,7 @@ export default function Todo() {
           onClick={() => {
             setTasks((prev) => [
               {
+                id: generateId(),
                 complete: false,
                 details: "",
                 title: "",
@@ -11,7 +11,7 @@ import {
 import ColorPalette from "../../ColorPicker";
 import { useTranslation } from "react-i18next";
 
-export default function AreaInfo({ data, i }) {
+export default function AreaInfo({ data }) {
   const { t } = useTranslation();
   const { setSaveState } = useSaveState();
   const { deleteArea, updateArea } = useAreas();
@@ -40,7 +40,7 @@ export default function AreaInfo({ data, i }) {
               {
                 action: Action.EDIT,
                 element: ObjectType.AREA,
-                aid: i,
+                aid: data.id,
                 undo: editField,
                 redo: { name: e.target.value },
                 message: t("edit_area", {
@@ -60,7 +60,7 @@ export default function AreaInfo({ data, i }) {
               <ColorPalette
                 currentColor={data.color}
                 onClearColor={() => {
-                  updateArea(i, { color: defaultBlue });
+                  updateArea(data.id, { color: defaultBlue });
                   setSaveState(State.SAVING);
                 }}
                 onPickColor={(c) => {
@@ -69,7 +69,7 @@ export default function AreaInfo({ data, i }) {
                     {
                       action: Action.EDIT,
                       element: ObjectType.AREA,
-                      aid: i,
+                      aid: data.id,
                       undo: { color: data.color },
                       redo: { color: c },
                       message: t("edit_area", {
@@ -79,7 +79,7 @@ export default function AreaInfo({ data, i }) {
                     },
                   ]);
                   setRedoStack([]);
-                  updateArea(i, { color: c });
+                  updateArea(data.id, { color: c });
                 }}
               />
             </div>
@@ -98,7 +98,7 @@ export default function AreaInfo({ data, i }) {
         <Button
           icon={<IconDeleteStroked />}
           type="danger"
-          onClick={() => deleteArea(i, true)}
+          onClick={() => deleteArea(data.id, true)}
         />
       </Col>
     </Row>
@@ -15,7 +15,7 @@ export default function AreasTab() {
       <div className="flex gap-2">
         <SearchBar />
         <div>
-          <Button icon={<IconPlus />} block onClick={addArea}>
+          <Button icon={<IconPlus />} block onClick={() => addArea()}>
             {t("add_area")}
           </Button>
         </div>
@@ -27,8 +27,8 @@ export default function AreasTab() {
         />
       ) : (
         <div className="p-2">
-          {areas.map((a, i) => (
-            <AreaInfo data={a} key={"area_" + i} i={i} />
+          {areas.map((a) => (
+            <AreaInfo data={a} key={a.id} />
           ))}
         </div>
       )}
@@ -2,7 +2,7 @@ import { useState, useEffect } from "react";
 import { Collapse, Badge } from "@douyinfe/semi-ui";
 import { arrayIsEqual } from "../../utils/utils";
 import { getIssues } from "../../utils/issues";
-import { useSettings, useTables, useTypes } from "../../hooks";
+import { useDiagram, useSettings, useTables, useTypes } from "../../hooks";
 import { useTranslation } from "react-i18next";
 
 export default function Issues() {
@@ -10,6 +10,7 @@ export default function Issues() {
   const { t } = useTranslation();
   const { settings } = useSettings();
   const { tables, relationships } = useTables();
+  const { database } = useDiagram();
   const [issues, setIssues] = useState([]);
 
   useEffect(() => {
@@ -18,6 +19,7 @@ export default function Issues() {
         tables: tables,
         relationships: relationships,
         types: types,
+        database: database,
       });
 
       if (!arrayIsEqual(newIssues, issues)) {
@@ -26,7 +28,7 @@ export default function Issues() {
     };
 
     findIssues();
-  }, [tables, relationships, issues, types]);
+  }, [tables, relationships, issues, types, database]);
 
   return (
     <Collapse keepDOM lazyRender style={{ width: "100%" }}>
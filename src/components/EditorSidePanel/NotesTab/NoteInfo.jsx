@@ -5,7 +5,7 @@ import { noteThemes, Action, ObjectType } from "../../../data/constants";
 import { useNotes, useUndoRedo } from "../../../hooks";
 import { useTranslation } from "react-i18next";
 
-export default function NoteInfo({ data, nid }) {
+export default function NoteInfo({ data }) {
   const { updateNote, deleteNote } = useNotes();
   const { setUndoStack, setRedoStack } = useUndoRedo();
   const [editField, setEditField] = useState({});
@@ -74,7 +74,7 @@ export default function NoteInfo({ data, nid }) {
               {
                 action: Action.EDIT,
                 element: ObjectType.NOTE,
-                nid: nid,
+                nid: data.id,
                 undo: editField,
                 redo: { content: e.target.value, height: newHeight },
                 message: t("edit_note", {
@@ -105,7 +105,7 @@ export default function NoteInfo({ data, nid }) {
                           {
                             action: Action.EDIT,
                             element: ObjectType.NOTE,
-                            nid: nid,
+                            nid: data.id,
                             undo: { color: data.color },
                             redo: { color: c },
                             message: t("edit_note", {
@@ -115,7 +115,7 @@ export default function NoteInfo({ data, nid }) {
                           },
                         ]);
                         setRedoStack([]);
-                        updateNote(nid, { color: c });
+                        updateNote(data.id, { color: c });
                       }}
                     >
                       {data.color === c ? (
@@ -140,7 +140,7 @@ export default function NoteInfo({ data, nid }) {
           <Button
             icon={<IconDeleteStroked />}
             type="danger"
-            onClick={() => deleteNote(nid, true)}
+            onClick={() => deleteNote(data.id, true)}
           />
         </div>
       </div>
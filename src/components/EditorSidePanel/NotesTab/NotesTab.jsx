@@ -11,6 +11,9 @@ export default function NotesTab() {
   const { selectedElement, setSelectedElement } = useSelect();
   const { t } = useTranslation();
 
+  // Collapse keys are strings, while note ids can be numbers
+  const noteId = (key) => notes.find((n) => `${n.id}` === key)?.id;
+
   return (
     <>
       <div className="flex gap-2">
@@ -18,7 +21,7 @@ export default function NotesTab() {
           setActiveKey={(activeKey) =>
             setSelectedElement((prev) => ({
               ...prev,
-              id: parseInt(activeKey),
+              id: noteId(activeKey),
             }))
           }
         />
@@ -38,14 +41,14 @@ export default function NotesTab() {
           onChange={(activeKey) => {
             setSelectedElement((prev) => ({
               ...prev,
-              id: parseInt(activeKey),
+              id: noteId(activeKey),
               open: true,
             }));
           }}
           accordion
         >
-          {notes.map((n, i) => (
-            <NoteInfo data={n} key={i} nid={i} />
+          {notes.map((n) => (
+            <NoteInfo data={n} key={n.id} />
           ))}
         </Collapse>
       )}
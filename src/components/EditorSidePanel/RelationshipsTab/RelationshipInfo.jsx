@@ -37,6 +37,10 @@ export default function RelationshipInfo({ data }) {
   const { setUndoStack, setRedoStack } = useUndoRedo();
   const { tables, setRelationships, deleteRelationship } = useTables();
   const { t } = useTranslation();
+  const startTable = tables.find((t) => t.id === data.startTableId);
+  const endTable = tables.find((t) => t.id === data.endTableId);
+  const startField = startTable.fields.find((f) => f.id === data.startFieldId);
+  const endField = endTable.fields.find((f) => f.id === data.endFieldId);
 
   const swapKeys = () => {
     setUndoStack((prev) => [
@@ -65,13 +69,11 @@ export default function RelationshipInfo({ data }) {
     ]);
     setRedoStack([]);
     setRelationships((prev) =>
-      prev.map((e, idx) =>
-        idx === data.id
+      prev.map((e) =>
+        e.id === data.id
           ? {
               ...e,
-              name: `${tables[e.startTableId].name}_${
-                tables[e.startTableId].fields[e.startFieldId].name
-              }_fk`,
+              name: `${startTable.name}_${startField.name}_fk`,
               startTableId: e.endTableId,
               startFieldId: e.endFieldId,
               endTableId: e.startTableId,
@@ -99,9 +101,7 @@ export default function RelationshipInfo({ data }) {
     ]);
     setRedoStack([]);
     setRelationships((prev) =>
-      prev.map((e, idx) =>
-        idx === data.id ? { ...e, cardinality: value } : e,
-      ),
+      prev.map((e) => (e.id === data.id ? { ...e, cardinality: value } : e)),
     );
   };
 
@@ -134,7 +134,7 @@ export default function RelationshipInfo({ data }) {
     ]);
     setRedoStack([]);
     setRelationships((prev) =>
-      prev.map((e, idx) => (idx === data.id ? { ...e, [undoKey]: value } : e)),
+      prev.map((e) => (e.id === data.id ? { ...e, [undoKey]: value } : e)),
     );
   };
 
@@ -151,11 +151,11 @@ export default function RelationshipInfo({ data }) {
         <div className="flex justify-between items-center mb-3">
           <div className="me-3">
             <span className="font-semibold">{t("primary")}: </span>
-            {tables[data.endTableId].name}
+            {endTable.name}
           </div>
           <div className="mx-1">
             <span className="font-semibold">{t("foreign")}: </span>
-            {tables[data.startTableId].name}
+            {startTable.name}
           </div>
           <div className="ms-1">
             <Popover
@@ -166,13 +166,8 @@ export default function RelationshipInfo({ data }) {
                     dataSource={[
                       {
                         key: "1",
-                        foreign: `${tables[data.startTableId].name}(${
-                          tables[data.startTableId].fields[data.startFieldId]
-                            .name
-                        })`,
-                        primary: `${tables[data.endTableId].name}(${
-                          tables[data.endTableId].fields[data.endFieldId].name
-                        })`,
+                        foreign: `${startTable.name}(${startField.name})`,
+                        primary: `${endTable.name}(${endField.name})`,
                       },
                     ]}
                     pagination={false}
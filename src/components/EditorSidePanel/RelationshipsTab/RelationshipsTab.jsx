@@ -27,7 +27,7 @@ export default function RelationshipsTab() {
           setSelectedElement((prev) => ({
             ...prev,
             open: true,
-            id: parseInt(k),
+            id: k,
             element: ObjectType.RELATIONSHIP,
           }))
         }
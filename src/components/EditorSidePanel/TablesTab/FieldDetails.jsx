@@ -7,15 +7,22 @@ import {
   InputNumber,
   Checkbox,
 } from "@douyinfe/semi-ui";
-import { Action, ObjectType } from "../../../data/constants";
+import { Action, DB, ObjectType } from "../../../data/constants";
 import { IconDeleteStroked } from "@douyinfe/semi-icons";
-import { hasCheck, hasPrecision, isSized } from "../../../utils/toSQL";
-import { useTables, useUndoRedo } from "../../../hooks";
+import {
+  canIncrement,
+  hasCheck,
+  hasPrecision,
+  isSized,
+} from "../../../utils/toSQL";
+import { useDiagram, useTables, useUndoRedo } from "../../../hooks";
 import { useTranslation } from "react-i18next";
 
-export default function FieldDetails({ data, tid, index }) {
+export default function FieldDetails({ data, tid }) {
   const { t } = useTranslation();
   const { tables } = useTables();
+  const table = tables.find((t) => t.id === tid);
+  const { database } = useDiagram();
   const { setUndoStack, setRedoStack } = useUndoRedo();
   const { updateField, deleteField } = useTables();
   const [editField, setEditField] = useState({});
@@ -34,7 +41,7 @@ export default function FieldDetails({ data, tid, index }) {
           data.type === "UUID" ||
           data.increment
         }
-        onChange={(value) => updateField(tid, index, { default: value })}
+        onChange={(value) => updateField(tid, data.id, { default: value })}
         onFocus={(e) => setEditField({ default: e.target.value })}
         onBlur={(e) => {
           if (e.target.value === editField.default) return;
@@ -45,11 +52,11 @@ export default function FieldDetails({ data, tid, index }) {
               element: ObjectType.TABLE,
               component: "field",
               tid: tid,
-              fid: index,
+              fid: data.id,
               undo: editField,
               redo: { default: e.target.value },
               message: t("edit_table", {
-                tableName: tables[tid].name,
+                tableName: table.name,
                 extra: "[field]",
               }),
             },
@@ -71,7 +78,7 @@ export default function FieldDetails({ data, tid, index }) {
             addOnBlur
             className="my-2"
             placeholder={t("use_for_batch_input")}
-            onChange={(v) => updateField(tid, index, { values: v })}
+            onChange={(v) => updateField(tid, data.id, { values: v })}
             onFocus={() => setEditField({ values: data.values })}
             onBlur={() => {
               if (
@@ -85,11 +92,11 @@ export default function FieldDetails({ data, tid, index }) {
                   element: ObjectType.TABLE,
                   component: "field",
                   tid: tid,
-                  fid: index,
+                  fid: data.id,
                   undo: editField,
                   redo: { values: data.values },
                   message: t("edit_table", {
-                    tableName: tables[tid].name,
+                    tableName: table.name,
                     extra: "[field]",
                   }),
                 },
@@ -106,7 +113,7 @@ export default function FieldDetails({ data, tid, index }) {
             className="my-2 w-full"
             placeholder="Set length"
             value={data.size}
-            onChange={(value) => updateField(tid, index, { size: value })}
+            onChange={(value) => updateField(tid, data.id, { size: value })}
             onFocus={(e) => setEditField({ size: e.target.value })}
             onBlur={(e) => {
               if (e.target.value === editField.size) return;
@@ -117,11 +124,11 @@ export default function FieldDetails({ data, tid, index }) {
                   element: ObjectType.TABLE,
                   component: "field",
                   tid: tid,
-                  fid: index,
+                  fid: data.id,
                   undo: editField,
                   redo: { size: e.target.value },
                   message: t("edit_table", {
-                    tableName: tables[tid].name,
+                    tableName: table.name,
                     extra: "[field]",
                   }),
                 },
@@ -143,7 +150,7 @@ export default function FieldDetails({ data, tid, index }) {
                 : "error"
             }
             value={data.size}
-            onChange={(value) => updateField(tid, index, { size: value })}
+            onChange={(value) => updateField(tid, data.id, { size: value })}
             onFocus={(e) => setEditField({ size: e.target.value })}
             onBlur={(e) => {
               if (e.target.value === editField.size) return;
@@ -154,11 +161,11 @@ export default function FieldDetails({ data, tid, index }) {
                   element: ObjectType.TABLE,
                   component: "field",
                   tid: tid,
-                  fid: index,
+                  fid: data.id,
                   undo: editField,
                   redo: { size: e.target.value },
                   message: t("edit_table", {
-                    tableName: tables[tid].name,
+                    tableName: table.name,
                     extra: "[field]",
                   }),
                 },
@@ -176,7 +183,7 @@ export default function FieldDetails({ data, tid, index }) {
             placeholder={t("check")}
             value={data.check}
             disabled={data.increment}
-            onChange={(value) => updateField(tid, index, { check: value })}
+            onChange={(value) => updateField(tid, data.id, { check: value })}
             onFocus={(e) => setEditField({ check: e.target.value })}
             onBlur={(e) => {
               if (e.target.value === editField.check) return;
@@ -187,11 +194,11 @@ export default function FieldDetails({ data, tid, index }) {
                   element: ObjectType.TABLE,
                   component: "field",
                   tid: tid,
-                  fid: index,
+                  fid: data.id,
                   undo: editField,
                   redo: { check: e.target.value },
                   message: t("edit_table", {
-                    tableName: tables[tid].name,
+                    tableName: table.name,
                     extra: "[field]",
                   }),
                 },
@@ -215,7 +222,7 @@ export default function FieldDetails({ data, tid, index }) {
                 element: ObjectType.TABLE,
                 component: "field",
                 tid: tid,
-                fid: index,
+                fid: data.id,
                 undo: {
                   [checkedValues.target.value]: !checkedValues.target.checked,
                 },
@@ -225,7 +232,7 @@ export default function FieldDetails({ data, tid, index }) {
               },
             ]);
             setRedoStack([]);
-            updateField(tid, index, {
+            updateField(tid, data.id, {
               [checkedValues.target.value]: checkedValues.target.checked,
             });
           }}
@@ -236,13 +243,7 @@ export default function FieldDetails({ data, tid, index }) {
         <Checkbox
           value="increment"
           checked={data.increment}
-          disabled={
-            !(
-              data.type === "INT" ||
-              data.type === "BIGINT" ||
-              data.type === "SMALLINT"
-            )
-          }
+          disabled={!canIncrement(data.type)}
           onChange={(checkedValues) => {
             setUndoStack((prev) => [
               ...prev,
@@ -251,7 +252,7 @@ export default function FieldDetails({ data, tid, index }) {
                 element: ObjectType.TABLE,
                 component: "field",
                 tid: tid,
-                fid: index,
+                fid: data.id,
                 undo: {
                   [checkedValues.target.value]: !checkedValues.target.checked,
                 },
@@ -259,19 +260,50 @@ export default function FieldDetails({ data, tid, index }) {
                   [checkedValues.target.value]: checkedValues.target.checked,
                 },
                 message: t("edit_table", {
-                  tableName: tables[tid].name,
+                  tableName: table.name,
                   extra: "[field]",
                 }),
               },
             ]);
             setRedoStack([]);
-            updateField(tid, index, {
+            updateField(tid, data.id, {
               increment: !data.increment,
               check: data.increment ? data.check : "",
             });
           }}
         />
       </div>
+      {database === DB.POSTGRES && (
+        <div className="flex justify-between items-center my-3">
+          <div className="font-medium">{t("array")}</div>
+          <Checkbox
+            checked={data.type.endsWith("[]")}
+            onChange={(e) => {
+              const type = e.target.checked
+                ? `${data.type}[]`
+                : data.type.slice(0, -2);
+              setUndoStack((prev) => [
+                ...prev,
+                {
+                  action: Action.EDIT,
+                  element: ObjectType.TABLE,
+                  component: "field",
+                  tid: tid,
+                  fid: data.id,
+                  undo: { type: data.type },
+                  redo: { type: type },
+                  message: t("edit_table", {
+                    tableName: table.name,
+                    extra: "[field]",
+                  }),
+                },
+              ]);
+              setRedoStack([]);
+              updateField(tid, data.id, { type: type });
+            }}
+          />
+        </div>
+      )}
       <div className="font-semibold">{t("comment")}</div>
       <TextArea
         className="my-2"
@@ -279,7 +311,7 @@ export default function FieldDetails({ data, tid, index }) {
         value={data.comment}
         autosize
         rows={2}
-        onChange={(value) => updateField(tid, index, { comment: value })}
+        onChange={(value) => updateField(tid, data.id, { comment: value })}
         onFocus={(e) => setEditField({ comment: e.target.value })}
         onBlur={(e) => {
           if (e.target.value === editField.comment) return;
@@ -290,11 +322,11 @@ export default function FieldDetails({ data, tid, index }) {
               element: ObjectType.TABLE,
               component: "field",
               tid: tid,
-              fid: index,
+              fid: data.id,
               undo: editField,
               redo: { comment: e.target.value },
               message: t("edit_table", {
-                tableName: tables[tid].name,
+                tableName: table.name,
                 extra: "[field]",
               }),
             },
@@ -7,6 +7,7 @@ import { useTranslation } from "react-i18next";
 export default function IndexDetails({ data, fields, iid, tid }) {
   const { t } = useTranslation();
   const { tables, updateTable } = useTables();
+  const table = tables.find((t) => t.id === tid);
   const { setUndoStack, setRedoStack } = useUndoRedo();
 
   return (
@@ -36,14 +37,14 @@ export default function IndexDetails({ data, fields, iid, tid }) {
                 name: `${value.join("_")}_index`,
               },
               message: t("edit_table", {
-                tableName: tables[tid].name,
+                tableName: table.name,
                 extra: "[index field]",
               }),
             },
           ]);
           setRedoStack([]);
           updateTable(tid, {
-            indices: tables[tid].indices.map((index) =>
+            indices: table.indices.map((index) =>
               index.id === iid
                 ? {
                     ...index,
@@ -83,14 +84,14 @@ export default function IndexDetails({ data, fields, iid, tid }) {
                           checkedValues.target.checked,
                       },
                       message: t("edit_table", {
-                        tableName: tables[tid].name,
+                        tableName: table.name,
                         extra: "[index field]",
                       }),
                     },
                   ]);
                   setRedoStack([]);
                   updateTable(tid, {
-                    indices: tables[tid].indices.map((index) =>
+                    indices: table.indices.map((index) =>
                       index.id === iid
                         ? {
                             ...index,
@@ -116,20 +117,16 @@ export default function IndexDetails({ data, fields, iid, tid }) {
                     component: "index_delete",
                     tid: tid,
                     data: data,
+                    index: table.indices.findIndex((e) => e.id === iid),
                     message: t("edit_table", {
-                      tableName: tables[tid].name,
+                      tableName: table.name,
                       extra: "[delete index]",
                     }),
                   },
                 ]);
                 setRedoStack([]);
                 updateTable(tid, {
-                  indices: tables[tid].indices
-                    .filter((e) => e.id !== iid)
-                    .map((e, j) => ({
-                      ...e,
-                      id: j,
-                    })),
+                  indices: table.indices.filter((e) => e.id !== iid),
                 });
               }}
             >
@@ -1,16 +1,25 @@
-import { Action, ObjectType, sqlDataTypes } from "../../../data/constants";
+import { Action, ObjectType } from "../../../data/constants";
+import { dbToTypes } from "../../../data/datatypes";
 import { Row, Col, Input, Button, Popover, Select } from "@douyinfe/semi-ui";
 import { IconMore, IconKeyStroked } from "@douyinfe/semi-icons";
-import { getSize, hasCheck, hasPrecision, isSized } from "../../../utils/toSQL";
-import { useTables, useTypes, useUndoRedo } from "../../../hooks";
+import {
+  canIncrement,
+  getSize,
+  hasCheck,
+  hasPrecision,
+  isSized,
+} from "../../../utils/toSQL";
+import { useDiagram, useTables, useTypes, useUndoRedo } from "../../../hooks";
 import { useState } from "react";
 import FieldDetails from "./FieldDetails";
 import { useTranslation } from "react-i18next";
 
-export default function TableField({ data, tid, index }) {
+export default function TableField({ data, tid }) {
   const { updateField } = useTables();
   const { types } = useTypes();
   const { tables } = useTables();
+  const table = tables.find((t) => t.id === tid);
+  const { database } = useDiagram();
   const { t } = useTranslation();
   const { setUndoStack, setRedoStack } = useUndoRedo();
   const [editField, setEditField] = useState({});
@@ -22,7 +31,7 @@ export default function TableField({ data, tid, index }) {
           value={data.name}
           validateStatus={data.name === "" ? "error" : "default"}
           placeholder="Name"
-          onChange={(value) => updateField(tid, index, { name: value })}
+          onChange={(value) => updateField(tid, data.id, { name: value })}
           onFocus={(e) => setEditField({ name: e.target.value })}
           onBlur={(e) => {
             if (e.target.value === editField.name) return;
@@ -33,11 +42,11 @@ export default function TableField({ data, tid, index }) {
                 element: ObjectType.TABLE,
                 component: "field",
                 tid: tid,
-                fid: index,
+                fid: data.id,
                 undo: editField,
                 redo: { name: e.target.value },
                 message: t("edit_table", {
-                  tableName: tables[tid].name,
+                  tableName: table.name,
                   extra: "[field]",
                 }),
               },
@@ -50,7 +59,7 @@ export default function TableField({ data, tid, index }) {
         <Select
           className="w-full"
           optionList={[
-            ...sqlDataTypes.map((value) => ({
+            ...dbToTypes[database].map((value) => ({
               label: value,
               value: value,
             })),
@@ -72,28 +81,26 @@ export default function TableField({ data, tid, index }) {
                 element: ObjectType.TABLE,
                 component: "field",
                 tid: tid,
-                fid: index,
+                fid: data.id,
                 undo: { type: data.type },
                 redo: { type: value },
                 message: t("edit_table", {
-                  tableName: tables[tid].name,
+                  tableName: table.name,
                   extra: "[field]",
                 }),
               },
             ]);
             setRedoStack([]);
-            const incr =
-              data.increment &&
-              (value === "INT" || value === "BIGINT" || value === "SMALLINT");
+            const incr = data.increment && canIncrement(value);
             if (value === "ENUM" || value === "SET") {
-              updateField(tid, index, {
+              updateField(tid, data.id, {
                 type: value,
                 default: "",
                 values: data.values ? [...data.values] : [],
                 increment: incr,
               });
             } else if (isSized(value) || hasPrecision(value)) {
-              updateField(tid, index, {
+              updateField(tid, data.id, {
                 type: value,
                 size: getSize(value),
                 increment: incr,
@@ -105,7 +112,7 @@ export default function TableField({ data, tid, index }) {
               value === "TEXT" ||
               incr
             ) {
-              updateField(tid, index, {
+              updateField(tid, data.id, {
                 type: value,
                 increment: incr,
                 default: "",
@@ -113,13 +120,13 @@ export default function TableField({ data, tid, index }) {
                 values: [],
               });
             } else if (hasCheck(value)) {
-              updateField(tid, index, {
+              updateField(tid, data.id, {
                 type: value,
                 check: "",
                 increment: incr,
               });
             } else {
-              updateField(tid, index, {
+              updateField(tid, data.id, {
                 type: value,
                 increment: incr,
                 size: "",
@@ -142,17 +149,17 @@ export default function TableField({ data, tid, index }) {
                 element: ObjectType.TABLE,
                 component: "field",
                 tid: tid,
-                fid: index,
+                fid: data.id,
                 undo: { notNull: data.notNull },
                 redo: { notNull: !data.notNull },
                 message: t("edit_table", {
-                  tableName: tables[tid].name,
+                  tableName: table.name,
                   extra: "[field]",
                 }),
               },
             ]);
             setRedoStack([]);
-            updateField(tid, index, { notNull: !data.notNull });
+            updateField(tid, data.id, { notNull: !data.notNull });
           }}
         >
           ?
@@ -171,17 +178,17 @@ export default function TableField({ data, tid, index }) {
                 element: ObjectType.TABLE,
                 component: "field",
                 tid: tid,
-                fid: index,
+                fid: data.id,
                 undo: { primary: data.primary },
                 redo: { primary: !data.primary },
                 message: t("edit_table", {
-                  tableName: tables[tid].name,
+                  tableName: table.name,
                   extra: "[field]",
                 }),
               },
             ]);
             setRedoStack([]);
-            updateField(tid, index, { primary: !data.primary });
+            updateField(tid, data.id, { primary: !data.primary });
           }}
           icon={<IconKeyStroked />}
         />
@@ -190,7 +197,7 @@ export default function TableField({ data, tid, index }) {
         <Popover
           content={
             <div className="px-1 w-[240px] popover-theme">
-              <FieldDetails data={data} index={index} tid={tid} />
+              <FieldDetails data={data} tid={tid} />
             </div>
           }
           trigger="click"
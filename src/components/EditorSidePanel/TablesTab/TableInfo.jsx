@@ -14,12 +14,12 @@ import ColorPalette from "../../ColorPicker";
 import TableField from "./TableField";
 import IndexDetails from "./IndexDetails";
 import { useTranslation } from "react-i18next";
+import { generateId } from "../../../utils/ids";
 
 export default function TableInfo({ data }) {
   const { t } = useTranslation();
   const [indexActiveKey, setIndexActiveKey] = useState("");
-  const { deleteTable, updateTable, updateField, setRelationships } =
-    useTables();
+  const { deleteTable, updateTable } = useTables();
   const { setUndoStack, setRedoStack } = useUndoRedo();
   const [editField, setEditField] = useState({});
   const [drag, setDrag] = useState({
@@ -61,7 +61,7 @@ export default function TableInfo({ data }) {
       </div>
       {data.fields.map((f, j) => (
         <div
-          key={"field_" + j}
+          key={f.id}
           className={`cursor-pointer ${drag.draggingOverIndexList.includes(j) ? "opacity-25" : ""}`}
           draggable
           onDragStart={() => {
@@ -102,40 +102,17 @@ export default function TableInfo({ data }) {
               return;
             }
 
-            const a = data.fields[index];
-            const b = data.fields[j];
-
-            updateField(data.id, index, { ...b, id: index });
-            updateField(data.id, j, { ...a, id: j });
-
-            setRelationships((prev) =>
-              prev.map((e) => {
-                if (e.startTableId === data.id) {
-                  if (e.startFieldId === index) {
-                    return { ...e, startFieldId: j };
-                  }
-                  if (e.startFieldId === j) {
-                    return { ...e, startFieldId: index };
-                  }
-                }
-                if (e.endTableId === data.id) {
-                  if (e.endFieldId === index) {
-                    return { ...e, endFieldId: j };
-                  }
-                  if (e.endFieldId === j) {
-                    return { ...e, endFieldId: index };
-                  }
-                }
-                return e;
-              }),
-            );
+            const fields = data.fields.slice();
+            fields[index] = data.fields[j];
+            fields[j] = data.fields[index];
+            updateTable(data.id, { fields: fields });
           }}
           onDragEnd={(e) => {
             e.preventDefault();
             setDrag({ draggingElementIndex: null, draggingOverIndexList: [] });
           }}
         >
-          <TableField data={f} tid={data.id} index={j} />
+          <TableField data={f} tid={data.id} />
         </div>
       ))}
       {data.indices.length > 0 && (
@@ -152,11 +129,11 @@ export default function TableInfo({ data }) {
             accordion
           >
             <Collapse.Panel header={t("indices")} itemKey="1">
-              {data.indices.map((idx, k) => (
+              {data.indices.map((idx) => (
                 <IndexDetails
-                  key={"index_" + k}
+                  key={idx.id}
                   data={idx}
-                  iid={k}
+                  iid={idx.id}
                   tid={data.id}
                   fields={data.fields.map((e) => ({
                     value: e.name,
@@ -270,6 +247,12 @@ export default function TableInfo({ data }) {
           <Button
             block
             onClick={() => {
+              const index = {
+                id: generateId(),
+                name: `index_${data.indices.length}`,
+                unique: false,
+                fields: [],
+              };
               setIndexActiveKey("1");
               setUndoStack((prev) => [
                 ...prev,
@@ -278,6 +261,7 @@ export default function TableInfo({ data }) {
                   element: ObjectType.TABLE,
                   component: "index_add",
                   tid: data.id,
+                  data: index,
                   message: t("edit_table", {
                     tableName: data.name,
                     extra: "[add index]",
@@ -285,23 +269,25 @@ export default function TableInfo({ data }) {
                 },
               ]);
               setRedoStack([]);
-              updateTable(data.id, {
-                indices: [
-                  ...data.indices,
-                  {
-                    id: data.indices.length,
-                    name: `index_${data.indices.length}`,
-                    unique: false,
-                    fields: [],
-                  },
-                ],
-              });
+              updateTable(data.id, { indices: [...data.indices, index] });
             }}
           >
             {t("add_index")}
           </Button>
           <Button
             onClick={() => {
+              const field = {
+                name: "",
+                type: "",
+                default: "",
+                check: "",
+                primary: false,
+                unique: false,
+                notNull: false,
+                increment: false,
+                comment: "",
+                id: generateId(),
+              };
               setUndoStack((prev) => [
                 ...prev,
                 {
@@ -309,6 +295,7 @@ export default function TableInfo({ data }) {
                   element: ObjectType.TABLE,
                   component: "field_add",
                   tid: data.id,
+                  data: field,
                   message: t("edit_table", {
                     tableName: data.name,
                     extra: "[add field]",
@@ -316,23 +303,7 @@ export default function TableInfo({ data }) {
                 },
               ]);
               setRedoStack([]);
-              updateTable(data.id, {
-                fields: [
-                  ...data.fields,
-                  {
-                    name: "",
-                    type: "",
-                    default: "",
-                    check: "",
-                    primary: false,
-                    unique: false,
-                    notNull: false,
-                    increment: false,
-                    comment: "",
-                    id: data.fields.length,
-                  },
-                ],
-              });
+              updateTable(data.id, { fields: [...data.fields, field] });
             }}
             block
           >
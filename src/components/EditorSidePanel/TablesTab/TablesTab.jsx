@@ -37,7 +37,7 @@ export default function TablesTab() {
             setSelectedElement((prev) => ({
               ...prev,
               open: true,
-              id: parseInt(k),
+              id: k,
               element: ObjectType.TABLE,
             }))
           }
@@ -0,0 +1,175 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  useAreas,
+  useNotes,
+  useSettings,
+  useTables,
+  useTransform,
+} from "../hooks";
+import { defaultBlue, defaultNoteTheme, ObjectType } from "../data/constants";
+import { getElementBounds, listElements } from "../utils/selection";
+
+const width = 200;
+const height = 140;
+const padding = 40;
+
+export default function Minimap() {
+  const { tables } = useTables();
+  const { areas } = useAreas();
+  const { notes } = useNotes();
+  const { settings } = useSettings();
+  const { transform, setTransform } = useTransform();
+  const [canvasSize, setCanvasSize] = useState({ width: 0, height: 0 });
+  const [dragging, setDragging] = useState(null);
+  const svgRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = document.getElementById("canvas");
+    if (!canvas) return;
+
+    const observer = new ResizeObserver(() =>
+      setCanvasSize({ width: canvas.clientWidth, height: canvas.clientHeight }),
+    );
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, []);
+
+  const diagram = { tables, areas, notes };
+  // Areas first so that tables and notes are drawn on top of them
+  const boxes = listElements(diagram)
+    .sort(
+      (a, b) =>
+        (b.element === ObjectType.AREA) - (a.element === ObjectType.AREA),
+    )
+    .map((e) => ({
+      ...e,
+      ...getElementBounds(e, diagram, settings.tableWidth),
+    }));
+
+  const getStyle = (box, scale) => {
+    switch (box.element) {
+      case ObjectType.TABLE: {
+        const table = tables.find((t) => t.id === box.id);
+        return {
+          rx: 8 * scale,
+          fill: table.color ?? defaultBlue,
+          fillOpacity: 0.8,
+        };
+      }
+      case ObjectType.AREA:
+        return {
+          fill: areas.find((a) => a.id === box.id).color,
+          fillOpacity: 0.2,
+        };
+      default:
+        return {
+          fill: notes.find((n) => n.id === box.id).color ?? defaultNoteTheme,
+        };
+    }
+  };
+
+  const viewport = {
+    x: -transform.pan.x / transform.zoom,
+    y: -transform.pan.y / transform.zoom,
+    width: canvasSize.width / transform.zoom,
+    height: canvasSize.height / transform.zoom,
+  };
+
+  // The viewport is part of the bounds so it never leaves the minimap. They
+  // stay put while dragging, otherwise the map would shift under the pointer.
+  const getBounds = () => {
+    const all = [...boxes, viewport];
+    const left = Math.min(...all.map((b) => b.x)) - padding;
+    const top = Math.min(...all.map((b) => b.y)) - padding;
+    const right = Math.max(...all.map((b) => b.x + b.width)) + padding;
+    const bottom = Math.max(...all.map((b) => b.y + b.height)) + padding;
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  };
+  const bounds = dragging?.bounds ?? getBounds();
+
+  const toDiagramCoords = (e) => {
+    const point = svgRef.current.createSVGPoint();
+    point.x = e.clientX;
+    point.y = e.clientY;
+    return point.matrixTransform(svgRef.current.getScreenCTM().inverse());
+  };
+
+  const moveViewport = (x, y) =>
+    setTransform((prev) => ({
+      ...prev,
+      pan: { x: -x * prev.zoom, y: -y * prev.zoom },
+    }));
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+
+    const point = toDiagramCoords(e);
+    const inside =
+      point.x >= viewport.x &&
+      point.x <= viewport.x + viewport.width &&
+      point.y >= viewport.y &&
+      point.y <= viewport.y + viewport.height;
+
+    // Clicking outside the viewport centers it on the point first
+    const offset = inside
+      ? { x: point.x - viewport.x, y: point.y - viewport.y }
+      : { x: viewport.width / 2, y: viewport.height / 2 };
+    if (!inside) moveViewport(point.x - offset.x, point.y - offset.y);
+
+    setDragging({ offset, bounds });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragging) return;
+
+    const point = toDiagramCoords(e);
+    moveViewport(point.x - dragging.offset.x, point.y - dragging.offset.y);
+  };
+
+  const handlePointerUp = (e) => {
+    if (!dragging) return;
+
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    setDragging(null);
+  };
+
+  // Diagram units per minimap pixel, to keep strokes and corners constant
+  const scale = Math.max(bounds.width / width, bounds.height / height);
+
+  return (
+    <div className="popover-theme rounded-lg overflow-hidden p-1">
+      <svg
+        ref={svgRef}
+        width={width}
+        height={height}
+        viewBox={`${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`}
+        className={dragging ? "cursor-grabbing" : "cursor-pointer"}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+      >
+        {boxes.map((b) => (
+          <rect
+            key={`${b.element}_${b.id}`}
+            x={b.x}
+            y={b.y}
+            width={b.width}
+            height={b.height}
+            {...getStyle(b, scale)}
+          />
+        ))}
+        <rect
+          x={viewport.x}
+          y={viewport.y}
+          width={viewport.width}
+          height={viewport.height}
+          fill="rgb(59, 130, 246)"
+          fillOpacity={0.1}
+          stroke="rgb(59, 130, 246)"
+          strokeWidth={2 * scale}
+        />
+      </svg>
+    </div>
+  );
+}
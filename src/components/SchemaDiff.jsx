@@ -0,0 +1,66 @@
+// A renamed element is shown under both names
+const label = (change) =>
+  change.from.name === change.to.name
+    ? change.from.name
+    : `${change.from.name} → ${change.to.name}`;
+
+const changes = (change) => {
+  const props = change.changes.filter((c) => c !== "name");
+  return props.length > 0 ? ` (${props.join(", ")})` : "";
+};
+
+export default function SchemaDiff({ diff }) {
+  const { tables, relationships } = diff;
+
+  return (
+    <div className="text-sm font-mono">
+      {tables.added.map((e) => (
+        <div key={`+${e.id}`} className="text-green-500">
+          + {e.name}
+        </div>
+      ))}
+      {tables.removed.map((e) => (
+        <div key={`-${e.id}`} className="text-red-500">
+          - {e.name}
+        </div>
+      ))}
+      {tables.changed.map((e) => (
+        <div key={`~${e.from.id}`}>
+          <div className="text-yellow-500">~ {label(e)}</div>
+          {e.fields.added.map((f) => (
+            <div key={`+${f.id}`} className="ms-4 text-green-500">
+              + {f.name}
+            </div>
+          ))}
+          {e.fields.removed.map((f) => (
+            <div key={`-${f.id}`} className="ms-4 text-red-500">
+              - {f.name}
+            </div>
+          ))}
+          {e.fields.changed.map((f) => (
+            <div key={`~${f.from.id}`} className="ms-4 text-yellow-500">
+              ~ {label(f)}
+              {changes(f)}
+            </div>
+          ))}
+        </div>
+      ))}
+      {relationships.added.map((e) => (
+        <div key={`+${e.id}`} className="text-green-500">
+          + {e.name}
+        </div>
+      ))}
+      {relationships.removed.map((e) => (
+        <div key={`-${e.id}`} className="text-red-500">
+          - {e.name}
+        </div>
+      ))}
+      {relationships.changed.map((e) => (
+        <div key={`~${e.from.id}`} className="text-yellow-500">
+          ~ {label(e)}
+          {changes(e)}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -117,6 +117,9 @@ function Relationship({ relationship, tables }) {
             x: tables[relationship.endTableId].x,
             y: tables[relationship.endTableId].y,
           },
+          // The landing page diagram still points at fields by position.
+          startFieldIndex: relationship.startFieldId,
+          endFieldIndex: relationship.endFieldId,
         })}
         stroke="gray"
         fill="none"
@@ -58,25 +58,37 @@ export default function Thumbnail({ diagram, i, zoom, theme }) {
             </div>
           </foreignObject>
         ))}
-        {diagram.relationships?.map((r, i) => (
-          <path
-            key={i}
-            d={calcPath({
-              ...r,
-              startTable: {
-                x: diagram.tables[r.startTableId].x,
-                y: diagram.tables[r.startTableId].y - tableFieldHeight / 2,
-              },
-              endTable: {
-                x: diagram.tables[r.endTableId].x,
-                y: diagram.tables[r.endTableId].y - tableFieldHeight / 2,
-              },
-            })}
-            fill="none"
-            strokeWidth={2}
-            stroke="gray"
-          />
-        ))}
+        {diagram.relationships?.map((r, i) => {
+          const startTable = diagram.tables.find(
+            (t) => t.id === r.startTableId,
+          );
+          const endTable = diagram.tables.find((t) => t.id === r.endTableId);
+          return (
+            <path
+              key={i}
+              d={calcPath({
+                ...r,
+                startTable: {
+                  x: startTable.x,
+                  y: startTable.y - tableFieldHeight / 2,
+                },
+                endTable: {
+                  x: endTable.x,
+                  y: endTable.y - tableFieldHeight / 2,
+                },
+                startFieldIndex: startTable.fields.findIndex(
+                  (f) => f.id === r.startFieldId,
+                ),
+                endFieldIndex: endTable.fields.findIndex(
+                  (f) => f.id === r.endFieldId,
+                ),
+              })}
+              fill="none"
+              strokeWidth={2}
+              stroke="gray"
+            />
+          );
+        })}
         {diagram.tables?.map((table, i) => {
           const height =
             table.fields.length * tableFieldHeight + tableHeaderHeight + 7;
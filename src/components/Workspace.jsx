@@ -2,7 +2,7 @@ import { useState, useEffect, useCallback } from "react";
 import ControlPanel from "./EditorHeader/ControlPanel";
 import Canvas from "./EditorCanvas/Canvas";
 import SidePanel from "./EditorSidePanel/SidePanel";
-import { State } from "../data/constants";
+import { DB, State } from "../data/constants";
 import { db } from "../data/db";
 import {
   useLayout,
@@ -11,12 +11,15 @@ import {
   useTables,
   useUndoRedo,
   useAreas,
+  useDiagram,
   useNotes,
   useTypes,
   useTasks,
   useSaveState,
 } from "../hooks";
 import FloatingControls from "./FloatingControls";
+import Minimap from "./Minimap";
+import { addVersion, snapshotIsDue } from "../utils/versions";
 
 export default function WorkSpace() {
   const [id, setId] = useState(0);
@@ -30,7 +33,9 @@ export default function WorkSpace() {
   const { areas, setAreas } = useAreas();
   const { tasks, setTasks } = useTasks();
   const { notes, setNotes } = useNotes();
-  const { saveState, setSaveState } = useSaveState();
+  const { saveState, setSaveState, versionName, setVersionName } =
+    useSaveState();
+  const { database, setDatabase } = useDiagram();
   const { transform, setTransform } = useTransform();
   const { tables, relationships, setTables, setRelationships } = useTables();
   const { undoStack, redoStack, setUndoStack, setRedoStack } = useUndoRedo();
@@ -47,52 +52,52 @@ export default function WorkSpace() {
     const saveAsDiagram = window.name === "" || op === "d" || op === "lt";
 
     if (saveAsDiagram) {
+      const diagram = {
+        name: title,
+        lastModified: new Date(),
+        database: database,
+        tables: tables,
+        references: relationships,
+        types: types,
+        notes: notes,
+        areas: areas,
+        todos: tasks,
+        pan: transform.pan,
+        zoom: transform.zoom,
+        undoStack: undoStack,
+        redoStack: redoStack,
+      };
+      const saveVersion = async (diagramId) => {
+        if (versionName !== null || (await snapshotIsDue(diagramId))) {
+          await addVersion(diagramId, diagram, versionName ?? "");
+        }
+      };
+
       if (
         (id === 0 && window.name === "") ||
         window.name.split(" ")[0] === "lt"
       ) {
-        await db.diagrams
-          .add({
-            name: title,
-            lastModified: new Date(),
-            tables: tables,
-            references: relationships,
-            types: types,
-            notes: notes,
-            areas: areas,
-            todos: tasks,
-            pan: transform.pan,
-            zoom: transform.zoom,
-          })
-          .then((id) => {
-            setId(id);
-            window.name = `d ${id}`;
-            setSaveState(State.SAVED);
-            setLastSaved(new Date().toLocaleString());
-          });
+        await db.diagrams.add(diagram).then(async (id) => {
+          setId(id);
+          window.name = `d ${id}`;
+          await saveVersion(id);
+          setVersionName(null);
+          setSaveState(State.SAVED);
+          setLastSaved(new Date().toLocaleString());
+        });
       } else {
-        await db.diagrams
-          .update(id, {
-            name: title,
-            lastModified: new Date(),
-            tables: tables,
-            references: relationships,
-            types: types,
-            notes: notes,
-            areas: areas,
-            todos: tasks,
-            pan: transform.pan,
-            zoom: transform.zoom,
-          })
-          .then(() => {
-            setSaveState(State.SAVED);
-            setLastSaved(new Date().toLocaleString());
-          });
+        await db.diagrams.update(id, diagram).then(async () => {
+          await saveVersion(id);
+          setVersionName(null);
+          setSaveState(State.SAVED);
+          setLastSaved(new Date().toLocaleString());
+        });
       }
     } else {
       await db.templates
         .update(id, {
           title: title,
+          database: database,
           tables: tables,
           relationships: relationships,
           types: types,
@@ -120,7 +125,12 @@ export default function WorkSpace() {
     id,
     tasks,
     transform,
+    database,
+    versionName,
+    undoStack,
+    redoStack,
     setSaveState,
+    setVersionName,
   ]);
 
   const load = useCallback(async () => {
@@ -131,6 +141,7 @@ export default function WorkSpace() {
         .then((d) => {
           if (d) {
             setId(d.id);
+            setDatabase(d.database ?? DB.GENERIC);
             setTables(d.tables);
             setRelationships(d.references);
             setNotes(d.notes);
@@ -138,6 +149,8 @@ export default function WorkSpace() {
             setTypes(d.types);
             setTasks(d.todos ?? []);
             setTransform({ pan: d.pan, zoom: d.zoom });
+            setUndoStack(d.undoStack ?? []);
+            setRedoStack(d.redoStack ?? []);
             window.name = `d ${d.id}`;
           } else {
             window.name = "";
@@ -155,6 +168,7 @@ export default function WorkSpace() {
           if (diagram) {
             setId(diagram.id);
             setTitle(diagram.name);
+            setDatabase(diagram.database ?? DB.GENERIC);
             setTables(diagram.tables);
             setTypes(diagram.types);
             setRelationships(diagram.references);
@@ -165,8 +179,8 @@ export default function WorkSpace() {
               pan: diagram.pan,
               zoom: diagram.zoom,
             });
-            setUndoStack([]);
-            setRedoStack([]);
+            setUndoStack(diagram.undoStack ?? []);
+            setRedoStack(diagram.redoStack ?? []);
             window.name = `d ${diagram.id}`;
           } else {
             window.name = "";
@@ -177,13 +191,15 @@ export default function WorkSpace() {
         });
     };
 
-    const loadTemplate = async (id) => {
+    const loadTemplate = async (id, database) => {
+      if (database) setDatabase(database);
       await db.templates
         .get(id)
         .then((diagram) => {
           if (diagram) {
             setId(diagram.id);
             setTitle(diagram.title);
+            setDatabase(database ?? diagram.database ?? DB.GENERIC);
             setTables(diagram.tables);
             setTypes(diagram.types);
             setRelationships(diagram.relationships);
@@ -216,7 +232,7 @@ export default function WorkSpace() {
         }
         case "t":
         case "lt": {
-          loadTemplate(id);
+          loadTemplate(id, name[2]);
           break;
         }
         default:
@@ -233,6 +249,7 @@ export default function WorkSpace() {
     setNotes,
     setTypes,
     setTasks,
+    setDatabase,
   ]);
 
   useEffect(() => {
@@ -260,6 +277,7 @@ export default function WorkSpace() {
     tasks?.length,
     transform.zoom,
     title,
+    database,
     setSaveState,
   ]);
 
@@ -296,11 +314,12 @@ export default function WorkSpace() {
         )}
         <div className="relative w-full h-full overflow-hidden">
           <Canvas saveState={saveState} setSaveState={setSaveState} />
-          {!(layout.sidebar || layout.toolbar || layout.header) && (
-            <div className="fixed right-5 bottom-4">
+          <div className="absolute right-5 bottom-4 flex flex-col items-end gap-2">
+            {layout.minimap && <Minimap />}
+            {!(layout.sidebar || layout.toolbar || layout.header) && (
               <FloatingControls />
-            </div>
-          )}
+            )}
+          </div>
         </div>
       </div>
     </div>
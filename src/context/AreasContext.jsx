@@ -5,6 +5,7 @@ import useTransform from "../hooks/useTransform";
 import useSelect from "../hooks/useSelect";
 import { Toast } from "@douyinfe/semi-ui";
 import { useTranslation } from "react-i18next";
+import { generateId } from "../utils/ids";
 
 export const AreasContext = createContext(null);
 
@@ -16,32 +17,23 @@ export default function AreasContextProvider({ children }) {
   const { setUndoStack, setRedoStack } = useUndoRedo();
 
   const addArea = (data, addToHistory = true) => {
-    if (data) {
-      setAreas((prev) => {
-        const temp = prev.slice();
-        temp.splice(data.id, 0, data);
-        return temp.map((t, i) => ({ ...t, id: i }));
-      });
-    } else {
-      setAreas((prev) => [
-        ...prev,
-        {
-          id: prev.length,
-          name: `area_${prev.length}`,
-          x: -transform.pan.x,
-          y: -transform.pan.y,
-          width: 200,
-          height: 200,
-          color: defaultBlue,
-        },
-      ]);
-    }
+    const area = data ?? {
+      id: generateId(),
+      name: `area_${areas.length}`,
+      x: -transform.pan.x,
+      y: -transform.pan.y,
+      width: 200,
+      height: 200,
+      color: defaultBlue,
+    };
+    setAreas((prev) => [...prev, area]);
     if (addToHistory) {
       setUndoStack((prev) => [
         ...prev,
         {
           action: Action.ADD,
           element: ObjectType.AREA,
+          data: area,
           message: t("add_area"),
         },
       ]);
@@ -51,21 +43,20 @@ export default function AreasContextProvider({ children }) {
 
   const deleteArea = (id, addToHistory = true) => {
     if (addToHistory) {
+      const area = areas.find((a) => a.id === id);
       Toast.success(t("area_deleted"));
       setUndoStack((prev) => [
         ...prev,
         {
           action: Action.DELETE,
           element: ObjectType.AREA,
-          data: areas[id],
-          message: t("delete_area", areas[id].name),
+          data: area,
+          message: t("delete_area", area.name),
         },
       ]);
       setRedoStack([]);
     }
-    setAreas((prev) =>
-      prev.filter((e) => e.id !== id).map((e, i) => ({ ...e, id: i })),
-    );
+    setAreas((prev) => prev.filter((e) => e.id !== id));
     if (id === selectedElement.id) {
       setSelectedElement((prev) => ({
         ...prev,
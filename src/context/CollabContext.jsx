@@ -0,0 +1,242 @@
+import { createContext, useEffect, useRef, useState } from "react";
+import { Toast } from "@douyinfe/semi-ui";
+import { useTranslation } from "react-i18next";
+import { CollabState } from "../data/constants";
+import {
+  applyOps,
+  collections,
+  diffCollection,
+  isNewer,
+  presenceColors,
+} from "../utils/collab";
+import useTables from "../hooks/useTables";
+import useNotes from "../hooks/useNotes";
+import useAreas from "../hooks/useAreas";
+import useTypes from "../hooks/useTypes";
+import useTasks from "../hooks/useTasks";
+import useSelect from "../hooks/useSelect";
+import useUndoRedo from "../hooks/useUndoRedo";
+import { withIds } from "../utils/ids";
+
+export const CollabContext = createContext(null);
+
+// Cursor positions are sent at most this often, in milliseconds.
+const cursorInterval = 50;
+
+export default function CollabContextProvider({ children }) {
+  const { t } = useTranslation();
+  const { tables, relationships, setTables, setRelationships } = useTables();
+  const { notes, setNotes } = useNotes();
+  const { areas, setAreas } = useAreas();
+  const { types, setTypes } = useTypes();
+  const { tasks, setTasks } = useTasks();
+  const { selectedElement } = useSelect();
+  const { setUndoStack, setRedoStack } = useUndoRedo();
+  const [status, setStatus] = useState(CollabState.OFF);
+  const [room, setRoom] = useState("");
+  const [peers, setPeers] = useState({});
+  const socket = useRef(null);
+  const presence = useRef({ cursor: null, selection: null, sentAt: 0 });
+  // What the other peers are known to have, and the stamp of the last write
+  // to every entity.
+  const sync = useRef({ client: "", clock: 0, stamps: new Map(), shadow: {} });
+
+  const setters = {
+    tables: setTables,
+    relationships: setRelationships,
+    notes: setNotes,
+    areas: setAreas,
+    types: setTypes,
+    tasks: setTasks,
+  };
+
+  const send = (message) => {
+    if (socket.current?.readyState === WebSocket.OPEN) {
+      socket.current.send(JSON.stringify(message));
+    }
+  };
+
+  const applyRemote = (ops) => {
+    const s = sync.current;
+    const fresh = ops.filter((op) =>
+      isNewer(op, s.stamps.get(`${op.collection}:${op.key}`)),
+    );
+    fresh.forEach((op) => {
+      s.stamps.set(`${op.collection}:${op.key}`, {
+        clock: op.clock,
+        client: op.client,
+      });
+      s.clock = Math.max(s.clock, op.clock);
+    });
+    collections.forEach((c) => {
+      const changes = fresh.filter((op) => op.collection === c);
+      if (changes.length === 0) return;
+      s.shadow[c] = applyOps(s.shadow[c], changes);
+      setters[c]((prev) => applyOps(prev, changes));
+    });
+  };
+
+  const receive = (message) => {
+    const s = sync.current;
+    switch (message.type) {
+      case "welcome": {
+        s.client = message.client;
+        s.clock = 0;
+        s.stamps = new Map();
+        // An empty room is seeded with this diagram. Otherwise the diagram is
+        // replaced with the one being worked on in the room.
+        collections.forEach((c) => (s.shadow[c] = []));
+        if (message.ops.length > 0) {
+          collections.forEach((c) => setters[c]([]));
+          applyRemote(message.ops);
+          setUndoStack([]);
+          setRedoStack([]);
+        }
+        setPeers(Object.fromEntries(message.peers.map((p) => [p.client, p])));
+        setStatus(CollabState.CONNECTED);
+        return;
+      }
+      case "ops":
+        applyRemote(message.ops);
+        return;
+      case "presence":
+        setPeers((prev) => ({ ...prev, [message.client]: message }));
+        return;
+      case "leave":
+        setPeers((prev) => {
+          const next = { ...prev };
+          delete next[message.client];
+          return next;
+        });
+        return;
+      default:
+        return;
+    }
+  };
+
+  const connect = (url, roomName, name) => {
+    socket.current?.close();
+    const ws = new WebSocket(url);
+    socket.current = ws;
+    setRoom(roomName);
+    setStatus(CollabState.CONNECTING);
+    ws.onopen = () => {
+      const color =
+        presenceColors[Math.floor(Math.random() * presenceColors.length)];
+      ws.send(
+        JSON.stringify({
+          type: "join",
+          room: roomName,
+          user: { name: name, color: color },
+        }),
+      );
+    };
+    ws.onmessage = (e) => receive(JSON.parse(e.data));
+    ws.onclose = () => {
+      if (socket.current !== ws) return;
+      socket.current = null;
+      setStatus(CollabState.OFF);
+      setPeers({});
+      Toast.warning(t("collaboration_disconnected"));
+    };
+  };
+
+  const disconnect = () => {
+    const ws = socket.current;
+    socket.current = null;
+    ws?.close();
+    setStatus(CollabState.OFF);
+    setPeers({});
+  };
+
+  const updateCursor = (x, y) => {
+    if (status !== CollabState.CONNECTED) return;
+    presence.current.cursor = { x, y };
+    const now = Date.now();
+    if (now - presence.current.sentAt < cursorInterval) return;
+    presence.current.sentAt = now;
+    send({
+      type: "presence",
+      cursor: presence.current.cursor,
+      selection: presence.current.selection,
+    });
+  };
+
+  // Local changes are whatever differs from what the peers already have.
+  useEffect(() => {
+    if (status !== CollabState.CONNECTED) return;
+    const s = sync.current;
+    const state = { tables, relationships, notes, areas, types, tasks };
+    // Entities are synced by id, so whatever came in without one gets one
+    // first. Setting them runs this again.
+    if (
+      [notes, areas, types, tasks].some((l) =>
+        l.some((e) => e.id === undefined),
+      )
+    ) {
+      setNotes(withIds);
+      setAreas(withIds);
+      setTypes(withIds);
+      setTasks(withIds);
+      return;
+    }
+    const ops = [];
+    collections.forEach((c) => {
+      diffCollection(c, s.shadow[c], state[c]).forEach((op) => {
+        s.clock++;
+        s.stamps.set(`${c}:${op.key}`, { clock: s.clock, client: s.client });
+        ops.push({ ...op, clock: s.clock, client: s.client });
+      });
+      s.shadow[c] = state[c];
+    });
+    if (ops.length > 0 && socket.current?.readyState === WebSocket.OPEN) {
+      socket.current.send(JSON.stringify({ type: "ops", ops }));
+    }
+  }, [
+    status,
+    tables,
+    relationships,
+    notes,
+    areas,
+    types,
+    tasks,
+    setNotes,
+    setAreas,
+    setTypes,
+    setTasks,
+  ]);
+
+  useEffect(() => {
+    if (status !== CollabState.CONNECTED) return;
+    presence.current.selection = {
+      element: selectedElement.element,
+      id: selectedElement.id,
+    };
+    if (socket.current?.readyState === WebSocket.OPEN) {
+      socket.current.send(
+        JSON.stringify({
+          type: "presence",
+          cursor: presence.current.cursor,
+          selection: presence.current.selection,
+        }),
+      );
+    }
+  }, [status, selectedElement.element, selectedElement.id]);
+
+  useEffect(() => {
+    const ref = socket;
+    return () => {
+      const ws = ref.current;
+      ref.current = null;
+      ws?.close();
+    };
+  }, []);
+
+  return (
+    <CollabContext.Provider
+      value={{ status, room, peers, connect, disconnect, updateCursor }}
+    >
+      {children}
+    </CollabContext.Provider>
+  );
+}
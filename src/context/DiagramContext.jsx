@@ -0,0 +1,14 @@
+import { createContext, useState } from "react";
+import { DB } from "../data/constants";
+
+export const DiagramContext = createContext(null);
+
+export default function DiagramContextProvider({ children }) {
+  const [database, setDatabase] = useState(DB.GENERIC);
+
+  return (
+    <DiagramContext.Provider value={{ database, setDatabase }}>
+      {children}
+    </DiagramContext.Provider>
+  );
+}
@@ -5,6 +5,7 @@ import useUndoRedo from "../hooks/useUndoRedo";
 import useSelect from "../hooks/useSelect";
 import { Toast } from "@douyinfe/semi-ui";
 import { useTranslation } from "react-i18next";
+import { generateId } from "../utils/ids";
 
 export const NotesContext = createContext(null);
 
@@ -16,32 +17,23 @@ export default function NotesContextProvider({ children }) {
   const { selectedElement, setSelectedElement } = useSelect();
 
   const addNote = (data, addToHistory = true) => {
-    if (data) {
-      setNotes((prev) => {
-        const temp = prev.slice();
-        temp.splice(data.id, 0, data);
-        return temp.map((t, i) => ({ ...t, id: i }));
-      });
-    } else {
-      setNotes((prev) => [
-        ...prev,
-        {
-          id: prev.length,
-          x: -transform.pan.x,
-          y: -transform.pan.y,
-          title: `note_${prev.length}`,
-          content: "",
-          color: defaultNoteTheme,
-          height: 88,
-        },
-      ]);
-    }
+    const note = data ?? {
+      id: generateId(),
+      x: -transform.pan.x,
+      y: -transform.pan.y,
+      title: `note_${notes.length}`,
+      content: "",
+      color: defaultNoteTheme,
+      height: 88,
+    };
+    setNotes((prev) => [...prev, note]);
     if (addToHistory) {
       setUndoStack((prev) => [
         ...prev,
         {
           action: Action.ADD,
           element: ObjectType.NOTE,
+          data: note,
           message: t("add_note"),
         },
       ]);
@@ -51,21 +43,20 @@ export default function NotesContextProvider({ children }) {
 
   const deleteNote = (id, addToHistory = true) => {
     if (addToHistory) {
+      const note = notes.find((n) => n.id === id);
       Toast.success(t("note_deleted"));
       setUndoStack((prev) => [
         ...prev,
         {
           action: Action.DELETE,
           element: ObjectType.NOTE,
-          data: notes[id],
-          message: t("delete_note", { noteTitle: notes[id].title }),
+          data: note,
+          message: t("delete_note", { noteTitle: note.title }),
         },
       ]);
       setRedoStack([]);
     }
-    setNotes((prev) =>
-      prev.filter((e) => e.id !== id).map((e, i) => ({ ...e, id: i })),
-    );
+    setNotes((prev) => prev.filter((e) => e.id !== id));
     if (id === selectedElement.id) {
       setSelectedElement((prev) => ({
         ...prev,
@@ -5,9 +5,14 @@ export const SaveStateContext = createContext(null);
 
 export default function SaveStateContextProvider({ children }) {
   const [saveState, setSaveState] = useState(State.NONE);
+  // Set to a name, or "" for an unnamed snapshot, to have the next save also
+  // record a version of the diagram.
+  const [versionName, setVersionName] = useState(null);
 
   return (
-    <SaveStateContext.Provider value={{ saveState, setSaveState }}>
+    <SaveStateContext.Provider
+      value={{ saveState, setSaveState, versionName, setVersionName }}
+    >
       {children}
     </SaveStateContext.Provider>
   );
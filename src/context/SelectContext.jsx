@@ -3,6 +3,8 @@ import { ObjectType, Tab } from "../data/constants";
 
 export const SelectContext = createContext(null);
 
+const groupable = [ObjectType.TABLE, ObjectType.AREA, ObjectType.NOTE];
+
 export default function SelectContextProvider({ children }) {
   const [selectedElement, setSelectedElement] = useState({
     element: ObjectType.NONE,
@@ -13,9 +15,34 @@ export default function SelectContextProvider({ children }) {
     open: false, // open popover or sidesheet when sidebar is disabled
     openFromToolbar: false, // this is to handle triggering onClickOutside when sidebar is disabled
   });
+  // Tables, areas and notes selected together on the canvas
+  const [selectedElements, setSelectedElements] = useState([]);
+
+  const isSameElement = (a, b) => a.element === b.element && a.id === b.id;
+
+  // The group only counts while it holds the selected element, so selecting
+  // something from the sidebar or the toolbar starts over.
+  const selection = selectedElements.some((e) =>
+    isSameElement(e, selectedElement),
+  )
+    ? selectedElements
+    : groupable.includes(selectedElement.element)
+      ? [{ element: selectedElement.element, id: selectedElement.id }]
+      : [];
+
+  const isSelected = (element, id) =>
+    selection.some((e) => isSameElement(e, { element, id }));
 
   return (
-    <SelectContext.Provider value={{ selectedElement, setSelectedElement }}>
+    <SelectContext.Provider
+      value={{
+        selectedElement,
+        setSelectedElement,
+        selection,
+        setSelectedElements,
+        isSelected,
+      }}
+    >
       {children}
     </SelectContext.Provider>
   );
@@ -13,6 +13,8 @@ export default function SettingsContextProvider({ children }) {
     panning: true,
     showCardinality: true,
     tableWidth: tableWidth,
+    snapToGrid: false,
+    gridSize: 24,
   });
 
   return (
@@ -5,6 +5,7 @@ import useUndoRedo from "../hooks/useUndoRedo";
 import useSelect from "../hooks/useSelect";
 import { Toast } from "@douyinfe/semi-ui";
 import { useTranslation } from "react-i18next";
+import { generateId } from "../utils/ids";
 
 export const TablesContext = createContext(null);
 
@@ -17,47 +18,38 @@ export default function TablesContextProvider({ children }) {
   const { selectedElement, setSelectedElement } = useSelect();
 
   const addTable = (data, addToHistory = true) => {
-    if (data) {
-      setTables((prev) => {
-        const temp = prev.slice();
-        temp.splice(data.id, 0, data);
-        return temp.map((t, i) => ({ ...t, id: i }));
-      });
-    } else {
-      setTables((prev) => [
-        ...prev,
+    const table = data ?? {
+      id: generateId(),
+      name: `table_${tables.length}`,
+      x: -transform.pan.x,
+      y: -transform.pan.y,
+      fields: [
         {
-          id: prev.length,
-          name: `table_${prev.length}`,
-          x: -transform.pan.x,
-          y: -transform.pan.y,
-          fields: [
-            {
-              name: "id",
-              type: "INT",
-              default: "",
-              check: "",
-              primary: true,
-              unique: true,
-              notNull: true,
-              increment: true,
-              comment: "",
-              id: 0,
-            },
-          ],
+          name: "id",
+          type: "INT",
+          default: "",
+          check: "",
+          primary: true,
+          unique: true,
+          notNull: true,
+          increment: true,
           comment: "",
-          indices: [],
-          color: defaultBlue,
-          key: Date.now(),
+          id: generateId(),
         },
-      ]);
-    }
+      ],
+      comment: "",
+      indices: [],
+      color: defaultBlue,
+      key: Date.now(),
+    };
+    setTables((prev) => [...prev, table]);
     if (addToHistory) {
       setUndoStack((prev) => [
         ...prev,
         {
           action: Action.ADD,
           element: ObjectType.TABLE,
+          data: table,
           message: t("add_table"),
         },
       ]);
@@ -67,37 +59,23 @@ export default function TablesContextProvider({ children }) {
 
   const deleteTable = (id, addToHistory = true) => {
     if (addToHistory) {
+      const table = tables.find((t) => t.id === id);
       Toast.success(t("table_deleted"));
       setUndoStack((prev) => [
         ...prev,
         {
           action: Action.DELETE,
           element: ObjectType.TABLE,
-          data: tables[id],
-          message: t("delete_table", { tableName: tables[id] }),
+          data: table,
+          message: t("delete_table", { tableName: table.name }),
         },
       ]);
       setRedoStack([]);
     }
-    setRelationships((prevR) => {
-      return prevR
-        .filter((e) => !(e.startTableId === id || e.endTableId === id))
-        .map((e, i) => {
-          const newR = { ...e };
-
-          if (e.startTableId > id) {
-            newR.startTableId = e.startTableId - 1;
-          }
-          if (e.endTableId > id) {
-            newR.endTableId = e.endTableId - 1;
-          }
-
-          return { ...newR, id: i };
-        });
-    });
-    setTables((prev) => {
-      return prev.filter((e) => e.id !== id).map((e, i) => ({ ...e, id: i }));
-    });
+    setRelationships((prev) =>
+      prev.filter((e) => !(e.startTableId === id || e.endTableId === id)),
+    );
+    setTables((prev) => prev.filter((e) => e.id !== id));
     if (id === selectedElement.id) {
       setSelectedElement((prev) => ({
         ...prev,
@@ -116,12 +94,12 @@ export default function TablesContextProvider({ children }) {
 
   const updateField = (tid, fid, updatedValues) => {
     setTables((prev) =>
-      prev.map((table, i) => {
-        if (tid === i) {
+      prev.map((table) => {
+        if (table.id === tid) {
           return {
             ...table,
-            fields: table.fields.map((field, j) =>
-              fid === j ? { ...field, ...updatedValues } : field,
+            fields: table.fields.map((field) =>
+              field.id === fid ? { ...field, ...updatedValues } : field,
             ),
           };
         }
@@ -131,6 +109,7 @@ export default function TablesContextProvider({ children }) {
   };
 
   const deleteField = (field, tid) => {
+    const table = tables.find((t) => t.id === tid);
     setUndoStack((prev) => [
       ...prev,
       {
@@ -139,92 +118,61 @@ export default function TablesContextProvider({ children }) {
         component: "field_delete",
         tid: tid,
         data: field,
+        index: table.fields.findIndex((f) => f.id === field.id),
         message: t("edit_table", {
-          tableName: tables[tid].name,
+          tableName: table.name,
           extra: "[delete field]",
         }),
       },
     ]);
     setRedoStack([]);
     setRelationships((prev) =>
-      prev
-        .filter(
-          (e) =>
-            !(
-              (e.startTableId === tid && e.startFieldId === field.id) ||
-              (e.endTableId === tid && e.endFieldId === field.id)
-            ),
-        )
-        .map((e, i) => ({ ...e, id: i })),
+      prev.filter(
+        (e) =>
+          !(
+            (e.startTableId === tid && e.startFieldId === field.id) ||
+            (e.endTableId === tid && e.endFieldId === field.id)
+          ),
+      ),
     );
-    setRelationships((prev) => {
-      return prev.map((e) => {
-        if (e.startTableId === tid && e.startFieldId > field.id) {
-          return {
-            ...e,
-            startFieldId: e.startFieldId - 1,
-          };
-        }
-        if (e.endTableId === tid && e.endFieldId > field.id) {
-          return {
-            ...e,
-            endFieldId: e.endFieldId - 1,
-          };
-        }
-        return e;
-      });
-    });
     updateTable(tid, {
-      fields: tables[tid].fields
-        .filter((e) => e.id !== field.id)
-        .map((t, i) => {
-          return { ...t, id: i };
-        }),
+      fields: table.fields.filter((e) => e.id !== field.id),
     });
   };
 
   const addRelationship = (data, addToHistory = true) => {
     if (addToHistory) {
-      setRelationships((prev) => {
-        setUndoStack((prevUndo) => [
-          ...prevUndo,
-          {
-            action: Action.ADD,
-            element: ObjectType.RELATIONSHIP,
-            data: data,
-            message: t("add_relationship"),
-          },
-        ]);
-        setRedoStack([]);
-        return [...prev, data];
-      });
-    } else {
-      setRelationships((prev) => {
-        const temp = prev.slice();
-        temp.splice(data.id, 0, data);
-        return temp.map((t, i) => ({ ...t, id: i }));
-      });
+      setUndoStack((prev) => [
+        ...prev,
+        {
+          action: Action.ADD,
+          element: ObjectType.RELATIONSHIP,
+          data: data,
+          message: t("add_relationship"),
+        },
+      ]);
+      setRedoStack([]);
     }
+    setRelationships((prev) => [...prev, data]);
   };
 
   const deleteRelationship = (id, addToHistory = true) => {
     if (addToHistory) {
+      const relationship = relationships.find((r) => r.id === id);
       setUndoStack((prev) => [
         ...prev,
         {
           action: Action.DELETE,
           element: ObjectType.RELATIONSHIP,
-          data: relationships[id],
+          data: relationship,
           message: t("delete_relationship", {
-            refName: relationships[id].name,
+            refName: relationship.name,
           }),
         },
       ]);
       setRedoStack([]);
     }
-    setRelationships((prev) =>
-      prev.filter((e) => e.id !== id).map((e, i) => ({ ...e, id: i })),
-    );
+    setRelationships((prev) => prev.filter((e) => e.id !== id));
   };
 
   return (
@@ -3,6 +3,7 @@ import { Action, ObjectType } from "../data/constants";
 import useUndoRedo from "../hooks/useUndoRedo";
 import { Toast } from "@douyinfe/semi-ui";
 import { useTranslation } from "react-i18next";
+import { generateId } from "../utils/ids";
 
 export const TypesContext = createContext(null);
 
@@ -11,29 +12,27 @@ export default function TypesContextProvider({ children }) {
   const [types, setTypes] = useState([]);
   const { setUndoStack, setRedoStack } = useUndoRedo();
 
-  const addType = (data, addToHistory = true) => {
-    if (data) {
-      setTypes((prev) => {
-        const temp = prev.slice();
-        temp.splice(data.id, 0, data);
-        return temp;
-      });
-    } else {
-      setTypes((prev) => [
-        ...prev,
-        {
-          name: `type_${prev.length}`,
-          fields: [],
-          comment: "",
-        },
-      ]);
-    }
+  // Types are edited by position, `index` puts a deleted one back in place.
+  // Their ids only identify them to collaborators.
+  const addType = (data, addToHistory = true, index) => {
+    const type = data ?? {
+      id: generateId(),
+      name: `type_${types.length}`,
+      fields: [],
+      comment: "",
+    };
+    setTypes((prev) => {
+      const temp = prev.slice();
+      temp.splice(index ?? prev.length, 0, type);
+      return temp;
+    });
     if (addToHistory) {
       setUndoStack((prev) => [
         ...prev,
         {
           action: Action.ADD,
           element: ObjectType.TYPE,
+          data: type,
           message: t("add_type"),
         },
       ]);
@@ -1,10 +1,37 @@
-import { createContext, useState } from "react";
+import { createContext, useCallback, useState } from "react";
 
 export const UndoRedoContext = createContext(null);
 
+// The stacks are saved with the diagram, so they are capped to keep the
+// records small.
+const historyLimit = 100;
+
+// New entries are stamped with the time they were made. Entries moving between
+// the stacks keep their original stamp.
+function stamp(stack) {
+  return stack
+    .slice(-historyLimit)
+    .map((e) => (e.timestamp ? e : { ...e, timestamp: Date.now() }));
+}
+
 export default function UndoRedoContextProvider({ children }) {
-  const [undoStack, setUndoStack] = useState([]);
-  const [redoStack, setRedoStack] = useState([]);
+  const [undoStack, setUndo] = useState([]);
+  const [redoStack, setRedo] = useState([]);
+
+  const setUndoStack = useCallback(
+    (value) =>
+      setUndo((prev) =>
+        stamp(typeof value === "function" ? value(prev) : value),
+      ),
+    [],
+  );
+  const setRedoStack = useCallback(
+    (value) =>
+      setRedo((prev) =>
+        stamp(typeof value === "function" ? value(prev) : value),
+      ),
+    [],
+  );
 
   return (
     <UndoRedoContext.Provider
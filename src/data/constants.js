@@ -103,6 +103,18 @@ export const State = {
   ERROR: 4,
 };
 
+export const Arrangement = {
+  LAYERED: "layered",
+  FORCE: "force",
+  GROUPED: "grouped",
+};
+
+export const CollabState = {
+  OFF: 0,
+  CONNECTING: 1,
+  CONNECTED: 2,
+};
+
 export const MODAL = {
   NONE: 0,
   IMG: 1,
@@ -115,6 +127,14 @@ export const MODAL = {
   IMPORT_SRC: 8,
   TABLE_WIDTH: 9,
   LANGUAGE: 10,
+  MIGRATION: 11,
+  COLLABORATE: 12,
+  SHARE: 13,
+  SVG: 14,
+  PNG: 15,
+  PDF: 16,
+  SAMPLE_DATA: 17,
+  GRID_SIZE: 18,
 };
 
 export const STATUS = {
@@ -124,8 +144,18 @@ export const STATUS = {
   OK: 3,
 };
 
+export const DB = {
+  GENERIC: "Generic",
+  MYSQL: "MySQL",
+  POSTGRES: "PostgreSQL",
+  SQLITE: "SQLite",
+  MARIADB: "MariaDB",
+  MSSQL: "MSSQL",
+};
+
 export const SIDESHEET = {
   NONE: 0,
   TODO: 1,
   TIMELINE: 2,
+  HISTORY: 3,
 };
@@ -0,0 +1,135 @@
+import { DB, sqlDataTypes } from "./constants";
+
+export const mysqlTypes = [
+  "TINYINT",
+  "SMALLINT",
+  "MEDIUMINT",
+  "INT",
+  "BIGINT",
+  "DECIMAL",
+  "NUMERIC",
+  "FLOAT",
+  "DOUBLE",
+  "BIT",
+  "BOOLEAN",
+  "CHAR",
+  "VARCHAR",
+  "BINARY",
+  "VARBINARY",
+  "TINYTEXT",
+  "TEXT",
+  "MEDIUMTEXT",
+  "LONGTEXT",
+  "TINYBLOB",
+  "BLOB",
+  "MEDIUMBLOB",
+  "LONGBLOB",
+  "DATE",
+  "TIME",
+  "DATETIME",
+  "TIMESTAMP",
+  "YEAR",
+  "JSON",
+  "ENUM",
+  "SET",
+  "GEOMETRY",
+  "POINT",
+  "LINESTRING",
+  "POLYGON",
+];
+
+export const mariadbTypes = [...mysqlTypes, "UUID", "INET4", "INET6"];
+
+// `TIMESTAMP` is exported as `timestamptz` and `DATETIME` as `timestamp`, the
+// same as for generic diagrams, so imported Postgres schemas keep their names.
+export const postgresTypes = [
+  "SMALLINT",
+  "INT",
+  "BIGINT",
+  "DECIMAL",
+  "NUMERIC",
+  "REAL",
+  "DOUBLE",
+  "MONEY",
+  "CHAR",
+  "VARCHAR",
+  "TEXT",
+  "BYTEA",
+  "BIT",
+  "VARBIT",
+  "BOOLEAN",
+  "DATE",
+  "TIME",
+  "TIMETZ",
+  "DATETIME",
+  "TIMESTAMP",
+  "INTERVAL",
+  "UUID",
+  "JSON",
+  "JSONB",
+  "XML",
+  "INET",
+  "CIDR",
+  "MACADDR",
+  "MACADDR8",
+  "POINT",
+  "LINE",
+  "LSEG",
+  "BOX",
+  "PATH",
+  "POLYGON",
+  "CIRCLE",
+  "TSVECTOR",
+  "TSQUERY",
+  "INT4RANGE",
+  "INT8RANGE",
+  "NUMRANGE",
+  "TSRANGE",
+  "TSTZRANGE",
+  "DATERANGE",
+  "ENUM",
+];
+
+export const sqliteTypes = ["INTEGER", "REAL", "NUMERIC", "TEXT", "BLOB"];
+
+export const mssqlTypes = [
+  "TINYINT",
+  "SMALLINT",
+  "INT",
+  "BIGINT",
+  "DECIMAL",
+  "NUMERIC",
+  "MONEY",
+  "SMALLMONEY",
+  "FLOAT",
+  "REAL",
+  "BIT",
+  "CHAR",
+  "VARCHAR",
+  "NCHAR",
+  "NVARCHAR",
+  "TEXT",
+  "NTEXT",
+  "BINARY",
+  "VARBINARY",
+  "IMAGE",
+  "DATE",
+  "TIME",
+  "DATETIME",
+  "DATETIME2",
+  "SMALLDATETIME",
+  "DATETIMEOFFSET",
+  "UNIQUEIDENTIFIER",
+  "XML",
+  "GEOGRAPHY",
+  "GEOMETRY",
+];
+
+export const dbToTypes = {
+  [DB.GENERIC]: sqlDataTypes,
+  [DB.MYSQL]: mysqlTypes,
+  [DB.POSTGRES]: postgresTypes,
+  [DB.SQLITE]: sqliteTypes,
+  [DB.MARIADB]: mariadbTypes,
+  [DB.MSSQL]: mssqlTypes,
+};
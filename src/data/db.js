@@ -1,5 +1,6 @@
 import Dexie from "dexie";
 import { templateSeeds } from "./seeds";
+import { migrateIds } from "../utils/ids";
 
 export const db = new Dexie("drawDB");
 
@@ -8,6 +9,41 @@ db.version(5).stores({
   templates: "++id, custom",
 });
 
+db.version(6).stores({
+  diagramVersions: "++id, diagramId",
+});
+
+// Tables, fields and relationships used to be identified by their position.
+db.version(7)
+  .stores({})
+  .upgrade(async (tx) => {
+    await tx.diagrams.toCollection().modify((d) => {
+      const { tables, relationships } = migrateIds(d.tables, d.references);
+      d.tables = tables;
+      d.references = relationships;
+      // Saved history refers to the old ids.
+      d.undoStack = [];
+      d.redoStack = [];
+    });
+    await tx.diagramVersions.toCollection().modify((v) => {
+      const { tables, relationships } = migrateIds(v.tables, v.references);
+      v.tables = tables;
+      v.references = relationships;
+    });
+    await tx.templates.toCollection().modify((t) => {
+      const { tables, relationships } = migrateIds(t.tables, t.relationships);
+      t.tables = tables;
+      t.relationships = relationships;
+    });
+  });
+
 db.on("populate", (transaction) => {
-  transaction.templates.bulkAdd(templateSeeds).catch((e) => console.log(e));
+  transaction.templates
+    .bulkAdd(
+      templateSeeds.map((t) => ({
+        ...t,
+        ...migrateIds(t.tables, t.relationships),
+      })),
+    )
+    .catch((e) => console.log(e));
 });
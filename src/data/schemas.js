@@ -1,7 +1,7 @@
 export const tableSchema = {
   type: "object",
   properties: {
-    id: { type: "integer" },
+    id: { type: ["integer", "string"] },
     name: { type: "string" },
     x: { type: "number" },
     y: { type: "number" },
@@ -59,7 +59,7 @@ export const tableSchema = {
 export const areaSchema = {
   type: "object",
   properties: {
-    id: { type: "integer" },
+    id: { type: ["integer", "string"] },
     name: { type: "string" },
     x: { type: "number" },
     y: { type: "number" },
@@ -73,7 +73,7 @@ export const areaSchema = {
 export const noteSchema = {
   type: "object",
   properties: {
-    id: { type: "integer" },
+    id: { type: ["integer", "string"] },
     x: { type: "number" },
     y: { type: "number" },
     title: { type: "string" },
@@ -120,15 +120,15 @@ export const jsonSchema = {
       items: {
         type: "object",
         properties: {
-          startTableId: { type: "integer" },
-          startFieldId: { type: "integer" },
-          endTableId: { type: "integer" },
-          endFieldId: { type: "integer" },
+          startTableId: { type: ["integer", "string"] },
+          startFieldId: { type: ["integer", "string"] },
+          endTableId: { type: ["integer", "string"] },
+          endFieldId: { type: ["integer", "string"] },
           name: { type: "string" },
           cardinality: { type: "string" },
           updateConstraint: { type: "string" },
           deleteConstraint: { type: "string" },
-          id: { type: "integer" },
+          id: { type: ["integer", "string"] },
         },
         required: [
           "startTableId",
@@ -152,6 +152,7 @@ export const jsonSchema = {
       items: { ...areaSchema },
     },
     title: { type: "string" },
+    database: { type: "string" },
   },
   required: ["tables", "relationships", "notes", "subjectAreas"],
 };
@@ -12,6 +12,24 @@ export const shortcuts = [
   { shortcut: "CTRL+D", title: "Duplicate selected element", description: "" },
   { shortcut: "DEL", title: "Delete selected element", description: "" },
   { shortcut: "CTRL+E", title: "Edit selected element", description: "" },
+  {
+    shortcut: "CTRL+K",
+    title: "Search and run commands",
+    description:
+      "Find tables, fields, comments, relationships, notes, areas and types, or run any menu command by name.",
+  },
+  {
+    shortcut: "Shift+Click",
+    title: "Add to or remove from the selection",
+    description:
+      "Selected tables, areas and notes are moved, copied and deleted together.",
+  },
+  {
+    shortcut: "Shift+Drag",
+    title: "Select everything in a rectangle",
+    description:
+      "Drag on an empty part of the canvas. Without panning, dragging alone is enough.",
+  },
   {
     shortcut: "CTRL+I",
     title: "Import a diagram",
@@ -32,6 +50,12 @@ export const shortcuts = [
       "Disabling field summaries will prevent the display of details for each field in the table when hovered over.",
   },
   { shortcut: "CTRL+SHIFT+G", title: "Show/hide grid" },
+  {
+    shortcut: "Alt+Drag",
+    title: "Move an element freely",
+    description:
+      "Elements being dragged don't snap to the grid or line up with the others.",
+  },
   {
     shortcut: "CTRL+ALT+C",
     title: "Copy as image",
@@ -1,4 +1,6 @@
 export { default as useAreas } from "./useAreas";
+export { default as useCollab } from "./useCollab";
+export { default as useDiagram } from "./useDiagram";
 export { default as useLayout } from "./useLayout";
 export { default as useNotes } from "./useNotes";
 export { default as useSaveState } from "./useSaveState";
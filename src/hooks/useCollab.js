@@ -0,0 +1,6 @@
+import { useContext } from "react";
+import { CollabContext } from "../context/CollabContext";
+
+export default function useCollab() {
+  return useContext(CollabContext);
+}
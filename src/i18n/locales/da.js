@@ -154,8 +154,6 @@ const da = {
     upload_sql_to_generate_diagrams:
       "Upload en sql fil for at auto-generere dine tabeller og kolonner.",
     overwrite_existing_diagram: "Overskriv eksisterende diagram",
-    only_mysql_supported:
-      "*For tiden er det kun MySQL scripts der er understøttet.",
     blank: "Blank",
     filename: "Filnavn",
     table_w_no_name: "Erklærede en tabel med intet navn",
@@ -157,8 +157,6 @@ const de = {
     upload_sql_to_generate_diagrams:
       "Laden Sie eine SQL-Datei hoch, um Ihre Tabellen und Spalten automatisch zu generieren.",
     overwrite_existing_diagram: "Vorhandenes Diagramm überschreiben",
-    only_mysql_supported:
-      "*Vorläufig wird nur das Laden von MySQL-Skripten unterstützt.",
     blank: "Leer",
     filename: "Dateiname",
     table_w_no_name: "Eine Tabelle ohne Namen wurde deklariert",
@@ -22,9 +22,12 @@ const en = {
       "Are you sure you want to delete this diagram? This operation is irreversible.",
     oops_smth_went_wrong: "Oops! Something went wrong.",
     import_diagram: "Import diagram",
-    import_from_source: "Import from SQL",
+    import_from_source: "Import from SQL or Prisma",
     export_as: "Export as",
     export_source: "Export SQL",
+    export_models: "Export models",
+    export_schema: "Export API schema",
+    export_dictionary: "Export data dictionary",
     models: "Models",
     exit: "Exit",
     edit: "Edit",
@@ -43,11 +46,13 @@ const en = {
     header: "Menubar",
     sidebar: "Sidebar",
     issues: "Issues",
+    minimap: "Minimap",
     presentation_mode: "Presentation mode",
     strict_mode: "Strict mode",
     field_details: "Field details",
     reset_view: "Reset view",
     show_grid: "Show grid",
+    snap_to_grid: "Snap to grid",
     show_cardinality: "Show cardinality",
     theme: "Theme",
     light: "Light",
@@ -57,9 +62,11 @@ const en = {
     fullscreen: "Fullscreen",
     settings: "Settings",
     show_timeline: "Show timeline",
+    show_history: "Show version history",
     autosave: "Autosave",
     panning: "Panning",
     table_width: "Table width",
+    grid_size: "Grid size",
     language: "Language",
     flush_storage: "Flush storage",
     are_you_sure_flush_storage:
@@ -146,16 +153,98 @@ const en = {
     rename_diagram: "Rename diagram",
     export: "Export",
     export_image: "Export image",
+    padding: "Padding",
+    export_pdf: "Export PDF",
+    region: "Region",
+    entire_diagram: "Entire diagram",
+    current_viewport: "Current viewport",
+    scale: "Scale",
+    paper_size: "Paper size",
+    orientation: "Orientation",
+    landscape: "Landscape",
+    portrait: "Portrait",
+    page_layout: "Pages",
+    actual_size: "Actual size",
+    fit_to_page: "Fit to one page",
+    title_block: "Title block",
+    author: "Author",
+    pdf_pages: "Pages: {{count}}",
     create: "Create",
     confirm: "Confirm",
     last_modified: "Last modified",
     drag_and_drop_files: "Drag and drop the file here or click to upload.",
-    support_json_and_ddb: "JSON and DDB files are supported",
+    support_json_and_ddb: "JSON, DDB and DBML files are supported",
     upload_sql_to_generate_diagrams:
-      "Upload an sql file to autogenerate your tables and columns.",
+      "Upload an sql or Prisma schema file to autogenerate your tables and columns.",
     overwrite_existing_diagram: "Overwrite existing diagram",
-    only_mysql_supported:
-      "*For the time being loading only MySQL scripts is supported.",
+    database: "Database",
+    array: "Array",
+    type_not_supported:
+      "'{{fieldName}}' field of table '{{tableName}}' is of type `{{type}}`, which {{database}} does not support",
+    generate_migration: "Generate migration",
+    migrate_from: "From",
+    migrate_to: "To",
+    select_diagram: "Select a diagram",
+    ddb_file: "Upload a .ddb file",
+    support_ddb: "Supports .ddb files",
+    file_contains_error: "The file contains an error.",
+    file_missing_properties:
+      "The file is missing necessary properties for a diagram.",
+    diagrams_are_identical: "The diagrams have the same schema.",
+    generate_sample_data: "Generate sample data",
+    rows_per_table: "Rows per table",
+    regenerate: "Regenerate",
+    version_history: "Version history",
+    checkpoint_name: "Checkpoint name",
+    add_checkpoint: "Add checkpoint",
+    snapshot: "Snapshot",
+    compare: "Compare with current",
+    no_differences: "No differences from the current diagram.",
+    restore_version: "Restore version",
+    are_you_sure_restore_version:
+      "The current diagram will be replaced by this version. A checkpoint of it is kept in the history.",
+    before_restoring: "Before restoring {{date}}",
+    version_restored: "Version restored!",
+    no_versions: "No versions yet. They are saved as you work.",
+    no_template_history: "Version history is not kept for templates.",
+    collaborate: "Collaborate",
+    collaborate_description:
+      "Edit this diagram live with others. Everyone who joins the same room on the relay server sees each other's changes and cursors.",
+    relay_server: "Relay server",
+    room: "Room",
+    your_name: "Your name",
+    connect: "Connect",
+    disconnect: "Disconnect",
+    collaborating_in: "Collaborating in room {{room}}",
+    no_one_else_here: "No one else has joined yet.",
+    anonymous: "Anonymous",
+    live: "Live",
+    collaboration_disconnected: "Lost connection to the relay server",
+    share: "Share",
+    copy_link: "Copy link",
+    share_description:
+      "Anyone with this link can view the diagram as it is now. It is stored in the link itself and is not uploaded anywhere.",
+    share_link_too_long:
+      "This diagram makes for a very long link, which some apps may cut short.",
+    shared_diagram: "Shared diagram",
+    invalid_share_link: "This link does not contain a valid diagram.",
+    open_in_editor: "Open in editor",
+    read_only: "Read-only",
+    arrange: "Arrange",
+    align: "Align",
+    align_left: "Left edges",
+    align_center: "Horizontal centers",
+    align_right: "Right edges",
+    align_top: "Top edges",
+    align_middle: "Vertical centers",
+    align_bottom: "Bottom edges",
+    distribute: "Distribute",
+    distribute_horizontally: "Horizontally",
+    distribute_vertically: "Vertically",
+    layered: "Layered",
+    force: "Force-directed",
+    grouped: "By subject area",
+    arrange_diagram: "Arrange diagram ({{method}})",
     blank: "Blank",
     filename: "Filename",
     table_w_no_name: "Declared a table with no name",
@@ -200,6 +289,12 @@ const en = {
     no_tasks: "You have no tasks yet.",
     no_activity: "You have no activity yet.",
     move_element: "Move {{name}} to {{coords}}",
+    move_elements: "Move {{count}} elements",
+    delete_elements: "Delete {{count}} elements",
+    duplicate_elements: "Duplicate {{count}} elements",
+    paste_elements: "Paste {{count}} elements",
+    align_elements: "Align {{count}} elements",
+    distribute_elements: "Distribute {{count}} elements",
     edit_area: "{{extra}} Edit area {{areaName}}",
     delete_area: "Delete area {{areaName}}",
     edit_note: "{{extra}} Edit note {{noteTitle}}",
@@ -212,6 +307,10 @@ const en = {
     edit_relationship: "{{extra}} Edit relationship {{refName}}",
     delete_relationship: "Delete relationship {{refName}}",
     not_found: "Not found",
+    search_or_run_command: "Search the diagram or run a command...",
+    fields: "Fields",
+    comments: "Comments",
+    commands: "Commands",
   },
 };
 
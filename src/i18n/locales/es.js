@@ -154,8 +154,6 @@ const es = {
     upload_sql_to_generate_diagrams:
       "Sube un archivo sql para autogenerar tus tablas y columnas.",
     overwrite_existing_diagram: "Sobrescribir diagrama existente",
-    only_mysql_supported:
-      "*Por el momento, solo se admite la carga de scripts de MySQL.",
     blank: "En blanco",
     filename: "Nombre del archivo",
     table_w_no_name: "Declarada una tabla sin nombre",
@@ -148,7 +148,6 @@ const vi = {
     support_json_and_ddb: "Các tệp JSON và DDB được hỗ trợ",
     upload_sql_to_generate_diagrams: "Tải tệp sql lên để tự động tạo bảng và cột của bạn.",
     overwrite_existing_diagram: "Ghi đè sơ đồ hiện có",
-    only_mysql_supported: "*Hiện tại, chỉ hỗ trợ tải các tập lệnh MySQL.",
     blank: "Trống",
     filename: "Tên tập tin",
     table_w_no_name: "Khai báo một bảng không có tên",
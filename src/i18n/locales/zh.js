@@ -150,7 +150,6 @@ const zh = {
     support_json_and_ddb: "支持 JSON 和 DDB 文件",
     upload_sql_to_generate_diagrams: "上传 SQL 文件以自动生成表和列。",
     overwrite_existing_diagram: "覆盖现有图表",
-    only_mysql_supported: "目前仅支持加载 MySQL 脚本。",
     blank: "空",
     filename: "文件名",
     table_w_no_name: "声明了一个没有名称的表",
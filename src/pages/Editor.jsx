@@ -8,30 +8,36 @@ import NotesContextProvider from "../context/NotesContext";
 import TypesContextProvider from "../context/TypesContext";
 import TasksContextProvider from "../context/TasksContext";
 import SaveStateContextProvider from "../context/SaveStateContext";
+import DiagramContextProvider from "../context/DiagramContext";
+import CollabContextProvider from "../context/CollabContext";
 import WorkSpace from "../components/Workspace";
 
 export default function Editor() {
   return (
     <LayoutContextProvider>
-      <TransformContextProvider>
-        <UndoRedoContextProvider>
-          <SelectContextProvider>
-            <TasksContextProvider>
-              <AreasContextProvider>
-                <NotesContextProvider>
-                  <TypesContextProvider>
-                    <TablesContextProvider>
-                      <SaveStateContextProvider>
-                        <WorkSpace />
-                      </SaveStateContextProvider>
-                    </TablesContextProvider>
-                  </TypesContextProvider>
-                </NotesContextProvider>
-              </AreasContextProvider>
-            </TasksContextProvider>
-          </SelectContextProvider>
-        </UndoRedoContextProvider>
-      </TransformContextProvider>
+      <DiagramContextProvider>
+        <TransformContextProvider>
+          <UndoRedoContextProvider>
+            <SelectContextProvider>
+              <TasksContextProvider>
+                <AreasContextProvider>
+                  <NotesContextProvider>
+                    <TypesContextProvider>
+                      <TablesContextProvider>
+                        <CollabContextProvider>
+                          <SaveStateContextProvider>
+                            <WorkSpace />
+                          </SaveStateContextProvider>
+                        </CollabContextProvider>
+                      </TablesContextProvider>
+                    </TypesContextProvider>
+                  </NotesContextProvider>
+                </AreasContextProvider>
+              </TasksContextProvider>
+            </SelectContextProvider>
+          </UndoRedoContextProvider>
+        </TransformContextProvider>
+      </DiagramContextProvider>
     </LayoutContextProvider>
   );
 }
@@ -0,0 +1,153 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { Button, Spin, Tag } from "@douyinfe/semi-ui";
+import { useTranslation } from "react-i18next";
+import LayoutContextProvider from "../context/LayoutContext";
+import TransformContextProvider from "../context/TransformContext";
+import TablesContextProvider from "../context/TablesContext";
+import UndoRedoContextProvider from "../context/UndoRedoContext";
+import SelectContextProvider from "../context/SelectContext";
+import AreasContextProvider from "../context/AreasContext";
+import NotesContextProvider from "../context/NotesContext";
+import TypesContextProvider from "../context/TypesContext";
+import TasksContextProvider from "../context/TasksContext";
+import DiagramContextProvider from "../context/DiagramContext";
+import CollabContextProvider from "../context/CollabContext";
+import Canvas from "../components/EditorCanvas/Canvas";
+import {
+  useAreas,
+  useDiagram,
+  useNotes,
+  useTables,
+  useTransform,
+  useTypes,
+} from "../hooks";
+import { DB, State } from "../data/constants";
+import { db } from "../data/db";
+import { decodeDiagram } from "../utils/share";
+import { migrateIds } from "../utils/ids";
+import { jsonDiagramIsValid } from "../utils/validateSchema";
+import icon from "../assets/icon_dark_64.png";
+
+export default function View() {
+  return (
+    <LayoutContextProvider>
+      <DiagramContextProvider>
+        <TransformContextProvider>
+          <UndoRedoContextProvider>
+            <SelectContextProvider>
+              <TasksContextProvider>
+                <AreasContextProvider>
+                  <NotesContextProvider>
+                    <TypesContextProvider>
+                      <TablesContextProvider>
+                        <CollabContextProvider>
+                          <SharedDiagram />
+                        </CollabContextProvider>
+                      </TablesContextProvider>
+                    </TypesContextProvider>
+                  </NotesContextProvider>
+                </AreasContextProvider>
+              </TasksContextProvider>
+            </SelectContextProvider>
+          </UndoRedoContextProvider>
+        </TransformContextProvider>
+      </DiagramContextProvider>
+    </LayoutContextProvider>
+  );
+}
+
+function SharedDiagram() {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const { tables, relationships, setTables, setRelationships } = useTables();
+  const { notes, setNotes } = useNotes();
+  const { areas, setAreas } = useAreas();
+  const { types, setTypes } = useTypes();
+  const { database, setDatabase } = useDiagram();
+  const { transform } = useTransform();
+  const [title, setTitle] = useState("");
+  const [state, setState] = useState(State.LOADING);
+
+  useEffect(() => {
+    document.title = "View | drawDB";
+
+    const load = async () => {
+      let diagram = null;
+      try {
+        diagram = await decodeDiagram(window.location.hash.slice(1));
+      } catch (e) {
+        setState(State.ERROR);
+        return;
+      }
+      if (!jsonDiagramIsValid(diagram)) {
+        setState(State.ERROR);
+        return;
+      }
+      const { tables, relationships } = migrateIds(
+        diagram.tables,
+        diagram.relationships,
+      );
+      setTables(tables);
+      setRelationships(relationships);
+      setNotes(diagram.notes);
+      setAreas(diagram.subjectAreas);
+      setTypes(diagram.types ?? []);
+      setDatabase(diagram.database ?? DB.GENERIC);
+      setTitle(diagram.title ?? "");
+      setState(State.NONE);
+    };
+    load();
+  }, [setTables, setRelationships, setNotes, setAreas, setTypes, setDatabase]);
+
+  const openInEditor = async () => {
+    const id = await db.diagrams.add({
+      name: title || t("shared_diagram"),
+      lastModified: new Date(),
+      database: database,
+      tables: tables,
+      references: relationships,
+      types: types,
+      notes: notes,
+      areas: areas,
+      todos: [],
+      pan: transform.pan,
+      zoom: transform.zoom,
+    });
+    window.name = `d ${id}`;
+    navigate("/editor");
+  };
+
+  return (
+    <div className="h-[100vh] flex flex-col overflow-hidden theme">
+      <nav className="flex justify-between items-center py-1 px-6 whitespace-nowrap">
+        <div className="flex items-center gap-3">
+          <Link to="/">
+            <img width={54} src={icon} alt="logo" className="min-w-[54px]" />
+          </Link>
+          <div className="text-xl">{title || t("shared_diagram")}</div>
+          <Tag>{t("read_only")}</Tag>
+        </div>
+        <Button
+          disabled={state !== State.NONE}
+          onClick={openInEditor}
+          theme="solid"
+        >
+          {t("open_in_editor")}
+        </Button>
+      </nav>
+      <div className="relative w-full h-full overflow-hidden">
+        {state === State.LOADING && (
+          <div className="absolute inset-0 flex justify-center items-center">
+            <Spin size="large" />
+          </div>
+        )}
+        {state === State.ERROR ? (
+          <div className="m-5">{t("invalid_share_link")}</div>
+        ) : (
+          <Canvas readOnly />
+        )}
+      </div>
+    </div>
+  );
+}
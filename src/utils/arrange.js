@@ -0,0 +1,440 @@
+import {
+  Arrangement,
+  tableColorStripHeight,
+  tableFieldHeight,
+  tableHeaderHeight,
+} from "../data/constants";
+
+const gapX = 120;
+const gapY = 60;
+const margin = 40;
+// Space between the edge of a subject area and the tables inside it, with
+// more at the top for its name.
+const areaPadding = 40;
+const areaHeaderHeight = 60;
+
+function getTableHeight(table) {
+  return (
+    table.fields.length * tableFieldHeight +
+    tableHeaderHeight +
+    tableColorStripHeight
+  );
+}
+
+// Relationships point from the table holding the foreign key to the table it
+// references. Self references and duplicates do not affect the layout.
+function getEdges(tables, relationships) {
+  const ids = new Set(tables.map((t) => t.id));
+  const seen = new Set();
+  return relationships
+    .map((r) => ({ from: r.startTableId, to: r.endTableId }))
+    .filter((e) => {
+      const key = `${e.from}->${e.to}`;
+      if (e.from === e.to || !ids.has(e.from) || !ids.has(e.to)) return false;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Referenced tables go in the first layer and every table is placed one layer
+// after the last table it references. Edges that close a cycle are ignored.
+function assignLayers(nodes, edges) {
+  const parents = new Map(nodes.map((n) => [n, []]));
+  edges.forEach((e) => parents.get(e.from).push(e.to));
+
+  const state = new Map();
+  const backEdges = new Set();
+  const visit = (node) => {
+    state.set(node, "visiting");
+    parents.get(node).forEach((p) => {
+      if (state.get(p) === "visiting") backEdges.add(`${node}->${p}`);
+      else if (!state.has(p)) visit(p);
+    });
+    state.set(node, "done");
+  };
+  nodes.forEach((n) => !state.has(n) && visit(n));
+
+  const layers = new Map();
+  const layerOf = (node) => {
+    if (layers.has(node)) return layers.get(node);
+    layers.set(node, 0);
+    const layer = parents
+      .get(node)
+      .filter((p) => !backEdges.has(`${node}->${p}`))
+      .reduce((max, p) => Math.max(max, layerOf(p) + 1), 0);
+    layers.set(node, layer);
+    return layer;
+  };
+  nodes.forEach(layerOf);
+
+  return {
+    layers,
+    edges: edges.filter((e) => !backEdges.has(`${e.from}->${e.to}`)),
+  };
+}
+
+function countCrossings(upper, lower, links) {
+  const upperIndex = new Map(upper.map((n, i) => [n, i]));
+  const lowerIndex = new Map(lower.map((n, i) => [n, i]));
+  const pairs = [];
+  links.forEach(([a, b]) => {
+    if (upperIndex.has(a) && lowerIndex.has(b)) {
+      pairs.push([upperIndex.get(a), lowerIndex.get(b)]);
+    }
+  });
+  let crossings = 0;
+  for (let i = 0; i < pairs.length; i++) {
+    for (let j = i + 1; j < pairs.length; j++) {
+      const [a1, b1] = pairs[i];
+      const [a2, b2] = pairs[j];
+      if ((a1 - a2) * (b1 - b2) < 0) crossings++;
+    }
+  }
+  return crossings;
+}
+
+/**
+ * Places tables in columns along the direction of their foreign keys and
+ * orders every column to reduce crossing lines, using the barycenter
+ * heuristic with placeholder nodes for relationships that skip columns.
+ */
+function layered(tables, relationships, tableWidth, originX, originY) {
+  const positions = new Map();
+  const heights = new Map(tables.map((t) => [t.id, getTableHeight(t)]));
+  const edges = getEdges(tables, relationships);
+  const linked = new Set(edges.flatMap((e) => [e.from, e.to]));
+  const connected = tables.filter((t) => linked.has(t.id));
+  const isolated = tables.filter((t) => !linked.has(t.id));
+
+  const { layers, edges: dag } = assignLayers(
+    connected.map((t) => t.id),
+    edges,
+  );
+  const columnCount = connected.length
+    ? Math.max(...connected.map((t) => layers.get(t.id))) + 1
+    : 0;
+  const columns = Array.from({ length: columnCount }, () => []);
+  // Start from the current vertical order so that a tidy diagram stays close
+  // to what it was.
+  [...connected]
+    .sort((a, b) => a.y - b.y)
+    .forEach((t) => columns[layers.get(t.id)].push(t.id));
+
+  const links = [];
+  dag.forEach((e, i) => {
+    const start = layers.get(e.to);
+    const end = layers.get(e.from);
+    let prev = e.to;
+    for (let layer = start + 1; layer < end; layer++) {
+      const dummy = `dummy_${i}_${layer}`;
+      columns[layer].push(dummy);
+      links.push([prev, dummy]);
+      prev = dummy;
+    }
+    links.push([prev, e.from]);
+  });
+
+  const neighbours = new Map();
+  const addNeighbour = (a, b) => {
+    if (!neighbours.has(a)) neighbours.set(a, []);
+    neighbours.get(a).push(b);
+  };
+  links.forEach(([a, b]) => {
+    addNeighbour(a, b);
+    addNeighbour(b, a);
+  });
+
+  const totalCrossings = (cols) =>
+    cols
+      .slice(1)
+      .reduce((sum, col, i) => sum + countCrossings(cols[i], col, links), 0);
+
+  let best = columns.map((c) => [...c]);
+  let bestCrossings = totalCrossings(best);
+  for (let iteration = 0; iteration < 24 && bestCrossings > 0; iteration++) {
+    const down = iteration % 2 === 0;
+    const order = [...Array(columnCount).keys()];
+    if (!down) order.reverse();
+    order.forEach((layer) => {
+      const fixed = columns[down ? layer - 1 : layer + 1];
+      if (!fixed) return;
+      const fixedIndex = new Map(fixed.map((n, i) => [n, i]));
+      const barycenter = new Map(
+        columns[layer].map((n, i) => {
+          const adjacent = (neighbours.get(n) ?? []).filter((m) =>
+            fixedIndex.has(m),
+          );
+          if (adjacent.length === 0) return [n, i];
+          const sum = adjacent.reduce((s, m) => s + fixedIndex.get(m), 0);
+          return [n, sum / adjacent.length];
+        }),
+      );
+      columns[layer].sort((a, b) => barycenter.get(a) - barycenter.get(b));
+    });
+    const crossings = totalCrossings(columns);
+    if (crossings < bestCrossings) {
+      bestCrossings = crossings;
+      best = columns.map((c) => [...c]);
+    }
+  }
+
+  // Very long columns, such as the tables around a much referenced one, are
+  // wrapped into several.
+  const maxColumnHeight = Math.max(1200, ...heights.values());
+  const tableColumns = best.flatMap((c) => {
+    const parts = [[]];
+    let height = 0;
+    c.filter((n) => heights.has(n)).forEach((n) => {
+      if (
+        parts.at(-1).length > 0 &&
+        height + heights.get(n) > maxColumnHeight
+      ) {
+        parts.push([]);
+        height = 0;
+      }
+      parts.at(-1).push(n);
+      height += heights.get(n) + gapY;
+    });
+    return parts.filter((p) => p.length > 0);
+  });
+  const columnHeight = (c) =>
+    c.reduce((sum, n) => sum + heights.get(n), 0) + (c.length - 1) * gapY;
+  const tallest = Math.max(0, ...tableColumns.map(columnHeight));
+
+  tableColumns.forEach((c, i) => {
+    let y = originY + (tallest - columnHeight(c)) / 2;
+    c.forEach((n) => {
+      positions.set(n, { x: originX + i * (tableWidth + gapX), y: y });
+      y += heights.get(n) + gapY;
+    });
+  });
+
+  // Tables without relationships are stacked in columns of their own.
+  const maxHeight = Math.max(tallest, 600);
+  let column = tableColumns.length;
+  let y = originY;
+  let height = tallest;
+  isolated.forEach((t) => {
+    if (y > originY && y + heights.get(t.id) > originY + maxHeight) {
+      column++;
+      y = originY;
+    }
+    positions.set(t.id, { x: originX + column * (tableWidth + gapX), y: y });
+    y += heights.get(t.id) + gapY;
+    height = Math.max(height, y - gapY - originY);
+  });
+  const usedColumns = isolated.length > 0 ? column + 1 : tableColumns.length;
+
+  return {
+    positions,
+    width: Math.max(0, usedColumns * (tableWidth + gapX) - gapX),
+    height,
+  };
+}
+
+/**
+ * Treats relationships as springs and tables as charges pushing each other
+ * away, then separates any tables that are left overlapping.
+ */
+function forceDirected(tables, relationships, tableWidth) {
+  const edges = getEdges(tables, relationships);
+  const nodes = tables.map((t, i) => {
+    const h = getTableHeight(t);
+    return {
+      id: t.id,
+      w: tableWidth,
+      h: h,
+      // A small offset keeps tables at the same spot from staying together.
+      x: t.x + tableWidth / 2 + (i % 7),
+      y: t.y + h / 2 + (i % 5),
+    };
+  });
+  const index = new Map(nodes.map((n, i) => [n.id, i]));
+  const k = tableWidth * 1.5;
+  let temperature = k;
+
+  for (let iteration = 0; iteration < 300; iteration++) {
+    const dx = new Array(nodes.length).fill(0);
+    const dy = new Array(nodes.length).fill(0);
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const x = nodes[i].x - nodes[j].x;
+        const y = nodes[i].y - nodes[j].y;
+        const distance = Math.max(Math.hypot(x, y), 1);
+        const force = (k * k) / distance;
+        dx[i] += (x / distance) * force;
+        dy[i] += (y / distance) * force;
+        dx[j] -= (x / distance) * force;
+        dy[j] -= (y / distance) * force;
+      }
+    }
+    edges.forEach((e) => {
+      const i = index.get(e.from);
+      const j = index.get(e.to);
+      const x = nodes[i].x - nodes[j].x;
+      const y = nodes[i].y - nodes[j].y;
+      const distance = Math.max(Math.hypot(x, y), 1);
+      const force = (distance * distance) / k;
+      dx[i] -= (x / distance) * force;
+      dy[i] -= (y / distance) * force;
+      dx[j] += (x / distance) * force;
+      dy[j] += (y / distance) * force;
+    });
+    nodes.forEach((n, i) => {
+      const distance = Math.max(Math.hypot(dx[i], dy[i]), 1);
+      const step = Math.min(distance, temperature);
+      n.x += (dx[i] / distance) * step;
+      n.y += (dy[i] / distance) * step;
+    });
+    temperature = Math.max(temperature * 0.97, 1);
+  }
+
+  for (let pass = 0; pass < 100; pass++) {
+    let moved = false;
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = nodes[i];
+        const b = nodes[j];
+        const overlapX = (a.w + b.w) / 2 + gapX / 2 - Math.abs(a.x - b.x);
+        const overlapY = (a.h + b.h) / 2 + gapY / 2 - Math.abs(a.y - b.y);
+        if (overlapX <= 0 || overlapY <= 0) continue;
+        moved = true;
+        if (overlapX < overlapY) {
+          const shift = (a.x < b.x ? -overlapX : overlapX) / 2;
+          a.x += shift;
+          b.x -= shift;
+        } else {
+          const shift = (a.y < b.y ? -overlapY : overlapY) / 2;
+          a.y += shift;
+          b.y -= shift;
+        }
+      }
+    }
+    if (!moved) break;
+  }
+
+  const left = Math.min(...nodes.map((n) => n.x - n.w / 2));
+  const top = Math.min(...nodes.map((n) => n.y - n.h / 2));
+  return new Map(
+    nodes.map((n) => [
+      n.id,
+      { x: n.x - n.w / 2 - left + margin, y: n.y - n.h / 2 - top + margin },
+    ]),
+  );
+}
+
+/**
+ * Lays out the tables of every subject area on their own and fits the areas
+ * around them. A table belongs to the area its center is in.
+ */
+function groupedByArea(tables, relationships, areas, tableWidth) {
+  const remaining = new Set(tables.map((t) => t.id));
+  const groups = areas.map((area) => {
+    const members = tables.filter((t) => {
+      const cx = t.x + tableWidth / 2;
+      const cy = t.y + getTableHeight(t) / 2;
+      return (
+        remaining.has(t.id) &&
+        cx >= area.x &&
+        cx <= area.x + area.width &&
+        cy >= area.y &&
+        cy <= area.y + area.height
+      );
+    });
+    members.forEach((t) => remaining.delete(t.id));
+    return { area, tables: members };
+  });
+  groups.push({
+    area: null,
+    tables: tables.filter((t) => remaining.has(t.id)),
+  });
+
+  const positions = new Map();
+  const areaBounds = new Map();
+  const rowWidth = Math.max(
+    2400,
+    Math.sqrt(tables.length) * (tableWidth + gapX) * 2,
+  );
+  let x = margin;
+  let y = margin;
+  let rowHeight = 0;
+  groups.forEach(({ area, tables: members }) => {
+    if (members.length === 0) {
+      if (area) {
+        // Empty areas keep their size and are lined up with the others.
+        if (x > margin && x + area.width > rowWidth) {
+          x = margin;
+          y += rowHeight + gapY;
+          rowHeight = 0;
+        }
+        areaBounds.set(area.id, { ...area, x: x, y: y });
+        x += area.width + gapX;
+        rowHeight = Math.max(rowHeight, area.height);
+      }
+      return;
+    }
+    const inset = area ? areaPadding : 0;
+    const insetTop = area ? areaHeaderHeight : 0;
+    const layout = layered(members, relationships, tableWidth, 0, 0);
+    const width = layout.width + inset * 2;
+    const height = layout.height + insetTop + inset;
+    if (x > margin && x + width > rowWidth) {
+      x = margin;
+      y += rowHeight + gapY;
+      rowHeight = 0;
+    }
+    layout.positions.forEach((p, id) =>
+      positions.set(id, { x: x + inset + p.x, y: y + insetTop + p.y }),
+    );
+    if (area) {
+      areaBounds.set(area.id, {
+        x: x,
+        y: y,
+        width: width,
+        height: height,
+      });
+    }
+    x += width + gapX;
+    rowHeight = Math.max(rowHeight, height);
+  });
+
+  return { positions, areaBounds };
+}
+
+/**
+ * New positions for the tables, and for subject areas when grouping by them,
+ * as `{ tables: [{ id, x, y }], areas: [{ id, x, y, width, height }] }`.
+ */
+export function arrangeDiagram(
+  method,
+  { tables, relationships, areas, tableWidth },
+) {
+  if (method === Arrangement.GROUPED) {
+    const { positions, areaBounds } = groupedByArea(
+      tables,
+      relationships,
+      areas,
+      tableWidth,
+    );
+    return {
+      tables: [...positions].map(([id, p]) => ({ id, ...p })),
+      areas: [...areaBounds].map(([id, b]) => ({
+        id,
+        x: b.x,
+        y: b.y,
+        width: b.width,
+        height: b.height,
+      })),
+    };
+  }
+
+  const positions =
+    method === Arrangement.FORCE
+      ? forceDirected(tables, relationships, tableWidth)
+      : layered(tables, relationships, tableWidth, margin, margin).positions;
+  return {
+    tables: [...positions].map(([id, p]) => ({ id, ...p })),
+    areas: [],
+  };
+}
@@ -1,9 +1,22 @@
 import {
   Cardinality,
+  DB,
   tableColorStripHeight,
   tableFieldHeight,
   tableHeaderHeight,
 } from "../data/constants";
+import { generateId } from "./ids";
+
+function getColumnName(column) {
+  if (typeof column === "string") return column;
+  if (column.column !== undefined) return getColumnName(column.column);
+  return column.expr.value;
+}
+
+function getFunctionName(ast) {
+  if (typeof ast.name === "string") return ast.name;
+  return ast.name.name.map((n) => n.value).join(".");
+}
 
 function buildSQLFromAST(ast) {
   if (ast.type === "binary_expr") {
@@ -14,13 +27,13 @@ function buildSQLFromAST(ast) {
 
   if (ast.type === "function") {
     let expr = "";
-    expr = ast.name;
+    expr = getFunctionName(ast);
     if (ast.args) {
       expr +=
         "(" +
         ast.args.value
           .map((v) => {
-            if (v.type === "column_ref") return "`" + v.column + "`";
+            if (v.type === "column_ref") return "`" + getColumnName(v) + "`";
             if (
               v.type === "single_quote_string" ||
               v.type === "double_quote_string"
@@ -33,7 +46,9 @@ function buildSQLFromAST(ast) {
     }
     return expr;
   } else if (ast.type === "column_ref") {
-    return "`" + ast.column + "`";
+    return "`" + getColumnName(ast) + "`";
+  } else if (ast.type === "cast") {
+    return buildSQLFromAST(ast.expr);
   } else if (ast.type === "expr_list") {
     return ast.value.map((v) => v.value).join(" AND ");
   } else {
@@ -41,9 +56,288 @@ function buildSQLFromAST(ast) {
   }
 }
 
-export function astToDiagram(ast) {
+// Column names referenced anywhere in an expression
+function columnsOf(ast) {
+  if (!ast || typeof ast !== "object") return [];
+  if (ast.type === "column_ref") return [getColumnName(ast)];
+  return Object.values(ast).flatMap((v) =>
+    Array.isArray(v) ? v.flatMap(columnsOf) : columnsOf(v),
+  );
+}
+
+// MySQL spells composite unique constraints as UNIQUE KEY or UNIQUE INDEX
+const uniqueConstraints = ["unique", "unique key", "unique index"];
+
+// Other spellings of the Postgres types offered in datatypes.js
+const postgresAliases = {
+  INTEGER: "INT",
+  INT4: "INT",
+  INT8: "BIGINT",
+  INT2: "SMALLINT",
+  SERIAL: "INT",
+  SERIAL4: "INT",
+  BIGSERIAL: "BIGINT",
+  SERIAL8: "BIGINT",
+  SMALLSERIAL: "SMALLINT",
+  SERIAL2: "SMALLINT",
+  "CHARACTER VARYING": "VARCHAR",
+  CHARACTER: "CHAR",
+  BPCHAR: "CHAR",
+  "BIT VARYING": "VARBIT",
+  "DOUBLE PRECISION": "DOUBLE",
+  FLOAT8: "DOUBLE",
+  FLOAT4: "REAL",
+  BOOL: "BOOLEAN",
+  TIMESTAMPTZ: "TIMESTAMP",
+};
+
+// SQLite accepts any type name and only keeps its affinity.
+function getSQLiteAffinity(type) {
+  if (type.includes("INT")) return "INTEGER";
+  if (/CHAR|CLOB|TEXT/.test(type)) return "TEXT";
+  if (type === "" || type.includes("BLOB")) return "BLOB";
+  if (/REAL|FLOA|DOUB/.test(type)) return "REAL";
+  return "NUMERIC";
+}
+
+// `VARCHAR(MAX)` and friends have no size and are stored as large objects.
+const sqlServerMaxTypes = {
+  VARCHAR: "TEXT",
+  NVARCHAR: "NTEXT",
+  VARBINARY: "IMAGE",
+};
+
+function isMaxLength(definition) {
+  return String(definition.length).toUpperCase() === "MAX";
+}
+
+function getFieldType(definition, dbms, types) {
+  let type = definition.dataType.replace(/"/g, "").toUpperCase();
+  let array = !!definition.array;
+  if (type.endsWith("[]")) {
+    type = type.slice(0, -2);
+    array = true;
+  }
+
+  const customType = types.find((t) => t.name.toUpperCase() === type);
+  if (customType) {
+    type = customType.name.toUpperCase();
+  } else if (dbms === DB.POSTGRES) {
+    if (type === "TIMESTAMP" && definition.suffix?.[0] !== "WITH") {
+      type = "DATETIME";
+    } else {
+      type = postgresAliases[type] ?? type;
+    }
+  } else if (dbms === DB.MYSQL || dbms === DB.MARIADB) {
+    if (type === "INTEGER") type = "INT";
+  } else if (dbms === DB.SQLITE) {
+    type = getSQLiteAffinity(type);
+  } else if (dbms === DB.MSSQL && isMaxLength(definition)) {
+    type = sqlServerMaxTypes[type] ?? type;
+  }
+
+  return array ? `${type}[]` : type;
+}
+
+function isSerial(definition) {
+  return /^(SMALL|BIG)?SERIAL[248]?$/i.test(definition.dataType);
+}
+
+function isNextval(value) {
+  return value?.type === "function" && getFunctionName(value) === "nextval";
+}
+
+function getConstraint(value) {
+  const constraint = value.toLowerCase();
+  return constraint[0].toUpperCase() + constraint.substring(1);
+}
+
+export function astToDiagram(ast, dbms = DB.MYSQL) {
   const tables = [];
   const relationships = [];
+  const types = [];
+  const foreignKeys = [];
+
+  const findTable = (name) => tables.find((t) => t.name === name);
+
+  const addRelationship = ({ startTable, startField, definition }) => {
+    const endTableName = definition.table[0].table;
+    const endTable =
+      endTableName === startTable.name ? startTable : findTable(endTableName);
+    if (!endTable) return;
+
+    // A reference without columns points at the primary key.
+    const endField = definition.definition[0]
+      ? endTable.fields.find(
+          (f) => f.name === getColumnName(definition.definition[0]),
+        )
+      : endTable.fields.find((f) => f.primary);
+    if (!endField) return;
+
+    const startFieldId = startTable.fields.find(
+      (f) => f.name === startField,
+    )?.id;
+    if (!startFieldId) return;
+
+    // Dumps may declare the same key both inline and in an ALTER TABLE.
+    const exists = relationships.some(
+      (r) =>
+        r.startTableId === startTable.id &&
+        r.startFieldId === startFieldId &&
+        r.endTableId === endTable.id &&
+        r.endFieldId === endField.id,
+    );
+    if (exists) return;
+
+    let updateConstraint = "No action";
+    let deleteConstraint = "No action";
+    definition.on_action?.forEach((c) => {
+      if (c.type === "on update") {
+        updateConstraint = getConstraint(c.value.value);
+      } else if (c.type === "on delete") {
+        deleteConstraint = getConstraint(c.value.value);
+      }
+    });
+
+    relationships.push({
+      id: generateId(),
+      name: startTable.name + "_" + startField + "_fk",
+      startTableId: startTable.id,
+      startFieldId: startFieldId,
+      endTableId: endTable.id,
+      endFieldId: endField.id,
+      updateConstraint: updateConstraint,
+      deleteConstraint: deleteConstraint,
+      cardinality: Cardinality.ONE_TO_ONE,
+    });
+  };
+
+  const addField = (table, d) => {
+    const field = {};
+    field.id = generateId();
+    field.name = getColumnName(d.column);
+    field.type = getFieldType(d.definition, dbms, types);
+    if (d.definition.expr && d.definition.expr.type === "expr_list") {
+      field.values = d.definition.expr.value.map((v) => v.value);
+    }
+    field.comment = "";
+    if (d.comment) field.comment = d.comment.value.value;
+    field.unique = false;
+    if (d.unique) field.unique = true;
+    field.increment = false;
+    if (d.auto_increment || d.generated_by_default || d.identity) {
+      field.increment = true;
+    }
+    field.notNull = false;
+    if (d.nullable?.type === "not null") field.notNull = true;
+    field.primary = false;
+    if (d.primary_key) field.primary = true;
+    if (isSerial(d.definition)) {
+      field.increment = true;
+      field.notNull = true;
+    }
+    field.default = "";
+    if (d.default_val) {
+      let value = d.default_val.value;
+      if (value.type === "cast") value = value.expr;
+      let defaultValue = "";
+      if (isNextval(value)) {
+        field.increment = true;
+      } else if (value.type === "function") {
+        defaultValue = getFunctionName(value);
+        if (value.args) {
+          defaultValue +=
+            "(" +
+            value.args.value
+              .map((v) => {
+                if (
+                  v.type === "single_quote_string" ||
+                  v.type === "double_quote_string"
+                )
+                  return "'" + v.value + "'";
+                return v.value;
+              })
+              .join(", ") +
+            ")";
+        }
+      } else if (value.type === "null") {
+        defaultValue = "NULL";
+      } else {
+        defaultValue = value.value.toString();
+      }
+      field.default = defaultValue;
+    }
+    if (
+      dbms !== DB.SQLITE &&
+      d.definition["length"] &&
+      !isMaxLength(d.definition)
+    ) {
+      if (d.definition.scale) {
+        field.size = d.definition["length"] + "," + d.definition.scale;
+      } else {
+        field.size = d.definition["length"];
+      }
+    }
+    field.check = "";
+    if (d.check) {
+      field.check = buildSQLFromAST(d.check.definition[0]);
+    }
+
+    if (d.reference_definition) {
+      foreignKeys.push({
+        startTable: table,
+        startField: field.name,
+        definition: d.reference_definition,
+      });
+    }
+
+    table.fields.push(field);
+  };
+
+  const addIndex = (table, name, unique, columns) => {
+    table.indices.push({
+      id: table.indices.length,
+      name: name ?? `${table.name}_index_${table.indices.length}`,
+      unique,
+      fields: columns.map((c) => getColumnName(c)),
+    });
+  };
+
+  const addConstraint = (table, d) => {
+    if (d.constraint_type.toLowerCase() === "primary key") {
+      d.definition.forEach((c) => {
+        table.fields.forEach((f) => {
+          if (f.name === getColumnName(c) && !f.primary) {
+            f.primary = true;
+          }
+        });
+      });
+    } else if (uniqueConstraints.includes(d.constraint_type.toLowerCase())) {
+      if (d.definition.length === 1) {
+        const field = table.fields.find(
+          (f) => f.name === getColumnName(d.definition[0]),
+        );
+        if (field) field.unique = true;
+      } else {
+        addIndex(table, d.constraint ?? d.index, true, d.definition);
+      }
+    } else if (d.constraint_type.toLowerCase() === "check") {
+      // Kept on the first column the expression mentions
+      const name = columnsOf(d.definition[0])[0];
+      const field = table.fields.find((f) => f.name === name);
+      if (field) {
+        const check = buildSQLFromAST(d.definition[0]);
+        field.check = field.check ? `${field.check} AND ${check}` : check;
+      }
+    } else if (d.constraint_type.toUpperCase() === "FOREIGN KEY") {
+      // Resolved once every table is known, as they may be defined later.
+      foreignKeys.push({
+        startTable: table,
+        startField: getColumnName(d.definition[0]),
+        definition: d.reference_definition,
+      });
+    }
+  };
 
   ast.forEach((e) => {
     if (e.type === "create") {
@@ -54,210 +348,90 @@ export function astToDiagram(ast) {
         table.color = "#175e7a";
         table.fields = [];
         table.indices = [];
-        table.id = tables.length;
+        table.id = generateId();
         e.create_definitions.forEach((d) => {
           if (d.resource === "column") {
-            const field = {};
-            field.name = d.column.column;
-            field.type = d.definition.dataType;
-            if (d.definition.expr && d.definition.expr.type === "expr_list") {
-              field.values = d.definition.expr.value.map((v) => v.value);
-            }
-            field.comment = "";
-            field.unique = false;
-            if (d.unique) field.unique = true;
-            field.increment = false;
-            if (d.auto_increment) field.increment = true;
-            field.notNull = false;
-            if (d.nullable) field.notNull = true;
-            field.primary = false;
-            if (d.primary_key) field.primary = true;
-            field.default = "";
-            if (d.default_val) {
-              let defaultValue = "";
-              if (d.default_val.value.type === "function") {
-                defaultValue = d.default_val.value.name;
-                if (d.default_val.value.args) {
-                  defaultValue +=
-                    "(" +
-                    d.default_val.value.args.value
-                      .map((v) => {
-                        if (
-                          v.type === "single_quote_string" ||
-                          v.type === "double_quote_string"
-                        )
-                          return "'" + v.value + "'";
-                        return v.value;
-                      })
-                      .join(", ") +
-                    ")";
-                }
-              } else if (d.default_val.value.type === "null") {
-                defaultValue = "NULL";
-              } else {
-                defaultValue = d.default_val.value.value.toString();
-              }
-              field.default = defaultValue;
-            }
-            if (d.definition["length"]) {
-              if (d.definition.scale) {
-                field.size = d.definition["length"] + "," + d.definition.scale;
-              } else {
-                field.size = d.definition["length"];
-              }
-            }
-            field.check = "";
-            if (d.check) {
-              field.check = buildSQLFromAST(d.check.definition[0]);
-            }
-
-            table.fields.push(field);
+            addField(table, d);
           } else if (d.resource === "constraint") {
-            if (d.constraint_type === "primary key") {
-              d.definition.forEach((c) => {
-                table.fields.forEach((f) => {
-                  if (f.name === c.column && !f.primary) {
-                    f.primary = true;
-                  }
-                });
-              });
-            } else if (d.constraint_type === "FOREIGN KEY") {
-              const relationship = {};
-              const startTableId = table.id;
-              const startTable = e.table[0].table;
-              const startField = d.definition[0].column;
-              const endTable = d.reference_definition.table[0].table;
-              const endField = d.reference_definition.definition[0].column;
-
-              const endTableId = tables.findIndex((t) => t.name === endTable);
-              if (endTableId === -1) return;
-
-              const endFieldId = tables[endTableId].fields.findIndex(
-                (f) => f.name === endField,
-              );
-              if (endField === -1) return;
-
-              const startFieldId = table.fields.findIndex(
-                (f) => f.name === startField,
-              );
-              if (startFieldId === -1) return;
-
-              relationship.name = startTable + "_" + startField + "_fk";
-              relationship.startTableId = startTableId;
-              relationship.endTableId = endTableId;
-              relationship.endFieldId = endFieldId;
-              relationship.startFieldId = startFieldId;
-              let updateConstraint = "No action";
-              let deleteConstraint = "No action";
-              d.reference_definition.on_action.forEach((c) => {
-                if (c.type === "on update") {
-                  updateConstraint = c.value.value;
-                  updateConstraint =
-                    updateConstraint[0].toUpperCase() +
-                    updateConstraint.substring(1);
-                } else if (c.type === "on delete") {
-                  deleteConstraint = c.value.value;
-                  deleteConstraint =
-                    deleteConstraint[0].toUpperCase() +
-                    deleteConstraint.substring(1);
-                }
-              });
-
-              relationship.updateConstraint = updateConstraint;
-              relationship.deleteConstraint = deleteConstraint;
-              relationship.cardinality = Cardinality.ONE_TO_ONE;
-              relationships.push(relationship);
-            }
+            addConstraint(table, d);
+          } else if (d.resource === "index") {
+            addIndex(table, d.index, false, d.definition);
           }
         });
-        table.fields.forEach((f, j) => {
-          f.id = j;
-        });
         tables.push(table);
       } else if (e.keyword === "index") {
         const index = {};
-        index.name = e.index;
+        index.name = typeof e.index === "string" ? e.index : e.index.name;
         index.unique = false;
         if (e.index_type === "unique") index.unique = true;
         index.fields = [];
-        e.index_columns.forEach((f) => index.fields.push(f.column));
-
-        let found = -1;
-        tables.forEach((t, i) => {
-          if (found !== -1) return;
-          if (t.name === e.table.table) {
-            t.indices.push(index);
-            found = i;
-          }
-        });
+        e.index_columns.forEach((f) => index.fields.push(getColumnName(f)));
 
-        if (found !== -1) tables[found].indices.forEach((i, j) => (i.id = j));
+        const table = findTable(e.table.table);
+        if (table) {
+          table.indices.push(index);
+          table.indices.forEach((i, j) => (i.id = j));
+        }
+      } else if (e.keyword === "type" && e.resource === "enum") {
+        types.push({
+          name: e.name.name,
+          fields: [
+            {
+              name: e.name.name,
+              type: "ENUM",
+              values: e.create_definitions.value.map((v) => v.value),
+            },
+          ],
+          comment: "",
+        });
       }
     } else if (e.type === "alter") {
+      const table = findTable(e.table[0].table);
+      if (!table) return;
+
       e.expr.forEach((expr) => {
-        if (
-          expr.action === "add" &&
-          expr.create_definitions.constraint_type === "FOREIGN KEY"
+        if (expr.action === "add" && expr.create_definitions?.constraint_type) {
+          addConstraint(table, expr.create_definitions);
+        } else if (expr.action === "add" && expr.resource === "column") {
+          addField(table, expr);
+        } else if (expr.action === "add" && expr.resource === "index") {
+          addIndex(table, expr.index, false, expr.definition);
+        } else if (
+          expr.action === "alter" &&
+          isNextval(expr.default_val?.value)
         ) {
-          const relationship = {};
-          const startTable = e.table[0].table;
-          const startField = expr.create_definitions.definition[0].column;
-          const endTable =
-            expr.create_definitions.reference_definition.table[0].table;
-          const endField =
-            expr.create_definitions.reference_definition.definition[0].column;
-          let updateConstraint = "No action";
-          let deleteConstraint = "No action";
-          expr.create_definitions.reference_definition.on_action.forEach(
-            (c) => {
-              if (c.type === "on update") {
-                updateConstraint = c.value.value;
-                updateConstraint =
-                  updateConstraint[0].toUpperCase() +
-                  updateConstraint.substring(1);
-              } else if (c.type === "on delete") {
-                deleteConstraint = c.value.value;
-                deleteConstraint =
-                  deleteConstraint[0].toUpperCase() +
-                  deleteConstraint.substring(1);
-              }
-            },
+          const field = table.fields.find(
+            (f) => f.name === getColumnName(expr.column),
           );
-
-          const startTableId = tables.findIndex((t) => t.name === startTable);
-          if (startTable === -1) return;
-
-          const endTableId = tables.findIndex((t) => t.name === endTable);
-          if (endTableId === -1) return;
-
-          const endFieldId = tables[endTableId].fields.findIndex(
-            (f) => f.name === endField,
-          );
-          if (endField === -1) return;
-
-          const startFieldId = tables[startTableId].fields.findIndex(
-            (f) => f.name === startField,
-          );
-          if (startFieldId === -1) return;
-
-          relationship.name = startTable + "_" + startField + "_fk";
-          relationship.startTableId = startTableId;
-          relationship.startFieldId = startFieldId;
-          relationship.endTableId = endTableId;
-          relationship.endFieldId = endFieldId;
-          relationship.updateConstraint = updateConstraint;
-          relationship.deleteConstraint = deleteConstraint;
-          relationship.cardinality = Cardinality.ONE_TO_ONE;
-          relationships.push(relationship);
-
-          relationships.forEach((r, i) => (r.id = i));
+          if (field) {
+            field.increment = true;
+            field.default = "";
+          }
         }
       });
+    } else if (e.type === "comment") {
+      const comment = e.expr.expr.value;
+      if (e.target.type === "table") {
+        const table = findTable(e.target.name.table);
+        if (table) table.comment = comment;
+      } else if (e.target.type === "column") {
+        const table = findTable(e.target.name.table);
+        const field = table?.fields.find(
+          (f) => f.name === getColumnName(e.target.name),
+        );
+        if (field) field.comment = comment;
+      }
     }
   });
 
-  relationships.forEach((r, i) => (r.id = i));
+  foreignKeys.forEach(addRelationship);
+  placeTables(tables);
+
+  return { tables, relationships, types };
+}
 
+// Imported tables are laid out in two rows.
+export function placeTables(tables) {
   let maxHeight = -1;
   const tableWidth = 200;
   const gapX = 54;
@@ -277,6 +451,4 @@ export function astToDiagram(ast) {
       table.y = maxHeight + 2 * gapY;
     }
   });
-
-  return { tables, relationships };
 }
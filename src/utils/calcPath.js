@@ -5,13 +5,13 @@ export function calcPath(r, tableWidth = 200, zoom = 1) {
   let x1 = r.startTable.x;
   let y1 =
     r.startTable.y +
-    r.startFieldId * tableFieldHeight +
+    r.startFieldIndex * tableFieldHeight +
     tableHeaderHeight +
     tableFieldHeight / 2;
   let x2 = r.endTable.x;
   let y2 =
     r.endTable.y +
-    r.endFieldId * tableFieldHeight +
+    r.endFieldIndex * tableFieldHeight +
     tableHeaderHeight +
     tableFieldHeight / 2;
 
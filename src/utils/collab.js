@@ -0,0 +1,66 @@
+// Each synced collection is treated as a map of entities keyed by their ids,
+// so that removing one doesn't change how the others are addressed.
+export const collections = [
+  "tables",
+  "relationships",
+  "notes",
+  "areas",
+  "types",
+  "tasks",
+];
+
+function toEntries(list) {
+  return new Map(list.map((e) => [e.id, e]));
+}
+
+/**
+ * The changes that turn one version of a collection into another, as
+ * `{ collection, key, value }` for added or changed entities and
+ * `{ collection, key, deleted: true }` for removed ones.
+ */
+export function diffCollection(collection, from, to) {
+  const before = toEntries(from);
+  const after = toEntries(to);
+  const ops = [];
+  after.forEach((value, key) => {
+    const prev = before.get(key);
+    if (!prev || JSON.stringify(prev) !== JSON.stringify(value)) {
+      ops.push({ collection, key, value });
+    }
+  });
+  before.forEach((_, key) => {
+    if (!after.has(key)) ops.push({ collection, key, deleted: true });
+  });
+  return ops;
+}
+
+export function applyOps(list, ops) {
+  const entries = toEntries(list);
+  ops.forEach((op) => {
+    if (op.deleted) entries.delete(op.key);
+    else entries.set(op.key, op.value);
+  });
+  return [...entries.values()];
+}
+
+// Concurrent writes to the same entity are settled by the Lamport clock, and
+// by client id when the clocks are equal, so every peer keeps the same one.
+export function isNewer(op, stamp) {
+  if (!stamp) return true;
+  if (op.clock !== stamp.clock) return op.clock > stamp.clock;
+  return op.client > stamp.client;
+}
+
+export const defaultRelayUrl =
+  import.meta.env?.VITE_RELAY_URL ?? "ws://localhost:1234";
+
+export const presenceColors = [
+  "#e11d48",
+  "#2563eb",
+  "#16a34a",
+  "#d97706",
+  "#9333ea",
+  "#0891b2",
+  "#db2777",
+  "#65a30d",
+];
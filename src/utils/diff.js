@@ -0,0 +1,170 @@
+const fieldProps = [
+  "type",
+  "size",
+  "values",
+  "default",
+  "check",
+  "notNull",
+  "unique",
+  "increment",
+  "comment",
+];
+
+const relationshipProps = [
+  "name",
+  "updateConstraint",
+  "deleteConstraint",
+  "cardinality",
+];
+
+// Missing, null and false all mean "not set", so they compare equal.
+function normalize(value) {
+  if (Array.isArray(value)) return value.join(",");
+  if (value === undefined || value === null || value === false) return "";
+  return String(value);
+}
+
+function changedProps(from, to, props) {
+  return props.filter((p) => normalize(from[p]) !== normalize(to[p]));
+}
+
+// Pairs the elements of two versions of a list. Generated ids are matched
+// first so that renamed elements are still recognised; positions used as ids
+// by older diagrams and importers say nothing across versions, so the rest
+// are matched by `key`, which also covers diagrams imported separately.
+function pair(from, to, key) {
+  const unmatched = to.slice();
+  const take = (match) => {
+    const i = unmatched.findIndex(match);
+    return i === -1 ? null : unmatched.splice(i, 1)[0];
+  };
+  const counterparts = new Map();
+  from.forEach((a) => {
+    if (typeof a.id !== "string") return;
+    const b = take((e) => e.id === a.id);
+    if (b) counterparts.set(a, b);
+  });
+  from.forEach((a) => {
+    if (counterparts.has(a)) return;
+    const b = take((e) => key(e) === key(a));
+    if (b) counterparts.set(a, b);
+  });
+  return { counterparts, added: unmatched };
+}
+
+function diffPairs(from, { counterparts, added }, compare) {
+  const removed = from.filter((a) => !counterparts.has(a));
+  const changed = from
+    .filter((a) => counterparts.has(a))
+    .map((a) => compare(a, counterparts.get(a)))
+    .filter(Boolean);
+  return { added, removed, changed };
+}
+
+function diffBy(from, to, key, compare) {
+  return diffPairs(from, pair(from, to, key), compare);
+}
+
+const byName = (e) => e.name;
+
+function isEmpty(d) {
+  return (
+    d.added.length === 0 && d.removed.length === 0 && d.changed.length === 0
+  );
+}
+
+function primaryKey(table) {
+  return table.fields.filter((f) => f.primary).map((f) => f.name);
+}
+
+function diffTable(from, to) {
+  const compareFields = (a, b) => {
+    const changes = changedProps(a, b, ["name", ...fieldProps]);
+    return changes.length > 0
+      ? { name: a.name, from: a, to: b, changes }
+      : null;
+  };
+  const fieldPairs = pair(from.fields, to.fields, byName);
+  const fields = diffPairs(from.fields, fieldPairs, compareFields);
+  const indices = diffBy(from.indices, to.indices, byName, (a, b) =>
+    changedProps(a, b, ["name", "unique", "fields"]).length > 0
+      ? { name: a.name, from: a, to: b }
+      : null,
+  );
+  // Renaming a key column doesn't change the key
+  const fromKey = primaryKey(from);
+  const toKey = primaryKey(to);
+  const keptKey = from.fields
+    .filter((f) => f.primary)
+    .map((f) => fieldPairs.counterparts.get(f)?.name);
+  const primaryKeyChanged = normalize(keptKey) !== normalize(toKey);
+  const commentChanged = normalize(from.comment) !== normalize(to.comment);
+
+  if (
+    from.name === to.name &&
+    isEmpty(fields) &&
+    isEmpty(indices) &&
+    !primaryKeyChanged &&
+    !commentChanged
+  ) {
+    return null;
+  }
+
+  return {
+    name: from.name,
+    from,
+    to,
+    fields,
+    indices,
+    primaryKey: primaryKeyChanged ? { from: fromKey, to: toKey } : null,
+    comment: commentChanged ? { from: from.comment, to: to.comment } : null,
+  };
+}
+
+// Relationships are named after their tables and fields, not by the user, so
+// they are matched on what they connect instead.
+function resolveRelationships(diagram) {
+  return diagram.relationships.map((r) => {
+    const startTable = diagram.tables.find((t) => t.id === r.startTableId);
+    const endTable = diagram.tables.find((t) => t.id === r.endTableId);
+    return {
+      ...r,
+      startTable: startTable.name,
+      startField: startTable.fields.find((f) => f.id === r.startFieldId).name,
+      endTable: endTable.name,
+      endField: endTable.fields.find((f) => f.id === r.endFieldId).name,
+    };
+  });
+}
+
+function relationshipKey(r) {
+  return `${r.startTable}.${r.startField}->${r.endTable}.${r.endField}`;
+}
+
+/**
+ * Compares two diagrams, each `{ tables, relationships }`, and lists the
+ * tables, fields, indices and relationships that were added, removed or
+ * changed going from `from` to `to`. Elements are matched by id, then by name
+ * or, for relationships, by what they connect. A renamed element is changed
+ * and its `from` and `to` names differ.
+ */
+export function diffDiagrams(from, to) {
+  const tables = diffBy(from.tables, to.tables, byName, diffTable);
+  const relationships = diffBy(
+    resolveRelationships(from),
+    resolveRelationships(to),
+    relationshipKey,
+    (a, b) => {
+      const changes = changedProps(a, b, relationshipProps);
+      return changes.length > 0
+        ? { name: a.name, from: a, to: b, changes }
+        : null;
+    },
+  );
+
+  return { tables, relationships };
+}
+
+export function diffIsEmpty(diff) {
+  return isEmpty(diff.tables) && isEmpty(diff.relationships);
+}
@@ -0,0 +1,148 @@
+import jsPDF from "jspdf";
+import "svg2pdf.js";
+import { diagramToSVG, getDiagramBounds } from "./toSVG";
+
+// Browsers refuse to draw canvases larger than this on either side.
+const maxCanvasSize = 16384;
+// CSS pixels are 1/96 in and PDF points 1/72 in.
+const pointsPerPixel = 0.75;
+const pageMargin = 24;
+const pageFooterHeight = 28;
+
+export function svgToDataUrl(svg) {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+function getPaddedBounds(diagram, options) {
+  const bounds = options.bounds ?? getDiagramBounds(diagram, options);
+  return {
+    x: bounds.x - options.padding,
+    y: bounds.y - options.padding,
+    width: bounds.width + options.padding * 2,
+    height: bounds.height + options.padding * 2,
+  };
+}
+
+// Rasterizes the SVG rendering at `options.scale` times its size.
+export function diagramToPNG(diagram, options) {
+  const svg = diagramToSVG(diagram, options);
+  const [width, height] = svg
+    .match(/^<svg [^>]*?width="([\d.]+)" height="([\d.]+)"/)
+    .slice(1)
+    .map(Number);
+  const scale = Math.min(
+    options.scale,
+    maxCanvasSize / Math.max(width, height),
+  );
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      canvas
+        .getContext("2d")
+        .drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL("image/png"));
+    };
+    image.onerror = reject;
+    image.src = svgToDataUrl(svg);
+  });
+}
+
+// Lays the diagram out on `options.paper` pages with vector shapes and text.
+// At actual size it is tiled across as many pages as needed, otherwise it is
+// shrunk to fit one page. Each page gets the title block as its footer.
+export async function diagramToPDF(diagram, options) {
+  const doc = new jsPDF({
+    orientation: options.orientation,
+    unit: "pt",
+    format: options.paper,
+  });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - pageMargin * 2;
+  const contentHeight =
+    pageHeight - pageMargin * 2 - (options.titleBlock ? pageFooterHeight : 0);
+
+  const bounds = getPaddedBounds(diagram, options);
+  const ratio = options.fitToPage
+    ? Math.min(contentWidth / bounds.width, contentHeight / bounds.height)
+    : pointsPerPixel;
+  const tileWidth = contentWidth / ratio;
+  const tileHeight = contentHeight / ratio;
+  const columns = Math.max(Math.ceil(bounds.width / tileWidth - 1e-6), 1);
+  const rows = Math.max(Math.ceil(bounds.height / tileHeight - 1e-6), 1);
+  const pages = columns * rows;
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const page = row * columns + column + 1;
+      if (page > 1) doc.addPage();
+
+      const tile = {
+        x: bounds.x + column * tileWidth,
+        y: bounds.y + row * tileHeight,
+        width: Math.min(tileWidth, bounds.width - column * tileWidth),
+        height: Math.min(tileHeight, bounds.height - row * tileHeight),
+      };
+      const svg = diagramToSVG(diagram, {
+        ...options,
+        bounds: tile,
+        padding: 0,
+        titleBlock: null,
+      });
+      const element = new DOMParser().parseFromString(
+        svg,
+        "image/svg+xml",
+      ).documentElement;
+
+      doc.saveGraphicsState();
+      doc.rect(
+        pageMargin,
+        pageMargin,
+        tile.width * ratio,
+        tile.height * ratio,
+        null,
+      );
+      doc.clip();
+      doc.discardPath();
+      await doc.svg(element, {
+        x: pageMargin,
+        y: pageMargin,
+        width: tile.width * ratio,
+        height: tile.height * ratio,
+      });
+      doc.restoreGraphicsState();
+
+      if (options.titleBlock) {
+        const { title, date, author } = options.titleBlock;
+        const y = pageHeight - pageMargin - pageFooterHeight / 2 + 4;
+        doc.setDrawColor("#9ca3af");
+        doc.line(
+          pageMargin,
+          pageHeight - pageMargin - pageFooterHeight,
+          pageWidth - pageMargin,
+          pageHeight - pageMargin - pageFooterHeight,
+        );
+        doc.setTextColor("#27272a");
+        doc.setFont("helvetica", "bold");
+        doc.setFontSize(11);
+        doc.text(title, pageMargin, y);
+        doc.setFont("helvetica", "normal");
+        doc.setTextColor("#71717a");
+        doc.text(
+          [date, author, pages > 1 ? `${page}/${pages}` : ""]
+            .filter(Boolean)
+            .join(" · "),
+          pageWidth - pageMargin,
+          y,
+          { align: "right" },
+        );
+      }
+    }
+  }
+
+  return { data: doc.output("datauristring"), pages };
+}
@@ -0,0 +1,72 @@
+const alphabet =
+  "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+export function generateId(size = 16) {
+  const bytes = crypto.getRandomValues(new Uint8Array(size));
+  let id = "";
+  for (let i = 0; i < size; i++) {
+    id += alphabet[bytes[i] % alphabet.length];
+  }
+  return id;
+}
+
+// Types and tasks made before they had ids, or imported without them, get one
+// here. The list is returned as is when nothing is missing.
+export function withIds(list) {
+  if (list.every((e) => e.id !== undefined)) return list;
+  return list.map((e) => (e.id === undefined ? { ...e, id: generateId() } : e));
+}
+
+/**
+ * Diagrams saved before tables, fields and relationships had ids of their own
+ * identified them by their position in the array, and relationships pointed
+ * at tables and fields by those positions. This gives every one of them a
+ * generated id and repoints the relationships. Diagrams that already have
+ * ids are returned unchanged.
+ */
+export function migrateIds(tables, relationships) {
+  const isLegacy =
+    tables.some(
+      (t) =>
+        typeof t.id !== "string" ||
+        t.fields.some((f) => typeof f.id !== "string"),
+    ) || relationships.some((r) => typeof r.id !== "string");
+  if (!isLegacy) return { tables, relationships };
+
+  const tableIds = new Map();
+  const fieldIds = new Map();
+  const newTables = tables.map((table, i) => {
+    const id = typeof table.id === "string" ? table.id : generateId();
+    tableIds.set(i, id);
+    return {
+      ...table,
+      id: id,
+      fields: table.fields.map((field, j) => {
+        const fieldId = typeof field.id === "string" ? field.id : generateId();
+        fieldIds.set(`${i}.${j}`, fieldId);
+        return { ...field, id: fieldId };
+      }),
+    };
+  });
+
+  // Old relationships point at positions; new ones already hold ids.
+  const tableIndex = (id) =>
+    typeof id === "string" ? tables.findIndex((t) => t.id === id) : id;
+  const fieldId = (tableId, id) =>
+    typeof id === "string" ? id : fieldIds.get(`${tableIndex(tableId)}.${id}`);
+
+  const newRelationships = relationships
+    .map((r) => ({
+      ...r,
+      id: typeof r.id === "string" ? r.id : generateId(),
+      startTableId: tableIds.get(tableIndex(r.startTableId)),
+      startFieldId: fieldId(r.startTableId, r.startFieldId),
+      endTableId: tableIds.get(tableIndex(r.endTableId)),
+      endFieldId: fieldId(r.endTableId, r.endFieldId),
+    }))
+    .filter(
+      (r) => r.startTableId && r.startFieldId && r.endTableId && r.endFieldId,
+    );
+
+  return { tables: newTables, relationships: newRelationships };
+}
@@ -0,0 +1,677 @@
+import {
+  Arrangement,
+  Cardinality,
+  Constraint,
+  DB,
+  defaultBlue,
+  defaultNoteTheme,
+} from "../data/constants";
+import { arrangeDiagram } from "./arrange";
+import { generateId } from "./ids";
+import { getSize, isSized } from "./toSQL";
+
+const databases = [
+  [/postgres/i, DB.POSTGRES],
+  [/maria/i, DB.MARIADB],
+  [/mysql/i, DB.MYSQL],
+  [/sqlite/i, DB.SQLITE],
+  [/sql\s*server|mssql/i, DB.MSSQL],
+];
+
+// Other spellings of the types offered in datatypes.js
+const typeAliases = {
+  INTEGER: "INT",
+  INT4: "INT",
+  INT8: "BIGINT",
+  INT2: "SMALLINT",
+  BOOL: "BOOLEAN",
+  "CHARACTER VARYING": "VARCHAR",
+  CHARACTER: "CHAR",
+  "DOUBLE PRECISION": "DOUBLE",
+  FLOAT8: "DOUBLE",
+  FLOAT4: "REAL",
+  TIMESTAMPTZ: "TIMESTAMP",
+  "TIMESTAMP WITH TIME ZONE": "TIMESTAMP",
+  "TIMESTAMP WITHOUT TIME ZONE": "DATETIME",
+};
+
+const serialTypes = {
+  SERIAL: "INT",
+  BIGSERIAL: "BIGINT",
+  SMALLSERIAL: "SMALLINT",
+};
+
+const constraints = {
+  "no action": Constraint.NONE,
+  restrict: Constraint.RESTRICT,
+  cascade: Constraint.CASCADE,
+  "set null": Constraint.SET_NULL,
+  "set default": Constraint.SET_DEFAULT,
+};
+
+const cardinalities = {
+  ">": Cardinality.MANY_TO_ONE,
+  "<": Cardinality.ONE_TO_MANY,
+  "-": Cardinality.ONE_TO_ONE,
+};
+
+function syntaxError(message, token) {
+  const err = new Error(message);
+  err.name = "SyntaxError";
+  err.location = { start: { line: token.line, column: token.column } };
+  return err;
+}
+
+// Multi-line strings drop the indentation shared by their lines.
+function dedent(text) {
+  const lines = text
+    .replace(/^\n/, "")
+    .replace(/\n\s*$/, "")
+    .split("\n");
+  const indent = Math.min(
+    ...lines
+      .filter((l) => l.trim() !== "")
+      .map((l) => l.length - l.trimStart().length),
+  );
+  return lines.map((l) => l.slice(isFinite(indent) ? indent : 0)).join("\n");
+}
+
+function tokenize(src) {
+  const tokens = [];
+  let line = 1;
+  let lineStart = 0;
+  let i = 0;
+
+  const push = (type, value, start) =>
+    tokens.push({ type, value, line, column: start - lineStart + 1 });
+  const advance = (text) => {
+    for (let j = 0; j < text.length; j++) {
+      if (text[j] === "\n") {
+        line++;
+        lineStart = i + j + 1;
+      }
+    }
+    i += text.length;
+  };
+
+  while (i < src.length) {
+    const rest = src.slice(i);
+    const c = src[i];
+    let m;
+    if (c === "\n") {
+      push("newline", "\n", i);
+      advance(c);
+    } else if (/\s/.test(c)) {
+      i++;
+    } else if (rest.startsWith("//")) {
+      const end = src.indexOf("\n", i);
+      i = end === -1 ? src.length : end;
+    } else if (rest.startsWith("/*")) {
+      const end = src.indexOf("*/", i + 2);
+      advance(src.slice(i, end === -1 ? src.length : end + 2));
+    } else if (rest.startsWith("'''")) {
+      const end = src.indexOf("'''", i + 3);
+      if (end === -1) {
+        throw syntaxError("Unterminated string", {
+          line,
+          column: i - lineStart + 1,
+        });
+      }
+      push("string", dedent(src.slice(i + 3, end)).replace(/\\'/g, "'"), i);
+      advance(src.slice(i, end + 3));
+    } else if (c === "'" || c === '"' || c === "`") {
+      let j = i + 1;
+      let value = "";
+      while (j < src.length && src[j] !== c) {
+        if (src[j] === "\\" && j + 1 < src.length) {
+          value += src[j + 1] === "n" ? "\n" : src[j + 1];
+          j += 2;
+        } else {
+          value += src[j++];
+        }
+      }
+      if (j >= src.length) {
+        throw syntaxError("Unterminated string", {
+          line,
+          column: i - lineStart + 1,
+        });
+      }
+      push({ "'": "string", '"': "word", "`": "expression" }[c], value, i);
+      advance(src.slice(i, j + 1));
+    } else if ((m = /^<>|^[{}[\]():,.<>\-~]/.exec(rest))) {
+      push("symbol", m[0], i);
+      i += m[0].length;
+    } else if ((m = /^#?[\p{L}\p{N}_$]+(\.\d+)?/u.exec(rest))) {
+      push("word", m[0], i);
+      i += m[0].length;
+    } else {
+      throw syntaxError(`Unexpected "${c}"`, {
+        line,
+        column: i - lineStart + 1,
+      });
+    }
+  }
+  tokens.push({ type: "eof", value: "", line, column: i - lineStart + 1 });
+  return tokens;
+}
+
+function parse(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isSymbol = (value, token = peek()) =>
+    token.type === "symbol" && token.value === value;
+  const isKeyword = (value, token = peek()) =>
+    token.type === "word" && token.value.toLowerCase() === value;
+  const skipNewlines = () => {
+    while (peek().type === "newline") pos++;
+  };
+  const expect = (value) => {
+    const token = next();
+    if (!isSymbol(value, token)) {
+      throw syntaxError(
+        `Expected "${value}" but found "${token.value || "end of input"}"`,
+        token,
+      );
+    }
+    return token;
+  };
+  const expectWord = () => {
+    const token = next();
+    if (token.type !== "word") {
+      throw syntaxError(
+        `Expected a name but found "${token.value || "end of input"}"`,
+        token,
+      );
+    }
+    return token.value;
+  };
+  const expectString = () => {
+    const token = next();
+    if (token.type !== "string") {
+      throw syntaxError(`Expected a string but found "${token.value}"`, token);
+    }
+    return token.value;
+  };
+
+  // `schema.name` is read as `name`.
+  const qualifiedName = () => {
+    let name = expectWord();
+    while (isSymbol(".") && tokens[pos + 1].type === "word") {
+      pos++;
+      name = expectWord();
+    }
+    return name;
+  };
+
+  // `[key: value, flag, ...]` as a list of `{ key, value }`.
+  const settings = () => {
+    const list = [];
+    if (!isSymbol("[")) return list;
+    next();
+    while (!isSymbol("]")) {
+      skipNewlines();
+      const words = [];
+      while (peek().type === "word" && !isSymbol(":")) {
+        words.push(next().value.toLowerCase());
+      }
+      if (words.length === 0) {
+        throw syntaxError(`Unexpected "${peek().value}"`, peek());
+      }
+      let value = null;
+      if (isSymbol(":")) {
+        next();
+        const parts = [];
+        while (!isSymbol(",") && !isSymbol("]")) {
+          const token = next();
+          if (token.type === "eof") throw syntaxError('Expected "]"', token);
+          if (token.type !== "newline") parts.push(token);
+        }
+        value = parts;
+      }
+      list.push({ key: words.join(" "), value });
+      skipNewlines();
+      if (isSymbol(",")) next();
+    }
+    next();
+    return list;
+  };
+
+  const body = (parseLine) => {
+    expect("{");
+    for (;;) {
+      skipNewlines();
+      if (isSymbol("}")) break;
+      if (peek().type === "eof") throw syntaxError('Expected "}"', peek());
+      parseLine();
+    }
+    next();
+  };
+
+  // `Note: '...'` or `Note { '...' }` inside a block.
+  const note = () => {
+    next();
+    if (isSymbol(":")) {
+      next();
+      return expectString();
+    }
+    expect("{");
+    skipNewlines();
+    const text = expectString();
+    skipNewlines();
+    expect("}");
+    return text;
+  };
+
+  // `table.column`, `schema.table.column` or `table.(a, b)`
+  const endpoint = () => {
+    const parts = [expectWord()];
+    const columns = [];
+    while (isSymbol(".")) {
+      next();
+      if (isSymbol("(")) {
+        next();
+        while (!isSymbol(")")) {
+          columns.push(expectWord());
+          if (isSymbol(",")) next();
+        }
+        next();
+      } else {
+        parts.push(expectWord());
+      }
+    }
+    if (columns.length === 0) columns.push(parts.pop());
+    return { table: parts[parts.length - 1], columns };
+  };
+
+  const refOperator = () => {
+    const token = next();
+    if (!["<", ">", "-", "<>"].includes(token.value)) {
+      throw syntaxError(`Unexpected "${token.value}"`, token);
+    }
+    return token.value;
+  };
+
+  const ast = {
+    project: null,
+    tables: [],
+    refs: [],
+    enums: [],
+    groups: [],
+    notes: [],
+  };
+
+  const ref = (name) => {
+    const start = endpoint();
+    const operator = refOperator();
+    const end = endpoint();
+    ast.refs.push({ name, start, operator, end, settings: settings() });
+  };
+
+  const table = () => {
+    const name = qualifiedName();
+    let alias = null;
+    if (isKeyword("as")) {
+      next();
+      alias = expectWord();
+    }
+    const t = {
+      name,
+      alias,
+      settings: settings(),
+      columns: [],
+      indexes: [],
+      note: null,
+    };
+    body(() => {
+      if (
+        isKeyword("note") &&
+        (isSymbol(":", tokens[pos + 1]) || isSymbol("{", tokens[pos + 1]))
+      ) {
+        t.note = note();
+        return;
+      }
+      if (isKeyword("indexes") && isSymbol("{", tokens[pos + 1])) {
+        next();
+        body(() => {
+          const columns = [];
+          if (isSymbol("(")) {
+            next();
+            while (!isSymbol(")")) {
+              const token = next();
+              if (token.type === "word") columns.push(token.value);
+              else if (token.type === "expression") columns.push(null);
+              else if (!isSymbol(",", token)) {
+                throw syntaxError(`Unexpected "${token.value}"`, token);
+              }
+            }
+            next();
+          } else {
+            const token = next();
+            columns.push(token.type === "word" ? token.value : null);
+          }
+          t.indexes.push({ columns, settings: settings() });
+        });
+        return;
+      }
+
+      const column = { name: expectWord() };
+      let type = "";
+      while (
+        peek().type !== "newline" &&
+        !isSymbol("[") &&
+        !isSymbol("}") &&
+        peek().type !== "eof"
+      ) {
+        const token = next();
+        if (isSymbol("(", token)) {
+          let depth = 1;
+          let args = "";
+          while (depth > 0) {
+            const arg = next();
+            if (arg.type === "eof") throw syntaxError('Expected ")"', arg);
+            if (isSymbol("(", arg)) depth++;
+            if (isSymbol(")", arg)) depth--;
+            if (depth > 0) args += arg.value;
+          }
+          type += `(${args})`;
+        } else if (isSymbol(".", token)) {
+          type = "";
+        } else {
+          type +=
+            type === "" || type.endsWith("(") ? token.value : ` ${token.value}`;
+        }
+      }
+      if (isSymbol("[") && isSymbol("]", tokens[pos + 1])) {
+        pos += 2;
+        type += "[]";
+      }
+      column.type = type;
+      column.settings = settings();
+      t.columns.push(column);
+    });
+    ast.tables.push(t);
+  };
+
+  for (;;) {
+    skipNewlines();
+    const token = next();
+    if (token.type === "eof") break;
+    const keyword = token.type === "word" ? token.value.toLowerCase() : "";
+
+    if (keyword === "project") {
+      const project = { name: peek().type === "word" ? next().value : "" };
+      body(() => {
+        if (isKeyword("note")) {
+          project.note = note();
+          return;
+        }
+        const key = expectWord();
+        expect(":");
+        project[key] = next().value;
+      });
+      ast.project = project;
+    } else if (keyword === "table") {
+      table();
+    } else if (keyword === "ref") {
+      let name = null;
+      if (peek().type === "word") name = next().value;
+      if (isSymbol(":")) {
+        next();
+        ref(name);
+      } else {
+        body(() => ref(name));
+      }
+    } else if (keyword === "enum") {
+      const e = { name: qualifiedName(), values: [] };
+      body(() => {
+        e.values.push(expectWord());
+        settings();
+      });
+      ast.enums.push(e);
+    } else if (keyword === "tablegroup") {
+      const group = { name: qualifiedName(), tables: [] };
+      group.settings = settings();
+      body(() => {
+        if (isKeyword("note") && !isSymbol(".", tokens[pos + 1])) {
+          note();
+          return;
+        }
+        group.tables.push(qualifiedName());
+      });
+      ast.groups.push(group);
+    } else if (keyword === "note") {
+      const name = expectWord();
+      const noteSettings = settings();
+      expect("{");
+      skipNewlines();
+      ast.notes.push({ name, settings: noteSettings, content: expectString() });
+      skipNewlines();
+      expect("}");
+    } else {
+      throw syntaxError(`Unexpected "${token.value}"`, token);
+    }
+  }
+
+  return ast;
+}
+
+function getSetting(list, key) {
+  return list.find((s) => s.key === key);
+}
+
+function settingText(setting) {
+  return setting?.value?.map((t) => t.value).join(" ");
+}
+
+function getColor(text, fallback) {
+  if (!text) return fallback;
+  const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(text);
+  if (short)
+    return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`;
+  return /^#[0-9a-f]{6}$/i.test(text) ? text : fallback;
+}
+
+function getDefault(setting) {
+  const value = (setting.value ?? []).map((t) => t.value).join("");
+  return value.toLowerCase() === "null" ? "NULL" : value;
+}
+
+/**
+ * Reads a DBML document into a diagram, with enums in the types and table
+ * groups as subject areas. Many-to-many refs have no counterpart in drawDB
+ * and are left out.
+ */
+export function importDBML(src) {
+  const ast = parse(tokenize(src));
+
+  const database =
+    databases.find(([pattern]) =>
+      pattern.test(ast.project?.database_type ?? ""),
+    )?.[1] ?? DB.GENERIC;
+
+  const types = ast.enums.map((e) => ({
+    name: e.name,
+    fields: [{ name: e.name, type: "ENUM", values: e.values }],
+    comment: "",
+  }));
+
+  const tables = ast.tables.map((t) => {
+    const table = {
+      id: generateId(),
+      name: t.name,
+      x: 0,
+      y: 0,
+      fields: [],
+      comment: t.note ?? settingText(getSetting(t.settings, "note")) ?? "",
+      indices: [],
+      color: getColor(
+        settingText(getSetting(t.settings, "headercolor")),
+        defaultBlue,
+      ),
+    };
+
+    t.columns.forEach((c) => {
+      const has = (key) => !!getSetting(c.settings, key);
+      const m = /^(.*?)(?:\((.*)\))?(\[\])?$/s.exec(c.type);
+      let type = m[1].toUpperCase();
+      let increment = has("increment");
+      if (types.some((e) => e.name.toUpperCase() === type)) {
+        type = types
+          .find((e) => e.name.toUpperCase() === type)
+          .name.toUpperCase();
+      } else if (serialTypes[type]) {
+        type = serialTypes[type];
+        increment = true;
+      } else {
+        type = typeAliases[type] ?? type;
+      }
+      const field = {
+        name: c.name,
+        type: m[3] ? `${type}[]` : type,
+        default: "",
+        check: settingText(getSetting(c.settings, "check")) ?? "",
+        primary: has("pk") || has("primary key"),
+        unique: has("unique"),
+        notNull: has("not null") || has("pk") || has("primary key"),
+        increment: increment,
+        comment: settingText(getSetting(c.settings, "note")) ?? "",
+        id: generateId(),
+      };
+      if (m[2] !== undefined) field.size = m[2];
+      else if (isSized(type)) field.size = getSize(type);
+      const value = getSetting(c.settings, "default");
+      if (value) field.default = getDefault(value);
+      table.fields.push(field);
+
+      const inline = getSetting(c.settings, "ref");
+      if (inline) {
+        const [operator, ...rest] = inline.value;
+        const parts = rest.filter((p) => p.type === "word").map((p) => p.value);
+        ast.refs.push({
+          name: null,
+          start: { table: t.alias ?? t.name, columns: [c.name] },
+          operator: operator.value,
+          end: {
+            table: parts[parts.length - 2],
+            columns: [parts[parts.length - 1]],
+          },
+          settings: [],
+        });
+      }
+    });
+
+    t.indexes.forEach((index) => {
+      const columns = index.columns.filter((c) => c !== null);
+      if (getSetting(index.settings, "pk")) {
+        table.fields
+          .filter((f) => columns.includes(f.name))
+          .forEach((f) => {
+            f.primary = true;
+            f.notNull = true;
+          });
+        return;
+      }
+      if (columns.length === 0) return;
+      table.indices.push({
+        id: table.indices.length,
+        name:
+          settingText(getSetting(index.settings, "name")) ??
+          `${table.name}_index_${table.indices.length}`,
+        unique: !!getSetting(index.settings, "unique"),
+        fields: columns,
+      });
+    });
+
+    return table;
+  });
+
+  const findTable = (name) =>
+    tables[ast.tables.findIndex((t) => t.name === name || t.alias === name)];
+
+  const relationships = [];
+  ast.refs.forEach((r) => {
+    if (r.operator === "<>") return;
+    const startTable = findTable(r.start.table);
+    const endTable = findTable(r.end.table);
+    const startField = startTable?.fields.find(
+      (f) => f.name === r.start.columns[0],
+    );
+    const endField = endTable?.fields.find((f) => f.name === r.end.columns[0]);
+    if (!startField || !endField) return;
+
+    relationships.push({
+      id: generateId(),
+      name: r.name ?? `${startTable.name}_${startField.name}_fk`,
+      startTableId: startTable.id,
+      startFieldId: startField.id,
+      endTableId: endTable.id,
+      endFieldId: endField.id,
+      cardinality: cardinalities[r.operator],
+      updateConstraint:
+        constraints[
+          settingText(getSetting(r.settings, "update"))?.toLowerCase()
+        ] ?? Constraint.NONE,
+      deleteConstraint:
+        constraints[
+          settingText(getSetting(r.settings, "delete"))?.toLowerCase()
+        ] ?? Constraint.NONE,
+    });
+  });
+
+  // Every group starts out in an area of its own, far from the others, and
+  // the tables are then arranged by area.
+  const subjectAreas = ast.groups.map((g, i) => ({
+    id: i,
+    name: g.name,
+    x: (i + 1) * 100000,
+    y: 0,
+    width: 50000,
+    height: 50000,
+    color: getColor(settingText(getSetting(g.settings, "color")), defaultBlue),
+  }));
+  ast.groups.forEach((g, i) =>
+    g.tables.forEach((name) => {
+      const table = findTable(name);
+      if (table) table.x = subjectAreas[i].x;
+    }),
+  );
+  const arranged = arrangeDiagram(
+    subjectAreas.length > 0 ? Arrangement.GROUPED : Arrangement.LAYERED,
+    { tables, relationships, areas: subjectAreas, tableWidth: 200 },
+  );
+  arranged.tables.forEach((p) => {
+    const table = tables.find((t) => t.id === p.id);
+    table.x = p.x;
+    table.y = p.y;
+  });
+  arranged.areas.forEach((a) => Object.assign(subjectAreas[a.id], a));
+
+  const right = Math.max(
+    0,
+    ...tables.map((t) => t.x + 200),
+    ...subjectAreas.map((a) => a.x + a.width),
+  );
+  const notes = ast.notes.map((n, i) => ({
+    id: i,
+    x: right + 80,
+    y: 40 + i * 140,
+    title: n.name,
+    content: n.content,
+    color: getColor(
+      settingText(getSetting(n.settings, "headercolor")),
+      defaultNoteTheme,
+    ),
+    height: 88,
+  }));
+
+  return {
+    tables,
+    relationships,
+    notes,
+    subjectAreas,
+    types,
+    title: ast.project?.name ?? "",
+    database,
+  };
+}
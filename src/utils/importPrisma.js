@@ -0,0 +1,548 @@
+import { Cardinality, Constraint, DB } from "../data/constants";
+import { placeTables } from "./astToDiagram";
+import { generateId } from "./ids";
+import { getSize, hasPrecision, isSized } from "./toSQL";
+
+const providers = {
+  mysql: DB.MYSQL,
+  postgresql: DB.POSTGRES,
+  postgres: DB.POSTGRES,
+  cockroachdb: DB.POSTGRES,
+  sqlite: DB.SQLITE,
+  sqlserver: DB.MSSQL,
+};
+
+// The column types Prisma creates for its scalars when no @db type is given.
+const genericTypes = {
+  String: "TEXT",
+  Boolean: "BOOLEAN",
+  Int: "INT",
+  BigInt: "BIGINT",
+  Float: "DOUBLE",
+  Decimal: "DECIMAL",
+  DateTime: "DATETIME",
+  Json: "JSON",
+  Bytes: "BLOB",
+};
+
+const scalarTypes = {
+  [DB.GENERIC]: genericTypes,
+  [DB.MYSQL]: {
+    ...genericTypes,
+    String: "VARCHAR(191)",
+    Bytes: "LONGBLOB",
+  },
+  [DB.MARIADB]: {
+    ...genericTypes,
+    String: "VARCHAR(191)",
+    Bytes: "LONGBLOB",
+  },
+  [DB.POSTGRES]: {
+    ...genericTypes,
+    Json: "JSONB",
+    Bytes: "BYTEA",
+  },
+  [DB.SQLITE]: {
+    String: "TEXT",
+    Boolean: "INTEGER",
+    Int: "INTEGER",
+    BigInt: "INTEGER",
+    Float: "REAL",
+    Decimal: "NUMERIC",
+    DateTime: "NUMERIC",
+    Json: "TEXT",
+    Bytes: "BLOB",
+  },
+  [DB.MSSQL]: {
+    ...genericTypes,
+    String: "NVARCHAR(1000)",
+    Boolean: "BIT",
+    Float: "FLOAT",
+    DateTime: "DATETIME2",
+    Json: "NVARCHAR(1000)",
+    Bytes: "VARBINARY",
+  },
+};
+
+// Other spellings of the @db types offered in datatypes.js
+const nativeAliases = {
+  DOUBLEPRECISION: "DOUBLE",
+  INTEGER: "INT",
+  TIMESTAMPTZ: "TIMESTAMP",
+};
+
+const actions = {
+  NoAction: Constraint.NONE,
+  Restrict: Constraint.RESTRICT,
+  Cascade: Constraint.CASCADE,
+  SetNull: Constraint.SET_NULL,
+  SetDefault: Constraint.SET_DEFAULT,
+};
+
+function syntaxError(message, line, column = 1) {
+  const err = new Error(message);
+  err.name = "SyntaxError";
+  err.location = { start: { line, column } };
+  return err;
+}
+
+// Splits a line into its code and the text of a `///` doc comment.
+function stripComment(line) {
+  let quote = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"' && line[i - 1] !== "\\") quote = !quote;
+    if (!quote && line[i] === "/" && line[i + 1] === "/") {
+      return {
+        code: line.slice(0, i),
+        doc: line[i + 2] === "/" ? line.slice(i + 3).trim() : null,
+      };
+    }
+  }
+  return { code: line, doc: null };
+}
+
+function parseBlocks(src) {
+  const blocks = [];
+  let block = null;
+  let docs = [];
+
+  src.split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    const { code, doc } = stripComment(raw);
+    const text = code.trim();
+    const column = code.length - code.trimStart().length + 1;
+    if (text === "") {
+      if (doc !== null) docs.push(doc);
+      return;
+    }
+    if (doc !== null) docs.push(doc);
+    const comment = docs.join("\n");
+    docs = [];
+
+    if (!block) {
+      const head = /^(\w+)\s+(\w+)\s*\{\s*(\})?$/.exec(text);
+      if (!head) throw syntaxError(`Unexpected "${text}"`, line, column);
+      const next = { kind: head[1], name: head[2], line, comment, items: [] };
+      if (head[3]) blocks.push(next);
+      else block = next;
+    } else if (text === "}") {
+      blocks.push(block);
+      block = null;
+    } else {
+      block.items.push({ text, line, column, comment });
+    }
+  });
+
+  if (block) {
+    throw syntaxError(`"${block.name}" is missing a closing brace`, block.line);
+  }
+  return blocks;
+}
+
+// Index of the bracket closing the one at `start`, skipping string literals.
+function closingBracket(text, start) {
+  let depth = 0;
+  let quote = false;
+  for (let i = start; i < text.length; i++) {
+    const c = text[i];
+    if (c === '"' && text[i - 1] !== "\\") quote = !quote;
+    if (quote) continue;
+    if (c === "(" || c === "[") depth++;
+    if (c === ")" || c === "]") depth--;
+    if (depth === 0) return i;
+  }
+  return -1;
+}
+
+function splitArguments(text) {
+  const parts = [];
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === '"' || c === "(" || c === "[") {
+      const end =
+        c === '"' ? text.indexOf('"', i + 1) : closingBracket(text, i);
+      if (end === -1) break;
+      i = end;
+    } else if (c === ",") {
+      parts.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start).trim());
+  return parts.filter((p) => p !== "");
+}
+
+function parseArguments(text) {
+  const positional = [];
+  const named = {};
+  splitArguments(text).forEach((arg) => {
+    const m = /^(\w+)\s*:\s*([\s\S]*)$/.exec(arg);
+    if (m) named[m[1]] = m[2];
+    else positional.push(arg);
+  });
+  return { positional, named };
+}
+
+// `[a, b(sort: Desc)]` lists field names, possibly with per-field options.
+function parseFieldList(text) {
+  if (!text) return [];
+  const inner = text.trim().replace(/^\[|\]$/g, "");
+  return splitArguments(inner).map((f) => f.replace(/\(.*\)$/, "").trim());
+}
+
+function parseString(text) {
+  return text?.startsWith('"') ? JSON.parse(text) : text;
+}
+
+function parseAttributes(text, line, column) {
+  const attributes = [];
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+    const name = /^@@?[\w.]+/.exec(text.slice(i));
+    if (!name) {
+      throw syntaxError(`Unexpected "${text.slice(i)}"`, line, column + i);
+    }
+    i += name[0].length;
+    let args = "";
+    if (text[i] === "(") {
+      const end = closingBracket(text, i);
+      if (end === -1) {
+        throw syntaxError(`Unclosed "${name[0]}("`, line, column + i);
+      }
+      args = text.slice(i + 1, end);
+      i = end + 1;
+    }
+    attributes.push({ name: name[0], ...parseArguments(args) });
+  }
+  return attributes;
+}
+
+function splitType(type) {
+  const m = /^(\w+)(?:\((.*)\))?$/.exec(type);
+  return { type: m[1].toUpperCase(), size: m[2] ?? "" };
+}
+
+function getNativeType(attribute, dbms) {
+  let type = attribute.name
+    .slice(4)
+    .toUpperCase()
+    .replace(/^UNSIGNED/, "");
+  if (dbms === DB.POSTGRES && type === "TIMESTAMP") type = "DATETIME";
+  else type = nativeAliases[type] ?? type;
+  return {
+    type,
+    size:
+      isSized(type) || hasPrecision(type) ? attribute.positional.join(",") : "",
+  };
+}
+
+function getDefault(text, enumValues) {
+  const call = /^(\w+)\((.*)\)$/s.exec(text);
+  if (call) {
+    switch (call[1]) {
+      case "autoincrement":
+      case "sequence":
+        return { increment: true, value: "" };
+      case "now":
+        return { value: "CURRENT_TIMESTAMP" };
+      case "dbgenerated":
+        return { value: call[2] ? parseString(call[2].trim()) : "" };
+      default:
+        // uuid(), cuid() and the like are generated by the Prisma client.
+        return { value: "" };
+    }
+  }
+  if (enumValues?.has(text)) return { value: enumValues.get(text) };
+  return { value: parseString(text) };
+}
+
+/**
+ * Reads a Prisma schema into the tables, relationships and types of a
+ * diagram. Column types follow the datasource provider, or `dbms` when the
+ * schema has none.
+ */
+export function importPrisma(src, dbms = DB.GENERIC) {
+  const blocks = parseBlocks(src);
+
+  const provider = blocks
+    .find((b) => b.kind === "datasource")
+    ?.items.map((i) => /^provider\s*=\s*"(\w+)"/.exec(i.text))
+    .find((m) => m)?.[1];
+  const database =
+    dbms === DB.MARIADB && provider === "mysql"
+      ? DB.MARIADB
+      : providers[provider] ?? dbms;
+
+  const types = [];
+  const enums = new Map();
+  blocks
+    .filter((b) => b.kind === "enum")
+    .forEach((b) => {
+      let name = b.name;
+      const values = new Map();
+      b.items.forEach((item) => {
+        if (item.text.startsWith("@@")) {
+          const map = parseAttributes(item.text, item.line, item.column).find(
+            (a) => a.name === "@@map",
+          );
+          if (map) name = parseString(map.positional[0]);
+          return;
+        }
+        const [, value, rest] = /^(\w+)\s*(.*)$/.exec(item.text) ?? [];
+        if (!value) {
+          throw syntaxError(
+            `Unexpected "${item.text}"`,
+            item.line,
+            item.column,
+          );
+        }
+        const map = parseAttributes(
+          rest,
+          item.line,
+          item.column + item.text.length - rest.length,
+        ).find((a) => a.name === "@map");
+        values.set(value, map ? parseString(map.positional[0]) : value);
+      });
+      enums.set(b.name, { name, values });
+      types.push({
+        name: name,
+        fields: [{ name: name, type: "ENUM", values: [...values.values()] }],
+        comment: b.comment,
+      });
+    });
+
+  const composites = blocks.filter((b) => b.kind === "type");
+  const modelBlocks = blocks.filter((b) => b.kind === "model");
+
+  const parseField = (item) => {
+    const m = /^(\w+)\s+(\w+(?:\([^)]*\))?)(\[\]|\?)?\s*(.*)$/.exec(item.text);
+    if (!m)
+      throw syntaxError(`Unexpected "${item.text}"`, item.line, item.column);
+    const [, name, type, modifier = "", rest] = m;
+    return {
+      name,
+      type,
+      list: modifier === "[]",
+      optional: modifier === "?",
+      attributes: parseAttributes(
+        rest,
+        item.line,
+        item.column + item.text.length - rest.length,
+      ),
+      item,
+    };
+  };
+
+  const getType = (field) => {
+    const native = field.attributes.find((a) => a.name.startsWith("@db."));
+    if (enums.has(field.type)) {
+      return { type: enums.get(field.type).name.toUpperCase(), size: "" };
+    }
+    if (composites.some((c) => c.name === field.type)) {
+      return { type: field.type.toUpperCase(), size: "" };
+    }
+    if (field.type.startsWith("Unsupported(")) {
+      return splitType(parseString(field.type.slice(12, -1)));
+    }
+    if (native && database !== DB.SQLITE) {
+      return getNativeType(native, database);
+    }
+    const scalar = scalarTypes[database]?.[field.type];
+    if (!scalar) {
+      throw syntaxError(
+        `Unknown type "${field.type}"`,
+        field.item.line,
+        field.item.column + field.item.text.indexOf(field.type),
+      );
+    }
+    return splitType(scalar);
+  };
+
+  composites.forEach((b) =>
+    types.push({
+      name: b.name,
+      fields: b.items
+        .filter((item) => !item.text.startsWith("@@"))
+        .map((item) => {
+          const field = parseField(item);
+          const { type } = getType(field);
+          return { name: field.name, type: field.list ? `${type}[]` : type };
+        }),
+      comment: b.comment,
+    }),
+  );
+
+  const models = modelBlocks.map((b) => {
+    const table = {
+      id: generateId(),
+      name: b.name,
+      comment: b.comment,
+      color: "#175e7a",
+      fields: [],
+      indices: [],
+    };
+    const columns = new Map();
+    const relations = [];
+    const blockAttributes = [];
+
+    b.items.forEach((item) => {
+      if (item.text.startsWith("@@")) {
+        blockAttributes.push(
+          ...parseAttributes(item.text, item.line, item.column),
+        );
+        return;
+      }
+      const parsed = parseField(item);
+      if (modelBlocks.some((m) => m.name === parsed.type)) {
+        relations.push(parsed);
+        return;
+      }
+
+      const { type, size } = getType(parsed);
+      const field = {
+        name: parsed.name,
+        type: parsed.list ? `${type}[]` : type,
+        default: "",
+        check: "",
+        primary: false,
+        unique: false,
+        notNull: !parsed.optional,
+        increment: false,
+        comment: item.comment,
+        id: generateId(),
+      };
+      if (size !== "") field.size = size;
+      else if (isSized(type)) field.size = getSize(type);
+      parsed.attributes.forEach((a) => {
+        switch (a.name) {
+          case "@id":
+            field.primary = true;
+            field.notNull = true;
+            break;
+          case "@unique":
+            field.unique = true;
+            break;
+          case "@map":
+            field.name = parseString(a.positional[0]);
+            break;
+          case "@default": {
+            const { increment, value } = getDefault(
+              a.positional[0] ?? a.named.value,
+              enums.get(parsed.type)?.values,
+            );
+            if (increment) field.increment = true;
+            field.default = value;
+            break;
+          }
+          default:
+            break;
+        }
+      });
+      columns.set(parsed.name, field);
+      table.fields.push(field);
+    });
+
+    // Block attributes refer to fields by their Prisma names.
+    const getColumns = (list) =>
+      parseFieldList(list).map((f) => columns.get(f)?.name ?? f);
+    blockAttributes.forEach((a) => {
+      const fields = getColumns(a.named.fields ?? a.positional[0]);
+      switch (a.name) {
+        case "@@map":
+          table.name = parseString(a.positional[0]);
+          break;
+        case "@@id":
+          table.fields
+            .filter((f) => fields.includes(f.name))
+            .forEach((f) => {
+              f.primary = true;
+              f.notNull = true;
+            });
+          break;
+        case "@@unique":
+        case "@@index":
+          if (a.name === "@@unique" && fields.length === 1) {
+            const field = table.fields.find((f) => f.name === fields[0]);
+            if (field) field.unique = true;
+            break;
+          }
+          table.indices.push({
+            id: table.indices.length,
+            name:
+              parseString(a.named.map ?? a.named.name) ??
+              `${table.name}_index_${table.indices.length}`,
+            unique: a.name === "@@unique",
+            fields: fields,
+          });
+          break;
+        default:
+          break;
+      }
+    });
+
+    return { name: b.name, table, columns, relations };
+  });
+
+  const relationships = [];
+  models.forEach((start) => {
+    start.relations.forEach((r) => {
+      const relation = r.attributes.find((a) => a.name === "@relation");
+      if (!relation?.named.fields) return;
+
+      const relationName = parseString(
+        relation.named.name ?? relation.positional[0],
+      );
+      const end = models.find((m) => m.name === r.type);
+      const startField = start.columns.get(
+        parseFieldList(relation.named.fields)[0],
+      );
+      const endField = end.columns.get(
+        parseFieldList(relation.named.references)[0],
+      );
+      if (!startField || !endField) {
+        throw syntaxError(
+          `"${r.name}" refers to a field that doesn't exist`,
+          r.item.line,
+          r.item.column,
+        );
+      }
+
+      // The field on the other side of the relation tells its cardinality.
+      const back = end.relations.find((b) => {
+        if (b === r || b.type !== start.name) return false;
+        const a = b.attributes.find((a) => a.name === "@relation");
+        return parseString(a?.named.name ?? a?.positional[0]) === relationName;
+      });
+      const oneToOne = back
+        ? !back.list
+        : startField.unique || startField.primary;
+
+      relationships.push({
+        id: generateId(),
+        name: relationName ?? `${start.table.name}_${startField.name}_fk`,
+        startTableId: start.table.id,
+        startFieldId: startField.id,
+        endTableId: end.table.id,
+        endFieldId: endField.id,
+        updateConstraint:
+          actions[relation.named.onUpdate] ?? Constraint.CASCADE,
+        deleteConstraint:
+          actions[relation.named.onDelete] ??
+          (r.optional ? Constraint.SET_NULL : Constraint.RESTRICT),
+        cardinality: oneToOne
+          ? Cardinality.ONE_TO_ONE
+          : Cardinality.MANY_TO_ONE,
+      });
+    });
+  });
+
+  const tables = models.map((m) => m.table);
+  placeTables(tables);
+
+  return { tables, relationships, types, database };
+}
@@ -0,0 +1,366 @@
+import { Parser } from "node-sql-parser";
+import { DB } from "../data/constants";
+import { astToDiagram } from "./astToDiagram";
+
+// The parser's MariaDB grammar can't read foreign keys added by ALTER TABLE,
+// and MariaDB DDL is otherwise MySQL's, so the MySQL grammar is used for both.
+const parserDatabase = {
+  [DB.MYSQL]: "MySQL",
+  [DB.POSTGRES]: "PostgresQL",
+  [DB.SQLITE]: "SQLite",
+  [DB.MARIADB]: "MySQL",
+  [DB.MSSQL]: "TransactSQL",
+};
+
+// Only the statements that shape the diagram are parsed. Dumps are full of
+// SET, GRANT, CREATE FUNCTION and the like, which the parser often can't read.
+const relevantStatements = [
+  /^CREATE\s+(OR\s+REPLACE\s+)?(TEMPORARY\s+|UNLOGGED\s+)?TABLE\b/i,
+  /^CREATE\s+(UNIQUE\s+)?((NON)?CLUSTERED\s+)?INDEX\b/i,
+  /^CREATE\s+TYPE\b.*\bAS\s+ENUM\b/is,
+  /^ALTER\s+TABLE\b.*\b(ADD\s+CONSTRAINT|ADD\s+(PRIMARY|FOREIGN|UNIQUE|KEY|INDEX|CHECK|COLUMN)|SET\s+DEFAULT|ADD\s+GENERATED)\b/is,
+  // T-SQL adds columns without the COLUMN keyword, and MySQL may leave it out
+  /^ALTER\s+TABLE\b.*\bADD\s+(?!(PERIOD|DEFAULT)\b)(\[[^\]]+\]|"[^"]+"|`[^`]+`|\w+)\s+\w/is,
+  /^COMMENT\s+ON\s+(TABLE|COLUMN)\b/i,
+];
+
+/**
+ * Splits a script into statements, skipping comments but keeping line breaks
+ * so every statement knows the line it starts on in the original source.
+ * SQL Server batches may also be separated by `GO` on a line of its own.
+ */
+export function splitStatements(src, dbms = DB.MYSQL) {
+  const statements = [];
+  const backslashEscapes = dbms === DB.MYSQL || dbms === DB.MARIADB;
+  let current = "";
+  let line = 1;
+  let startLine = 1;
+  let i = 0;
+
+  const push = () => {
+    const text = current.trim();
+    if (text !== "") {
+      statements.push({ text, line: startLine });
+    }
+    current = "";
+  };
+
+  const append = (str) => {
+    if (current.trim() === "" && str.trim() !== "") {
+      current = "";
+      startLine = line;
+    }
+    current += str;
+    line += str.split("\n").length - 1;
+  };
+
+  while (i < src.length) {
+    const c = src[i];
+    const next = src[i + 1];
+
+    if (c === "-" && next === "-") {
+      const end = src.indexOf("\n", i);
+      i = end === -1 ? src.length : end;
+    } else if (c === "/" && next === "*") {
+      const end = src.indexOf("*/", i + 2);
+      const comment = src.slice(i, end === -1 ? src.length : end + 2);
+      append(" " + "\n".repeat(comment.split("\n").length - 1));
+      i += comment.length;
+    } else if (c === "'" || c === '"' || c === "`") {
+      let j = i + 1;
+      while (j < src.length) {
+        if (backslashEscapes && src[j] === "\\") {
+          j += 2;
+          continue;
+        }
+        if (src[j] === c) {
+          if (src[j + 1] === c) {
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        j++;
+      }
+      append(src.slice(i, j + 1));
+      i = j + 1;
+    } else if (c === "$" && dbms === DB.POSTGRES) {
+      const tag = /^\$[A-Za-z_]*\$/.exec(src.slice(i));
+      if (tag) {
+        const end = src.indexOf(tag[0], i + tag[0].length);
+        const body = src.slice(
+          i,
+          end === -1 ? src.length : end + tag[0].length,
+        );
+        append(body);
+        i += body.length;
+      } else {
+        append(c);
+        i++;
+      }
+    } else if (c === "[" && dbms === DB.MSSQL) {
+      const end = src.indexOf("]", i);
+      const identifier = src.slice(i, end === -1 ? src.length : end + 1);
+      append(identifier);
+      i += identifier.length;
+    } else if (
+      dbms === DB.MSSQL &&
+      src.slice(src.lastIndexOf("\n", i - 1) + 1, i).trim() === "" &&
+      /^GO[^\S\n]*(\d+[^\S\n]*)?(?=\n|$)/i.test(src.slice(i))
+    ) {
+      push();
+      i += 2;
+    } else if (c === ";") {
+      push();
+      i++;
+    } else {
+      append(c);
+      i++;
+    }
+  }
+  push();
+
+  return statements;
+}
+
+function preparePostgres(statements) {
+  const enumTypes = statements
+    .map((s) =>
+      /^CREATE\s+TYPE\s+(?:"?[\w$]+"?\.)?"?([\w$]+)"?\s+AS\s+ENUM\b/i.exec(
+        s.text,
+      ),
+    )
+    .filter((m) => m)
+    .map((m) => m[1]);
+
+  return statements.map((s) => {
+    let text = s.text
+      .replace(
+        /GENERATED\s+(ALWAYS|BY\s+DEFAULT)\s+AS\s+IDENTITY(\s*\([^)]*\))?/gi,
+        "GENERATED BY DEFAULT AS IDENTITY",
+      )
+      .replace(
+        /ALTER\s+COLUMN\s+("?[\w$]+"?)\s+ADD\s+GENERATED\s+BY\s+DEFAULT\s+AS\s+IDENTITY/i,
+        "ALTER COLUMN $1 SET DEFAULT nextval('identity')",
+      );
+
+    enumTypes.forEach((name) => {
+      const qualified = `(?:"?[\\w$]+"?\\.)?"?${name}"?`;
+      text = text
+        .replace(new RegExp(`::${qualified}(?![\\w$])`, "gi"), "")
+        .replace(
+          new RegExp(
+            `((?:^|[(,])\\s*(?:"[^"]+"|[\\w$]+)\\s+)${qualified}(?![\\w$."])`,
+            "gi",
+          ),
+          `$1"${name}"`,
+        );
+    });
+
+    return { ...s, text };
+  });
+}
+
+// T-SQL identifiers may be quoted with brackets, double quotes or not at all,
+// and qualified with a schema.
+const identifier = String.raw`(?:\[[^\]]+\]|"[^"]+"|[\w@#$]+)`;
+const qualifiedName = String.raw`(?:${identifier}\s*\.\s*)*${identifier}`;
+const referenceClause = String.raw`REFERENCES\s+(${qualifiedName})\s*(?:\(([^)]*)\))?((?:\s+ON\s+(?:DELETE|UPDATE)\s+(?:NO\s+ACTION|CASCADE|SET\s+NULL|SET\s+DEFAULT))*)(?:\s+NOT\s+FOR\s+REPLICATION)?`;
+
+function unquote(name) {
+  return name.trim().replace(/^[[`"]|[\]`"]$/g, "");
+}
+
+function lastPart(name) {
+  const parts = name.match(new RegExp(identifier, "g"));
+  return unquote(parts[parts.length - 1]);
+}
+
+function splitDefinitions(body) {
+  const definitions = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === "'" || c === '"') {
+      quote = c;
+    } else if (c === "[") {
+      quote = "]";
+    } else if (c === "(") {
+      depth++;
+    } else if (c === ")") {
+      depth--;
+    } else if (c === "," && depth === 0) {
+      definitions.push(body.slice(start, i));
+      start = i + 1;
+    }
+  }
+  definitions.push(body.slice(start));
+  return definitions;
+}
+
+// Builds the same node the parser produces for
+// `ALTER TABLE ... ADD FOREIGN KEY ...`, so astToDiagram can treat it alike.
+function foreignKeyNode(table, columns, [endTable, endColumns, actions]) {
+  return {
+    type: "alter",
+    table: [{ table: lastPart(table) }],
+    expr: [
+      {
+        action: "add",
+        create_definitions: {
+          constraint_type: "FOREIGN KEY",
+          definition: columns,
+          reference_definition: {
+            table: [{ table: lastPart(endTable) }],
+            definition: endColumns ? endColumns.split(",").map(unquote) : [],
+            on_action: [
+              ...actions.matchAll(
+                /ON\s+(DELETE|UPDATE)\s+(NO\s+ACTION|CASCADE|SET\s+NULL|SET\s+DEFAULT)/gi,
+              ),
+            ].map((a) => ({
+              type: `on ${a[1].toLowerCase()}`,
+              value: { value: a[2].replace(/\s+/g, " ").toLowerCase() },
+            })),
+          },
+        },
+      },
+    ],
+  };
+}
+
+// The T-SQL grammar of the parser can't read foreign keys at all, so they are
+// cut out of the statements here and turned into nodes by hand.
+function prepareSQLServer(statements) {
+  const foreignKeys = [];
+  const tableForeignKey = new RegExp(
+    String.raw`^\s*(?:CONSTRAINT\s+${identifier}\s+)?FOREIGN\s+KEY\s*\(([^)]*)\)\s*${referenceClause}`,
+    "i",
+  );
+  const columnForeignKey = new RegExp(
+    String.raw`\s+(?:CONSTRAINT\s+${identifier}\s+)?(?:FOREIGN\s+KEY\s+)?${referenceClause}`,
+    "i",
+  );
+  const alterForeignKey = new RegExp(
+    String.raw`^ALTER\s+TABLE\s+(${qualifiedName})\s+(?:WITH\s+(?:NO)?CHECK\s+)?ADD\s+(?:CONSTRAINT\s+${identifier}\s+)?FOREIGN\s+KEY\s*\(([^)]*)\)\s*${referenceClause}`,
+    "i",
+  );
+
+  const alterAdd = new RegExp(
+    String.raw`^ALTER\s+TABLE\s+(${qualifiedName})\s+ADD\s+([\s\S]*)$`,
+    "i",
+  );
+
+  const withoutForeignKey = (table, definition) => {
+    const columnMatch = columnForeignKey.exec(definition);
+    if (!columnMatch) return definition;
+    const column = new RegExp(`^\\s*(${identifier})`).exec(definition)[1];
+    foreignKeys.push(
+      foreignKeyNode(table, [unquote(column)], columnMatch.slice(1)),
+    );
+    return definition.replace(columnForeignKey, "");
+  };
+
+  const prepared = statements
+    .map((s) => {
+      const alter = alterForeignKey.exec(s.text);
+      if (alter) {
+        const [, table, columns, ...reference] = alter;
+        foreignKeys.push(
+          foreignKeyNode(table, columns.split(",").map(unquote), reference),
+        );
+        return null;
+      }
+
+      let text = s.text
+        .replace(/\bIDENTITY\s*\(\s*\d+\s*,\s*\d+\s*\)/gi, "IDENTITY")
+        .replace(/\b(NON)?CLUSTERED\s+(?=INDEX\b)/i, "")
+        .replace(/\s*WITH\s*\([^()]*=[^()]*\)/gi, "")
+        .replace(/\)\s*ON\s+(?!(DELETE|UPDATE)\b)(\[[^\]]+\]|\w+)/gi, ")");
+
+      const create = new RegExp(
+        String.raw`^(CREATE\s+TABLE\s+(${qualifiedName})\s*\()([\s\S]*)\)([^)]*)$`,
+        "i",
+      ).exec(text);
+      if (create) {
+        const [, head, table, body] = create;
+        const definitions = splitDefinitions(body).filter((d) => {
+          const tableMatch = tableForeignKey.exec(d);
+          if (tableMatch) {
+            foreignKeys.push(
+              foreignKeyNode(
+                table,
+                tableMatch[1].split(",").map(unquote),
+                tableMatch.slice(2),
+              ),
+            );
+            return false;
+          }
+          return true;
+        });
+        text =
+          head +
+          definitions.map((d) => withoutForeignKey(table, d)).join(",") +
+          ")";
+      }
+
+      // The parser reads neither schema-qualified names nor several columns
+      // in one ALTER TABLE, so each addition becomes a statement of its own.
+      const add = alterAdd.exec(text);
+      if (add) {
+        const [, table, body] = add;
+        return splitDefinitions(body).map((d) => ({
+          ...s,
+          text: `ALTER TABLE [${lastPart(table)}] ADD ${withoutForeignKey(table, d).trim()}`,
+        }));
+      }
+
+      return { ...s, text };
+    })
+    .flat()
+    .filter((s) => s);
+
+  return { statements: prepared, foreignKeys };
+}
+
+/**
+ * Parses an SQL script written for `dbms` into the tables, relationships and
+ * types of a diagram. Syntax errors are rethrown with their location mapped
+ * back onto the original script.
+ */
+export function importSQL(src, dbms = DB.MYSQL) {
+  const parser = new Parser();
+  let statements = splitStatements(src, dbms).filter((s) =>
+    relevantStatements.some((r) => r.test(s.text)),
+  );
+
+  let foreignKeys = [];
+  if (dbms === DB.POSTGRES) {
+    statements = preparePostgres(statements);
+  } else if (dbms === DB.MARIADB) {
+    statements = statements.map((s) => ({
+      ...s,
+      text: s.text.replace(/^CREATE\s+OR\s+REPLACE\s+TABLE\b/i, "CREATE TABLE"),
+    }));
+  } else if (dbms === DB.MSSQL) {
+    ({ statements, foreignKeys } = prepareSQLServer(statements));
+  }
+
+  const ast = [];
+  statements.forEach((s) => {
+    try {
+      const result = parser.astify(s.text, { database: parserDatabase[dbms] });
+      ast.push(...(Array.isArray(result) ? result : [result]));
+    } catch (err) {
+      if (err.location) {
+        err.location.start.line += s.line - 1;
+      }
+      throw err;
+    }
+  });
+
+  return astToDiagram([...ast, ...foreignKeys], dbms);
+}
@@ -0,0 +1,127 @@
+import { describe, expect, it } from "vitest";
+import { DB } from "../data/constants";
+import { importSQL } from "./importSQL";
+
+const field = (diagram, table, name) =>
+  diagram.tables
+    .find((t) => t.name === table)
+    .fields.find((f) => f.name === name);
+
+describe("importSQL", () => {
+  it("reads MySQL keys and checks", () => {
+    const diagram = importSQL(
+      `CREATE TABLE users (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        email VARCHAR(255) NOT NULL,
+        age INT CHECK (age > 0),
+        UNIQUE KEY users_email (id, email),
+        KEY users_age (age),
+        CONSTRAINT adult CHECK (age >= 18)
+      );
+      CREATE TABLE posts (
+        id INT PRIMARY KEY,
+        user_id INT,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      );
+      ALTER TABLE posts ADD KEY posts_user (user_id);`,
+      DB.MYSQL,
+    );
+
+    const users = diagram.tables.find((t) => t.name === "users");
+    expect(users.indices.map((i) => [i.name, i.unique, i.fields])).toEqual([
+      ["users_email", true, ["id", "email"]],
+      ["users_age", false, ["age"]],
+    ]);
+    expect(field(diagram, "users", "id")).toMatchObject({
+      primary: true,
+      increment: true,
+    });
+    expect(field(diagram, "users", "email")).toMatchObject({
+      type: "VARCHAR",
+      size: 255,
+      notNull: true,
+    });
+    expect(field(diagram, "users", "age").check).toBe(
+      "`age` > 0 AND `age` >= 18",
+    );
+    expect(diagram.tables.find((t) => t.name === "posts").indices[0].name).toBe(
+      "posts_user",
+    );
+    expect(diagram.relationships).toHaveLength(1);
+    expect(diagram.relationships[0].deleteConstraint).toBe("Cascade");
+  });
+
+  it("keeps MariaDB table checks", () => {
+    const diagram = importSQL(
+      "CREATE OR REPLACE TABLE `t` (`j` longtext, CONSTRAINT `CONSTRAINT_1` CHECK (json_valid(`j`)));",
+      DB.MARIADB,
+    );
+
+    expect(field(diagram, "t", "j").check).toBe("json_valid(`j`)");
+  });
+
+  it("reads PostgreSQL dumps", () => {
+    const diagram = importSQL(
+      `CREATE TYPE mood AS ENUM ('sad', 'happy');
+      CREATE TABLE public.people (
+        id bigserial NOT NULL,
+        name character varying(50),
+        feeling public.mood
+      );
+      ALTER TABLE ONLY public.people ADD CONSTRAINT people_pkey PRIMARY KEY (id);
+      COMMENT ON TABLE public.people IS 'Everyone';`,
+      DB.POSTGRES,
+    );
+
+    expect(diagram.types[0].fields[0].values).toEqual(["sad", "happy"]);
+    expect(diagram.tables[0].comment).toBe("Everyone");
+    expect(field(diagram, "people", "id")).toMatchObject({
+      type: "BIGINT",
+      primary: true,
+      increment: true,
+    });
+    expect(field(diagram, "people", "name")).toMatchObject({
+      type: "VARCHAR",
+      size: 50,
+    });
+    expect(field(diagram, "people", "feeling").type).toBe("MOOD");
+  });
+
+  it("reads SQLite types as affinities without sizes", () => {
+    const diagram = importSQL(
+      `CREATE TABLE a (id integer PRIMARY KEY, name varchar(10), price decimal(10,2));
+      CREATE TABLE b (a_id int REFERENCES a (id));`,
+      DB.SQLITE,
+    );
+
+    expect(field(diagram, "a", "name")).toMatchObject({ type: "TEXT" });
+    expect(field(diagram, "a", "name").size).toBeUndefined();
+    expect(field(diagram, "a", "price").size).toBeUndefined();
+    expect(diagram.relationships).toHaveLength(1);
+  });
+
+  it("reads T-SQL batches and added columns", () => {
+    const diagram = importSQL(
+      `CREATE TABLE [dbo].[users] ([id] INT IDENTITY(1,1) NOT NULL PRIMARY KEY, [bio] NVARCHAR(MAX))
+      GO
+      CREATE TABLE [dbo].[posts] ([id] INT NOT NULL)
+      GO
+      ALTER TABLE [dbo].[posts] ADD [title] NVARCHAR(20) NOT NULL, [user_id] INT
+      GO
+      ALTER TABLE [dbo].[posts] WITH CHECK ADD CONSTRAINT [fk] FOREIGN KEY ([user_id]) REFERENCES [dbo].[users] ([id])
+      GO`,
+      DB.MSSQL,
+    );
+
+    expect(field(diagram, "users", "id").increment).toBe(true);
+    expect(field(diagram, "users", "bio").type).toBe("NTEXT");
+    expect(
+      diagram.tables.find((t) => t.name === "posts").fields.map((f) => f.name),
+    ).toEqual(["id", "title", "user_id"]);
+    expect(field(diagram, "posts", "title")).toMatchObject({
+      size: 20,
+      notNull: true,
+    });
+    expect(diagram.relationships).toHaveLength(1);
+  });
+});
@@ -1,4 +1,6 @@
 import i18n from "../i18n/i18n";
+import { DB } from "../data/constants";
+import { dbToTypes } from "../data/datatypes";
 import { isFunction, strHasQuotes } from "./utils";
 
 function validateDateStr(str) {
@@ -7,7 +9,7 @@ function validateDateStr(str) {
   );
 }
 
-function checkDefault(field) {
+function checkDefault(field, database) {
   if (field.default === "") return true;
 
   if (isFunction(field.default)) return true;
@@ -16,8 +18,11 @@ function checkDefault(field) {
 
   switch (field.type) {
     case "INT":
+    case "INTEGER":
     case "BIGINT":
     case "SMALLINT":
+    case "TINYINT":
+    case "MEDIUMINT":
       return /^-?\d*$/.test(field.default);
     case "SET": {
       const defaultValues = field.default.split(",");
@@ -30,6 +35,8 @@ function checkDefault(field) {
       return field.values.includes(field.default);
     case "CHAR":
     case "VARCHAR":
+    case "NCHAR":
+    case "NVARCHAR":
       if (strHasQuotes(field.default)) {
         return field.default.length - 2 <= field.size;
       }
@@ -49,6 +56,8 @@ function checkDefault(field) {
     case "DOUBLE":
     case "NUMERIC":
     case "REAL":
+    case "MONEY":
+    case "SMALLMONEY":
       return /^-?\d*.?\d+$/.test(field.default);
     case "DATE":
       return validateDateStr(field.default);
@@ -61,12 +70,23 @@ function checkDefault(field) {
       if (!/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(field.default)) {
         return false;
       }
+      // Only MySQL and MariaDB timestamps are limited to the 32-bit epoch.
+      if (
+        database !== DB.GENERIC &&
+        database !== DB.MYSQL &&
+        database !== DB.MARIADB
+      ) {
+        return true;
+      }
+
       const content = field.default.split(" ");
       const date = content[0].split("-");
 
       return parseInt(date[0]) >= 1970 && parseInt(date[0]) <= 2038;
     }
-    case "DATETIME": {
+    case "DATETIME":
+    case "DATETIME2":
+    case "SMALLDATETIME": {
       if (field.default.toUpperCase() === "CURRENT_TIMESTAMP") {
         return true;
       }
@@ -86,6 +106,11 @@ function checkDefault(field) {
 export function getIssues(diagram) {
   const issues = [];
   const duplicateTableNames = {};
+  const database = diagram.database ?? DB.GENERIC;
+  const supportedTypes = [
+    ...dbToTypes[database],
+    ...diagram.types.map((t) => t.name.toUpperCase()),
+  ];
 
   diagram.tables.forEach((table) => {
     if (table.name === "") {
@@ -111,6 +136,21 @@ export function getIssues(diagram) {
 
       if (field.type === "") {
         issues.push(i18n.t("empty_field_type", { tableName: table.name }));
+      } else if (
+        !supportedTypes.includes(
+          database === DB.POSTGRES
+            ? field.type.replace(/\[\]$/, "")
+            : field.type,
+        )
+      ) {
+        issues.push(
+          i18n.t("type_not_supported", {
+            tableName: table.name,
+            fieldName: field.name,
+            type: field.type,
+            database: database,
+          }),
+        );
       } else if (field.type === "ENUM" || field.type === "SET") {
         if (!field.values || field.values.length === 0) {
           issues.push(
@@ -123,7 +163,7 @@ export function getIssues(diagram) {
         }
       }
 
-      if (!checkDefault(field)) {
+      if (!checkDefault(field, database)) {
         issues.push(
           i18n.t("default_doesnt_match_type", {
             tableName: table.name,
@@ -257,7 +297,7 @@ export function getIssues(diagram) {
     if (visited.includes(tableId)) {
       issues.push(
         i18n.t("circular_dependency", {
-          refName: diagram.tables[tableId].name,
+          refName: diagram.tables.find((t) => t.id === tableId).name,
         }),
       );
       return;
@@ -0,0 +1,439 @@
+import { DB } from "../data/constants";
+import {
+  getSQLiteType,
+  getTypeString,
+  hasCheck,
+  jsonToMariaDB,
+  jsonToMySQL,
+  jsonToPostgreSQL,
+  jsonToSQLite,
+  jsonToSQLServer,
+  parseDefault,
+} from "./toSQL";
+
+const exporters = {
+  [DB.MYSQL]: jsonToMySQL,
+  [DB.POSTGRES]: jsonToPostgreSQL,
+  [DB.SQLITE]: jsonToSQLite,
+  [DB.MARIADB]: jsonToMariaDB,
+  [DB.MSSQL]: jsonToSQLServer,
+};
+
+function isMySQL(dbms) {
+  return dbms === DB.MYSQL || dbms === DB.MARIADB;
+}
+
+export function quote(name, dbms) {
+  if (isMySQL(dbms)) return `\`${name}\``;
+  if (dbms === DB.MSSQL) return `[${name}]`;
+  return `"${name}"`;
+}
+
+function quoteList(names, dbms) {
+  return names.map((n) => quote(n, dbms)).join(", ");
+}
+
+function string(value) {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+function getType(field, dbms) {
+  switch (dbms) {
+    case DB.POSTGRES:
+      return getTypeString(field, "postgres");
+    case DB.MSSQL:
+      return getTypeString(field, "mssql");
+    case DB.SQLITE:
+      return getSQLiteType(field);
+    default:
+      return getTypeString(field);
+  }
+}
+
+function columnDefinition(field, dbms, withUnique = true) {
+  let definition = `${quote(field.name, dbms)} ${getType(field, dbms)}`;
+  if (field.notNull) definition += " NOT NULL";
+  if (field.increment && isMySQL(dbms)) definition += " AUTO_INCREMENT";
+  if (field.increment && dbms === DB.MSSQL) definition += " IDENTITY";
+  if (field.unique && withUnique) definition += " UNIQUE";
+  if (field.default !== "") definition += ` DEFAULT ${parseDefault(field)}`;
+  if (field.check !== "" && hasCheck(field.type)) {
+    definition += ` CHECK(${field.check})`;
+  }
+  if (field.comment && isMySQL(dbms)) {
+    definition += ` COMMENT ${string(field.comment)}`;
+  }
+  return definition;
+}
+
+function enumType(field) {
+  return `CREATE TYPE "${field.name}_t" AS ENUM (${field.values
+    .map(string)
+    .join(", ")});`;
+}
+
+function addColumn(table, field, dbms) {
+  const statements = [];
+  if (dbms === DB.POSTGRES && (field.type === "ENUM" || field.type === "SET")) {
+    statements.push(enumType(field));
+  }
+  statements.push(
+    `ALTER TABLE ${table} ADD${
+      dbms === DB.MSSQL ? "" : " COLUMN"
+    } ${columnDefinition(field, dbms)};`,
+  );
+  if (dbms === DB.POSTGRES && field.comment) {
+    statements.push(
+      `COMMENT ON COLUMN ${table}.${quote(field.name, dbms)} IS ${string(
+        field.comment,
+      )};`,
+    );
+  }
+  return statements;
+}
+
+function renameTable(from, to, dbms) {
+  if (dbms === DB.MSSQL) {
+    return `EXEC sp_rename ${string(from)}, ${string(to)};`;
+  }
+  return `ALTER TABLE ${quote(from, dbms)} RENAME TO ${quote(to, dbms)};`;
+}
+
+function renameColumn(tableName, from, to, dbms) {
+  if (dbms === DB.MSSQL) {
+    return `EXEC sp_rename ${string(`${tableName}.${from}`)}, ${string(
+      to,
+    )}, 'COLUMN';`;
+  }
+  return `ALTER TABLE ${quote(tableName, dbms)} RENAME COLUMN ${quote(
+    from,
+    dbms,
+  )} TO ${quote(to, dbms)};`;
+}
+
+// Columns are renamed before they are altered, so the name is left out here.
+function alterColumn(tableName, { from, to, changes: all }, dbms) {
+  const table = quote(tableName, dbms);
+  const column = quote(to.name, dbms);
+  const changes = all.filter((c) => c !== "name");
+  const has = (...props) => props.some((p) => changes.includes(p));
+  const statements = [];
+
+  if (changes.length === 0) return statements;
+
+  if (dbms === DB.SQLITE) {
+    return [
+      `-- SQLite can't alter column ${column} of ${table}, the table has to be rebuilt.`,
+    ];
+  }
+
+  if (isMySQL(dbms)) {
+    // MODIFY restates the whole column, but a UNIQUE in it would add another
+    // index every time, so uniqueness is changed on its own.
+    if (changes.some((c) => c !== "unique")) {
+      statements.push(
+        `ALTER TABLE ${table} MODIFY COLUMN ${columnDefinition(to, dbms, false)};`,
+      );
+    }
+    if (has("unique")) {
+      statements.push(
+        to.unique
+          ? `ALTER TABLE ${table} ADD UNIQUE (${column});`
+          : `ALTER TABLE ${table} DROP INDEX ${column};`,
+      );
+    }
+    return statements;
+  }
+
+  if (dbms === DB.POSTGRES) {
+    const alter = `ALTER TABLE ${table} ALTER COLUMN ${column}`;
+    if (to.type === "ENUM" && from.type === "ENUM" && !has("type")) {
+      to.values
+        .filter((v) => !from.values.includes(v))
+        .forEach((v) =>
+          statements.push(`ALTER TYPE "${to.name}_t" ADD VALUE ${string(v)};`),
+        );
+    } else if (has("type", "size", "values")) {
+      if (to.type === "ENUM" || to.type === "SET") {
+        statements.push(enumType(to));
+      }
+      const type = getType(to, dbms);
+      statements.push(`${alter} TYPE ${type} USING ${column}::${type};`);
+    }
+    if (has("notNull")) {
+      statements.push(`${alter} ${to.notNull ? "SET" : "DROP"} NOT NULL;`);
+    }
+    if (has("default")) {
+      statements.push(
+        to.default === ""
+          ? `${alter} DROP DEFAULT;`
+          : `${alter} SET DEFAULT ${parseDefault(to)};`,
+      );
+    }
+    if (has("increment")) {
+      statements.push(
+        to.increment
+          ? `${alter} ADD GENERATED BY DEFAULT AS IDENTITY;`
+          : `${alter} DROP IDENTITY IF EXISTS;`,
+      );
+    }
+    // Postgres names these constraints after the table and the column.
+    if (has("unique")) {
+      const name = `"${tableName}_${to.name}_key"`;
+      statements.push(
+        to.unique
+          ? `ALTER TABLE ${table} ADD CONSTRAINT ${name} UNIQUE (${column});`
+          : `ALTER TABLE ${table} DROP CONSTRAINT ${name};`,
+      );
+    }
+    if (has("check")) {
+      const name = `"${tableName}_${to.name}_check"`;
+      statements.push(
+        `ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${name};`,
+      );
+      if (to.check !== "" && hasCheck(to.type)) {
+        statements.push(
+          `ALTER TABLE ${table} ADD CONSTRAINT ${name} CHECK(${to.check});`,
+        );
+      }
+    }
+    if (has("comment")) {
+      statements.push(
+        `COMMENT ON COLUMN ${table}.${column} IS ${
+          to.comment ? string(to.comment) : "NULL"
+        };`,
+      );
+    }
+    return statements;
+  }
+
+  // SQL Server names default, unique and check constraints itself, so the
+  // ones being replaced have to be looked up and dropped by hand.
+  if (has("type", "size", "values", "notNull")) {
+    statements.push(
+      `ALTER TABLE ${table} ALTER COLUMN ${column} ${getType(to, dbms)}${
+        to.notNull ? " NOT NULL" : " NULL"
+      };`,
+    );
+  }
+  if (has("default")) {
+    if (from.default !== "") {
+      statements.push(`-- Drop the default constraint of ${table}.${column}.`);
+    }
+    if (to.default !== "") {
+      statements.push(
+        `ALTER TABLE ${table} ADD DEFAULT ${parseDefault(to)} FOR ${column};`,
+      );
+    }
+  }
+  if (has("unique")) {
+    statements.push(
+      to.unique
+        ? `ALTER TABLE ${table} ADD UNIQUE (${column});`
+        : `-- Drop the unique constraint of ${table}.${column}.`,
+    );
+  }
+  if (has("check")) {
+    if (from.check !== "") {
+      statements.push(`-- Drop the check constraint of ${table}.${column}.`);
+    }
+    if (to.check !== "" && hasCheck(to.type)) {
+      statements.push(`ALTER TABLE ${table} ADD CHECK(${to.check});`);
+    }
+  }
+  if (has("increment")) {
+    statements.push(
+      `-- The IDENTITY of ${table}.${column} can't be altered, the column has to be rebuilt.`,
+    );
+  }
+  return statements;
+}
+
+function alterPrimaryKey(tableName, { from, to }, dbms) {
+  const table = quote(tableName, dbms);
+  const statements = [];
+
+  if (dbms === DB.SQLITE) {
+    return [
+      `-- SQLite can't alter the primary key of ${table}, the table has to be rebuilt.`,
+    ];
+  }
+
+  if (from.length > 0) {
+    if (isMySQL(dbms)) {
+      statements.push(`ALTER TABLE ${table} DROP PRIMARY KEY;`);
+    } else if (dbms === DB.POSTGRES) {
+      statements.push(
+        `ALTER TABLE ${table} DROP CONSTRAINT "${tableName}_pkey";`,
+      );
+    } else {
+      statements.push(`-- Drop the primary key constraint of ${table}.`);
+    }
+  }
+  if (to.length > 0) {
+    statements.push(
+      `ALTER TABLE ${table} ADD PRIMARY KEY (${quoteList(to, dbms)});`,
+    );
+  }
+  return statements;
+}
+
+function alterComment(tableName, comment, dbms) {
+  const table = quote(tableName, dbms);
+  if (isMySQL(dbms)) {
+    return [`ALTER TABLE ${table} COMMENT = ${string(comment)};`];
+  }
+  if (dbms === DB.POSTGRES) {
+    return [
+      `COMMENT ON TABLE ${table} IS ${comment ? string(comment) : "NULL"};`,
+    ];
+  }
+  return [];
+}
+
+function createIndex(tableName, index, dbms) {
+  return `CREATE ${index.unique ? "UNIQUE " : ""}INDEX ${quote(
+    index.name,
+    dbms,
+  )} ON ${quote(tableName, dbms)} (${quoteList(index.fields, dbms)});`;
+}
+
+function dropIndex(tableName, index, dbms) {
+  if (dbms === DB.POSTGRES || dbms === DB.SQLITE) {
+    return `DROP INDEX ${quote(index.name, dbms)};`;
+  }
+  return `DROP INDEX ${quote(index.name, dbms)} ON ${quote(tableName, dbms)};`;
+}
+
+function addForeignKey(r, dbms) {
+  if (dbms === DB.SQLITE) {
+    return `-- SQLite can't add the foreign key ${quote(
+      r.name,
+      dbms,
+    )} to an existing table, ${quote(r.startTable, dbms)} has to be rebuilt.`;
+  }
+  return `ALTER TABLE ${quote(r.startTable, dbms)} ADD CONSTRAINT ${quote(
+    r.name,
+    dbms,
+  )} FOREIGN KEY (${quote(r.startField, dbms)}) REFERENCES ${quote(
+    r.endTable,
+    dbms,
+  )} (${quote(
+    r.endField,
+    dbms,
+  )}) ON UPDATE ${r.updateConstraint.toUpperCase()} ON DELETE ${r.deleteConstraint.toUpperCase()};`;
+}
+
+function dropForeignKey(r, dbms) {
+  const table = quote(r.startTable, dbms);
+  const name = quote(r.name, dbms);
+  if (dbms === DB.SQLITE) {
+    return `-- SQLite can't drop the foreign key ${name}, ${table} has to be rebuilt.`;
+  }
+  if (isMySQL(dbms)) {
+    return `ALTER TABLE ${table} DROP FOREIGN KEY ${name};`;
+  }
+  return `ALTER TABLE ${table} DROP CONSTRAINT ${name};`;
+}
+
+// Removed tables are dropped after the removed tables that reference them.
+// Tables that reference each other in a cycle can't be put in order, so the
+// foreign keys between them are returned to be dropped first.
+function dropOrder(removed, links) {
+  let left = removed;
+  const order = [];
+  const between = (tables) =>
+    links.filter(
+      (r) =>
+        r.startTable !== r.endTable &&
+        tables.some((t) => t.name === r.startTable) &&
+        tables.some((t) => t.name === r.endTable),
+    );
+  for (;;) {
+    const referenced = between(left).map((r) => r.endTable);
+    const next = left.filter((t) => !referenced.includes(t.name));
+    if (next.length === 0) break;
+    order.push(...next);
+    left = left.filter((t) => !next.includes(t));
+  }
+  return { tables: [...order, ...left], cycles: between(left) };
+}
+
+/**
+ * Turns a diff from `diffDiagrams` into a migration script for `dbms`. Things
+ * a dialect can't express with ALTER statements are left as comments.
+ */
+export function diffToSQL(diff, dbms, types = []) {
+  const statements = [];
+  const { tables, relationships } = diff;
+
+  const drops = dropOrder(tables.removed, relationships.removed);
+
+  [...relationships.removed, ...relationships.changed.map((c) => c.from)]
+    .filter((r) => !tables.removed.some((t) => t.name === r.startTable))
+    .concat(drops.cycles)
+    .forEach((r) => statements.push(dropForeignKey(r, dbms)));
+
+  tables.changed.forEach((t) => {
+    [...t.indices.removed, ...t.indices.changed.map((c) => c.from)].forEach(
+      (i) => statements.push(dropIndex(t.name, i, dbms)),
+    );
+  });
+
+  drops.tables.forEach((t) =>
+    statements.push(`DROP TABLE ${quote(t.name, dbms)};`),
+  );
+
+  if (tables.added.length > 0) {
+    statements.push(
+      exporters[dbms]({
+        tables: tables.added,
+        references: [],
+        types: isMySQL(dbms) ? types : [],
+      }).trim(),
+    );
+  }
+
+  tables.changed
+    .filter((t) => t.from.name !== t.to.name)
+    .forEach((t) => statements.push(renameTable(t.from.name, t.to.name, dbms)));
+
+  // From here on tables and columns go by their new names
+  tables.changed.forEach((t) => {
+    const table = quote(t.to.name, dbms);
+    t.fields.removed.forEach((f) =>
+      statements.push(
+        `ALTER TABLE ${table} DROP COLUMN ${quote(f.name, dbms)};`,
+      ),
+    );
+    t.fields.changed
+      .filter((c) => c.from.name !== c.to.name)
+      .forEach((c) =>
+        statements.push(renameColumn(t.to.name, c.from.name, c.to.name, dbms)),
+      );
+    t.fields.added.forEach((f) =>
+      statements.push(...addColumn(table, f, dbms)),
+    );
+    t.fields.changed.forEach((c) =>
+      statements.push(...alterColumn(t.to.name, c, dbms)),
+    );
+    if (t.primaryKey) {
+      statements.push(...alterPrimaryKey(t.to.name, t.primaryKey, dbms));
+    }
+    if (t.comment) {
+      statements.push(...alterComment(t.to.name, t.comment.to, dbms));
+    }
+  });
+
+  tables.changed.forEach((t) => {
+    [...t.indices.added, ...t.indices.changed.map((c) => c.to)].forEach((i) =>
+      statements.push(createIndex(t.to.name, i, dbms)),
+    );
+  });
+
+  [...relationships.added, ...relationships.changed.map((c) => c.to)].forEach(
+    (r) => statements.push(addForeignKey(r, dbms)),
+  );
+
+  return statements.join("\n");
+}
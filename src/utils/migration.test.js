@@ -0,0 +1,139 @@
+import { describe, expect, it } from "vitest";
+import { DB } from "../data/constants";
+import { diffDiagrams, diffIsEmpty } from "./diff";
+import { importSQL } from "./importSQL";
+import { diffToSQL } from "./migration";
+import { jsonToMySQL, jsonToPostgreSQL, jsonToSQLServer } from "./toSQL";
+
+const schema = `CREATE TABLE users (id INT PRIMARY KEY, name VARCHAR(20));
+CREATE TABLE posts (id INT PRIMARY KEY, user_id INT REFERENCES users (id));
+CREATE TABLE tags (
+  id INT PRIMARY KEY,
+  post_id INT,
+  FOREIGN KEY (post_id) REFERENCES posts (id)
+);`;
+
+// Keeps only users, renamed along with a column that also grows
+function edited(from) {
+  const to = structuredClone(from);
+  to.tables = to.tables.filter((t) => t.name === "users");
+  to.relationships = [];
+  const users = to.tables[0];
+  users.name = "people";
+  users.fields[1].name = "full_name";
+  users.fields[1].size = 50;
+  users.fields.push({
+    id: "age",
+    name: "age",
+    type: "INT",
+    default: "",
+    check: "",
+    comment: "",
+    notNull: false,
+    unique: false,
+    increment: false,
+    primary: false,
+  });
+  return to;
+}
+
+describe("diffDiagrams", () => {
+  it("finds nothing between a diagram and its copy", () => {
+    const from = importSQL(schema, DB.MYSQL);
+
+    expect(diffIsEmpty(diffDiagrams(from, structuredClone(from)))).toBe(true);
+  });
+
+  it("matches separately imported diagrams by name", () => {
+    const diff = diffDiagrams(
+      importSQL(schema, DB.MYSQL),
+      importSQL(schema, DB.MYSQL),
+    );
+
+    expect(diffIsEmpty(diff)).toBe(true);
+  });
+
+  it("recognises renames by id", () => {
+    const from = importSQL(schema, DB.MYSQL);
+    const diff = diffDiagrams(from, edited(from));
+
+    expect(diff.tables.removed.map((t) => t.name)).toEqual(["posts", "tags"]);
+    expect(diff.tables.changed).toHaveLength(1);
+    const [users] = diff.tables.changed;
+    expect([users.from.name, users.to.name]).toEqual(["users", "people"]);
+    expect(users.fields.added.map((f) => f.name)).toEqual(["age"]);
+    expect(
+      users.fields.changed.map((f) => [f.from.name, f.to.name, f.changes]),
+    ).toEqual([["name", "full_name", ["name", "size"]]]);
+  });
+});
+
+describe("diffToSQL", () => {
+  const from = importSQL(schema, DB.MYSQL);
+  const diff = diffDiagrams(from, edited(from));
+
+  it("drops referencing tables first and renames before altering", () => {
+    expect(diffToSQL(diff, DB.MYSQL).split("\n")).toEqual([
+      "DROP TABLE `tags`;",
+      "DROP TABLE `posts`;",
+      "ALTER TABLE `users` RENAME TO `people`;",
+      "ALTER TABLE `people` RENAME COLUMN `name` TO `full_name`;",
+      "ALTER TABLE `people` ADD COLUMN `age` INT;",
+      "ALTER TABLE `people` MODIFY COLUMN `full_name` VARCHAR(50);",
+    ]);
+  });
+
+  it("renames with sp_rename on SQL Server", () => {
+    const sql = diffToSQL(diff, DB.MSSQL);
+
+    expect(sql).toContain("EXEC sp_rename 'users', 'people';");
+    expect(sql).toContain(
+      "EXEC sp_rename 'people.name', 'full_name', 'COLUMN';",
+    );
+  });
+
+  it("leaves what SQLite can't alter as a comment", () => {
+    const sql = diffToSQL(diff, DB.SQLITE);
+
+    expect(sql).toContain('ALTER TABLE "people" ADD COLUMN "age" INTEGER;');
+    expect(sql).toMatch(/^-- SQLite can't alter column "full_name"/m);
+  });
+
+  it("drops the foreign keys of tables that reference each other", () => {
+    const cycle = importSQL(
+      `CREATE TABLE a (id INT PRIMARY KEY, b_id INT);
+      CREATE TABLE b (id INT PRIMARY KEY, a_id INT REFERENCES a (id));
+      ALTER TABLE a ADD CONSTRAINT a_b FOREIGN KEY (b_id) REFERENCES b (id);`,
+      DB.POSTGRES,
+    );
+    const statements = diffToSQL(
+      diffDiagrams(cycle, { tables: [], relationships: [] }),
+      DB.POSTGRES,
+    ).split("\n");
+
+    const firstDrop = statements.findIndex((s) => s.startsWith("DROP TABLE"));
+    expect(firstDrop).toBe(2);
+    expect(
+      statements.slice(0, 2).every((s) => s.includes("DROP CONSTRAINT")),
+    ).toBe(true);
+  });
+
+  it("drops foreign keys by the names the exports give them", () => {
+    const from = importSQL(schema, DB.MYSQL);
+    const to = { ...from, relationships: from.relationships.slice(1) };
+    const diff = diffDiagrams(from, to);
+    const exported = {
+      tables: from.tables,
+      references: from.relationships,
+      types: [],
+    };
+    const name = from.relationships[0].name;
+
+    expect(jsonToMySQL(exported)).toContain(`ADD CONSTRAINT \`${name}\``);
+    expect(diffToSQL(diff, DB.MYSQL)).toContain(`DROP FOREIGN KEY \`${name}\``);
+    expect(jsonToPostgreSQL(exported)).toContain(`ADD CONSTRAINT "${name}"`);
+    expect(diffToSQL(diff, DB.POSTGRES)).toContain(`DROP CONSTRAINT "${name}"`);
+    expect(jsonToSQLServer(exported)).toContain(`ADD CONSTRAINT [${name}]`);
+    expect(diffToSQL(diff, DB.MSSQL)).toContain(`DROP CONSTRAINT [${name}]`);
+  });
+});
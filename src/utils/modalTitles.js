@@ -9,7 +9,11 @@ export const getModalTitle = (modal) => {
     case MODAL.CODE:
       return i18n.t("export_source");
     case MODAL.IMG:
+    case MODAL.SVG:
+    case MODAL.PNG:
       return i18n.t("export_image");
+    case MODAL.PDF:
+      return i18n.t("export_pdf");
     case MODAL.RENAME:
       return i18n.t("rename_diagram");
     case MODAL.OPEN:
@@ -20,8 +24,18 @@ export const getModalTitle = (modal) => {
       return i18n.t("create_new_diagram");
     case MODAL.TABLE_WIDTH:
       return i18n.t("table_width");
+    case MODAL.GRID_SIZE:
+      return i18n.t("grid_size");
     case MODAL.LANGUAGE:
       return i18n.t("language");
+    case MODAL.MIGRATION:
+      return i18n.t("generate_migration");
+    case MODAL.SAMPLE_DATA:
+      return i18n.t("generate_sample_data");
+    case MODAL.COLLABORATE:
+      return i18n.t("collaborate");
+    case MODAL.SHARE:
+      return i18n.t("share");
     default:
       return "";
   }
@@ -34,6 +48,11 @@ export const getOkText = (modal) => {
       return i18n.t("import");
     case MODAL.CODE:
     case MODAL.IMG:
+    case MODAL.SVG:
+    case MODAL.PNG:
+    case MODAL.PDF:
+    case MODAL.MIGRATION:
+    case MODAL.SAMPLE_DATA:
       return i18n.t("export");
     case MODAL.RENAME:
       return i18n.t("rename");
@@ -43,6 +62,10 @@ export const getOkText = (modal) => {
       return i18n.t("save_as");
     case MODAL.NEW:
       return i18n.t("create");
+    case MODAL.COLLABORATE:
+      return i18n.t("connect");
+    case MODAL.SHARE:
+      return i18n.t("copy_link");
     default:
       return i18n.t("confirm");
   }
@@ -0,0 +1,154 @@
+import { describe, expect, it } from "vitest";
+import { Cardinality, DB } from "../data/constants";
+import { importDBML } from "./importDBML";
+import { importPrisma } from "./importPrisma";
+import { importSQL } from "./importSQL";
+import { jsonToDBML, jsonToPrisma } from "./toSQL";
+
+const prisma = `datasource db {
+  provider = "postgresql"
+  url      = env("DATABASE_URL")
+}
+
+enum Role {
+  USER
+  ADMIN
+}
+
+model User {
+  id    Int    @id @default(autoincrement())
+  email String @unique @db.VarChar(255)
+  role  Role   @default(USER)
+  posts Post[]
+}
+
+model Post {
+  id       Int    @id @default(autoincrement())
+  title    String
+  author   User   @relation(fields: [authorId], references: [id], onDelete: Cascade)
+  authorId Int
+  editor   User?  @relation("edits", fields: [editorId], references: [id])
+  editorId Int?
+}
+`;
+
+// What survives an export and import, with ids swapped for names
+function shape(diagram) {
+  const tables = diagram.tables.map((t) => ({
+    name: t.name,
+    fields: t.fields.map((f) => ({
+      name: f.name,
+      type: f.type,
+      size: f.size ? String(f.size) : "",
+      notNull: !!f.notNull,
+      primary: !!f.primary,
+      unique: !!f.unique,
+      increment: !!f.increment,
+      default: f.default,
+    })),
+  }));
+  const fieldName = (tableId, fieldId) => {
+    const table = diagram.tables.find((t) => t.id === tableId);
+    return `${table.name}.${table.fields.find((f) => f.id === fieldId).name}`;
+  };
+  const relationships = diagram.relationships.map((r) => ({
+    start: fieldName(r.startTableId, r.startFieldId),
+    end: fieldName(r.endTableId, r.endFieldId),
+    deleteConstraint: r.deleteConstraint,
+    cardinality: r.cardinality,
+  }));
+  return { tables, relationships, types: diagram.types };
+}
+
+const exported = (diagram) => ({
+  tables: diagram.tables,
+  references: diagram.relationships,
+  notes: [],
+  subjectAreas: [],
+  types: diagram.types,
+  title: "",
+  database: diagram.database,
+});
+
+describe("Prisma", () => {
+  it("reads required and optional relations", () => {
+    const diagram = shape(importPrisma(prisma));
+
+    expect(diagram.relationships).toEqual([
+      {
+        start: "Post.authorId",
+        end: "User.id",
+        deleteConstraint: "Cascade",
+        cardinality: "Many to one",
+      },
+      {
+        start: "Post.editorId",
+        end: "User.id",
+        deleteConstraint: "Set null",
+        cardinality: "Many to one",
+      },
+    ]);
+  });
+
+  it("round-trips through jsonToPrisma", () => {
+    const diagram = importPrisma(prisma);
+    const schema = jsonToPrisma(exported(diagram));
+
+    expect(schema).toMatch(/user\s+User\s+@relation/);
+    expect(schema).toMatch(/user2\s+User\?\s+@relation/);
+    expect(shape(importPrisma(schema))).toEqual(shape(diagram));
+  });
+
+  it("keeps sizes and makes one-to-one keys unique", () => {
+    const diagram = {
+      ...importSQL(
+        `CREATE TABLE posts (id INT PRIMARY KEY, price DECIMAL(10,2));
+        CREATE TABLE tags (
+          post_id INT REFERENCES posts (id),
+          tag VARCHAR(20),
+          PRIMARY KEY (post_id, tag)
+        );`,
+        DB.POSTGRES,
+      ),
+      database: DB.POSTGRES,
+    };
+    diagram.relationships[0].cardinality = Cardinality.ONE_TO_ONE;
+    const schema = jsonToPrisma(exported(diagram));
+
+    expect(schema).toMatch(/post_id\s+Int\s+@unique\n/);
+    expect(schema).toContain("@@id([post_id, tag])");
+    expect(schema).toMatch(/price\s+Decimal\?\s+@db\.Decimal\(10, 2\)\n/);
+    expect(schema).toMatch(/tag\s+String\s+@db\.VarChar\(20\)\n/);
+    expect(
+      importPrisma(schema).tables[0].fields.find((f) => f.name === "price")
+        .size,
+    ).toBe("10,2");
+  });
+});
+
+describe("DBML", () => {
+  it("round-trips through jsonToDBML", () => {
+    const diagram = importPrisma(prisma);
+    const dbml = jsonToDBML(exported(diagram));
+
+    expect(importDBML(dbml).database).toBe(diagram.database);
+    expect(shape(importDBML(dbml))).toEqual(shape(diagram));
+  });
+
+  it("writes MySQL expressions without backticks", () => {
+    const diagram = importPrisma(prisma);
+    const age = {
+      ...diagram.tables[0].fields[0],
+      id: "age",
+      name: "age",
+      primary: false,
+      increment: false,
+      check: "`age` > 0",
+    };
+    diagram.tables[0].fields.push(age);
+    const dbml = jsonToDBML(exported(diagram));
+
+    expect(dbml).toContain("check: `age > 0`");
+    expect(importDBML(dbml).tables[0].fields.at(-1).check).toBe("age > 0");
+  });
+});
@@ -0,0 +1,643 @@
+import { DB } from "../data/constants";
+import { quote } from "./migration";
+import { isFunction, isKeyword, strHasQuotes } from "./utils";
+
+// Fills every table with made up rows. Tables are filled in foreign key
+// order so each foreign key can copy a value from a row that already exists.
+
+const integers = {
+  TINYINT: 127,
+  SMALLINT: 32767,
+  MEDIUMINT: 8388607,
+  INT: 2147483647,
+  INTEGER: 2147483647,
+  BIGINT: Number.MAX_SAFE_INTEGER,
+};
+
+const decimals = [
+  "DECIMAL",
+  "NUMERIC",
+  "FLOAT",
+  "DOUBLE",
+  "REAL",
+  "MONEY",
+  "SMALLMONEY",
+];
+
+const texts = [
+  "CHAR",
+  "VARCHAR",
+  "NCHAR",
+  "NVARCHAR",
+  "TINYTEXT",
+  "TEXT",
+  "MEDIUMTEXT",
+  "LONGTEXT",
+  "NTEXT",
+];
+
+const firstNames = [
+  "Alice",
+  "Bruno",
+  "Chloe",
+  "Daniel",
+  "Elena",
+  "Farid",
+  "Grace",
+  "Hiro",
+  "Ines",
+  "Jonas",
+  "Kemal",
+  "Lucia",
+];
+
+const lastNames = [
+  "Smith",
+  "Garcia",
+  "Nguyen",
+  "Meyer",
+  "Rossi",
+  "Kowalski",
+  "Silva",
+  "Tanaka",
+  "Okafor",
+  "Larsen",
+  "Dubois",
+  "Novak",
+];
+
+const cities = [
+  "Lisbon",
+  "Toronto",
+  "Nairobi",
+  "Osaka",
+  "Berlin",
+  "Lima",
+  "Melbourne",
+  "Oslo",
+];
+
+const countries = [
+  "Portugal",
+  "Canada",
+  "Kenya",
+  "Japan",
+  "Germany",
+  "Peru",
+  "Australia",
+  "Norway",
+];
+
+const words = [
+  "alpha",
+  "bright",
+  "cedar",
+  "delta",
+  "ember",
+  "forest",
+  "granite",
+  "harbor",
+  "island",
+  "jasmine",
+  "kernel",
+  "lantern",
+  "meadow",
+  "north",
+  "orbit",
+  "pixel",
+  "quartz",
+  "river",
+  "summit",
+  "timber",
+];
+
+// Tables whose `name` column holds the name of a person
+const people =
+  /user|customer|client|person|people|member|employee|staff|student|contact/i;
+
+// A small seeded generator so the same seed gives the same rows.
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (list) => list[int(0, list.length - 1)];
+  return { next, int, pick };
+}
+
+function string(value) {
+  return `'${`${value}`.replace(/'/g, "''")}'`;
+}
+
+function pad(n, length = 2) {
+  return `${n}`.padStart(length, "0");
+}
+
+function capitalize(word) {
+  return word[0].toUpperCase() + word.slice(1);
+}
+
+function hex(random, bytes) {
+  return Array.from({ length: bytes }, () =>
+    pad(random.int(0, 255).toString(16)),
+  )
+    .join("")
+    .toUpperCase();
+}
+
+function getScale(field) {
+  const [, scale] = `${field.size ?? ""}`.split(",");
+  return /^\s*\d+\s*$/.test(scale ?? "") ? Number(scale) : 2;
+}
+
+// Reads the bounds and allowed values out of simple checks on the field, such
+// as `price > 0`, `age BETWEEN 18 AND 99`, `status IN ('a', 'b')` and
+// `LENGTH(code) = 3`. Anything else is left to chance.
+function getCheck(field) {
+  const check = { min: -Infinity, max: Infinity };
+  if (!field.check) return check;
+
+  const name = field.name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const column = `(?<![\\w.])(?:${name}|"${name}"|\`${name}\`|\\[${name}\\])(?!\\w)`;
+  const number = "(-?\\d+(?:\\.\\d+)?)";
+  const step = integers[field.type] ? 1 : Math.pow(10, -getScale(field));
+  const bound = (op, value, length) => {
+    const min = length ? "minLength" : "min";
+    const max = length ? "maxLength" : "max";
+    const s = length ? 1 : step;
+    if (op === ">") check[min] = Math.max(check[min] ?? -Infinity, value + s);
+    if (op === ">=") check[min] = Math.max(check[min] ?? -Infinity, value);
+    if (op === "<") check[max] = Math.min(check[max] ?? Infinity, value - s);
+    if (op === "<=") check[max] = Math.min(check[max] ?? Infinity, value);
+    if (op === "=") {
+      check[min] = value;
+      check[max] = value;
+    }
+  };
+
+  for (const m of field.check.matchAll(
+    new RegExp(`${column}\\s+BETWEEN\\s+${number}\\s+AND\\s+${number}`, "gi"),
+  )) {
+    bound(">=", Number(m[1]));
+    bound("<=", Number(m[2]));
+  }
+  for (const m of field.check.matchAll(
+    new RegExp(`${column}\\s*(>=|<=|<>|!=|>|<|=)\\s*${number}`, "gi"),
+  )) {
+    bound(m[1], Number(m[2]));
+  }
+  for (const m of field.check.matchAll(
+    new RegExp(`${number}\\s*(>=|<=|>|<|=)\\s*${column}`, "gi"),
+  )) {
+    const flipped = { ">": "<", "<": ">", ">=": "<=", "<=": ">=", "=": "=" };
+    bound(flipped[m[2]], Number(m[1]));
+  }
+  for (const m of field.check.matchAll(
+    new RegExp(
+      `(?:CHAR_LENGTH|LENGTH|LEN)\\s*\\(\\s*${column}\\s*\\)\\s*(>=|<=|>|<|=)\\s*(\\d+)`,
+      "gi",
+    ),
+  )) {
+    bound(m[1], Number(m[2]), true);
+  }
+  const values = field.check.match(
+    new RegExp(`${column}\\s+IN\\s*\\(([^)]*)\\)`, "i"),
+  );
+  if (values) {
+    check.values = values[1]
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean)
+      .map((v) => (strHasQuotes(v) ? v.slice(1, -1) : v));
+  }
+  return check;
+}
+
+// Text that looks like what the column and table names suggest.
+function getText(field, random, index, table) {
+  const name = field.name.toLowerCase();
+  const person = people.test(table);
+  const first = random.pick(firstNames);
+  const last = random.pick(lastNames);
+  if (/e-?mail/.test(name)) {
+    return `${first}.${last}${index + 1}@example.com`.toLowerCase();
+  }
+  if (/(first|given|fore)_?name|^fname$/.test(name)) return first;
+  if (/(last|family|sur)_?name|^lname$/.test(name)) return last;
+  if (/user_?name|login|handle|nick/.test(name)) {
+    return `${first.toLowerCase()}${random.int(1, 999)}`;
+  }
+  if ((person && /^(full_?)?name$/.test(name)) || /author|owner/.test(name)) {
+    return `${first} ${last}`;
+  }
+  if (/phone|mobile|tel|fax/.test(name)) {
+    return `+1-555-${pad(random.int(0, 9999), 4)}`;
+  }
+  if (/url|website|link|homepage/.test(name)) {
+    return `https://example.com/${random.pick(words)}`;
+  }
+  if (/city|town/.test(name)) return random.pick(cities);
+  if (/country/.test(name)) return random.pick(countries);
+  if (/address|street/.test(name)) {
+    return `${random.int(1, 999)} ${capitalize(random.pick(words))} Street`;
+  }
+  if (/zip|postal/.test(name)) return pad(random.int(1000, 99999), 5);
+  if (/password|hash|token|secret|salt/.test(name)) {
+    return hex(random, 16).toLowerCase();
+  }
+  if (/colou?r/.test(name)) return `#${hex(random, 3).toLowerCase()}`;
+  if (/code|sku|slug|key/.test(name)) {
+    return `${random.pick(words).toUpperCase().slice(0, 3)}-${pad(
+      random.int(0, 9999),
+      4,
+    )}`;
+  }
+  if (/name|title|label|subject|heading/.test(name)) {
+    return `${capitalize(random.pick(words))} ${capitalize(random.pick(words))}`;
+  }
+
+  const sentence = Array.from({ length: random.int(3, 10) }, () =>
+    random.pick(words),
+  ).join(" ");
+  return `${capitalize(sentence)}.`;
+}
+
+function getDate(random) {
+  return `${random.int(2020, 2025)}-${pad(random.int(1, 12))}-${pad(
+    random.int(1, 28),
+  )}`;
+}
+
+function getTime(random) {
+  return `${pad(random.int(0, 23))}:${pad(random.int(0, 59))}:${pad(
+    random.int(0, 59),
+  )}`;
+}
+
+function getUUID(random) {
+  const h = hex(random, 16).toLowerCase();
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-4${h.slice(13, 16)}-${
+    "89ab"[random.int(0, 3)]
+  }${h.slice(17, 20)}-${h.slice(20, 32)}`;
+}
+
+function getBoolean(value, dbms) {
+  if (dbms === DB.SQLITE || dbms === DB.MSSQL) return value ? "1" : "0";
+  return value ? "TRUE" : "FALSE";
+}
+
+function getBinary(field, random, dbms) {
+  const size = Number.parseInt(field.size, 10);
+  if (
+    dbms === DB.POSTGRES &&
+    (field.type === "BINARY" || field.type === "VARBINARY")
+  ) {
+    // These are bit strings in Postgres.
+    const bits = Array.from({ length: size || 8 }, () => random.int(0, 1));
+    return `B'${bits.join("")}'`;
+  }
+  const bytes = hex(random, Math.min(size || 16, 16));
+  if (dbms === DB.POSTGRES) return `'\\x${bytes}'`;
+  if (dbms === DB.MSSQL) return `0x${bytes}`;
+  return `X'${bytes}'`;
+}
+
+function getCustom(type, random, dbms, index) {
+  const values = type.fields.map((f) => ({
+    name: f.name,
+    value: getValue(f, random, { dbms, index, types: [] }),
+  }));
+  if (dbms === DB.POSTGRES) {
+    return `ROW(${values.map((v) => v.value).join(", ")})`;
+  }
+  // Elsewhere custom types are stored as JSON.
+  return string(
+    `{${values
+      .map(
+        (v) =>
+          `${JSON.stringify(v.name)}: ${
+            strHasQuotes(v.value)
+              ? JSON.stringify(v.value.slice(1, -1).replace(/''/g, "'"))
+              : /^-?[\d.]+$/.test(v.value)
+                ? v.value
+                : v.value === "TRUE" || v.value === "FALSE"
+                  ? v.value.toLowerCase()
+                  : "null"
+          }`,
+      )
+      .join(", ")}}`,
+  );
+}
+
+function getDefault(field, dbms) {
+  const value = `${field.default}`.trim();
+  if (/^(true|false)$/i.test(value)) {
+    return getBoolean(value.toLowerCase() === "true", dbms);
+  }
+  if (isFunction(value) || isKeyword(value)) return value;
+  if (strHasQuotes(value)) return string(value.slice(1, -1));
+  if (/^-?\d+(\.\d+)?$/.test(value)) return value;
+  return string(value);
+}
+
+// A random value for the field as an SQL literal. `key` asks for the
+// `index`th value of a column that has to be unique.
+function getValue(field, random, { dbms, index, types, table, key = false }) {
+  const check = getCheck(field);
+  const type = field.type;
+
+  if (check.values?.length) {
+    const value = key
+      ? check.values[index % check.values.length]
+      : random.pick(check.values);
+    return /^-?[\d.]+$/.test(value) ? value : string(value);
+  }
+
+  if (type === "ENUM" && field.values?.length) {
+    return string(
+      key
+        ? field.values[index % field.values.length]
+        : random.pick(field.values),
+    );
+  }
+  if (type === "SET" && field.values?.length) {
+    const picked = field.values.filter(() => random.next() < 0.5);
+    const values = picked.length ? picked : [random.pick(field.values)];
+    return string(
+      dbms === DB.POSTGRES ? `{${values.join(",")}}` : values.join(","),
+    );
+  }
+
+  // Small positive numbers unless the check asks for others.
+  const lowest = Number.isFinite(check.min)
+    ? check.min
+    : Math.min(key ? 1 : 0, check.max);
+  if (integers[type]) {
+    const min = Math.ceil(lowest);
+    if (key) return `${min + index}`;
+    const max = Math.min(check.max, integers[type], min + 1000);
+    return `${random.int(min, Math.floor(max))}`;
+  }
+  if (decimals.includes(type)) {
+    const scale = getScale(field);
+    const [precision] = `${field.size ?? ""}`.split(",");
+    const digits = /^\s*\d+\s*$/.test(precision)
+      ? Number(precision) - scale
+      : Infinity;
+    const max = Math.min(check.max, Math.pow(10, digits) - 1, lowest + 1000);
+    return (lowest + random.next() * (max - lowest)).toFixed(scale);
+  }
+  if (type === "BOOLEAN" || type === "BOOL") {
+    return getBoolean(random.next() < 0.5, dbms);
+  }
+  if (type === "BIT") {
+    const bits = Array.from(
+      { length: Number.parseInt(field.size, 10) || 1 },
+      () => random.int(0, 1),
+    );
+    return dbms === DB.POSTGRES ? `B'${bits.join("")}'` : `${bits[0]}`;
+  }
+  if (type === "YEAR") return `${random.int(1990, 2025)}`;
+  if (type === "DATE") return string(getDate(random));
+  if (type === "TIME") return string(getTime(random));
+  if (type === "TIMETZ") return string(`${getTime(random)}+00`);
+  if (["DATETIME", "DATETIME2", "SMALLDATETIME", "TIMESTAMP"].includes(type)) {
+    return string(`${getDate(random)} ${getTime(random)}`);
+  }
+  if (type === "DATETIMEOFFSET" || type === "TIMESTAMPTZ") {
+    return string(`${getDate(random)} ${getTime(random)} +00:00`);
+  }
+  if (type === "UUID" || type === "UNIQUEIDENTIFIER") {
+    return string(getUUID(random));
+  }
+  if (
+    ["BINARY", "VARBINARY", "BLOB", "TINYBLOB", "MEDIUMBLOB", "LONGBLOB"]
+      .concat(["BYTEA", "IMAGE"])
+      .includes(type)
+  ) {
+    return getBinary(field, random, dbms);
+  }
+  if (type === "JSON" || type === "JSONB") {
+    return string(JSON.stringify({ id: index + 1, tag: random.pick(words) }));
+  }
+  if (type === "XML") return string(`<tag>${random.pick(words)}</tag>`);
+  if (type === "INET" || type === "INET4") {
+    return string(`192.168.${random.int(0, 255)}.${random.int(1, 254)}`);
+  }
+  if (type === "CIDR") return string(`10.${random.int(0, 255)}.0.0/16`);
+  if (type === "INET6") return string(`2001:db8::${hex(random, 2)}`);
+  if (type === "MACADDR" || type === "MACADDR8") {
+    return string(
+      hex(random, type === "MACADDR" ? 6 : 8)
+        .match(/../g)
+        .join(":"),
+    );
+  }
+  if (type === "INTERVAL") return string(`${random.int(1, 30)} days`);
+
+  const custom = types.find((t) => t.name.toUpperCase() === type);
+  if (custom) {
+    const e = custom.fields.length === 1 ? custom.fields[0] : null;
+    if (e?.type === "ENUM" || e?.type === "SET") {
+      return getValue(e, random, { dbms, index, types: [], key });
+    }
+    return getCustom(custom, random, dbms, index);
+  }
+
+  if (texts.includes(type)) {
+    const size = Number.parseInt(field.size, 10) || Infinity;
+    const maxLength = Math.min(size, check.maxLength ?? Infinity);
+    const minLength = check.minLength ?? 0;
+    let text = getText(field, random, index, table);
+    if (key && !text.includes(`${index + 1}`)) text = `${text}${index + 1}`;
+    if (text.length > maxLength) {
+      text = key
+        ? `${text.slice(0, maxLength - `${index + 1}`.length)}${index + 1}`
+        : text.slice(0, maxLength);
+    }
+    while (text.length < minLength) text += random.pick(words);
+    return string(text.slice(0, maxLength));
+  }
+  // Geometries and the like have no simple literal.
+  return field.notNull || key ? string(random.pick(words)) : "NULL";
+}
+
+// Orders the tables so that every table comes after the tables it references.
+// Tables in a reference cycle keep their order.
+function sortTables(tables, references) {
+  const sorted = [];
+  const remaining = [...tables];
+  const dependsOn = (table) =>
+    references
+      .filter((r) => r.startTableId === table.id && r.endTableId !== table.id)
+      .map((r) => r.endTableId);
+
+  while (remaining.length > 0) {
+    const next =
+      remaining.find((t) =>
+        dependsOn(t).every((id) => !remaining.some((r) => r.id === id)),
+      ) ?? remaining[0];
+    sorted.push(next);
+    remaining.splice(remaining.indexOf(next), 1);
+  }
+  return sorted;
+}
+
+// `options` are the number of `rows` per table and the `seed` of the random
+// values.
+export function jsonToInserts(obj, dbms, options) {
+  const random = createRandom(options.seed);
+  const rows = {};
+  const statements = [];
+
+  sortTables(obj.tables, obj.references).forEach((table) => {
+    const keys = table.fields.filter((f) => f.primary);
+    const foreignKeys = Object.fromEntries(
+      obj.references
+        .filter((r) => r.startTableId === table.id)
+        .map((r) => [r.startFieldId, r]),
+    );
+    const seen = Object.fromEntries(table.fields.map((f) => [f.id, new Set()]));
+    const seenKeys = new Set();
+    const unresolved = new Set();
+    rows[table.id] = [];
+
+    const isUnique = (field) =>
+      field.unique || (field.primary && keys.length === 1);
+
+    const getForeignKey = (field, row, r) => {
+      const endTable = obj.tables.find((t) => t.id === r.endTableId);
+      const endField = endTable?.fields.find((f) => f.id === r.endFieldId);
+      // A row of a self referencing table may point at itself.
+      const candidates =
+        r.endTableId === table.id
+          ? [...rows[table.id], row]
+          : rows[r.endTableId] ?? [];
+      const values = candidates
+        .map((c) => c[r.endFieldId])
+        .filter((v) => v !== undefined && v !== "NULL")
+        .filter((v) => !isUnique(field) || !seen[field.id].has(v));
+      if (!endField || values.length === 0) {
+        if (!rows[r.endTableId]) unresolved.add(field.name);
+        return field.notNull || field.primary ? undefined : "NULL";
+      }
+      if (!field.notNull && !field.primary && random.next() < 0.1) {
+        return "NULL";
+      }
+      return random.pick(values);
+    };
+
+    const getRow = (index) => {
+      const row = {};
+      const foreign = table.fields.filter((f) => foreignKeys[f.id]);
+      for (const field of table.fields) {
+        if (foreignKeys[field.id]) continue;
+        const unique = isUnique(field);
+        let value;
+        for (let attempt = 0; attempt < 20; attempt++) {
+          if (
+            !unique &&
+            field.default !== "" &&
+            field.default !== undefined &&
+            random.next() < 0.3
+          ) {
+            value = getDefault(field, dbms);
+          } else if (
+            !unique &&
+            !field.notNull &&
+            !field.primary &&
+            random.next() < 0.1
+          ) {
+            value = "NULL";
+          } else {
+            value = getValue(field, random, {
+              dbms,
+              index: index + attempt * options.rows,
+              types: obj.types,
+              table: table.name,
+              key: unique || field.increment,
+            });
+          }
+          if (!unique || !seen[field.id].has(value)) break;
+          value = undefined;
+        }
+        if (value === undefined) return null;
+        row[field.id] = value;
+      }
+      for (const field of foreign) {
+        const value = getForeignKey(field, row, foreignKeys[field.id]);
+        if (value === undefined) return null;
+        row[field.id] = value;
+      }
+      return row;
+    };
+
+    for (let i = 0; i < options.rows; i++) {
+      let row = null;
+      for (let attempt = 0; attempt < 20 && !row; attempt++) {
+        row = getRow(i);
+        const key = row && keys.map((k) => row[k.id]).join("\0");
+        if (row && keys.length > 1 && seenKeys.has(key)) row = null;
+      }
+      // The columns can't take any more distinct values.
+      if (!row) break;
+      rows[table.id].push(row);
+      seenKeys.add(keys.map((k) => row[k.id]).join("\0"));
+      table.fields.forEach((f) => seen[f.id].add(row[f.id]));
+    }
+
+    const name = quote(table.name, dbms);
+    const lines = [];
+    if (unresolved.size > 0) {
+      lines.push(
+        `-- ${[...unresolved]
+          .map((f) => quote(f, dbms))
+          .join(", ")} reference tables filled later and are left NULL`,
+      );
+    }
+    if (rows[table.id].length === 0) {
+      lines.push(`-- No rows could be generated for ${name}`);
+      statements.push(lines.join("\n"));
+      return;
+    }
+
+    const identity = table.fields.some((f) => f.increment);
+    if (identity && dbms === DB.MSSQL) {
+      lines.push(`SET IDENTITY_INSERT ${name} ON;`);
+    }
+    lines.push(
+      `INSERT INTO ${name} (${table.fields
+        .map((f) => quote(f.name, dbms))
+        .join(", ")}) VALUES\n${rows[table.id]
+        .map((row) => `\t(${table.fields.map((f) => row[f.id]).join(", ")})`)
+        .join(",\n")};`,
+    );
+    if (identity && dbms === DB.MSSQL) {
+      lines.push(`SET IDENTITY_INSERT ${name} OFF;`);
+    }
+    if (dbms === DB.POSTGRES) {
+      // Serial columns don't advance their sequence for explicit values.
+      table.fields
+        .filter(
+          (f) =>
+            f.increment &&
+            ["SMALLINT", "INT", "INTEGER", "BIGINT"].includes(f.type),
+        )
+        .forEach((f) =>
+          lines.push(
+            `SELECT setval(pg_get_serial_sequence(${string(name)}, ${string(
+              f.name,
+            )}), (SELECT MAX(${quote(f.name, dbms)}) FROM ${name}));`,
+          ),
+        );
+    }
+    statements.push(lines.join("\n"));
+  });
+
+  return `${statements.join("\n\n")}\n`;
+}
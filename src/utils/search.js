@@ -0,0 +1,81 @@
+import { ObjectType } from "../data/constants";
+
+const matches = (text, query) =>
+  typeof text === "string" && text.toLowerCase().includes(query);
+
+// Names that start with the query come before the ones that only contain it
+const byRelevance = (query) => (a, b) =>
+  b.name.toLowerCase().startsWith(query) -
+  a.name.toLowerCase().startsWith(query);
+
+// Everything in the diagram that mentions `query`, grouped by what matched.
+// Each result points at the element to select: fields and comments point at
+// the table they belong to.
+export function searchDiagram(diagram, query, limit = 8) {
+  const q = query.trim().toLowerCase();
+  if (!q) return [];
+
+  const groups = {
+    tables: diagram.tables
+      .filter((t) => matches(t.name, q))
+      .map((t) => ({ element: ObjectType.TABLE, id: t.id, name: t.name })),
+    fields: diagram.tables.flatMap((t) =>
+      t.fields
+        .filter((f) => matches(f.name, q))
+        .map((f) => ({
+          element: ObjectType.TABLE,
+          id: t.id,
+          name: f.name,
+          detail: `${t.name}.${f.name}`,
+        })),
+    ),
+    comments: diagram.tables.flatMap((t) => [
+      ...(matches(t.comment, q)
+        ? [
+            {
+              element: ObjectType.TABLE,
+              id: t.id,
+              name: t.comment,
+              detail: t.name,
+            },
+          ]
+        : []),
+      ...t.fields
+        .filter((f) => matches(f.comment, q))
+        .map((f) => ({
+          element: ObjectType.TABLE,
+          id: t.id,
+          name: f.comment,
+          detail: `${t.name}.${f.name}`,
+        })),
+    ]),
+    relationships: diagram.relationships
+      .filter((r) => matches(r.name, q))
+      .map((r) => ({
+        element: ObjectType.RELATIONSHIP,
+        id: r.id,
+        name: r.name,
+      })),
+    subject_areas: diagram.areas
+      .filter((a) => matches(a.name, q))
+      .map((a) => ({ element: ObjectType.AREA, id: a.id, name: a.name })),
+    notes: diagram.notes
+      .filter((n) => matches(n.title, q) || matches(n.content, q))
+      .map((n) => ({
+        element: ObjectType.NOTE,
+        id: n.id,
+        name: n.title,
+        detail: n.content,
+      })),
+    types: diagram.types
+      .map((type, i) => ({ element: ObjectType.TYPE, id: i, name: type.name }))
+      .filter((type) => matches(type.name, q)),
+  };
+
+  return Object.entries(groups)
+    .filter(([, results]) => results.length > 0)
+    .map(([group, results]) => ({
+      group,
+      results: results.sort(byRelevance(q)).slice(0, limit),
+    }));
+}
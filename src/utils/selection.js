@@ -0,0 +1,172 @@
+import {
+  ObjectType,
+  tableColorStripHeight,
+  tableFieldHeight,
+  tableHeaderHeight,
+} from "../data/constants";
+
+const noteWidth = 180;
+
+// The box taken up by `data`, the table, area or note `element` says it is.
+export function boundsOf(element, data, tableWidth) {
+  switch (element) {
+    case ObjectType.TABLE:
+      return {
+        x: data.x,
+        y: data.y,
+        width: tableWidth,
+        height:
+          data.fields.length * tableFieldHeight +
+          tableHeaderHeight +
+          tableColorStripHeight,
+      };
+    case ObjectType.AREA:
+      return { x: data.x, y: data.y, width: data.width, height: data.height };
+    case ObjectType.NOTE:
+      return { x: data.x, y: data.y, width: noteWidth, height: data.height };
+    default:
+      return null;
+  }
+}
+
+// `diagram` holds the tables, areas and notes the element is looked up in.
+export function getElementBounds(element, diagram, tableWidth) {
+  const list = {
+    [ObjectType.TABLE]: diagram.tables,
+    [ObjectType.AREA]: diagram.areas,
+    [ObjectType.NOTE]: diagram.notes,
+  }[element?.element];
+  const data = list?.find((e) => e.id === element.id);
+  return data ? boundsOf(element.element, data, tableWidth) : null;
+}
+
+export function listElements(diagram) {
+  return [
+    ...diagram.tables.map((t) => ({ element: ObjectType.TABLE, id: t.id })),
+    ...diagram.areas.map((a) => ({ element: ObjectType.AREA, id: a.id })),
+    ...diagram.notes.map((n) => ({ element: ObjectType.NOTE, id: n.id })),
+  ];
+}
+
+// The tables, areas and notes lying entirely inside `rect`.
+export function getElementsInRect(rect, diagram, tableWidth) {
+  return listElements(diagram).filter((e) => {
+    const b = getElementBounds(e, diagram, tableWidth);
+    return (
+      b.x >= rect.x &&
+      b.y >= rect.y &&
+      b.x + b.width <= rect.x + rect.width &&
+      b.y + b.height <= rect.y + rect.height
+    );
+  });
+}
+
+function getBoxes(elements, diagram, tableWidth) {
+  return elements
+    .map((e) => ({ ...e, ...getElementBounds(e, diagram, tableWidth) }))
+    .filter((b) => b.x !== undefined);
+}
+
+// New positions that line the elements up with the outermost one on `edge`,
+// which is one of left, center, right, top, middle and bottom.
+export function alignElements(elements, diagram, tableWidth, edge) {
+  const boxes = getBoxes(elements, diagram, tableWidth);
+  if (boxes.length < 2) return [];
+
+  const left = Math.min(...boxes.map((b) => b.x));
+  const right = Math.max(...boxes.map((b) => b.x + b.width));
+  const top = Math.min(...boxes.map((b) => b.y));
+  const bottom = Math.max(...boxes.map((b) => b.y + b.height));
+
+  return boxes.map((b) => {
+    const position = { element: b.element, id: b.id, x: b.x, y: b.y };
+    if (edge === "left") position.x = left;
+    if (edge === "center") position.x = (left + right - b.width) / 2;
+    if (edge === "right") position.x = right - b.width;
+    if (edge === "top") position.y = top;
+    if (edge === "middle") position.y = (top + bottom - b.height) / 2;
+    if (edge === "bottom") position.y = bottom - b.height;
+    return position;
+  });
+}
+
+// New positions that leave equal gaps between the elements along `axis`,
+// keeping the first and the last one in place.
+export function distributeElements(elements, diagram, tableWidth, axis) {
+  const boxes = getBoxes(elements, diagram, tableWidth);
+  if (boxes.length < 3) return [];
+
+  const [start, size] =
+    axis === "horizontal" ? ["x", "width"] : ["y", "height"];
+  boxes.sort((a, b) => a[start] - b[start]);
+  const first = boxes[0];
+  const last = boxes[boxes.length - 1];
+  const used = boxes.reduce((total, b) => total + b[size], 0);
+  const gap =
+    (last[start] + last[size] - first[start] - used) / (boxes.length - 1);
+
+  let offset = first[start];
+  return boxes.map((b) => {
+    const position = { element: b.element, id: b.id, x: b.x, y: b.y };
+    position[start] = offset;
+    offset += b[size] + gap;
+    return position;
+  });
+}
+
+// Moves `box` by less than `threshold` so that one of its edges or centers
+// lines up with those of the `others`, and returns the lines it now shares
+// with them to be drawn as guides.
+export function snapToGuides(box, others, threshold) {
+  const xs = (b) => [b.x, b.x + b.width / 2, b.x + b.width];
+  const ys = (b) => [b.y, b.y + b.height / 2, b.y + b.height];
+  const closest = (own, lines) => {
+    let offset = 0;
+    let distance = Infinity;
+    own.forEach((o) =>
+      lines.forEach((l) => {
+        if (Math.abs(l - o) <= threshold && Math.abs(l - o) < distance) {
+          offset = l - o;
+          distance = Math.abs(l - o);
+        }
+      }),
+    );
+    return offset;
+  };
+
+  const snapped = {
+    ...box,
+    x: box.x + closest(xs(box), others.flatMap(xs)),
+    y: box.y + closest(ys(box), others.flatMap(ys)),
+  };
+
+  const guides = [];
+  xs(snapped).forEach((x) => {
+    const aligned = others.filter((b) =>
+      xs(b).some((l) => Math.abs(l - x) < 0.5),
+    );
+    if (aligned.length === 0) return;
+    const boxes = [snapped, ...aligned];
+    guides.push({
+      x1: x,
+      y1: Math.min(...boxes.map((b) => b.y)),
+      x2: x,
+      y2: Math.max(...boxes.map((b) => b.y + b.height)),
+    });
+  });
+  ys(snapped).forEach((y) => {
+    const aligned = others.filter((b) =>
+      ys(b).some((l) => Math.abs(l - y) < 0.5),
+    );
+    if (aligned.length === 0) return;
+    const boxes = [snapped, ...aligned];
+    guides.push({
+      x1: Math.min(...boxes.map((b) => b.x)),
+      y1: y,
+      x2: Math.max(...boxes.map((b) => b.x + b.width)),
+      y2: y,
+    });
+  });
+
+  return { x: snapped.x, y: snapped.y, guides };
+}
@@ -0,0 +1,38 @@
+// Shared diagrams travel in the fragment of a /view link, which is never sent
+// to the server. The JSON is deflated and base64url encoded to keep it short.
+
+async function pipe(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach((b) => (binary += String.fromCharCode(b)));
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+export async function encodeDiagram(diagram) {
+  const json = new TextEncoder().encode(JSON.stringify(diagram));
+  return toBase64Url(await pipe(json, new CompressionStream("deflate-raw")));
+}
+
+export async function decodeDiagram(fragment) {
+  const json = await pipe(
+    fromBase64Url(fragment),
+    new DecompressionStream("deflate-raw"),
+  );
+  return JSON.parse(new TextDecoder().decode(json));
+}
+
+export async function getShareUrl(diagram) {
+  return `${window.location.origin}/view#${await encodeDiagram(diagram)}`;
+}
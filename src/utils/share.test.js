@@ -0,0 +1,24 @@
+import { describe, expect, it } from "vitest";
+import { DB } from "../data/constants";
+import { importSQL } from "./importSQL";
+import { decodeDiagram, encodeDiagram } from "./share";
+
+describe("share links", () => {
+  it("decode to the diagram that was encoded", async () => {
+    const diagram = {
+      title: "Ünïcode ✓",
+      ...importSQL(
+        "CREATE TABLE users (id INT PRIMARY KEY, bio TEXT COMMENT 'a/b+c');",
+        DB.MYSQL,
+      ),
+    };
+    const fragment = await encodeDiagram(diagram);
+
+    expect(fragment).toMatch(/^[\w-]+$/);
+    expect(await decodeDiagram(fragment)).toEqual(diagram);
+  });
+
+  it("reject fragments that aren't diagrams", async () => {
+    await expect(decodeDiagram("not-a-diagram")).rejects.toThrow();
+  });
+});
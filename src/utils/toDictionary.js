@@ -0,0 +1,284 @@
+import { tableInArea } from "./utils";
+
+// Both formats render the same sections, built once by getDictionary as
+// headers and rows of plain text.
+
+function getType(field) {
+  if (field.type === "ENUM" || field.type === "SET") {
+    return `${field.type}(${(field.values ?? [])
+      .map((v) => `'${v}'`)
+      .join(", ")})`;
+  }
+  return field.type;
+}
+
+function getDictionary(obj) {
+  const getTable = (id) => obj.tables.find((t) => t.id === id);
+  const getField = (table, id) => table?.fields.find((f) => f.id === id);
+
+  const tables = obj.tables.map((table) => {
+    const relationships = obj.references
+      .filter((r) => r.startTableId === table.id || r.endTableId === table.id)
+      .map((r) => {
+        const outgoing = r.startTableId === table.id;
+        const other = getTable(outgoing ? r.endTableId : r.startTableId);
+        return [
+          r.name,
+          outgoing ? "Outgoing" : "Incoming",
+          getField(table, outgoing ? r.startFieldId : r.endFieldId)?.name ?? "",
+          `${other?.name}.${
+            getField(other, outgoing ? r.endFieldId : r.startFieldId)?.name
+          }`,
+          r.cardinality,
+          r.updateConstraint,
+          r.deleteConstraint,
+        ];
+      });
+
+    return {
+      name: table.name,
+      comment: table.comment,
+      fields: table.fields.map((f) => [
+        `${f.name}${f.primary ? " (PK)" : ""}`,
+        getType(f),
+        `${f.size ?? ""}`,
+        f.notNull || f.primary ? "No" : "Yes",
+        f.default,
+        f.check,
+        f.comment,
+      ]),
+      indices: table.indices.map((i) => [
+        i.name,
+        i.fields.join(", "),
+        i.unique ? "Yes" : "No",
+      ]),
+      relationships,
+      areas: obj.subjectAreas
+        .filter((a) => tableInArea(table, a))
+        .map((a) => a.name),
+    };
+  });
+
+  const areas = obj.subjectAreas.map((a) => ({
+    name: a.name,
+    tables: obj.tables.filter((t) => tableInArea(t, a)).map((t) => t.name),
+  }));
+
+  const types = obj.types.map((type) => ({
+    name: type.name,
+    comment: type.comment,
+    fields: type.fields.map((f) => [
+      f.name,
+      getType(f),
+      f.size !== undefined ? `${f.size}` : "",
+    ]),
+  }));
+
+  return { tables, areas, types };
+}
+
+const headers = {
+  fields: ["Name", "Type", "Size", "Nullable", "Default", "Check", "Comment"],
+  indices: ["Name", "Fields", "Unique"],
+  relationships: [
+    "Name",
+    "Direction",
+    "Field",
+    "References",
+    "Cardinality",
+    "On update",
+    "On delete",
+  ],
+  types: ["Field", "Type", "Size"],
+};
+
+function markdownTable(header, rows) {
+  const cell = (text) =>
+    `${text ?? ""}`.replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+  return [
+    `| ${header.join(" | ")} |`,
+    `| ${header.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${row.map(cell).join(" | ")} |`),
+  ].join("\n");
+}
+
+function anchor(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+    .replace(/\s/g, "-");
+}
+
+export function jsonToMarkdown(obj) {
+  const { tables, areas, types } = getDictionary(obj);
+  const sections = [`# ${obj.title}`];
+
+  if (obj.svg) {
+    const url = obj.svg.replace(/\(/g, "%28").replace(/\)/g, "%29");
+    sections.push(`![Diagram](${url})`);
+  }
+
+  sections.push(
+    "## Tables",
+    tables.map((t) => `- [${t.name}](#${anchor(t.name)})`).join("\n"),
+  );
+  tables.forEach((t) => {
+    sections.push(`### ${t.name}`);
+    if (t.comment) sections.push(t.comment);
+    if (t.areas.length) {
+      sections.push(`**Subject areas:** ${t.areas.join(", ")}`);
+    }
+    sections.push(markdownTable(headers.fields, t.fields));
+    if (t.indices.length) {
+      sections.push("#### Indices", markdownTable(headers.indices, t.indices));
+    }
+    if (t.relationships.length) {
+      sections.push(
+        "#### Relationships",
+        markdownTable(headers.relationships, t.relationships),
+      );
+    }
+  });
+
+  if (areas.length) {
+    sections.push("## Subject areas");
+    areas.forEach((a) =>
+      sections.push(
+        `### ${a.name}`,
+        a.tables.length ? a.tables.map((t) => `- ${t}`).join("\n") : "_Empty_",
+      ),
+    );
+  }
+
+  if (types.length) {
+    sections.push("## Types");
+    types.forEach((t) => {
+      sections.push(`### ${t.name}`);
+      if (t.comment) sections.push(t.comment);
+      sections.push(markdownTable(headers.types, t.fields));
+    });
+  }
+
+  if (obj.notes.length) {
+    sections.push("## Notes");
+    obj.notes.forEach((n) => sections.push(`### ${n.title}`, n.content));
+  }
+
+  return sections.join("\n\n") + "\n";
+}
+
+function escapeHTML(text) {
+  return `${text ?? ""}`
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function htmlTable(header, rows) {
+  return `<table>
+<thead><tr>${header.map((h) => `<th>${h}</th>`).join("")}</tr></thead>
+<tbody>
+${rows
+  .map(
+    (row) => `<tr>${row.map((c) => `<td>${escapeHTML(c)}</td>`).join("")}</tr>`,
+  )
+  .join("\n")}
+</tbody>
+</table>`;
+}
+
+const style = `body { font-family: system-ui, sans-serif; max-width: 1100px; margin: 0 auto; padding: 24px; color: #1f2937; }
+h2 { border-bottom: 1px solid #d1d5db; padding-bottom: 4px; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0 16px; }
+th, td { border: 1px solid #d1d5db; padding: 4px 8px; text-align: left; vertical-align: top; white-space: pre-wrap; }
+th { background: #f3f4f6; }
+img { max-width: 100%; border: 1px solid #d1d5db; }
+.comment { white-space: pre-wrap; }`;
+
+export function jsonToHTML(obj) {
+  const { tables, areas, types } = getDictionary(obj);
+  const paragraph = (text) =>
+    text ? `<p class="comment">${escapeHTML(text)}</p>` : "";
+  const sections = [];
+
+  if (obj.svg) {
+    sections.push(`<img src="${escapeHTML(obj.svg)}" alt="Diagram">`);
+  }
+
+  sections.push(
+    "<h2>Tables</h2>",
+    `<ul>\n${tables
+      .map((t, i) => `<li><a href="#table-${i}">${escapeHTML(t.name)}</a></li>`)
+      .join("\n")}\n</ul>`,
+  );
+  tables.forEach((t, i) => {
+    sections.push(
+      `<h3 id="table-${i}">${escapeHTML(t.name)}</h3>`,
+      paragraph(t.comment),
+    );
+    if (t.areas.length) {
+      sections.push(
+        `<p><strong>Subject areas:</strong> ${escapeHTML(t.areas.join(", "))}</p>`,
+      );
+    }
+    sections.push(htmlTable(headers.fields, t.fields));
+    if (t.indices.length) {
+      sections.push("<h4>Indices</h4>", htmlTable(headers.indices, t.indices));
+    }
+    if (t.relationships.length) {
+      sections.push(
+        "<h4>Relationships</h4>",
+        htmlTable(headers.relationships, t.relationships),
+      );
+    }
+  });
+
+  if (areas.length) {
+    sections.push("<h2>Subject areas</h2>");
+    areas.forEach((a) =>
+      sections.push(
+        `<h3>${escapeHTML(a.name)}</h3>`,
+        a.tables.length
+          ? `<ul>\n${a.tables
+              .map((t) => `<li>${escapeHTML(t)}</li>`)
+              .join("\n")}\n</ul>`
+          : "<p><em>Empty</em></p>",
+      ),
+    );
+  }
+
+  if (types.length) {
+    sections.push("<h2>Types</h2>");
+    types.forEach((t) =>
+      sections.push(
+        `<h3>${escapeHTML(t.name)}</h3>`,
+        paragraph(t.comment),
+        htmlTable(headers.types, t.fields),
+      ),
+    );
+  }
+
+  if (obj.notes.length) {
+    sections.push("<h2>Notes</h2>");
+    obj.notes.forEach((n) =>
+      sections.push(`<h3>${escapeHTML(n.title)}</h3>`, paragraph(n.content)),
+    );
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(obj.title)}</title>
+<style>
+${style}
+</style>
+</head>
+<body>
+<h1>${escapeHTML(obj.title)}</h1>
+${sections.filter(Boolean).join("\n")}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,130 @@
+import { Cardinality } from "../data/constants";
+
+// Mermaid and PlantUML share the crow's foot notation. The start table of a
+// relationship holds the foreign key, so its nullability decides whether the
+// referenced side is optional.
+function getMarkers(relationship, startField) {
+  const required = startField?.notNull || startField?.primary;
+  switch (relationship.cardinality) {
+    case Cardinality.MANY_TO_ONE:
+      return ["}o", required ? "||" : "o|"];
+    case Cardinality.ONE_TO_MANY:
+      return [required ? "||" : "|o", "o{"];
+    default:
+      return ["|o", required ? "||" : "o|"];
+  }
+}
+
+function getKeys(table, field, relationships) {
+  const keys = [];
+  if (field.primary) keys.push("PK");
+  if (
+    relationships.some(
+      (r) => r.startTableId === table.id && r.startFieldId === field.id,
+    )
+  ) {
+    keys.push("FK");
+  }
+  if (field.unique && !field.primary) keys.push("UK");
+  return keys;
+}
+
+function getRelationships(obj) {
+  return obj.references
+    .map((r) => {
+      const startTable = obj.tables.find((t) => t.id === r.startTableId);
+      const endTable = obj.tables.find((t) => t.id === r.endTableId);
+      if (!startTable || !endTable) return null;
+      const startField = startTable.fields.find((f) => f.id === r.startFieldId);
+      return {
+        relationship: r,
+        startTable,
+        endTable,
+        markers: getMarkers(r, startField),
+        // A foreign key that is part of the primary key identifies its row
+        identifying: !!startField?.primary,
+      };
+    })
+    .filter(Boolean);
+}
+
+function mermaidName(name) {
+  return /^[A-Za-z_][\w-]*$/.test(name) ? name : `"${name.replace(/"/g, "'")}"`;
+}
+
+function mermaidType(field) {
+  const type = field.type.replace(/\s+/g, "_");
+  return /^\d+$/.test(`${field.size ?? ""}`) ? `${type}(${field.size})` : type;
+}
+
+export function jsonToMermaid(obj) {
+  const entities = obj.tables.map((table) => {
+    const fields = table.fields.map((field) => {
+      const keys = getKeys(table, field, obj.references);
+      return `        ${mermaidType(field)} ${field.name.replace(/[^\w-]/g, "_")}${
+        keys.length ? ` ${keys.join(", ")}` : ""
+      }${field.comment ? ` "${field.comment.replace(/"/g, "'")}"` : ""}`;
+    });
+    return `    ${mermaidName(table.name)} {\n${fields.join("\n")}\n    }`;
+  });
+
+  const relationships = getRelationships(obj).map(
+    (r) =>
+      `    ${mermaidName(r.startTable.name)} ${r.markers[0]}${
+        r.identifying ? "--" : ".."
+      }${r.markers[1]} ${mermaidName(r.endTable.name)} : "${r.relationship.name.replace(
+        /"/g,
+        "'",
+      )}"`,
+  );
+
+  return ["erDiagram", ...entities, ...relationships].join("\n");
+}
+
+export function jsonToPlantUML(obj) {
+  const aliases = new Map();
+  obj.tables.forEach((table) => {
+    const base = table.name.replace(/\W/g, "_") || "table";
+    let alias = base;
+    for (let i = 1; [...aliases.values()].includes(alias); i++) {
+      alias = `${base}_${i}`;
+    }
+    aliases.set(table.id, alias);
+  });
+
+  const entities = obj.tables.map((table) => {
+    const renderField = (field) => {
+      const keys = getKeys(table, field, obj.references);
+      return `  ${field.notNull || field.primary ? "* " : ""}${field.name} : ${
+        field.type
+      }${field.size !== undefined && field.size !== "" ? `(${field.size})` : ""}${
+        keys.length ? ` <<${keys.join(", ")}>>` : ""
+      }${field.comment ? ` // ${field.comment}` : ""}`;
+    };
+    const keys = table.fields.filter((f) => f.primary).map(renderField);
+    const fields = table.fields.filter((f) => !f.primary).map(renderField);
+    return `entity "${table.name}" as ${aliases.get(table.id)} {\n${[
+      ...keys,
+      "  --",
+      ...fields,
+    ].join("\n")}\n}`;
+  });
+
+  const relationships = getRelationships(obj).map(
+    (r) =>
+      `${aliases.get(r.startTable.id)} ${r.markers[0]}${
+        r.identifying ? "--" : ".."
+      }${r.markers[1]} ${aliases.get(r.endTable.id)} : ${r.relationship.name}`,
+  );
+
+  return [
+    "@startuml",
+    "hide circle",
+    "skinparam linetype ortho",
+    "",
+    entities.join("\n\n"),
+    "",
+    ...relationships,
+    "@enduml",
+  ].join("\n");
+}
@@ -0,0 +1,193 @@
+import { isFunction, isKeyword, strHasQuotes } from "./utils";
+
+// Tables and custom types become named schemas. Foreign keys point at the
+// referenced field with a $ref so generated models keep its type.
+
+const formats = {
+  DATE: "date",
+  TIME: "time",
+  TIMETZ: "time",
+  DATETIME: "date-time",
+  DATETIME2: "date-time",
+  SMALLDATETIME: "date-time",
+  DATETIMEOFFSET: "date-time",
+  TIMESTAMP: "date-time",
+  TIMESTAMPTZ: "date-time",
+  UUID: "uuid",
+  UNIQUEIDENTIFIER: "uuid",
+  BINARY: "byte",
+  VARBINARY: "byte",
+  BLOB: "byte",
+  TINYBLOB: "byte",
+  MEDIUMBLOB: "byte",
+  LONGBLOB: "byte",
+  BYTEA: "byte",
+  IMAGE: "byte",
+};
+
+const integers = [
+  "INT",
+  "INTEGER",
+  "TINYINT",
+  "SMALLINT",
+  "MEDIUMINT",
+  "BIGINT",
+  "YEAR",
+];
+
+const numbers = [
+  "DECIMAL",
+  "NUMERIC",
+  "REAL",
+  "FLOAT",
+  "DOUBLE",
+  "MONEY",
+  "SMALLMONEY",
+];
+
+function pointer(...segments) {
+  return `#/${segments
+    .map((s) =>
+      s
+        .replace(/~/g, "~0")
+        .replace(/\//g, "~1")
+        .replace(/[^\w$~.-]/g, encodeURIComponent),
+    )
+    .join("/")}`;
+}
+
+function getEnum(field) {
+  const values = field.values ?? [];
+  return field.type === "SET"
+    ? {
+        type: "array",
+        items: { type: "string", enum: values },
+        uniqueItems: true,
+      }
+    : { type: "string", enum: values };
+}
+
+function getFieldSchema(field) {
+  if (field.type === "ENUM" || field.type === "SET") return getEnum(field);
+  if (integers.includes(field.type)) return { type: "integer" };
+  if (numbers.includes(field.type)) return { type: "number" };
+  if (field.type === "BOOLEAN" || field.type === "BOOL") {
+    return { type: "boolean" };
+  }
+  if (field.type === "JSON" || field.type === "JSONB") {
+    return { type: "object", additionalProperties: true };
+  }
+  const schema = { type: "string" };
+  if (formats[field.type]) schema.format = formats[field.type];
+  if (/CHAR$/.test(field.type) && /^\d+$/.test(`${field.size ?? ""}`)) {
+    schema.maxLength = Number(field.size);
+  }
+  return schema;
+}
+
+function getDefault(field, schema) {
+  const value = `${field.default ?? ""}`.trim();
+  if (value === "" || isFunction(value) || isKeyword(value)) return undefined;
+  if (schema.type === "integer" || schema.type === "number") {
+    return Number.isNaN(Number(value)) ? undefined : Number(value);
+  }
+  if (schema.type === "boolean") {
+    if (/^(true|1)$/i.test(value)) return true;
+    if (/^(false|0)$/i.test(value)) return false;
+    return undefined;
+  }
+  if (schema.type !== "string") return undefined;
+  return strHasQuotes(value) ? value.slice(1, -1) : value;
+}
+
+// `root` is the path of the named schemas and `key` maps a table or type name
+// to the name of its schema.
+function getSchemas(obj, root, key) {
+  const schemas = {};
+  const ref = (name, ...path) => pointer(...root, key(name), ...path);
+
+  obj.types.forEach((type) => {
+    const e = type.fields.length === 1 ? type.fields[0] : null;
+    const schema =
+      e?.type === "ENUM" || e?.type === "SET"
+        ? getEnum(e)
+        : {
+            type: "object",
+            properties: Object.fromEntries(
+              type.fields.map((f) => [f.name, getFieldSchema(f)]),
+            ),
+            additionalProperties: false,
+          };
+    if (type.comment) schema.description = type.comment;
+    schemas[key(type.name)] = schema;
+  });
+
+  obj.tables.forEach((table) => {
+    const properties = {};
+    table.fields.forEach((field) => {
+      const fk = obj.references.find(
+        (r) => r.startTableId === table.id && r.startFieldId === field.id,
+      );
+      const endTable = fk && obj.tables.find((t) => t.id === fk.endTableId);
+      const endField = endTable?.fields.find((f) => f.id === fk.endFieldId);
+      const custom = obj.types.find((t) => t.name.toUpperCase() === field.type);
+      if (endField) {
+        properties[field.name] = {
+          $ref: ref(endTable.name, "properties", endField.name),
+        };
+        return;
+      }
+      if (custom) {
+        properties[field.name] = { $ref: ref(custom.name) };
+        return;
+      }
+      const schema = getFieldSchema(field);
+      const value = getDefault(field, schema);
+      if (value !== undefined) schema.default = value;
+      if (field.comment) schema.description = field.comment;
+      properties[field.name] = schema;
+    });
+
+    const required = table.fields
+      .filter((f) => f.notNull || f.primary)
+      .map((f) => f.name);
+    schemas[key(table.name)] = {
+      type: "object",
+      ...(table.comment && { description: table.comment }),
+      properties,
+      ...(required.length && { required }),
+      additionalProperties: false,
+    };
+  });
+
+  return schemas;
+}
+
+export function jsonToJSONSchema(obj) {
+  return JSON.stringify(
+    {
+      $schema: "https://json-schema.org/draft/2020-12/schema",
+      title: obj.title,
+      $defs: getSchemas(obj, ["$defs"], (name) => name),
+    },
+    null,
+    2,
+  );
+}
+
+export function jsonToOpenAPI(obj) {
+  return JSON.stringify(
+    {
+      openapi: "3.0.3",
+      info: { title: obj.title, version: "1.0.0" },
+      paths: {},
+      components: {
+        schemas: getSchemas(obj, ["components", "schemas"], (name) =>
+          name.replace(/[^\w.-]/g, "_"),
+        ),
+      },
+    },
+    null,
+    2,
+  );
+}
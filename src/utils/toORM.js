@@ -0,0 +1,723 @@
+import { Cardinality, Constraint } from "../data/constants";
+import { isFunction, strHasQuotes } from "./utils";
+
+// Each generator returns the files of the models as `{ name, content }`.
+
+const kinds = {
+  integer: ["INT", "INTEGER", "MEDIUMINT", "YEAR"],
+  smallint: ["TINYINT", "SMALLINT"],
+  bigint: ["BIGINT"],
+  decimal: ["DECIMAL", "NUMERIC", "MONEY", "SMALLMONEY"],
+  float: ["FLOAT", "REAL"],
+  double: ["DOUBLE"],
+  char: ["CHAR", "NCHAR"],
+  string: ["VARCHAR", "NVARCHAR"],
+  text: ["TEXT", "TINYTEXT", "MEDIUMTEXT", "LONGTEXT", "NTEXT", "XML"],
+  date: ["DATE"],
+  time: ["TIME", "TIMETZ"],
+  datetime: [
+    "DATETIME",
+    "TIMESTAMP",
+    "DATETIME2",
+    "SMALLDATETIME",
+    "DATETIMEOFFSET",
+  ],
+  boolean: ["BOOLEAN", "BIT"],
+  binary: [
+    "BINARY",
+    "VARBINARY",
+    "BLOB",
+    "TINYBLOB",
+    "MEDIUMBLOB",
+    "LONGBLOB",
+    "BYTEA",
+    "IMAGE",
+  ],
+  json: ["JSON", "JSONB"],
+  uuid: ["UUID", "UNIQUEIDENTIFIER"],
+};
+
+// Custom types made of a single enum are used as enums, other custom types
+// are stored as JSON.
+function getKind(field, types) {
+  const custom = types.find((t) => t.name.toUpperCase() === field.type);
+  if (custom) {
+    const e = custom.fields.length === 1 ? custom.fields[0] : null;
+    return e?.type === "ENUM" || e?.type === "SET"
+      ? { kind: "enum", values: e.values }
+      : { kind: "json" };
+  }
+  if (field.type === "ENUM" || field.type === "SET") {
+    return { kind: "enum", values: field.values ?? [] };
+  }
+  return {
+    kind: Object.keys(kinds).find((k) => kinds[k].includes(field.type)),
+  };
+}
+
+function getSize(field) {
+  const [precision, scale] = `${field.size ?? ""}`
+    .split(",")
+    .map((s) => s.trim());
+  return { precision, scale };
+}
+
+const numericKinds = ["integer", "smallint", "bigint", "decimal", "float"];
+
+function getDefault(field, kind) {
+  const value = `${field.default ?? ""}`.trim();
+  if (value === "" || field.increment || value.toUpperCase() === "NULL") {
+    return null;
+  }
+  if (
+    /^(CURRENT_TIMESTAMP|LOCALTIMESTAMP)(\(\))?$|^(NOW|GETDATE)\(\)$/i.test(
+      value,
+    )
+  ) {
+    return { now: true };
+  }
+  if (isFunction(value)) return { expression: value };
+
+  const literal = strHasQuotes(value) ? value.slice(1, -1) : value;
+  if (kind === "boolean") {
+    if (/^(true|1)$/i.test(literal)) return { literal: true };
+    if (/^(false|0)$/i.test(literal)) return { literal: false };
+  }
+  if ([...numericKinds, "double"].includes(kind) && !isNaN(Number(literal))) {
+    return { literal: Number(literal) };
+  }
+  return { literal };
+}
+
+function toPascalCase(name) {
+  const id = name
+    .split(/[^A-Za-z0-9]+/)
+    .filter((w) => w !== "")
+    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+    .join("");
+  return /^[A-Za-z]/.test(id) ? id : `Model${id}`;
+}
+
+function toIdentifier(name) {
+  const id = name.replace(/[^A-Za-z0-9_]/g, "_");
+  return /^[A-Za-z_]/.test(id) ? id : `_${id}`;
+}
+
+function lowerFirst(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+function uniqueName(name, taken) {
+  let unique = name;
+  for (let i = 2; taken.has(unique); i++) unique = `${name}${i}`;
+  taken.add(unique);
+  return unique;
+}
+
+function plural(name) {
+  return name.endsWith("s") ? name : `${name}s`;
+}
+
+/**
+ * Names the classes and properties of every table, and the properties on
+ * both sides of every relationship. The foreign key is on the start table,
+ * as in the SQL exports.
+ */
+function getModels(obj) {
+  const classNames = new Set();
+  const models = obj.tables.map((table) => {
+    const taken = new Set();
+    return {
+      table,
+      className: uniqueName(toPascalCase(table.name), classNames),
+      properties: new Map(
+        table.fields.map((f) => [
+          f.id,
+          uniqueName(toIdentifier(f.name), taken),
+        ]),
+      ),
+      taken,
+      relations: [],
+      inverse: [],
+    };
+  });
+
+  obj.references.forEach((r) => {
+    const start = models.find((m) => m.table.id === r.startTableId);
+    const end = models.find((m) => m.table.id === r.endTableId);
+    const startField = start.table.fields.find((f) => f.id === r.startFieldId);
+    const endField = end.table.fields.find((f) => f.id === r.endFieldId);
+    const column = startField.name.replace(/_?id$/i, "");
+
+    const relation = {
+      r,
+      start,
+      end,
+      startField,
+      endField,
+      oneToOne: r.cardinality === Cardinality.ONE_TO_ONE,
+      // More than one relationship between two tables needs explicit names.
+      ambiguous:
+        start === end ||
+        obj.references.filter(
+          (x) =>
+            (x.startTableId === r.startTableId &&
+              x.endTableId === r.endTableId) ||
+            (x.startTableId === r.endTableId &&
+              x.endTableId === r.startTableId),
+        ).length > 1,
+    };
+    relation.property = uniqueName(
+      toIdentifier(
+        column !== "" && column !== startField.name
+          ? column
+          : lowerFirst(end.className),
+      ),
+      start.taken,
+    );
+    const inverse = lowerFirst(start.className);
+    relation.inverseProperty = uniqueName(
+      relation.ambiguous
+        ? `${relation.oneToOne ? inverse : plural(inverse)}By${toPascalCase(
+            relation.property,
+          )}`
+        : relation.oneToOne
+          ? inverse
+          : plural(inverse),
+      end.taken,
+    );
+    start.relations.push(relation);
+    end.inverse.push(relation);
+  });
+
+  return models;
+}
+
+function isIdentifier(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name);
+}
+
+function jsKey(name) {
+  return isIdentifier(name) ? name : JSON.stringify(name);
+}
+
+// Short objects are kept on one line.
+function jsObject(entries, indent) {
+  const pad = " ".repeat(indent);
+  const line = `{ ${entries.map(([key, value]) => `${key}: ${value}`).join(", ")} }`;
+  if (entries.length <= 2 && indent + line.length <= 60) return line;
+  return `{\n${entries
+    .map(([key, value]) => `${pad}  ${key}: ${value},`)
+    .join("\n")}\n${pad}}`;
+}
+
+const sequelizeTypes = {
+  integer: "INTEGER",
+  smallint: "SMALLINT",
+  bigint: "BIGINT",
+  decimal: "DECIMAL",
+  float: "FLOAT",
+  double: "DOUBLE",
+  char: "CHAR",
+  string: "STRING",
+  text: "TEXT",
+  date: "DATEONLY",
+  time: "TIME",
+  datetime: "DATE",
+  boolean: "BOOLEAN",
+  binary: "BLOB",
+  json: "JSON",
+  uuid: "UUID",
+  enum: "ENUM",
+};
+
+function getSequelizeType(field, kind, values) {
+  const type = `DataTypes.${field.type === "JSONB" ? "JSONB" : sequelizeTypes[kind] ?? "STRING"}`;
+  const { precision, scale } = getSize(field);
+  if (kind === "enum") {
+    return `${type}(${values.map((v) => JSON.stringify(v)).join(", ")})`;
+  }
+  if ((kind === "char" || kind === "string") && precision) {
+    return `${type}(${precision})`;
+  }
+  if (kind === "decimal" && precision) {
+    return `${type}(${precision}${scale ? `, ${scale}` : ""})`;
+  }
+  return type;
+}
+
+export function jsonToSequelize(obj) {
+  const models = getModels(obj);
+
+  const files = models.map((m) => {
+    const attributes = m.table.fields.map((field) => {
+      const { kind, values } = getKind(field, obj.types);
+      const options = [["type", getSequelizeType(field, kind, values)]];
+      if (field.primary) options.push(["primaryKey", "true"]);
+      if (field.increment) options.push(["autoIncrement", "true"]);
+      options.push(["allowNull", `${!field.notNull && !field.primary}`]);
+      if (field.unique && !field.primary) options.push(["unique", "true"]);
+      const value = getDefault(field, kind);
+      if (value?.now) options.push(["defaultValue", "DataTypes.NOW"]);
+      if (value?.expression) {
+        options.push([
+          "defaultValue",
+          `sequelize.literal(${JSON.stringify(value.expression)})`,
+        ]);
+      }
+      if (value && "literal" in value) {
+        options.push(["defaultValue", JSON.stringify(value.literal)]);
+      }
+      if (field.comment) {
+        options.push(["comment", JSON.stringify(field.comment)]);
+      }
+      return [jsKey(field.name), jsObject(options, 6)];
+    });
+
+    const settings = [
+      ["tableName", JSON.stringify(m.table.name)],
+      ["timestamps", "false"],
+    ];
+    if (m.table.comment) {
+      settings.push(["comment", JSON.stringify(m.table.comment)]);
+    }
+    if (m.table.indices.length > 0) {
+      settings.push([
+        "indexes",
+        `[\n${m.table.indices
+          .map(
+            (i) =>
+              `        ${jsObject(
+                [
+                  ["name", JSON.stringify(i.name)],
+                  ["unique", `${i.unique}`],
+                  [
+                    "fields",
+                    `[${i.fields.map((f) => JSON.stringify(f)).join(", ")}]`,
+                  ],
+                ],
+                8,
+              )},`,
+          )
+          .join("\n")}\n      ]`,
+      ]);
+    }
+
+    return {
+      name: `models/${m.className}.js`,
+      content: `const { DataTypes } = require("sequelize");\n\nmodule.exports = (sequelize) =>\n  sequelize.define(\n    ${JSON.stringify(
+        m.className,
+      )},\n    ${jsObject(attributes, 4)},\n    ${jsObject(settings, 4)},\n  );\n`,
+    };
+  });
+
+  const associations = models.flatMap((m) =>
+    m.relations.flatMap((rel) => [
+      `${m.className}.belongsTo(${rel.end.className}, ${jsObject(
+        [
+          ["as", JSON.stringify(rel.property)],
+          ["foreignKey", JSON.stringify(rel.startField.name)],
+          ["targetKey", JSON.stringify(rel.endField.name)],
+          ["onDelete", JSON.stringify(rel.r.deleteConstraint.toUpperCase())],
+          ["onUpdate", JSON.stringify(rel.r.updateConstraint.toUpperCase())],
+        ],
+        0,
+      )});`,
+      `${rel.end.className}.${rel.oneToOne ? "hasOne" : "hasMany"}(${
+        m.className
+      }, ${jsObject(
+        [
+          ["as", JSON.stringify(rel.inverseProperty)],
+          ["foreignKey", JSON.stringify(rel.startField.name)],
+          ["sourceKey", JSON.stringify(rel.endField.name)],
+        ],
+        0,
+      )});`,
+    ]),
+  );
+
+  const index = `const { Sequelize } = require("sequelize");\n\nconst sequelize = new Sequelize(process.env.DATABASE_URL);\n\n${models
+    .map(
+      (m) => `const ${m.className} = require("./${m.className}")(sequelize);`,
+    )
+    .join("\n")}\n${
+    associations.length > 0 ? `\n${associations.join("\n\n")}\n` : ""
+  }\nmodule.exports = {\n  sequelize,\n${models
+    .map((m) => `  ${m.className},`)
+    .join("\n")}\n};\n`;
+
+  return [{ name: "models/index.js", content: index }, ...files];
+}
+
+function getTypeScriptType(kind, values) {
+  switch (kind) {
+    case "integer":
+    case "smallint":
+    case "float":
+    case "double":
+      return "number";
+    case "boolean":
+      return "boolean";
+    case "datetime":
+      return "Date";
+    case "binary":
+      return "Buffer";
+    case "json":
+      return "object";
+    case "enum":
+      return values.map((v) => JSON.stringify(v)).join(" | ") || "string";
+    default:
+      return "string";
+  }
+}
+
+function getTypeORMColumn(field, kind, values, property) {
+  const options = [];
+  if (field.name !== property) {
+    options.push(["name", JSON.stringify(field.name)]);
+  }
+  const type =
+    kind === "json" && !kinds.json.includes(field.type)
+      ? "json"
+      : field.type === "ENUM" || field.type === "SET"
+        ? field.type.toLowerCase()
+        : kind === "enum"
+          ? "enum"
+          : field.type.toLowerCase();
+  options.push(["type", JSON.stringify(type)]);
+  const { precision, scale } = getSize(field);
+  if ((kind === "char" || kind === "string") && precision) {
+    options.push(["length", precision]);
+  }
+  if (kind === "decimal" && precision) {
+    options.push(["precision", precision]);
+    if (scale) options.push(["scale", scale]);
+  }
+  if (kind === "enum") {
+    options.push([
+      "enum",
+      `[${values.map((v) => JSON.stringify(v)).join(", ")}]`,
+    ]);
+  }
+  if (!field.notNull && !field.primary) options.push(["nullable", "true"]);
+  if (field.unique && !field.primary) options.push(["unique", "true"]);
+  const value = getDefault(field, kind);
+  if (value?.now) options.push(["default", '() => "CURRENT_TIMESTAMP"']);
+  if (value?.expression) {
+    options.push(["default", `() => ${JSON.stringify(value.expression)}`]);
+  }
+  if (value && "literal" in value) {
+    options.push(["default", JSON.stringify(value.literal)]);
+  }
+  if (field.comment) options.push(["comment", JSON.stringify(field.comment)]);
+  return options;
+}
+
+export function jsonToTypeORM(obj) {
+  const models = getModels(obj);
+
+  const files = models.map((m) => {
+    const decorators = new Set(["Entity"]);
+    const imports = new Set();
+    const members = [];
+
+    m.table.fields.forEach((field) => {
+      const property = m.properties.get(field.id);
+      const { kind, values } = getKind(field, obj.types);
+      const decorator = field.increment
+        ? "PrimaryGeneratedColumn"
+        : field.primary
+          ? "PrimaryColumn"
+          : "Column";
+      decorators.add(decorator);
+      const options = getTypeORMColumn(field, kind, values, property);
+      members.push(
+        `  @${decorator}(${jsObject(options, 2)})\n  ${property}: ${getTypeScriptType(
+          kind,
+          values,
+        )}${!field.notNull && !field.primary ? " | null" : ""};`,
+      );
+    });
+
+    m.relations.forEach((rel) => {
+      const decorator = rel.oneToOne ? "OneToOne" : "ManyToOne";
+      decorators.add(decorator);
+      decorators.add("JoinColumn");
+      if (rel.end !== m) imports.add(rel.end.className);
+      const target = lowerFirst(rel.end.className);
+      members.push(
+        `  @${decorator}(() => ${rel.end.className}, (${target}) => ${target}.${
+          rel.inverseProperty
+        }, {\n    onDelete: ${JSON.stringify(
+          rel.r.deleteConstraint.toUpperCase(),
+        )},\n    onUpdate: ${JSON.stringify(
+          rel.r.updateConstraint.toUpperCase(),
+        )},\n  })\n  @JoinColumn({ name: ${JSON.stringify(
+          rel.startField.name,
+        )}, referencedColumnName: ${JSON.stringify(
+          rel.end.properties.get(rel.endField.id),
+        )} })\n  ${rel.property}: ${rel.end.className}${
+          rel.startField.notNull ? "" : " | null"
+        };`,
+      );
+    });
+
+    m.inverse.forEach((rel) => {
+      const decorator = rel.oneToOne ? "OneToOne" : "OneToMany";
+      decorators.add(decorator);
+      if (rel.start !== m) imports.add(rel.start.className);
+      const source = lowerFirst(rel.start.className);
+      members.push(
+        `  @${decorator}(() => ${rel.start.className}, (${source}) => ${source}.${
+          rel.property
+        })\n  ${rel.inverseProperty}: ${rel.start.className}${
+          rel.oneToOne ? " | null" : "[]"
+        };`,
+      );
+    });
+
+    const propertyList = (names) =>
+      `[${names
+        .map((n) => {
+          const f = m.table.fields.find((f) => f.name === n);
+          return JSON.stringify(f ? m.properties.get(f.id) : n);
+        })
+        .join(", ")}]`;
+    if (m.table.indices.length > 0) decorators.add("Index");
+    const classDecorators = [
+      `@Entity(${JSON.stringify(m.table.name)})`,
+      ...m.table.indices.map(
+        (i) =>
+          `@Index(${JSON.stringify(i.name)}, ${propertyList(i.fields)}${
+            i.unique ? ", { unique: true }" : ""
+          })`,
+      ),
+    ];
+
+    return {
+      name: `entities/${m.className}.ts`,
+      content: `import {\n${[...decorators]
+        .sort()
+        .map((d) => `  ${d},`)
+        .join("\n")}\n} from "typeorm";\n${[...imports]
+        .sort()
+        .map((c) => `import { ${c} } from "./${c}";\n`)
+        .join("")}\n${
+        m.table.comment ? `/** ${m.table.comment} */\n` : ""
+      }${classDecorators.join("\n")}\nexport class ${
+        m.className
+      } {\n${members.join("\n\n")}\n}\n`,
+    };
+  });
+
+  return [
+    {
+      name: "entities/index.ts",
+      content: models
+        .map((m) => `export { ${m.className} } from "./${m.className}";\n`)
+        .join(""),
+    },
+    ...files,
+  ];
+}
+
+const djangoFields = {
+  integer: "IntegerField",
+  smallint: "SmallIntegerField",
+  bigint: "BigIntegerField",
+  decimal: "DecimalField",
+  float: "FloatField",
+  double: "FloatField",
+  char: "CharField",
+  string: "CharField",
+  text: "TextField",
+  date: "DateField",
+  time: "TimeField",
+  datetime: "DateTimeField",
+  boolean: "BooleanField",
+  binary: "BinaryField",
+  json: "JSONField",
+  uuid: "UUIDField",
+  enum: "CharField",
+};
+
+const djangoAutoFields = {
+  integer: "AutoField",
+  smallint: "SmallAutoField",
+  bigint: "BigAutoField",
+};
+
+const djangoActions = {
+  [Constraint.NONE]: "DO_NOTHING",
+  [Constraint.RESTRICT]: "RESTRICT",
+  [Constraint.CASCADE]: "CASCADE",
+  [Constraint.SET_NULL]: "SET_NULL",
+  [Constraint.SET_DEFAULT]: "SET_DEFAULT",
+};
+
+function toPython(value) {
+  if (value === true) return "True";
+  if (value === false) return "False";
+  return JSON.stringify(value);
+}
+
+export function jsonToDjango(obj) {
+  const models = getModels(obj);
+  let usesTimezone = false;
+
+  const getOptions = (field, kind, values, primary) => {
+    const options = [];
+    const { precision, scale } = getSize(field);
+    if (kind === "char" || kind === "string") {
+      options.push(`max_length=${precision || 255}`);
+    }
+    if (kind === "enum") {
+      options.push(
+        `max_length=${Math.max(1, ...values.map((v) => v.length))}`,
+        `choices=[${values
+          .map((v) => `(${JSON.stringify(v)}, ${JSON.stringify(v)})`)
+          .join(", ")}]`,
+      );
+    }
+    if (kind === "decimal") {
+      options.push(
+        `max_digits=${precision || 10}`,
+        `decimal_places=${scale || 0}`,
+      );
+    }
+    if (field.primary && primary.length === 1) options.push("primary_key=True");
+    if (field.unique && !field.primary) options.push("unique=True");
+    if (!field.notNull && !field.primary)
+      options.push("null=True", "blank=True");
+    const value = getDefault(field, kind);
+    if (value?.now) {
+      usesTimezone = true;
+      options.push("default=timezone.now");
+    }
+    if (value && "literal" in value) {
+      options.push(`default=${toPython(value.literal)}`);
+    }
+    if (field.comment)
+      options.push(`db_comment=${JSON.stringify(field.comment)}`);
+    return { options, expression: value?.expression };
+  };
+
+  const classes = models.map((m) => {
+    const primary = m.table.fields.filter((f) => f.primary);
+    const foreignKeys = new Map(
+      m.relations.map((rel) => [rel.startField.id, rel]),
+    );
+    const lines = [];
+    const names = new Map();
+    const attributes = new Map();
+
+    m.table.fields.forEach((field) => {
+      const { kind, values } = getKind(field, obj.types);
+      const rel = foreignKeys.get(field.id);
+      const { options, expression } = getOptions(field, kind, values, primary);
+      let name = m.properties.get(field.id);
+      let type;
+
+      if (rel) {
+        name = rel.property;
+        type = rel.oneToOne ? "OneToOneField" : "ForeignKey";
+        options.splice(
+          0,
+          options.length,
+          JSON.stringify(rel.end.className),
+          `on_delete=models.${djangoActions[rel.r.deleteConstraint] ?? "DO_NOTHING"}`,
+          ...options.filter(
+            (o) =>
+              !o.startsWith("max_length=") &&
+              !o.startsWith("choices=") &&
+              !o.startsWith("max_digits=") &&
+              !o.startsWith("decimal_places="),
+          ),
+        );
+        if (!rel.endField.primary) {
+          options.push(`to_field=${JSON.stringify(rel.endField.name)}`);
+        }
+        if (rel.ambiguous) {
+          options.push(`related_name=${JSON.stringify(rel.inverseProperty)}`);
+        }
+      } else if (field.increment && djangoAutoFields[kind]) {
+        type = djangoAutoFields[kind];
+      } else {
+        type = djangoFields[kind] ?? "CharField";
+        if (!djangoFields[kind]) options.unshift("max_length=255");
+      }
+
+      // Django adds `_id` to the column of a relation unless told otherwise.
+      const column = rel ? `${name}_id` : name;
+      if (column !== field.name) {
+        options.push(`db_column=${JSON.stringify(field.name)}`);
+      }
+      names.set(field.name, name);
+      attributes.set(field.name, column);
+      lines.push(
+        `    ${name} = models.${type}(${options.join(", ")})${
+          expression ? `  # DEFAULT ${expression}` : ""
+        }`,
+      );
+    });
+
+    const fieldList = (list) =>
+      `[${list.map((n) => JSON.stringify(names.get(n) ?? n)).join(", ")}]`;
+
+    if (primary.length > 1) {
+      lines.unshift(
+        `    pk = models.CompositePrimaryKey(${primary
+          .map((f) => JSON.stringify(attributes.get(f.name)))
+          .join(", ")})`,
+      );
+    }
+
+    const meta = [`        db_table = ${JSON.stringify(m.table.name)}`];
+    if (m.table.comment) {
+      meta.push(
+        `        db_table_comment = ${JSON.stringify(m.table.comment)}`,
+      );
+    }
+    const indexes = m.table.indices.filter((i) => !i.unique);
+    const constraints = m.table.indices.filter((i) => i.unique);
+    if (indexes.length > 0) {
+      meta.push(
+        `        indexes = [\n${indexes
+          .map(
+            (i) =>
+              `            models.Index(fields=${fieldList(
+                i.fields,
+              )}, name=${JSON.stringify(i.name)}),`,
+          )
+          .join("\n")}\n        ]`,
+      );
+    }
+    if (constraints.length > 0) {
+      meta.push(
+        `        constraints = [\n${constraints
+          .map(
+            (i) =>
+              `            models.UniqueConstraint(fields=${fieldList(
+                i.fields,
+              )}, name=${JSON.stringify(i.name)}),`,
+          )
+          .join("\n")}\n        ]`,
+      );
+    }
+
+    return `class ${m.className}(models.Model):\n${
+      m.table.comment ? `    """${m.table.comment}"""\n\n` : ""
+    }${lines.length > 0 ? `${lines.join("\n")}\n\n` : ""}    class Meta:\n${meta.join(
+      "\n",
+    )}\n`;
+  });
+
+  return [
+    {
+      name: "models.py",
+      content: `from django.db import models\n${
+        usesTimezone ? "from django.utils import timezone\n" : ""
+      }\n\n${classes.join("\n\n")}`,
+    },
+  ];
+}
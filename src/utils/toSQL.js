@@ -1,5 +1,14 @@
-import { sqlDataTypes } from "../data/constants";
-import { isFunction, isKeyword, strHasQuotes } from "./utils";
+import { Cardinality, Constraint, DB, sqlDataTypes } from "../data/constants";
+import { mariadbTypes } from "../data/datatypes";
+import { isFunction, isKeyword, strHasQuotes, tableInArea } from "./utils";
+
+function getTable(obj, id) {
+  return obj.tables.find((t) => t.id === id);
+}
+
+function getField(obj, tableId, fieldId) {
+  return getTable(obj, tableId).fields.find((f) => f.id === fieldId);
+}
 
 export function getJsonType(f) {
   if (!sqlDataTypes.includes(f.type)) {
@@ -50,7 +59,7 @@ export function getTypeString(field, dbms = "mysql", baseType = false) {
     if (field.type === "SET" || field.type === "ENUM") {
       return `${field.type}(${field.values.map((v) => `"${v}"`).join(", ")})`;
     }
-    if (!sqlDataTypes.includes(field.type)) {
+    if (isCustomType(field.type)) {
       return "JSON";
     }
     return field.type;
@@ -58,7 +67,7 @@ export function getTypeString(field, dbms = "mysql", baseType = false) {
     if (field.type === "SMALLINT" && field.increment) {
       return "smallserial";
     }
-    if (field.type === "INT" && field.increment) {
+    if ((field.type === "INT" || field.type === "INTEGER") && field.increment) {
       return "serial";
     }
     if (field.type === "BIGINT" && field.increment) {
@@ -76,6 +85,9 @@ export function getTypeString(field, dbms = "mysql", baseType = false) {
     if (field.type === "DATETIME") {
       return `timestamp`;
     }
+    if (field.type === "DOUBLE") {
+      return "double precision";
+    }
     if (isSized(field.type)) {
       const type =
         field.type === "BINARY"
@@ -83,10 +95,10 @@ export function getTypeString(field, dbms = "mysql", baseType = false) {
           : field.type === "VARBINARY"
             ? "bit varying"
             : field.type.toLowerCase();
-      return `${type}(${field.size})`;
+      return `${type}${field.size ? `(${field.size})` : ""}`;
     }
-    if (hasPrecision(field.type) && field.size !== "") {
-      return `${field.type}${field.size}`;
+    if (hasPrecision(field.type)) {
+      return `${field.type}${field.size ? `(${field.size})` : ""}`;
     }
     return field.type.toLowerCase();
   } else if (dbms === "mssql") {
@@ -122,7 +134,7 @@ export function getTypeString(field, dbms = "mysql", baseType = false) {
         break;
     }
     if (isSized(field.type)) {
-      return `${type}(${field.size})`;
+      return `${type}${field.size ? `(${field.size})` : ""}`;
     }
 
     return type;
@@ -173,7 +185,7 @@ export function jsonToMySQL(obj) {
                 field.default !== "" ? ` DEFAULT ${parseDefault(field)}` : ""
               }${
                 field.check === "" || !hasCheck(field.type)
-                  ? !sqlDataTypes.includes(field.type)
+                  ? isCustomType(field.type)
                     ? ` CHECK(\n\t\tJSON_SCHEMA_VALID("${generateSchema(
                         obj.types.find(
                           (t) => t.name === field.type.toLowerCase(),
@@ -207,11 +219,11 @@ export function jsonToMySQL(obj) {
     .map(
       (r) =>
         `ALTER TABLE \`${
-          obj.tables[r.startTableId].name
-        }\`\nADD FOREIGN KEY(\`${
-          obj.tables[r.startTableId].fields[r.startFieldId].name
-        }\`) REFERENCES \`${obj.tables[r.endTableId].name}\`(\`${
-          obj.tables[r.endTableId].fields[r.endFieldId].name
+          getTable(obj, r.startTableId).name
+        }\`\nADD CONSTRAINT \`${r.name}\` FOREIGN KEY(\`${
+          getField(obj, r.startTableId, r.startFieldId).name
+        }\`) REFERENCES \`${getTable(obj, r.endTableId).name}\`(\`${
+          getField(obj, r.endTableId, r.endFieldId).name
         }\`)\nON UPDATE ${r.updateConstraint.toUpperCase()} ON DELETE ${r.deleteConstraint.toUpperCase()};`,
     )
     .join("\n")}`;
@@ -296,10 +308,10 @@ export function jsonToPostgreSQL(obj) {
     .join("\n")}\n${obj.references
     .map(
       (r) =>
-        `ALTER TABLE "${obj.tables[r.startTableId].name}"\nADD FOREIGN KEY("${
-          obj.tables[r.startTableId].fields[r.startFieldId].name
-        }") REFERENCES "${obj.tables[r.endTableId].name}"("${
-          obj.tables[r.endTableId].fields[r.endFieldId].name
+        `ALTER TABLE "${getTable(obj, r.startTableId).name}"\nADD CONSTRAINT "${r.name}" FOREIGN KEY("${
+          getField(obj, r.startTableId, r.startFieldId).name
+        }") REFERENCES "${getTable(obj, r.endTableId).name}"("${
+          getField(obj, r.endTableId, r.endFieldId).name
         }")\nON UPDATE ${r.updateConstraint.toUpperCase()} ON DELETE ${r.deleteConstraint.toUpperCase()};`,
     )
     .join("\n")}`;
@@ -307,6 +319,7 @@ export function jsonToPostgreSQL(obj) {
 
 export function getSQLiteType(field) {
   switch (field.type) {
+    case "INTEGER":
     case "INT":
     case "SMALLINT":
     case "BIGINT":
@@ -343,10 +356,10 @@ export function getInlineFK(table, obj) {
   obj.references.forEach((r) => {
     if (fk !== "") return;
     if (r.startTableId === table.id) {
-      fk = `FOREIGN KEY ("${table.fields[r.startFieldId].name}") REFERENCES "${
-        obj.tables[r.endTableId].name
+      fk = `FOREIGN KEY ("${getField(obj, table.id, r.startFieldId).name}") REFERENCES "${
+        getTable(obj, r.endTableId).name
       }"("${
-        obj.tables[r.endTableId].fields[r.endFieldId].name
+        getField(obj, r.endTableId, r.endFieldId).name
       }")\n\tON UPDATE ${r.updateConstraint.toUpperCase()} ON DELETE ${r.deleteConstraint.toUpperCase()}`;
     }
   });
@@ -414,7 +427,7 @@ export function jsonToMariaDB(obj) {
                 field.default !== "" ? ` DEFAULT ${parseDefault(field)}` : ""
               }${
                 field.check === "" || !hasCheck(field.type)
-                  ? !sqlDataTypes.includes(field.type)
+                  ? isCustomType(field.type)
                     ? ` CHECK(\n\t\tJSON_SCHEMA_VALID('${generateSchema(
                         obj.types.find(
                           (t) => t.name === field.type.toLowerCase(),
@@ -448,11 +461,11 @@ export function jsonToMariaDB(obj) {
     .map(
       (r) =>
         `ALTER TABLE \`${
-          obj.tables[r.startTableId].name
-        }\`\nADD FOREIGN KEY(\`${
-          obj.tables[r.startTableId].fields[r.startFieldId].name
-        }\`) REFERENCES \`${obj.tables[r.endTableId].name}\`(\`${
-          obj.tables[r.endTableId].fields[r.endFieldId].name
+          getTable(obj, r.startTableId).name
+        }\`\nADD CONSTRAINT \`${r.name}\` FOREIGN KEY(\`${
+          getField(obj, r.startTableId, r.startFieldId).name
+        }\`) REFERENCES \`${getTable(obj, r.endTableId).name}\`(\`${
+          getField(obj, r.endTableId, r.endFieldId).name
         }\`)\nON UPDATE ${r.updateConstraint.toUpperCase()} ON DELETE ${r.deleteConstraint.toUpperCase()};`,
     )
     .join("\n")}`;
@@ -514,28 +527,536 @@ export function jsonToSQLServer(obj) {
     .join("\n")}\n${obj.references
     .map(
       (r) =>
-        `ALTER TABLE [${obj.tables[r.startTableId].name}]\nADD FOREIGN KEY([${
-          obj.tables[r.startTableId].fields[r.startFieldId].name
-        }]) REFERENCES [${obj.tables[r.endTableId].name}]([${
-          obj.tables[r.endTableId].fields[r.endFieldId].name
+        `ALTER TABLE [${getTable(obj, r.startTableId).name}]\nADD CONSTRAINT [${r.name}] FOREIGN KEY([${
+          getField(obj, r.startTableId, r.startFieldId).name
+        }]) REFERENCES [${getTable(obj, r.endTableId).name}]([${
+          getField(obj, r.endTableId, r.endFieldId).name
         }])\nON UPDATE ${r.updateConstraint.toUpperCase()} ON DELETE ${r.deleteConstraint.toUpperCase()};\nGO`,
     )
     .join("\n")}`;
 }
 
+const prismaScalars = {
+  Int: ["TINYINT", "SMALLINT", "MEDIUMINT", "INT", "INTEGER", "YEAR"],
+  BigInt: ["BIGINT"],
+  Decimal: ["DECIMAL", "NUMERIC", "MONEY", "SMALLMONEY"],
+  Float: ["FLOAT", "DOUBLE", "REAL"],
+  Boolean: ["BOOLEAN", "BIT"],
+  DateTime: [
+    "DATE",
+    "TIME",
+    "TIMETZ",
+    "DATETIME",
+    "DATETIME2",
+    "SMALLDATETIME",
+    "DATETIMEOFFSET",
+    "TIMESTAMP",
+  ],
+  Json: ["JSON", "JSONB"],
+  Bytes: [
+    "BINARY",
+    "VARBINARY",
+    "BLOB",
+    "TINYBLOB",
+    "MEDIUMBLOB",
+    "LONGBLOB",
+    "BYTEA",
+    "IMAGE",
+  ],
+};
+
+const prismaProviders = {
+  [DB.GENERIC]: "postgresql",
+  [DB.MYSQL]: "mysql",
+  [DB.POSTGRES]: "postgresql",
+  [DB.SQLITE]: "sqlite",
+  [DB.MARIADB]: "mysql",
+  [DB.MSSQL]: "sqlserver",
+};
+
+const prismaActions = {
+  [Constraint.NONE]: "NoAction",
+  [Constraint.RESTRICT]: "Restrict",
+  [Constraint.CASCADE]: "Cascade",
+  [Constraint.SET_NULL]: "SetNull",
+  [Constraint.SET_DEFAULT]: "SetDefault",
+};
+
+// Prisma identifiers must start with a letter. Renamed tables and fields keep
+// their database names through @@map and @map.
+function prismaIdentifier(name, taken) {
+  let id = name.replace(/[^A-Za-z0-9_]/g, "_");
+  if (!/^[A-Za-z]/.test(id)) id = `x${id}`;
+  let unique = id;
+  for (let i = 2; taken.has(unique); i++) unique = `${id}${i}`;
+  taken.add(unique);
+  return unique;
+}
+
+function getPrismaScalar(type) {
+  const scalar = Object.keys(prismaScalars).find((s) =>
+    prismaScalars[s].includes(type),
+  );
+  return scalar ?? "String";
+}
+
+// The @db types that keep a column's size or precision, by provider
+const prismaSizedTypes = {
+  postgresql: {
+    VARCHAR: "VarChar",
+    CHAR: "Char",
+    DECIMAL: "Decimal",
+    NUMERIC: "Decimal",
+    VARBIT: "VarBit",
+  },
+  mysql: {
+    VARCHAR: "VarChar",
+    CHAR: "Char",
+    DECIMAL: "Decimal",
+    NUMERIC: "Decimal",
+    BINARY: "Binary",
+    VARBINARY: "VarBinary",
+  },
+  sqlserver: {
+    VARCHAR: "VarChar",
+    CHAR: "Char",
+    NVARCHAR: "NVarChar",
+    NCHAR: "NChar",
+    DECIMAL: "Decimal",
+    NUMERIC: "Decimal",
+    BINARY: "Binary",
+    VARBINARY: "VarBinary",
+  },
+};
+
+function getPrismaNativeType(field, provider) {
+  const sized = prismaSizedTypes[provider]?.[field.type];
+  if (sized && field.size) {
+    const args = `${field.size}`.split(",").map((a) => a.trim());
+    return ` @db.${sized}(${args.join(", ")})`;
+  }
+  if (field.type === "UUID" && provider === "postgresql") return " @db.Uuid";
+  return "";
+}
+
+function getPrismaDefault(field, type, enumValues) {
+  if (field.increment) return "autoincrement()";
+  if (field.default === undefined || `${field.default}` === "") return null;
+
+  const value = `${field.default}`;
+  switch (value.toUpperCase()) {
+    case "CURRENT_TIMESTAMP":
+    case "CURRENT_TIMESTAMP()":
+    case "NOW()":
+    case "GETDATE()":
+      return "now()";
+    case "UUID()":
+    case "GEN_RANDOM_UUID()":
+    case "UUID_GENERATE_V4()":
+    case "NEWID()":
+      return "uuid()";
+    default:
+      break;
+  }
+
+  const literal = strHasQuotes(value) ? value.slice(1, -1) : value;
+  if (enumValues) {
+    if (enumValues.has(literal)) return enumValues.get(literal);
+  } else if (type === "Boolean") {
+    if (/^(true|1)$/i.test(literal)) return "true";
+    if (/^(false|0)$/i.test(literal)) return "false";
+  } else if (["Int", "BigInt", "Float", "Decimal"].includes(type)) {
+    if (!isNaN(Number(literal))) return literal;
+  } else if (type === "String" || type === "Json") {
+    return JSON.stringify(literal);
+  }
+  return `dbgenerated(${JSON.stringify(value)})`;
+}
+
+function alignColumns(rows) {
+  const widths = [0, 0];
+  rows.forEach((r) => {
+    if (!Array.isArray(r)) return;
+    widths[0] = Math.max(widths[0], r[0].length);
+    widths[1] = Math.max(widths[1], r[1].length);
+  });
+  return rows.map((r) => {
+    if (!Array.isArray(r)) return r;
+    const line = `  ${r[0].padEnd(widths[0])} ${
+      r[2] ? `${r[1].padEnd(widths[1])} ${r[2]}` : r[1]
+    }`;
+    return line.trimEnd();
+  });
+}
+
+export function jsonToPrisma(obj) {
+  const provider = prismaProviders[obj.database] ?? "postgresql";
+  const blockNames = new Set();
+  const enums = [];
+
+  const addEnum = (name, values) => {
+    const taken = new Set();
+    const members = new Map(values.map((v) => [v, prismaIdentifier(v, taken)]));
+    const e = { name: prismaIdentifier(name, blockNames), members };
+    enums.push(e);
+    return e;
+  };
+
+  // An enum defined as a single-field type in the types tab is named after
+  // the type, so that table fields using the type can refer to it.
+  const typeEnums = new Map();
+  obj.types.forEach((type) => {
+    type.fields
+      .filter((f) => f.type === "ENUM" || f.type === "SET")
+      .forEach((f) => {
+        const e = addEnum(
+          type.fields.length === 1 ? type.name : `${type.name}_${f.name}`,
+          f.values,
+        );
+        if (type.fields.length === 1) {
+          typeEnums.set(type.name.toUpperCase(), {
+            ...e,
+            list: f.type === "SET",
+          });
+        }
+      });
+  });
+
+  const models = obj.tables.map((table) => {
+    const taken = new Set();
+    return {
+      table,
+      name: prismaIdentifier(table.name, blockNames),
+      fieldNames: new Map(
+        table.fields.map((f) => [f.id, prismaIdentifier(f.name, taken)]),
+      ),
+      taken,
+      forceUnique: new Set(),
+      relations: [],
+    };
+  });
+
+  const lowerFirst = (s) => s.charAt(0).toLowerCase() + s.slice(1);
+
+  obj.references.forEach((r) => {
+    const start = models.find((m) => m.table.id === r.startTableId);
+    const end = models.find((m) => m.table.id === r.endTableId);
+    const startField = getField(obj, r.startTableId, r.startFieldId);
+    const oneToOne = r.cardinality === Cardinality.ONE_TO_ONE;
+
+    // Relations need a name when more than one joins the same two models.
+    const named =
+      start === end ||
+      obj.references.filter(
+        (x) =>
+          (x.startTableId === r.startTableId &&
+            x.endTableId === r.endTableId) ||
+          (x.startTableId === r.endTableId && x.endTableId === r.startTableId),
+      ).length > 1;
+    const relationName = named ? `${JSON.stringify(r.name)}, ` : "";
+
+    start.relations.push([
+      prismaIdentifier(lowerFirst(end.name), start.taken),
+      `${end.name}${startField.notNull || startField.primary ? "" : "?"}`,
+      `@relation(${relationName}fields: [${start.fieldNames.get(
+        r.startFieldId,
+      )}], references: [${end.fieldNames.get(r.endFieldId)}], onDelete: ${
+        prismaActions[r.deleteConstraint] ?? "NoAction"
+      }, onUpdate: ${prismaActions[r.updateConstraint] ?? "NoAction"})`,
+    ]);
+    end.relations.push([
+      prismaIdentifier(
+        oneToOne || start.name.endsWith("s")
+          ? lowerFirst(start.name)
+          : `${lowerFirst(start.name)}s`,
+        end.taken,
+      ),
+      `${start.name}${oneToOne ? "?" : "[]"}`,
+      named ? `@relation(${JSON.stringify(r.name)})` : "",
+    ]);
+
+    // The foreign key of a one-to-one relation has to be unique, which a
+    // column in a composite primary key isn't on its own.
+    const soleKey =
+      startField.primary &&
+      start.table.fields.filter((f) => f.primary).length === 1;
+    if (oneToOne && !startField.unique && !soleKey) {
+      start.forceUnique.add(startField.id);
+    }
+  });
+
+  const fieldEnums = new Map();
+  models.forEach((m) =>
+    m.table.fields
+      .filter((f) => f.type === "ENUM" || f.type === "SET")
+      .forEach((f) =>
+        fieldEnums.set(f.id, {
+          ...addEnum(`${m.name}_${m.fieldNames.get(f.id)}`, f.values),
+          list: f.type === "SET",
+        }),
+      ),
+  );
+
+  const renderModel = (m) => {
+    const primary = m.table.fields.filter((f) => f.primary);
+    const rows = [];
+    m.table.fields.forEach((field) => {
+      const name = m.fieldNames.get(field.id);
+      const e = fieldEnums.get(field.id) ?? typeEnums.get(field.type);
+      const scalar = e
+        ? e.name
+        : obj.types.some((t) => t.name.toUpperCase() === field.type)
+          ? "Json"
+          : getPrismaScalar(field.type);
+      const list = e?.list ?? false;
+
+      const attributes = [];
+      if (field.primary && primary.length === 1) attributes.push("@id");
+      const value = getPrismaDefault(field, scalar, e?.members);
+      if (value !== null) attributes.push(`@default(${value})`);
+      if (
+        (field.unique || m.forceUnique.has(field.id)) &&
+        !(field.primary && primary.length === 1)
+      ) {
+        attributes.push("@unique");
+      }
+      if (name !== field.name) {
+        attributes.push(`@map(${JSON.stringify(field.name)})`);
+      }
+
+      if (field.comment) rows.push(`  /// ${field.comment}`);
+      rows.push([
+        name,
+        `${scalar}${list ? "[]" : field.notNull || field.primary ? "" : "?"}`,
+        `${attributes.join(" ")}${e ? "" : getPrismaNativeType(field, provider)}`.trim(),
+      ]);
+    });
+    rows.push(...m.relations);
+
+    const fieldList = (names) =>
+      `[${names
+        .map((n) => {
+          const f = m.table.fields.find((f) => f.name === n);
+          return f ? m.fieldNames.get(f.id) : n;
+        })
+        .join(", ")}]`;
+    const blockAttributes = [];
+    if (primary.length > 1) {
+      blockAttributes.push(`@@id(${fieldList(primary.map((f) => f.name))})`);
+    }
+    m.table.indices.forEach((i) =>
+      blockAttributes.push(
+        `@@${i.unique ? "unique" : "index"}(${fieldList(i.fields)}, map: ${JSON.stringify(i.name)})`,
+      ),
+    );
+    if (m.name !== m.table.name) {
+      blockAttributes.push(`@@map(${JSON.stringify(m.table.name)})`);
+    }
+
+    return `${m.table.comment ? `/// ${m.table.comment}\n` : ""}model ${
+      m.name
+    } {\n${alignColumns(rows).join("\n")}${
+      blockAttributes.length > 0
+        ? `\n\n${blockAttributes.map((a) => `  ${a}`).join("\n")}`
+        : ""
+    }\n}\n`;
+  };
+
+  const renderEnum = (e) =>
+    `enum ${e.name} {\n${alignColumns(
+      [...e.members].map(([value, name]) =>
+        name === value ? `  ${name}` : [name, `@map(${JSON.stringify(value)})`],
+      ),
+    ).join("\n")}\n}\n`;
+
+  return [
+    `generator client {\n  provider = "prisma-client-js"\n}\n`,
+    `datasource db {\n  provider = "${provider}"\n  url      = env("DATABASE_URL")\n}\n`,
+    ...models.map(renderModel),
+    ...enums.map(renderEnum),
+  ].join("\n");
+}
+
+function dbmlName(name) {
+  return /^[\p{L}\p{N}_]+$/u.test(name) ? name : JSON.stringify(name);
+}
+
+function dbmlString(text) {
+  return text.includes("\n")
+    ? `'''${text.replace(/'''/g, "\\'''")}'''`
+    : `'${text.replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+}
+
+// DBML expressions can't contain backticks, and the ones MySQL quotes
+// identifiers with can go without changing what the expression means.
+function dbmlExpression(text) {
+  return `\`${text.replace(/`/g, "")}\``;
+}
+
+function dbmlDefault(value) {
+  if (/^-?\d+(\.\d+)?$/.test(value) || /^(true|false|null)$/i.test(value)) {
+    return value;
+  }
+  if (isFunction(value) || isKeyword(value)) return dbmlExpression(value);
+  return dbmlString(strHasQuotes(value) ? value.slice(1, -1) : value);
+}
+
+const dbmlOperators = {
+  [Cardinality.MANY_TO_ONE]: ">",
+  [Cardinality.ONE_TO_MANY]: "<",
+  [Cardinality.ONE_TO_ONE]: "-",
+};
+
+export function jsonToDBML(obj) {
+  const enums = [];
+  const enumNames = new Map();
+  obj.types.forEach((type) =>
+    type.fields
+      .filter((f) => f.type === "ENUM" || f.type === "SET")
+      .forEach((f) => {
+        const name =
+          type.fields.length === 1 ? type.name : `${type.name}_${f.name}`;
+        enums.push({ name, values: f.values });
+        if (type.fields.length === 1) {
+          enumNames.set(type.name.toUpperCase(), name);
+        }
+      }),
+  );
+
+  const getType = (table, field) => {
+    if (field.type === "ENUM" || field.type === "SET") {
+      const name = `${table.name}_${field.name}`;
+      enums.push({ name, values: field.values ?? [] });
+      return dbmlName(name);
+    }
+    const custom = obj.types.find((t) => t.name.toUpperCase() === field.type);
+    if (custom) return dbmlName(enumNames.get(field.type) ?? custom.name);
+    if (field.size === undefined || field.size === "") {
+      return dbmlName(field.type);
+    }
+    const type = `${field.type}(${field.size})`;
+    return dbmlName(field.type) === field.type ? type : JSON.stringify(type);
+  };
+
+  const tables = obj.tables.map((table) => {
+    const settings = [`headercolor: ${table.color}`];
+    if (table.comment) settings.push(`note: ${dbmlString(table.comment)}`);
+    const fields = table.fields.map((field) => {
+      const s = [];
+      if (field.primary) s.push("pk");
+      if (field.increment) s.push("increment");
+      if (field.notNull && !field.primary) s.push("not null");
+      if (field.unique && !field.primary) s.push("unique");
+      if (field.default !== "") {
+        s.push(`default: ${dbmlDefault(field.default)}`);
+      }
+      if (field.check) s.push(`check: ${dbmlExpression(field.check)}`);
+      if (field.comment) s.push(`note: ${dbmlString(field.comment)}`);
+      return `  ${dbmlName(field.name)} ${getType(table, field)}${
+        s.length > 0 ? ` [${s.join(", ")}]` : ""
+      }`;
+    });
+    const indices =
+      table.indices.length > 0
+        ? `\n\n  indexes {\n${table.indices
+            .map(
+              (i) =>
+                `    (${i.fields.map(dbmlName).join(", ")}) [${
+                  i.unique ? "unique, " : ""
+                }name: ${dbmlString(i.name)}]`,
+            )
+            .join("\n")}\n  }`
+        : "";
+    return `Table ${dbmlName(table.name)} [${settings.join(
+      ", ",
+    )}] {\n${fields.join("\n")}${indices}\n}`;
+  });
+
+  const refs = obj.references.map(
+    (r) =>
+      `Ref ${dbmlName(r.name)}: ${dbmlName(
+        getTable(obj, r.startTableId).name,
+      )}.${dbmlName(getField(obj, r.startTableId, r.startFieldId).name)} ${
+        dbmlOperators[r.cardinality] ?? ">"
+      } ${dbmlName(getTable(obj, r.endTableId).name)}.${dbmlName(
+        getField(obj, r.endTableId, r.endFieldId).name,
+      )} [delete: ${r.deleteConstraint.toLowerCase()}, update: ${r.updateConstraint.toLowerCase()}]`,
+  );
+
+  const groups = obj.subjectAreas.map((a) => {
+    const members = obj.tables.filter((t) => tableInArea(t, a));
+    return `TableGroup ${dbmlName(a.name)} [color: ${a.color}] {\n${members
+      .map((t) => `  ${dbmlName(t.name)}`)
+      .join("\n")}\n}`;
+  });
+
+  const notes = obj.notes.map(
+    (n) =>
+      `Note ${dbmlName(n.title)} [headercolor: ${n.color}] {\n  ${dbmlString(
+        n.content,
+      )}\n}`,
+  );
+
+  const project = `Project ${dbmlName(obj.title || "untitled")} {\n  database_type: ${dbmlString(
+    obj.database,
+  )}\n}`;
+
+  return [
+    project,
+    ...enums.map(
+      (e) =>
+        `Enum ${dbmlName(e.name)} {\n${e.values
+          .map((v) => `  ${dbmlName(v)}`)
+          .join("\n")}\n}`,
+    ),
+    ...tables,
+    ...refs,
+    ...groups,
+    ...notes,
+  ].join("\n\n");
+}
+
+// Custom types are exported as JSON columns checked against their schema.
+function isCustomType(type) {
+  return !sqlDataTypes.includes(type) && !mariadbTypes.includes(type);
+}
+
 export function isSized(type) {
-  return ["CHAR", "VARCHAR", "BINARY", "VARBINARY", "TEXT"].includes(type);
+  return [
+    "CHAR",
+    "VARCHAR",
+    "BINARY",
+    "VARBINARY",
+    "TEXT",
+    "NCHAR",
+    "NVARCHAR",
+    "VARBIT",
+  ].includes(type);
 }
 
 export function hasPrecision(type) {
   return ["DOUBLE", "NUMERIC", "DECIMAL", "FLOAT"].includes(type);
 }
 
+export function canIncrement(type) {
+  return [
+    "INT",
+    "INTEGER",
+    "SMALLINT",
+    "BIGINT",
+    "TINYINT",
+    "MEDIUMINT",
+  ].includes(type);
+}
+
 export function hasCheck(type) {
   return [
     "INT",
+    "INTEGER",
     "SMALLINT",
     "BIGINT",
+    "TINYINT",
+    "MEDIUMINT",
     "CHAR",
     "VARCHAR",
     "FLOAT",
@@ -543,16 +1064,23 @@ export function hasCheck(type) {
     "DOUBLE",
     "NUMERIC",
     "REAL",
+    "MONEY",
+    "SMALLMONEY",
+    "NCHAR",
+    "NVARCHAR",
   ].includes(type);
 }
 
 export function getSize(type) {
   switch (type) {
     case "CHAR":
+    case "NCHAR":
     case "BINARY":
       return 1;
     case "VARCHAR":
+    case "NVARCHAR":
     case "VARBINARY":
+    case "VARBIT":
       return 255;
     case "TEXT":
       return 65535;
@@ -0,0 +1,308 @@
+import {
+  Cardinality,
+  tableFieldHeight,
+  tableHeaderHeight,
+} from "../data/constants";
+import { calcPath } from "./calcPath";
+
+// Draws the whole diagram with plain SVG shapes and text, mirroring what the
+// canvas renders with HTML, so the file opens in any vector editor.
+
+const themes = {
+  light: {
+    background: "#ffffff",
+    table: "#f4f4f5",
+    header: "#e4e4e7",
+    text: "#27272a",
+    muted: "#a1a1aa",
+  },
+  dark: {
+    background: "#16161a",
+    table: "#27272a",
+    header: "#18181b",
+    text: "#e4e4e7",
+    muted: "#a1a1aa",
+  },
+};
+
+// svg2pdf only reads alignment-baseline while browsers only apply
+// dominant-baseline to text elements.
+const centered = 'dominant-baseline="central" alignment-baseline="central"';
+const colorStripHeight = 10;
+const noteWidth = 180;
+const noteFold = 24;
+const titleBlockHeight = 48;
+const fontSize = 14;
+// Average glyph width of the sans-serif font, used to cut and wrap text
+const charWidth = 7.5;
+
+function escapeXML(text) {
+  return `${text ?? ""}`
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function truncate(text, width) {
+  const max = Math.floor(width / charWidth);
+  return text.length > max ? `${text.slice(0, Math.max(max - 1, 0))}…` : text;
+}
+
+function wrap(text, width) {
+  const max = Math.floor(width / charWidth);
+  return text.split("\n").flatMap((paragraph) => {
+    const lines = [];
+    let line = "";
+    paragraph.split(" ").forEach((word) => {
+      if (line && (line + " " + word).length > max) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+    lines.push(line);
+    return lines;
+  });
+}
+
+function tableHeight(table) {
+  return table.fields.length * tableFieldHeight + tableHeaderHeight + 7;
+}
+
+export function getDiagramBounds(diagram, options) {
+  const boxes = diagram.tables.map((t) => ({
+    x: t.x,
+    y: t.y,
+    width: options.tableWidth,
+    height: tableHeight(t),
+  }));
+  if (options.areas) boxes.push(...diagram.areas);
+  if (options.notes) {
+    boxes.push(...diagram.notes.map((n) => ({ ...n, width: noteWidth })));
+  }
+  if (boxes.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+
+  const x = Math.min(...boxes.map((b) => b.x));
+  const y = Math.min(...boxes.map((b) => b.y));
+  return {
+    x,
+    y,
+    width: Math.max(...boxes.map((b) => b.x + b.width)) - x,
+    height: Math.max(...boxes.map((b) => b.y + b.height)) - y,
+  };
+}
+
+function renderArea(a) {
+  return `<g>
+<rect x="${a.x}" y="${a.y}" width="${Math.max(a.width, 0)}" height="${Math.max(
+    a.height,
+    0,
+  )}" rx="4" fill="${a.color}" fill-opacity="0.4" stroke="#94a3b8" stroke-width="2"/>
+<text x="${a.x + 10}" y="${a.y + 24}">${escapeXML(
+    truncate(a.name, a.width - 20),
+  )}</text>
+</g>`;
+}
+
+// The canvas places cardinality labels 28px along the path from each end.
+// Arcs are short enough to be walked as straight lines.
+function pointAlong(path, fromEnd) {
+  const points = [...path.matchAll(/(-?[\d.]+) (-?[\d.]+)(?= [LA]|$)/g)].map(
+    (m) => ({ x: Number(m[1]), y: Number(m[2]) }),
+  );
+  if (fromEnd) points.reverse();
+  let left = 28;
+  for (let i = 1; i < points.length; i++) {
+    const [a, b] = [points[i - 1], points[i]];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length >= left || i === points.length - 1) {
+      const t = length === 0 ? 0 : Math.min(left / length, 1);
+      return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+    }
+    left -= length;
+  }
+  return points[0];
+}
+
+function renderRelationship(r, diagram, options) {
+  const startTable = diagram.tables.find((t) => t.id === r.startTableId);
+  const endTable = diagram.tables.find((t) => t.id === r.endTableId);
+  if (!startTable || !endTable) return "";
+
+  const path = calcPath(
+    {
+      ...r,
+      startTable: { x: startTable.x, y: startTable.y },
+      endTable: { x: endTable.x, y: endTable.y },
+      startFieldIndex: startTable.fields.findIndex(
+        (f) => f.id === r.startFieldId,
+      ),
+      endFieldIndex: endTable.fields.findIndex((f) => f.id === r.endFieldId),
+    },
+    options.tableWidth,
+  );
+  const lines = [
+    `<path d="${path}" fill="none" stroke="gray" stroke-width="2"/>`,
+  ];
+
+  if (options.showCardinality) {
+    const labels = [
+      r.cardinality === Cardinality.MANY_TO_ONE ? "n" : "1",
+      r.cardinality === Cardinality.ONE_TO_MANY ? "n" : "1",
+    ];
+    [false, true].forEach((fromEnd, i) => {
+      const p = pointAlong(path, fromEnd);
+      lines.push(
+        `<circle cx="${p.x}" cy="${p.y}" r="12" fill="gray"/>`,
+        `<text x="${p.x}" y="${p.y}" fill="white" text-anchor="middle" ${centered}>${labels[i]}</text>`,
+      );
+    });
+  }
+  return `<g>\n${lines.join("\n")}\n</g>`;
+}
+
+function renderTable(table, colors, options) {
+  const width = options.tableWidth;
+  const height = tableHeight(table);
+  const fieldsTop = table.y + tableHeaderHeight;
+  const lines = [
+    `<clipPath id="clip-${escapeXML(table.id)}"><rect x="${table.x}" y="${
+      table.y
+    }" width="${width}" height="${height}" rx="8"/></clipPath>`,
+    `<g clip-path="url(#clip-${escapeXML(table.id)})">`,
+    `<rect x="${table.x}" y="${table.y}" width="${width}" height="${height}" fill="${colors.table}"/>`,
+    `<rect x="${table.x}" y="${table.y}" width="${width}" height="${colorStripHeight}" fill="${table.color}"/>`,
+    `<rect x="${table.x}" y="${table.y + colorStripHeight}" width="${width}" height="${
+      tableHeaderHeight - colorStripHeight
+    }" fill="${colors.header}"/>`,
+    `<line x1="${table.x}" y1="${fieldsTop}" x2="${
+      table.x + width
+    }" y2="${fieldsTop}" stroke="#9ca3af"/>`,
+    `<text x="${table.x + 12}" y="${
+      table.y + (tableHeaderHeight + colorStripHeight) / 2
+    }" ${centered} font-weight="bold">${escapeXML(
+      truncate(table.name, width - 24),
+    )}</text>`,
+  ];
+
+  table.fields.forEach((field, i) => {
+    const y = fieldsTop + i * tableFieldHeight;
+    const middle = y + tableFieldHeight / 2;
+    const type = `${field.primary ? "PK " : ""}${field.type}`;
+    if (i < table.fields.length - 1) {
+      lines.push(
+        `<line x1="${table.x}" y1="${y + tableFieldHeight}" x2="${
+          table.x + width
+        }" y2="${y + tableFieldHeight}" stroke="#9ca3af"/>`,
+      );
+    }
+    lines.push(
+      `<circle cx="${table.x + 13}" cy="${middle}" r="5" fill="#2f68ad" fill-opacity="0.8"/>`,
+      `<text x="${table.x + 26}" y="${middle}" ${centered}>${escapeXML(
+        truncate(field.name, width - 40 - type.length * charWidth),
+      )}</text>`,
+      `<text x="${table.x + width - 10}" y="${middle}" fill="${
+        colors.muted
+      }" text-anchor="end" ${centered}>${escapeXML(type)}</text>`,
+    );
+  });
+
+  lines.push(
+    "</g>",
+    `<rect x="${table.x}" y="${table.y}" width="${width}" height="${height}" rx="8" fill="none" stroke="#71717a" stroke-width="2"/>`,
+  );
+  return `<g>\n${lines.join("\n")}\n</g>`;
+}
+
+function renderNote(n) {
+  const { x, y, height: h } = n;
+  const w = noteWidth;
+  const r = 3;
+  const content = wrap(n.content, w - 24).map(
+    (line, i) =>
+      `<tspan x="${x + 12}" dy="${i === 0 ? 0 : fontSize * 1.4}">${escapeXML(
+        line,
+      )}</tspan>`,
+  );
+  return `<g>
+<path d="M${x + noteFold} ${y} L${x + w - r} ${y} A${r} ${r} 0 0 1 ${x + w} ${
+    y + r
+  } L${x + w} ${y + h - r} A${r} ${r} 0 0 1 ${x + w - r} ${y + h} L${x + r} ${
+    y + h
+  } A${r} ${r} 0 0 1 ${x} ${y + h - r} L${x} ${y + noteFold} Z" fill="${
+    n.color
+  }" stroke="#a8a29e" stroke-linejoin="round" stroke-width="1.2"/>
+<path d="M${x} ${y + noteFold} L${x + noteFold - r} ${
+    y + noteFold
+  } A${r} ${r} 0 0 0 ${x + noteFold} ${y + noteFold - r} L${
+    x + noteFold
+  } ${y} L${x} ${y + noteFold} Z" fill="${
+    n.color
+  }" stroke="#a8a29e" stroke-linejoin="round" stroke-width="1.2"/>
+<text x="${x + 32}" y="${y + 18}" fill="#111827">${escapeXML(
+    truncate(n.title, w - 44),
+  )}</text>
+<text x="${x + 12}" y="${y + 44}" fill="#111827">${content.join("")}</text>
+</g>`;
+}
+
+function renderTitleBlock(block, x, y, width, colors) {
+  const middle = y + titleBlockHeight / 2;
+  const details = [block.date, block.author].filter(Boolean).join(" · ");
+  return `<g>
+<line x1="${x}" y1="${y}" x2="${x + width}" y2="${y}" stroke="#9ca3af"/>
+<text x="${x + 16}" y="${middle}" font-weight="bold" ${centered}>${escapeXML(
+    block.title,
+  )}</text>
+<text x="${x + width - 16}" y="${middle}" fill="${
+    colors.muted
+  }" text-anchor="end" ${centered}>${escapeXML(details)}</text>
+</g>`;
+}
+
+// `options` are the theme, the padding around the diagram, whether notes and
+// subject areas are drawn, and the canvas settings `tableWidth` and
+// `showCardinality`. `bounds` limits the drawing to a region of the diagram
+// and `titleBlock` adds a footer with the title, date and author.
+export function diagramToSVG(diagram, options) {
+  const colors = themes[options.theme] ?? themes.light;
+  const bounds = options.bounds ?? getDiagramBounds(diagram, options);
+  const padding = options.padding;
+  const width = bounds.width + padding * 2;
+  const diagramHeight = bounds.height + padding * 2;
+  const height = diagramHeight + (options.titleBlock ? titleBlockHeight : 0);
+
+  const elements = [
+    ...(options.areas ? diagram.areas.map(renderArea) : []),
+    ...diagram.relationships.map((r) =>
+      renderRelationship(r, diagram, options),
+    ),
+    ...diagram.tables.map((t) => renderTable(t, colors, options)),
+    ...(options.notes ? diagram.notes.map(renderNote) : []),
+  ].filter(Boolean);
+  if (options.titleBlock) {
+    elements.push(
+      renderTitleBlock(
+        options.titleBlock,
+        bounds.x - padding,
+        bounds.y - padding + diagramHeight,
+        width,
+        colors,
+      ),
+    );
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${
+    bounds.x - padding
+  } ${bounds.y - padding} ${width} ${height}" font-family="ui-sans-serif, system-ui, sans-serif" font-size="${fontSize}" fill="${
+    colors.text
+  }">
+<rect x="${bounds.x - padding}" y="${
+    bounds.y - padding
+  }" width="${width}" height="${height}" fill="${colors.background}"/>
+${elements.join("\n")}
+</svg>
+`;
+}
@@ -1,3 +1,10 @@
+import {
+  tableColorStripHeight,
+  tableFieldHeight,
+  tableHeaderHeight,
+  tableWidth,
+} from "../data/constants";
+
 export function dataURItoBlob(dataUrl) {
   const byteString = atob(dataUrl.split(",")[1]);
   const mimeString = dataUrl.split(",")[0].split(":")[1].split(";")[0];
@@ -34,3 +41,20 @@ export function isKeyword(str) {
 export function isFunction(str) {
   return /\w+\([^)]*\)$/.test(str);
 }
+
+// A table is in the subject area its center is in.
+export function tableInArea(table, area) {
+  const x = table.x + tableWidth / 2;
+  const y =
+    table.y +
+    (tableHeaderHeight +
+      tableColorStripHeight +
+      table.fields.length * tableFieldHeight) /
+      2;
+  return (
+    x >= area.x &&
+    x <= area.x + area.width &&
+    y >= area.y &&
+    y <= area.y + area.height
+  );
+}
@@ -0,0 +1,44 @@
+import { db } from "../data/db";
+
+// Autosave runs after almost every edit, so automatic snapshots are spaced
+// out and only the latest ones are kept. Named checkpoints are never pruned.
+const snapshotInterval = 10 * 60 * 1000;
+const maxSnapshots = 50;
+
+export async function snapshotIsDue(diagramId) {
+  const latest = await db.diagramVersions
+    .where("diagramId")
+    .equals(diagramId)
+    .last();
+  return !latest || Date.now() - latest.createdAt >= snapshotInterval;
+}
+
+export async function addVersion(diagramId, diagram, name = "") {
+  await db.diagramVersions.add({
+    diagramId: diagramId,
+    name: name,
+    createdAt: new Date(),
+    database: diagram.database,
+    tables: diagram.tables,
+    references: diagram.references,
+    types: diagram.types,
+    notes: diagram.notes,
+    areas: diagram.areas,
+    todos: diagram.todos,
+  });
+
+  const snapshots = await db.diagramVersions
+    .where("diagramId")
+    .equals(diagramId)
+    .filter((v) => v.name === "")
+    .primaryKeys();
+  if (snapshots.length > maxSnapshots) {
+    await db.diagramVersions.bulkDelete(
+      snapshots.slice(0, snapshots.length - maxSnapshots),
+    );
+  }
+}
+
+export function deleteVersions(diagramId) {
+  return db.diagramVersions.where("diagramId").equals(diagramId).delete();
+}